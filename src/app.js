@@ -1,26 +1,34 @@
 const express = require('express');
 
 // Config
-const { getConfig, connectDatabase, closeDatabase } = require('./config');
+const { getConfig, getScoringProfile, connectDatabase, closeDatabase, logger } = require('./config');
 
 // Services
 const leaderboardService = require('./services/leaderboard');
+const liveUpdateService = require('./services/liveUpdates');
+const webhookService = require('./services/webhooks');
+const usageService = require('./services/usage');
 
 // Routes
 const leaderboardRoutes = require('./routes/leaderboard');
+const adminRoutes = require('./routes/admin');
 
 // Controllers
-const { getHealth, getMetrics } = require('./controllers');
+const { getHealth, getLiveness, getReadiness, getMetrics } = require('./controllers');
 
 // Middleware
 const {
   createRateLimiter,
   errorHandler,
   notFoundHandler,
+  requestId,
   requestLogger,
   createCorsMiddleware,
   createSecurityMiddleware,
   createApiKeyAuth,
+  requireScope,
+  createQuotaLimiter,
+  usageTracker,
 } = require('./middleware');
 
 class LeaderboardAPI {
@@ -43,9 +51,12 @@ class LeaderboardAPI {
     // Trust proxy for deployment platforms
     if (this.config.server.isProduction) {
       this.app.set('trust proxy', 1);
-      console.log('🔗 Express configured to trust proxy (production mode)');
+      logger.info('🔗 Express configured to trust proxy (production mode)');
     }
 
+    // Request ID on every response and log entry (first, so every later rejection carries it)
+    this.app.use(requestId);
+
     // Security headers
     this.app.use(createSecurityMiddleware());
 
@@ -55,34 +66,57 @@ class LeaderboardAPI {
       isDevelopment: this.config.server.isDevelopment
     }));
 
+    // Request logging and HTTP metrics (before authentication and rate limiting so rejections are counted)
+    this.app.use(requestLogger);
+
     // Body parsing
     this.app.use(express.json({ limit: '10mb' }));
     this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-    // API Key Authentication (applied globally, skips /health and /metrics)
-    const apiKeyAuth = createApiKeyAuth(this.config.auth.apiKey);
+    // API Key Authentication (applied globally, skips /health, the probes and /metrics)
+    const apiKeyAuth = createApiKeyAuth(this.config.auth);
     this.app.use(apiKeyAuth);
-    console.log('🔐 API key authentication enabled');
+    logger.info('🔐 API key authentication enabled (environment keys + api_keys store)');
+    if (!this.config.auth.apiKey && !this.config.auth.adminApiKey) {
+      logger.warn('⚠️  Neither API_KEY nor ADMIN_API_KEY is set; only keys in the api_keys store are accepted');
+    }
 
-    // Rate limiting
-    const leaderboardLimiter = createRateLimiter(this.config.rateLimit);
-    this.app.use('/leaderboard', leaderboardLimiter);
-    console.log(`🚦 Rate limiting: ${this.config.rateLimit.max} requests/minute`);
+    // Scopes: read for the leaderboard, export for downloads, admin for admin endpoints
+    // (the admin-only /leaderboard/simulate and /leaderboard/refresh routes check it themselves)
+    this.app.use('/leaderboard', requireScope('read'));
+    this.app.use('/leaderboard/export', requireScope('export'));
+    this.app.use('/admin', requireScope('admin'));
 
-    // Request logging
-    this.app.use(requestLogger);
+    // Usage analytics per API key (before rate limiting so rejected requests are counted)
+    this.app.use('/leaderboard', usageTracker);
+    this.app.use('/admin', usageTracker);
+
+    // Rate limiting and daily quotas per API key and route class
+    const leaderboardLimiter = createRateLimiter(this.config.rateLimit);
+    const quotaLimiter = createQuotaLimiter(this.config.rateLimit.classes);
+    this.app.use('/leaderboard', leaderboardLimiter, quotaLimiter);
+    this.app.use('/admin', leaderboardLimiter, quotaLimiter);
+    const { classes } = this.config.rateLimit;
+    logger.info(`🚦 Rate limiting per API key: ${Object.entries(classes).map(([name, limits]) => `${name} ${limits.perMinute}/min${limits.perDay ? `, ${limits.perDay}/day` : ''}`).join('; ')}`);
   }
 
   setupRoutes() {
     // Health check
     this.app.get('/health', getHealth);
 
+    // Kubernetes probes: liveness (process up) and readiness (database + fresh rankings)
+    this.app.get('/health/live', getLiveness);
+    this.app.get('/health/ready', getReadiness);
+
     // Metrics endpoint
     this.app.get('/metrics', getMetrics);
 
     // Leaderboard routes
     this.app.use('/leaderboard', leaderboardRoutes);
 
+    // Admin routes (admin key required)
+    this.app.use('/admin', adminRoutes);
+
     // Root endpoint
     this.app.get('/', (req, res) => {
       res.json({
@@ -91,12 +125,37 @@ class LeaderboardAPI {
         status: 'running',
         endpoints: {
           health: 'GET /health',
+          liveness: 'GET /health/live',
+          readiness: 'GET /health/ready',
           metrics: 'GET /metrics',
           leaderboard: 'GET /leaderboard',
           nodeRanking: 'GET /leaderboard/node/:nodeId',
+          nodeExplain: 'GET /leaderboard/node/:nodeId/explain',
+          nodeHistory: 'GET /leaderboard/node/:nodeId/history',
           topNodes: 'GET /leaderboard/top/:count',
+          export: 'GET /leaderboard/export',
+          stream: 'GET /leaderboard/stream',
+          countries: 'GET /leaderboard/countries',
+          countryLeaderboard: 'GET /leaderboard/country/:code',
+          wallets: 'GET /leaderboard/wallets',
+          walletFleet: 'GET /leaderboard/wallet/:address',
+          movers: 'GET /leaderboard/movers',
           stats: 'GET /leaderboard/stats',
-          refresh: 'POST /leaderboard/refresh'
+          scoring: 'GET /leaderboard/scoring',
+          simulate: 'POST /leaderboard/simulate',
+          refresh: 'POST /leaderboard/refresh',
+          rewardsPreview: 'POST /admin/rewards/preview',
+          rewardsFinalize: 'POST /admin/rewards/finalize',
+          rewards: 'GET /admin/rewards/:epoch',
+          webhooks: 'GET|POST /admin/webhooks',
+          webhook: 'GET|DELETE /admin/webhooks/:id',
+          webhookDeliveries: 'GET /admin/webhooks/:id/deliveries',
+          apiKeys: 'GET|POST /admin/api-keys',
+          revokeApiKey: 'DELETE /admin/api-keys/:id',
+          rotateApiKey: 'POST /admin/api-keys/:id/rotate',
+          apiKeyLimits: 'PUT /admin/api-keys/:id/limits',
+          usage: 'GET /admin/usage',
+          clusters: 'GET /admin/clusters'
         }
       });
     });
@@ -111,10 +170,10 @@ class LeaderboardAPI {
 
   setupGracefulShutdown() {
     const shutdown = async (signal) => {
-      console.log(`🛑 Received ${signal} signal`);
+      logger.info(`🛑 Received ${signal} signal`);
       
       if (this.isShuttingDown) {
-        console.log('⚠️ Shutdown already in progress, forcing exit...');
+        logger.info('⚠️ Shutdown already in progress, forcing exit...');
         process.exit(1);
       }
       
@@ -122,25 +181,37 @@ class LeaderboardAPI {
       
       try {
         // Stop leaderboard service
-        console.log('🏆 Stopping leaderboard service...');
+        logger.info('🏆 Stopping leaderboard service...');
         leaderboardService.stop();
+
+        // Hand the update lease to another replica without waiting for it to expire
+        await leaderboardService.releaseLease();
+
+        // Stop webhook deliveries (pending ones resume on next start)
+        webhookService.stop();
+
+        // Write buffered usage counters
+        await usageService.stop();
+
+        // End open SSE streams so the server can close
+        liveUpdateService.closeAll();
         
         // Close server
         if (this.server) {
-          console.log('🌐 Closing HTTP server...');
+          logger.info('🌐 Closing HTTP server...');
           await new Promise((resolve) => {
             this.server.close(resolve);
           });
         }
         
         // Close database connection
-        console.log('💾 Closing database connection...');
+        logger.info('💾 Closing database connection...');
         await closeDatabase();
         
-        console.log('✅ Graceful shutdown completed');
+        logger.info('✅ Graceful shutdown completed');
         process.exit(0);
       } catch (error) {
-        console.error('❌ Error during shutdown:', error);
+        logger.error('❌ Error during shutdown', error);
         process.exit(1);
       }
     };
@@ -154,36 +225,74 @@ class LeaderboardAPI {
       // Validate environment and get config
       this.config = getConfig();
 
+      // Validate scoring profile before any ranking is computed
+      getScoringProfile();
+
       // Connect to MongoDB with app name
       await connectDatabase(this.config.mongodb.uri, 'quikdb-leaderboard-api');
 
       // Initialize and start leaderboard service
-      console.log('🏆 Initializing leaderboard service...');
+      logger.info('🏆 Initializing leaderboard service...');
       await leaderboardService.initialize();
       leaderboardService.start();
-      console.log('✅ Leaderboard service started');
+      logger.info('✅ Leaderboard service started');
+
+      // Deliver queued webhook events
+      webhookService.start();
+
+      // Flush API usage counters
+      usageService.start();
 
       // Start HTTP server
       const port = this.config.server.port;
       this.server = this.app.listen(port, () => {
-        console.log('\n🚀 ========================================');
-        console.log(`🏆 QuikDB Leaderboard API`);
-        console.log(`🌐 Server running on port ${port}`);
-        console.log(`📊 Environment: ${this.config.server.nodeEnv}`);
-        console.log('🚀 ========================================\n');
-        console.log('📍 Available endpoints:');
-        console.log(`   • GET  / - API information`);
-        console.log(`   • GET  /health - Health check`);
-        console.log(`   • GET  /metrics - System metrics`);
-        console.log(`   • GET  /leaderboard - Full leaderboard (top 100)`);
-        console.log(`   • GET  /leaderboard/node/:nodeId - Specific node ranking`);
-        console.log(`   • GET  /leaderboard/top/:count - Top N nodes`);
-        console.log(`   • GET  /leaderboard/stats - Leaderboard statistics`);
-        console.log(`   • POST /leaderboard/refresh - Force refresh\n`);
+        logger.info(`🚀 QuikDB Leaderboard API running on port ${port} (${this.config.server.nodeEnv})`, {
+          port,
+          environment: this.config.server.nodeEnv,
+          logLevel: this.config.logging.level,
+          logFormat: this.config.logging.format,
+        });
+        logger.debug('📍 Available endpoints:');
+        logger.debug(`   • GET  / - API information`);
+        logger.debug(`   • GET  /health - Health check`);
+        logger.debug(`   • GET  /health/live - Liveness probe`);
+        logger.debug(`   • GET  /health/ready - Readiness probe (fails on stale rankings)`);
+        logger.debug(`   • GET  /metrics - Prometheus metrics`);
+        logger.debug(`   • GET  /leaderboard - Full leaderboard (top 100)`);
+        logger.debug(`   • GET  /leaderboard/node/:nodeId - Specific node ranking`);
+        logger.debug(`   • GET  /leaderboard/node/:nodeId/explain - Node score breakdown`);
+        logger.debug(`   • GET  /leaderboard/node/:nodeId/history - Node rank/score history`);
+        logger.debug(`   • GET  /leaderboard/top/:count - Top N nodes`);
+        logger.debug(`   • GET  /leaderboard/export - Full leaderboard download (CSV/NDJSON/JSON)`);
+        logger.debug(`   • GET  /leaderboard/stream - Live updates (Server-Sent Events)`);
+        logger.debug(`   • GET  /leaderboard/countries - Per-country summary`);
+        logger.debug(`   • GET  /leaderboard/country/:code - Country leaderboard`);
+        logger.debug(`   • GET  /leaderboard/wallets - Wallet (operator) leaderboard`);
+        logger.debug(`   • GET  /leaderboard/wallet/:address - Nodes owned by a wallet`);
+        logger.debug(`   • GET  /leaderboard/movers - Biggest rank risers and fallers`);
+        logger.debug(`   • GET  /leaderboard/stats - Leaderboard statistics`);
+        logger.debug(`   • GET  /leaderboard/scoring - Active scoring profile`);
+        logger.debug(`   • POST /leaderboard/simulate - Simulate alternate scoring (admin)`);
+        logger.debug(`   • POST /leaderboard/refresh - Force refresh (admin)`);
+        logger.debug(`   • POST /admin/rewards/preview - Preview reward payouts (admin)`);
+        logger.debug(`   • POST /admin/rewards/finalize - Finalize reward payouts (admin)`);
+        logger.debug(`   • GET  /admin/rewards/:epoch - Download finalized payouts (admin)`);
+        logger.debug(`   • POST /admin/webhooks - Register a webhook (admin)`);
+        logger.debug(`   • GET  /admin/webhooks - List webhooks (admin)`);
+        logger.debug(`   • GET  /admin/webhooks/:id - Webhook details (admin)`);
+        logger.debug(`   • DEL  /admin/webhooks/:id - Delete a webhook (admin)`);
+        logger.debug(`   • GET  /admin/webhooks/:id/deliveries - Webhook delivery log (admin)`);
+        logger.debug(`   • POST /admin/api-keys - Issue an API key (admin)`);
+        logger.debug(`   • GET  /admin/api-keys - List API keys (admin)`);
+        logger.debug(`   • DEL  /admin/api-keys/:id - Revoke an API key (admin)`);
+        logger.debug(`   • POST /admin/api-keys/:id/rotate - Rotate an API key (admin)`);
+        logger.debug(`   • PUT  /admin/api-keys/:id/limits - Set an API key's rate limits (admin)`);
+        logger.debug(`   • GET  /admin/usage - API usage per key (admin)`);
+        logger.debug(`   • GET  /admin/clusters - Suspected Sybil clusters (admin)`);
       });
 
     } catch (error) {
-      console.error('❌ Failed to start server:', error);
+      logger.error('❌ Failed to start server', error);
       process.exit(1);
     }
   }
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { logger } = require('./logger');
 
 /**
  * Database Configuration
@@ -13,7 +14,7 @@ const mongoose = require('mongoose');
  */
 const connectDatabase = async (uri, appName = 'quikdb-leaderboard-api') => {
   try {
-    console.log('📦 Connecting to MongoDB...');
+    logger.info('📦 Connecting to MongoDB...');
     
     const options = {
       appName,
@@ -25,25 +26,26 @@ const connectDatabase = async (uri, appName = 'quikdb-leaderboard-api') => {
 
     await mongoose.connect(uri, options);
     
-    console.log(`✅ Connected to MongoDB (appName: ${appName})`);
-    console.log(`   Database: ${mongoose.connection.db.databaseName}`);
-    console.log(`   Host: ${mongoose.connection.host}`);
+    logger.info(`✅ Connected to MongoDB (appName: ${appName}, database: ${mongoose.connection.db.databaseName}, host: ${mongoose.connection.host})`, {
+      database: mongoose.connection.db.databaseName,
+      host: mongoose.connection.host,
+    });
     
     // Set up connection event listeners
     mongoose.connection.on('error', (err) => {
-      console.error('❌ MongoDB connection error:', err);
+      logger.error('❌ MongoDB connection error', err);
     });
 
     mongoose.connection.on('disconnected', () => {
-      console.warn('⚠️  MongoDB disconnected');
+      logger.warn('⚠️  MongoDB disconnected');
     });
 
     mongoose.connection.on('reconnected', () => {
-      console.log('✅ MongoDB reconnected');
+      logger.info('✅ MongoDB reconnected');
     });
 
   } catch (error) {
-    console.error('❌ Failed to connect to MongoDB:', error.message);
+    logger.error('❌ Failed to connect to MongoDB', error);
     throw error;
   }
 };
@@ -54,11 +56,11 @@ const connectDatabase = async (uri, appName = 'quikdb-leaderboard-api') => {
  */
 const closeDatabase = async () => {
   try {
-    console.log('💾 Closing database connection...');
+    logger.info('💾 Closing database connection...');
     await mongoose.connection.close();
-    console.log('✅ Database connection closed');
+    logger.info('✅ Database connection closed');
   } catch (error) {
-    console.error('❌ Error closing database connection:', error);
+    logger.error('❌ Error closing database connection', error);
     throw error;
   }
 };
@@ -1,4 +1,5 @@
 require('dotenv').config();
+const { logger, getLevel, getFormat } = require('./logger');
 
 /**
  * Environment Configuration Validator
@@ -8,14 +9,47 @@ require('dotenv').config();
 const requiredEnvVars = [
   'MONGODB_URI',
   'PORT',
-  'NODE_ENV',
-  'API_KEY'
+  'NODE_ENV'
 ];
 
 const optionalEnvVars = {
   CORS_ALLOWED_ORIGINS: 'https://nodes.quikdb.com,http://localhost:3000',
   RATE_LIMIT_MAX: '200',
-  LEADERBOARD_UPDATE_INTERVAL_MS: '60000'
+  RATE_LIMIT_EXPORT_MAX: '10',
+  RATE_LIMIT_REFRESH_MAX: '2',
+  RATE_LIMIT_ADMIN_MAX: '60',
+  DAILY_QUOTA_READ: '0',
+  DAILY_QUOTA_EXPORT: '0',
+  DAILY_QUOTA_REFRESH: '0',
+  DAILY_QUOTA_ADMIN: '0',
+  API_KEY_CACHE_TTL_MS: '30000',
+  LOG_LEVEL: 'info',
+  USAGE_FLUSH_INTERVAL_MS: '10000',
+  USAGE_RETENTION_DAYS: '90',
+  LEADERBOARD_UPDATE_INTERVAL_MS: '60000',
+  LEADERBOARD_SNAPSHOT_INTERVAL_MS: '3600000',
+  LEADERBOARD_SNAPSHOT_RETENTION_DAYS: '90',
+  LEADERBOARD_ROLLUP_LOOKBACK_HOURS: '2',
+  LEADERBOARD_LEASE_TTL_MS: '30000',
+  LEADERBOARD_STALE_AFTER_INTERVALS: '3',
+  LEADERBOARD_STREAM_MAX_CLIENTS: '500',
+  LEADERBOARD_STREAM_KEEPALIVE_MS: '25000',
+  WEBHOOK_DELIVERY_INTERVAL_MS: '5000',
+  WEBHOOK_TIMEOUT_MS: '10000',
+  WEBHOOK_MAX_ATTEMPTS: '6',
+  WEBHOOK_DELIVERY_RETENTION_DAYS: '30',
+  CLUSTER_DETECTION_INTERVAL_MS: '3600000',
+  CLUSTER_LOOKBACK_HOURS: '24',
+  CLUSTER_MIN_SHARED_MAC: '2',
+  CLUSTER_MIN_SHARED_IP: '3',
+  CLUSTER_MIN_SHARED_FINGERPRINT: '2',
+  CLUSTER_FLAG_NODES: 'false',
+  HEARTBEAT_VALIDATION_MODE: 'clamp',
+  HEARTBEAT_MAX_NETWORK_SPEED_MBPS: '10000',
+  HEARTBEAT_MAX_LATENCY_MS: '60000',
+  HEARTBEAT_MIN_INTERVAL_MS: '5000',
+  HEARTBEAT_MAX_CLOCK_SKEW_MS: '300000',
+  HEARTBEAT_UPTIME_TOLERANCE_SECONDS: '120'
 };
 
 /**
@@ -43,11 +77,11 @@ const validateEnv = () => {
   Object.entries(optionalEnvVars).forEach(([key, defaultValue]) => {
     if (!process.env[key]) {
       process.env[key] = defaultValue;
-      console.log(`⚙️  Using default for ${key}: ${defaultValue}`);
+      logger.debug(`⚙️  Using default for ${key}: ${defaultValue}`);
     }
   });
 
-  console.log('✅ Environment validation passed');
+  logger.info('✅ Environment validation passed');
 };
 
 /**
@@ -67,8 +101,13 @@ const getConfig = () => {
       isProduction: process.env.NODE_ENV === 'production',
       isDevelopment: process.env.NODE_ENV === 'development',
     },
+    logging: {
+      level: getLevel(),
+      format: getFormat(),
+    },
     auth: {
-      apiKey: process.env.API_KEY,
+      apiKey: process.env.API_KEY || null,
+      adminApiKey: process.env.ADMIN_API_KEY || null,
     },
     cors: {
       allowedOrigins: process.env.CORS_ALLOWED_ORIGINS
@@ -78,9 +117,62 @@ const getConfig = () => {
     rateLimit: {
       windowMs: 60 * 1000, // 1 minute
       max: parseInt(process.env.RATE_LIMIT_MAX, 10),
+      // Per route class defaults; perDay 0 = unlimited. API keys can override both.
+      classes: {
+        read: {
+          perMinute: parseInt(process.env.RATE_LIMIT_MAX, 10),
+          perDay: parseInt(process.env.DAILY_QUOTA_READ, 10),
+        },
+        export: {
+          perMinute: parseInt(process.env.RATE_LIMIT_EXPORT_MAX, 10),
+          perDay: parseInt(process.env.DAILY_QUOTA_EXPORT, 10),
+        },
+        refresh: {
+          perMinute: parseInt(process.env.RATE_LIMIT_REFRESH_MAX, 10),
+          perDay: parseInt(process.env.DAILY_QUOTA_REFRESH, 10),
+        },
+        admin: {
+          perMinute: parseInt(process.env.RATE_LIMIT_ADMIN_MAX, 10),
+          perDay: parseInt(process.env.DAILY_QUOTA_ADMIN, 10),
+        },
+      },
     },
     leaderboard: {
       updateIntervalMs: parseInt(process.env.LEADERBOARD_UPDATE_INTERVAL_MS, 10),
+      snapshotIntervalMs: parseInt(process.env.LEADERBOARD_SNAPSHOT_INTERVAL_MS, 10),
+      snapshotRetentionDays: parseInt(process.env.LEADERBOARD_SNAPSHOT_RETENTION_DAYS, 10),
+      rollupLookbackHours: parseInt(process.env.LEADERBOARD_ROLLUP_LOOKBACK_HOURS, 10),
+      leaseTtlMs: parseInt(process.env.LEADERBOARD_LEASE_TTL_MS, 10),
+      staleAfterIntervals: parseFloat(process.env.LEADERBOARD_STALE_AFTER_INTERVALS),
+      instanceId: process.env.LEADERBOARD_INSTANCE_ID || null,
+      streamMaxClients: parseInt(process.env.LEADERBOARD_STREAM_MAX_CLIENTS, 10),
+      streamKeepAliveMs: parseInt(process.env.LEADERBOARD_STREAM_KEEPALIVE_MS, 10),
+    },
+    usage: {
+      flushIntervalMs: parseInt(process.env.USAGE_FLUSH_INTERVAL_MS, 10),
+      retentionDays: parseInt(process.env.USAGE_RETENTION_DAYS, 10),
+    },
+    webhooks: {
+      deliveryIntervalMs: parseInt(process.env.WEBHOOK_DELIVERY_INTERVAL_MS, 10),
+      timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10),
+      maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10),
+      deliveryRetentionDays: parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 10),
+    },
+    clusters: {
+      detectionIntervalMs: parseInt(process.env.CLUSTER_DETECTION_INTERVAL_MS, 10),
+      lookbackHours: parseInt(process.env.CLUSTER_LOOKBACK_HOURS, 10),
+      minSharedMac: parseInt(process.env.CLUSTER_MIN_SHARED_MAC, 10),
+      minSharedIp: parseInt(process.env.CLUSTER_MIN_SHARED_IP, 10),
+      minSharedFingerprint: parseInt(process.env.CLUSTER_MIN_SHARED_FINGERPRINT, 10),
+      flagNodes: process.env.CLUSTER_FLAG_NODES === 'true',
+    },
+    heartbeatValidation: {
+      mode: process.env.HEARTBEAT_VALIDATION_MODE,
+      maxNetworkSpeedMbps: parseFloat(process.env.HEARTBEAT_MAX_NETWORK_SPEED_MBPS),
+      maxLatencyMs: parseFloat(process.env.HEARTBEAT_MAX_LATENCY_MS),
+      minIntervalMs: parseInt(process.env.HEARTBEAT_MIN_INTERVAL_MS, 10),
+      maxClockSkewMs: parseInt(process.env.HEARTBEAT_MAX_CLOCK_SKEW_MS, 10),
+      uptimeToleranceSeconds: parseInt(process.env.HEARTBEAT_UPTIME_TOLERANCE_SECONDS, 10),
     },
   };
 };
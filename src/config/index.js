@@ -1,9 +1,16 @@
 const { getConfig } = require('./env');
+const { getScoringProfile, validateScoringProfile, findUnsafeProfileKeys, mergeScoringProfile } = require('./scoring');
 const { connectDatabase, closeDatabase, getConnectionStatus } = require('./database');
+const { logger } = require('./logger');
 
 module.exports = {
   getConfig,
+  getScoringProfile,
+  validateScoringProfile,
+  findUnsafeProfileKeys,
+  mergeScoringProfile,
   connectDatabase,
   closeDatabase,
   getConnectionStatus,
+  logger,
 };
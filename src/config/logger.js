@@ -0,0 +1,166 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Logger
+ * Leveled logging with per-request and per-run context. Development gets the familiar
+ * emoji lines; production gets one JSON object per line for log aggregation.
+ *
+ * LOG_LEVEL: error, warn, info (default) or debug
+ * LOG_FORMAT: json or pretty (default: json when NODE_ENV=production)
+ */
+
+const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Fields (requestId, runId) attached to every entry logged inside withContext
+const context = new AsyncLocalStorage();
+
+// Leading emoji decorate the pretty format only
+const LEADING_EMOJI = /^(?:\p{Extended_Pictographic}|\uFE0F|\u200D)+\s*/u;
+
+/**
+ * Active log level (read on every call, so defaults applied by validateEnv take effect)
+ * @returns {string}
+ */
+const getLevel = () => {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  return level in LOG_LEVELS ? level : 'info';
+};
+
+/**
+ * Active output format
+ * @returns {string} json or pretty
+ */
+const getFormat = () => {
+  const format = (process.env.LOG_FORMAT || '').toLowerCase();
+  if (format === 'json' || format === 'pretty') return format;
+  return process.env.NODE_ENV === 'production' ? 'json' : 'pretty';
+};
+
+/**
+ * Whether entries of a level are written
+ * @param {string} level
+ * @returns {boolean}
+ */
+const isLevelEnabled = (level) => LOG_LEVELS[level] <= LOG_LEVELS[getLevel()];
+
+/**
+ * @param {Error} error
+ * @returns {Object} { name, message, code, stack }
+ */
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  stack: error.stack,
+});
+
+/**
+ * Split log arguments into an error and structured fields
+ * @param {Array} args - Any mix of an Error and field objects; other values become fields.error
+ * @returns {Object} { error, fields }
+ */
+const parseArgs = (args) => {
+  let error = null;
+  const fields = {};
+
+  args.forEach((arg) => {
+    if (arg instanceof Error) {
+      error = arg;
+    } else if (arg && typeof arg === 'object') {
+      Object.assign(fields, arg);
+    } else if (arg !== undefined) {
+      fields.error = String(arg);
+    }
+  });
+
+  return { error, fields };
+};
+
+/**
+ * Build a JSON log entry
+ * @param {string} level
+ * @param {string} message
+ * @param {Array} args - See parseArgs
+ * @param {Date} [now]
+ * @returns {Object} { time, level, msg, ...context, ...fields, err }
+ */
+const buildEntry = (level, message, args = [], now = new Date()) => {
+  const { error, fields } = parseArgs(args);
+
+  return {
+    time: now.toISOString(),
+    level,
+    msg: String(message).replace(LEADING_EMOJI, ''),
+    ...context.getStore(),
+    ...fields,
+    ...(error && { err: serializeError(error) }),
+  };
+};
+
+/**
+ * Format one pretty line: the message tagged with the context IDs
+ * Fields are left out; messages already carry the same information for humans.
+ * @param {string} message
+ * @returns {string}
+ */
+const formatPretty = (message) => {
+  const pairs = Object.entries(context.getStore() || {}).map(([key, value]) => `${key}=${value}`);
+  return pairs.length > 0 ? `${message} [${pairs.join(' ')}]` : message;
+};
+
+/**
+ * Write one entry
+ * @param {string} level
+ * @param {string} message
+ * @param {Array} args
+ */
+const write = (level, message, args) => {
+  if (!isLevelEnabled(level)) return;
+
+  const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+
+  if (getFormat() === 'json') {
+    stream.write(`${JSON.stringify(buildEntry(level, message, args))}\n`);
+    return;
+  }
+
+  const { error } = parseArgs(args);
+  const line = formatPretty(message);
+  const print = stream === process.stderr ? console.error : console.log;
+  if (error) {
+    print(`${line}:`, error);
+  } else {
+    print(line);
+  }
+};
+
+const logger = {
+  error: (message, ...args) => write('error', message, args),
+  warn: (message, ...args) => write('warn', message, args),
+  info: (message, ...args) => write('info', message, args),
+  debug: (message, ...args) => write('debug', message, args),
+
+  /**
+   * Run a function with fields added to every entry it logs, including from async work it starts
+   * @param {Object} fields - e.g. { requestId } or { runId }
+   * @param {Function} fn
+   * @returns {*} fn's return value
+   */
+  withContext: (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn),
+
+  /**
+   * Fields of the current context
+   * @returns {Object}
+   */
+  getContext: () => ({ ...context.getStore() }),
+
+  isLevelEnabled,
+};
+
+module.exports = {
+  logger,
+  LOG_LEVELS,
+  buildEntry,
+  getLevel,
+  getFormat,
+};
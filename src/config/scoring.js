@@ -0,0 +1,202 @@
+const path = require('path');
+const defaultProfile = require('./scoringProfiles/default');
+const { logger } = require('./logger');
+
+/**
+ * Scoring Profile Configuration
+ * Loads and validates the weights and thresholds the leaderboard pipeline is generated from
+ */
+
+const WEIGHT_KEYS = [
+  'availability',
+  'throughput',
+  'latency',
+  'cpuHeadroom',
+  'memoryHeadroom',
+  'diskHeadroom',
+  'coverage',
+  'recency',
+];
+
+const THRESHOLD_KEYS = [
+  'minimumUptimeSeconds',
+  'uptimeCapSeconds',
+  'targetHoursOnlinePerDay',
+  'targetNetworkSpeedMbps',
+  'maxLatencyMs',
+  'defaultResourceUsagePercent',
+  'coverageTarget',
+  'recencyDecayHours',
+  'recentWindowHours',
+];
+
+const NEW_NODE_KEYS = ['gracePeriodDays', 'seedMaxHeartbeats', 'seedScore', 'eligibilityAgeDays'];
+
+const TOTAL_WEIGHT = 100;
+
+// Keys that would reach object prototypes when merged from user-supplied overrides
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+let activeProfile = null;
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Validate a scoring profile
+ * @param {Object} profile - Scoring profile to validate
+ * @returns {string[]} List of problems (empty when valid)
+ */
+const validateScoringProfile = (profile) => {
+  const errors = [];
+
+  if (!profile || typeof profile !== 'object') {
+    return ['profile must be an object'];
+  }
+
+  if (typeof profile.version !== 'string' || profile.version.trim() === '') {
+    errors.push('version must be a non-empty string');
+  }
+
+  const weights = profile.weights || {};
+  WEIGHT_KEYS.forEach((key) => {
+    if (!isNonNegativeNumber(weights[key])) {
+      errors.push(`weights.${key} must be a non-negative number`);
+    }
+  });
+  const totalWeight = WEIGHT_KEYS.reduce((sum, key) => sum + (isNonNegativeNumber(weights[key]) ? weights[key] : 0), 0);
+  if (Math.abs(totalWeight - TOTAL_WEIGHT) > 1e-9) {
+    errors.push(`weights must sum to ${TOTAL_WEIGHT} (got ${totalWeight})`);
+  }
+
+  const thresholds = profile.thresholds || {};
+  THRESHOLD_KEYS.forEach((key) => {
+    if (!isNonNegativeNumber(thresholds[key])) {
+      errors.push(`thresholds.${key} must be a non-negative number`);
+    }
+  });
+  ['uptimeCapSeconds', 'targetHoursOnlinePerDay', 'targetNetworkSpeedMbps', 'maxLatencyMs', 'recencyDecayHours'].forEach((key) => {
+    if (thresholds[key] === 0) {
+      errors.push(`thresholds.${key} must be greater than 0`);
+    }
+  });
+  if (isNonNegativeNumber(thresholds.coverageTarget) && (thresholds.coverageTarget === 0 || thresholds.coverageTarget > 1)) {
+    errors.push('thresholds.coverageTarget must be in (0, 1]');
+  }
+
+  const newNodes = profile.newNodes || {};
+  NEW_NODE_KEYS.forEach((key) => {
+    if (!isNonNegativeNumber(newNodes[key])) {
+      errors.push(`newNodes.${key} must be a non-negative number`);
+    }
+  });
+
+  const tiers = profile.tiers;
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    errors.push('tiers must be a non-empty array');
+  } else {
+    tiers.forEach((tier, index) => {
+      ['status', 'badge', 'insight'].forEach((key) => {
+        if (!tier || typeof tier[key] !== 'string' || tier[key].trim() === '') {
+          errors.push(`tiers[${index}].${key} must be a non-empty string`);
+        }
+      });
+      if (!tier || !isNonNegativeNumber(tier.minScore)) {
+        errors.push(`tiers[${index}].minScore must be a non-negative number`);
+      } else if (index > 0 && tiers[index - 1] && tier.minScore >= tiers[index - 1].minScore) {
+        errors.push('tiers must be ordered by strictly descending minScore');
+      }
+    });
+
+    const statuses = tiers.map((tier) => tier && tier.status);
+    if (new Set(statuses).size !== statuses.length) {
+      errors.push('tier statuses must be unique');
+    }
+    if (!statuses.includes(newNodes.graceFloorStatus)) {
+      errors.push('newNodes.graceFloorStatus must match one of the tier statuses');
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Find prototype-reaching keys (__proto__, constructor, prototype) anywhere in user-supplied overrides
+ * @param {*} overrides - Partial profile
+ * @param {string} [prefix] - Path of overrides, for error messages
+ * @returns {string[]} One error per unsafe key (empty when safe to merge)
+ */
+const findUnsafeProfileKeys = (overrides, prefix = 'profile') => {
+  if (!overrides || typeof overrides !== 'object') return [];
+
+  return Object.keys(overrides).flatMap((key) => {
+    const keyPath = Array.isArray(overrides) ? `${prefix}[${key}]` : `${prefix}.${key}`;
+    return UNSAFE_KEYS.includes(key)
+      ? [`${keyPath} is not allowed`]
+      : findUnsafeProfileKeys(overrides[key], keyPath);
+  });
+};
+
+/**
+ * Merge partial overrides onto a scoring profile
+ * Objects merge key by key; arrays (tiers) and scalars replace the base value.
+ * Check user-supplied overrides with findUnsafeProfileKeys first; unsafe keys are never merged.
+ * @param {Object} base - Base scoring profile
+ * @param {Object} overrides - Partial profile
+ * @returns {Object} New profile (base is not modified)
+ */
+const mergeScoringProfile = (base, overrides = {}) => {
+  const merged = { ...base };
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (UNSAFE_KEYS.includes(key)) return;
+
+    const baseValue = base[key];
+    const isPlainObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isPlainObject && baseValue && typeof baseValue === 'object' && !Array.isArray(baseValue)
+      ? mergeScoringProfile(baseValue, value)
+      : value;
+  });
+  return merged;
+};
+
+/**
+ * Load a scoring profile from a JSON or JS module path
+ * @param {string} profilePath - Path to the profile, relative to the working directory
+ * @returns {Object} Scoring profile
+ */
+const loadProfileFromPath = (profilePath) => {
+  return require(path.resolve(process.cwd(), profilePath));
+};
+
+/**
+ * Get the active scoring profile (validated once, then cached)
+ * Uses SCORING_PROFILE_PATH when set, otherwise the bundled default profile
+ * @throws {Error} if the profile is invalid
+ * @returns {Object} Scoring profile
+ */
+const getScoringProfile = () => {
+  if (activeProfile) {
+    return activeProfile;
+  }
+
+  const profilePath = process.env.SCORING_PROFILE_PATH;
+  const profile = profilePath ? loadProfileFromPath(profilePath) : defaultProfile;
+  const errors = validateScoringProfile(profile);
+
+  if (errors.length > 0) {
+    throw new Error(
+      `❌ Invalid scoring profile${profilePath ? ` (${profilePath})` : ''}:\n` +
+      errors.map(e => `   - ${e}`).join('\n')
+    );
+  }
+
+  activeProfile = Object.freeze(profile);
+  logger.info(`🎯 Scoring profile loaded (version: ${activeProfile.version})`);
+  return activeProfile;
+};
+
+module.exports = {
+  validateScoringProfile,
+  findUnsafeProfileKeys,
+  mergeScoringProfile,
+  getScoringProfile,
+};
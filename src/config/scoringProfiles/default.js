@@ -0,0 +1,64 @@
+/**
+ * Default Scoring Profile
+ * Weights and thresholds used to calculate node reputation scores
+ *
+ * Bump `version` whenever any value changes so cached rankings can be traced
+ * back to the formula that produced them.
+ */
+module.exports = {
+  version: '2026.10.1',
+  description: 'Top-down reputation model: availability 45, network 30, resource headroom 10, consistency 15',
+
+  // Component weights (points); must sum to 100
+  weights: {
+    availability: 45,
+    throughput: 20,
+    latency: 10,
+    cpuHeadroom: 6,
+    memoryHeadroom: 3,
+    diskHeadroom: 1,
+    coverage: 12,
+    recency: 3,
+  },
+
+  thresholds: {
+    // Longest single uptime streak required before availability counts (seconds)
+    minimumUptimeSeconds: 1800,
+    // Uptime streaks are capped at this length (seconds)
+    uptimeCapSeconds: 86400,
+    // Distinct online hours per day that earn full availability
+    targetHoursOnlinePerDay: 22,
+    // Network speed that earns full throughput points (Mbps)
+    targetNetworkSpeedMbps: 400,
+    // Latency at which latency points reach zero (ms); also assumed when latency is missing
+    maxLatencyMs: 200,
+    // Assumed CPU/memory/disk usage when a device reports none (percent)
+    defaultResourceUsagePercent: 50,
+    // Fraction of observed hours a device must be online for full coverage
+    coverageTarget: 0.8,
+    // Hours since last heartbeat at which recency points reach zero
+    recencyDecayHours: 72,
+    // Heartbeats within this many hours count as recent
+    recentWindowHours: 48,
+  },
+
+  newNodes: {
+    // Devices younger than this are treated as new (grace period applies)
+    gracePeriodDays: 7,
+    // New nodes with at most this many heartbeats are seeded at seedScore
+    seedMaxHeartbeats: 10,
+    seedScore: 100,
+    // Status never drops below this tier during the grace period
+    graceFloorStatus: 'good',
+    // Device age required for meetsThirtyDayRequirement
+    eligibilityAgeDays: 30,
+  },
+
+  // Status tiers, highest first; a score at or above minScore earns the tier
+  tiers: [
+    { status: 'excellent', minScore: 75, badge: '🏆 Excellent', insight: 'Excellent - Maintaining peak performance' },
+    { status: 'good', minScore: 55, badge: '😊 Good', insight: 'Good - Strong and reliable performance' },
+    { status: 'average', minScore: 40, badge: '👍 Average', insight: 'Average - Performance declining, needs improvement' },
+    { status: 'poor', minScore: 0, badge: '⚠️ Poor', insight: 'Poor - Significant inactivity or performance issues' },
+  ],
+};
@@ -0,0 +1,196 @@
+const apiKeyService = require('../services/apiKeys');
+const { parseApiKeyRequest } = require('../services/apiKeyTokens');
+const { parseLimits } = require('../services/rateLimits');
+const { logger } = require('../config/logger');
+
+/**
+ * API Keys Controller
+ * Admin management of the API key store: issue, list, revoke and rotate
+ */
+
+const DEFAULT_GRACE_HOURS = 24;
+const MAX_GRACE_HOURS = 24 * 30;
+
+const keyNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'API key not found'
+});
+
+/**
+ * POST /admin/api-keys
+ * Issue an API key; the plaintext key is only returned here
+ * Body: { name, owner?, scopes, expiresAt? | expiresInDays?, limits? }
+ */
+const createApiKey = async (req, res) => {
+  try {
+    const { request, errors } = parseApiKeyRequest(req.body);
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid API key request',
+        message: errors.join('; '),
+        details: errors
+      });
+    }
+
+    const { key, record } = await apiKeyService.issue(request);
+
+    res.status(201).json({
+      success: true,
+      data: { ...record, key },
+      message: 'Store the key now; only its hash is kept and it is not shown again'
+    });
+  } catch (error) {
+    logger.error('Error issuing API key', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue API key'
+    });
+  }
+};
+
+/**
+ * GET /admin/api-keys
+ * List API keys (never the keys themselves)
+ * Query: includeInactive (true to include expired and revoked keys)
+ */
+const listApiKeys = async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true';
+    const keys = await apiKeyService.list({ includeInactive });
+
+    res.json({
+      success: true,
+      data: keys,
+      metadata: {
+        total: keys.length,
+        includeInactive
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing API keys', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list API keys'
+    });
+  }
+};
+
+/**
+ * DELETE /admin/api-keys/:id
+ * Revoke an API key (the record is kept for auditing)
+ * Other replicas may accept the key until their cache entry expires (API_KEY_CACHE_TTL_MS)
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    const record = await apiKeyService.revoke(req.params.id);
+
+    if (!record) {
+      return keyNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: record,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    logger.error('Error revoking API key', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key'
+    });
+  }
+};
+
+/**
+ * PUT /admin/api-keys/:id/limits
+ * Replace a key's per route class rate limits and daily quotas
+ * Body: { limits } (null restores the defaults)
+ */
+const setApiKeyLimits = async (req, res) => {
+  try {
+    const { limits, errors } = parseLimits((req.body || {}).limits);
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid limits',
+        message: errors.join('; '),
+        details: errors
+      });
+    }
+
+    const record = await apiKeyService.setLimits(req.params.id, limits);
+
+    if (!record) {
+      return keyNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: record
+    });
+  } catch (error) {
+    logger.error('Error updating API key limits', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update API key limits'
+    });
+  }
+};
+
+/**
+ * POST /admin/api-keys/:id/rotate
+ * Issue a replacement key; the old key keeps working for a grace period
+ * Body: { graceHours? } (default 24, 0 revokes the old key immediately)
+ */
+const rotateApiKey = async (req, res) => {
+  try {
+    const { graceHours = DEFAULT_GRACE_HOURS } = req.body || {};
+
+    if (typeof graceHours !== 'number' || !(graceHours >= 0) || graceHours > MAX_GRACE_HOURS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid grace period',
+        message: `graceHours must be a number between 0 and ${MAX_GRACE_HOURS}`
+      });
+    }
+
+    const { key, record, previous, error } = await apiKeyService.rotate(req.params.id, graceHours);
+
+    if (error === 'not_found') {
+      return keyNotFound(res);
+    }
+
+    if (error === 'inactive') {
+      return res.status(409).json({
+        success: false,
+        error: 'API key is not active',
+        message: 'Expired or revoked keys cannot be rotated; issue a new key instead'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { ...record, key },
+      previous,
+      message: 'Store the new key now; it is not shown again'
+    });
+  } catch (error) {
+    logger.error('Error rotating API key', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate API key'
+    });
+  }
+};
+
+module.exports = {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  rotateApiKey,
+  setApiKeyLimits,
+};
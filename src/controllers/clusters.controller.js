@@ -0,0 +1,67 @@
+const clusterService = require('../services/clusters');
+const { CLUSTER_FLAGS } = require('../services/sybil');
+const { logger } = require('../config/logger');
+
+/**
+ * Clusters Controller
+ * Admin review of suspected Sybil clusters (devices sharing MACs, public IPs or metric fingerprints)
+ */
+
+const CLUSTER_STATUSES = ['active', 'resolved', 'all'];
+
+/**
+ * GET /admin/clusters
+ * List suspected clusters with their evidence, largest first
+ * Query: status (active|resolved|all, default active), flag (shared-mac|shared-ip|shared-fingerprint),
+ * nodeId (clusters containing a node), limit (default 100, max 1000)
+ */
+const getClusters = async (req, res) => {
+  try {
+    const status = req.query.status || 'active';
+    const flag = req.query.flag ? String(req.query.flag) : null;
+    const nodeId = req.query.nodeId ? String(req.query.nodeId) : null;
+    const limit = Math.max(Math.min(parseInt(req.query.limit) || 100, 1000), 1); // 1 to 1000
+
+    if (!CLUSTER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status',
+        message: `status must be one of: ${CLUSTER_STATUSES.join(', ')}`
+      });
+    }
+
+    const flags = Object.values(CLUSTER_FLAGS);
+    if (flag && !flags.includes(flag)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid flag',
+        message: `flag must be one of: ${flags.join(', ')}`
+      });
+    }
+
+    const { clusters, total } = await clusterService.list({ status, flag, nodeId }, { limit });
+
+    res.json({
+      success: true,
+      data: clusters,
+      metadata: {
+        status,
+        flag,
+        nodeId,
+        total,
+        lastDetectionAt: clusterService.lastDetectionAt,
+        flagging: clusterService.isFlaggingEnabled()
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching node clusters', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch node clusters'
+    });
+  }
+};
+
+module.exports = {
+  getClusters,
+};
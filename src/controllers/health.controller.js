@@ -1,4 +1,9 @@
 const { getConnectionStatus } = require('../config');
+const { DEFAULT_WINDOW, LEADERBOARD_WINDOWS } = require('../services/windows');
+const { evaluateReadiness } = require('../services/readiness');
+const { CONTENT_TYPE } = require('../services/prometheus');
+const metricsService = require('../services/metrics');
+const { logger } = require('../config/logger');
 
 /**
  * Health Check Controller
@@ -12,13 +17,22 @@ const { getConnectionStatus } = require('../config');
 const getHealth = async (req, res) => {
   try {
     const leaderboardService = require('../services/leaderboard');
+    const leaderLeaseService = require('../services/leaderLease');
     
     // Check database connection
     const dbStatus = getConnectionStatus();
     
     // Check leaderboard service
-    const leaderboard = await leaderboardService.getLeaderboard();
+    const leaderboard = await leaderboardService.getLeaderboard(DEFAULT_WINDOW, { includeNodes: false });
     const leaderboardStatus = leaderboard.data.length > 0 ? 'healthy' : 'no data';
+
+    // Which replica recomputes the leaderboard (informational; never fails the check)
+    let lease = null;
+    try {
+      lease = await leaderLeaseService.getStatus();
+    } catch (leaseError) {
+      logger.error('❌ Failed to read leaderboard update lease', leaseError);
+    }
     
     const isHealthy = dbStatus === 'connected';
     
@@ -27,7 +41,8 @@ const getHealth = async (req, res) => {
       timestamp: new Date().toISOString(),
       services: {
         database: dbStatus,
-        leaderboard: leaderboardStatus
+        leaderboard: leaderboardStatus,
+        leaderboardLease: lease
       },
       uptime: process.uptime(),
       version: process.env.npm_package_version || '1.0.0'
@@ -42,18 +57,111 @@ const getHealth = async (req, res) => {
 };
 
 /**
- * GET /metrics
- * Get system metrics
+ * GET /health/live
+ * Liveness: the process is up and serving requests (no dependency checks, so a database
+ * outage does not restart every pod)
  */
-const getMetrics = (req, res) => {
+const getLiveness = (req, res) => {
   res.json({
-    uptime: process.uptime(),
-    memory: process.memoryUsage(),
-    timestamp: new Date().toISOString()
+    status: 'alive',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
   });
 };
 
+/**
+ * GET /health/ready
+ * Readiness: the database is connected and every window's cached ranking is younger than
+ * LEADERBOARD_STALE_AFTER_INTERVALS update intervals. Includes the outcome of recent runs
+ * as published by the lease holder.
+ */
+const getReadiness = async (req, res) => {
+  try {
+    const leaderboardService = require('../services/leaderboard');
+    const leaderLeaseService = require('../services/leaderLease');
+
+    const dbStatus = getConnectionStatus();
+    const staleAfterMs = leaderboardService.getStaleAfterMs();
+
+    // Cache reads would wait for server selection while the database is unreachable
+    const cacheTimestamps = {};
+    if (dbStatus === 'connected') {
+      for (const window of Object.keys(LEADERBOARD_WINDOWS)) {
+        const { cached } = await leaderboardService.getCacheState(window);
+        cacheTimestamps[window] = cached ? cached.timestamp : null;
+      }
+    }
+
+    const { ready, reasons, windows } = evaluateReadiness({
+      database: dbStatus,
+      cacheTimestamps,
+      staleAfterMs,
+      now: new Date()
+    });
+
+    // Run outcomes are informational; staleness alone decides readiness
+    let updates = null;
+    if (dbStatus === 'connected') {
+      try {
+        const lease = await leaderLeaseService.getStatus();
+        updates = { holder: lease.holder, ...(lease.updateStatus || {}) };
+      } catch (leaseError) {
+        logger.error('❌ Failed to read leaderboard update status', leaseError);
+      }
+    }
+
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not ready',
+      timestamp: new Date().toISOString(),
+      reasons,
+      database: dbStatus,
+      leaderboard: {
+        staleAfterSeconds: Math.round(staleAfterMs / 1000),
+        windows
+      },
+      updates
+    });
+  } catch (error) {
+    logger.error('❌ Readiness check failed', error);
+    res.status(503).json({
+      status: 'not ready',
+      timestamp: new Date().toISOString(),
+      reasons: [error.message]
+    });
+  }
+};
+
+/**
+ * GET /metrics
+ * Prometheus metrics (text exposition format)
+ * The previous JSON summary is still returned when the client asks for application/json
+ */
+const getMetrics = async (req, res) => {
+  if (req.accepts(['text/plain', 'application/json']) === 'application/json') {
+    return res.json({
+      uptime: process.uptime(),
+      memory: process.memoryUsage(),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const body = await metricsService.render();
+
+    res.set('Content-Type', CONTENT_TYPE);
+    res.send(body);
+  } catch (error) {
+    logger.error('❌ Failed to render metrics', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to render metrics'
+    });
+  }
+};
+
 module.exports = {
   getHealth,
+  getLiveness,
+  getReadiness,
   getMetrics,
 };
@@ -1,7 +1,17 @@
 const healthController = require('./health.controller');
 const leaderboardController = require('./leaderboard.controller');
+const rewardsController = require('./rewards.controller');
+const webhooksController = require('./webhooks.controller');
+const apiKeysController = require('./apiKeys.controller');
+const usageController = require('./usage.controller');
+const clustersController = require('./clusters.controller');
 
 module.exports = {
   ...healthController,
   ...leaderboardController,
+  ...rewardsController,
+  ...webhooksController,
+  ...apiKeysController,
+  ...usageController,
+  ...clustersController,
 };
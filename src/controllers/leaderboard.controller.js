@@ -1,30 +1,85 @@
 const leaderboardService = require('../services/leaderboard');
+const liveUpdateService = require('../services/liveUpdates');
+const snapshotService = require('../services/snapshots');
+const { parseHistoryQuery } = require('../services/snapshots');
+const { MOVEMENT_WINDOWS, getMovers: findMovers } = require('../services/movement');
+const { parseListQuery, applyListQuery } = require('../services/listQuery');
+const { DEFAULT_WINDOW, parseWindow } = require('../services/windows');
+const { normalizeCountryCode, summarizeCountries, getCountryNodes } = require('../services/geography');
+const { rankWallets, getWallet } = require('../services/wallets');
+const { getScoringProfile, validateScoringProfile, findUnsafeProfileKeys, mergeScoringProfile } = require('../config');
+const { compareRankings } = require('../services/simulation');
+const { EXPORT_FORMATS, parseFormat, parseColumns, exportChunks } = require('../services/export');
+const { handleConditionalGet } = require('../services/httpCache');
+const { Readable, pipeline } = require('stream');
+const { logger } = require('../config/logger');
 
 /**
  * Leaderboard Controller
  * Handles all leaderboard-related requests
  */
 
+/**
+ * ETag / Last-Modified / Cache-Control for responses built from the cached window;
+ * true when 304 Not Modified was sent
+ */
+const notModified = (req, res, leaderboard) =>
+  handleConditionalGet(req, res, leaderboard, leaderboardService.getUpdateIntervalMs());
+
 /**
  * GET /leaderboard
- * Get the current leaderboard rankings (top 100)
+ * Get the current leaderboard rankings (paginated, default first 100)
+ * Query: window (all|24h|7d|30d, default all), page, limit, sort (field or -field), status, country,
+ *        meetsThirtyDayRequirement, meetsMinimumUptime, minScore, maxScore
  */
 const getLeaderboard = async (req, res) => {
   try {
-    const leaderboard = await leaderboardService.getLeaderboard();
-    
+    const { window, error: windowError } = parseWindow(req.query.window);
+
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid window',
+        message: windowError
+      });
+    }
+
+    const { options, error } = parseListQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        message: error
+      });
+    }
+
+    const leaderboard = await leaderboardService.getLeaderboard(window);
+    if (notModified(req, res, leaderboard)) return;
+    const result = applyListQuery(leaderboard.allNodes || leaderboard.data, options);
+
+    res.set('X-Total-Count', String(result.total));
     res.json({
       success: true,
-      data: leaderboard.data,
+      data: result.items,
       metadata: {
+        window,
+        page: result.page,
+        limit: result.limit,
+        totalPages: result.totalPages,
+        matchedNodes: result.total,
+        sort: options.sort,
+        filters: options.filters,
         totalNodes: leaderboard.totalNodes,
         lastUpdated: leaderboard.lastUpdated,
         timestamp: leaderboard.timestamp,
+        scoringVersion: leaderboard.scoringVersion,
+        movementBaselines: leaderboard.movementBaselines,
         fieldMetadata: leaderboard.fieldMetadata
       }
     });
   } catch (error) {
-    console.error('Error fetching leaderboard:', error);
+    logger.error('Error fetching leaderboard', error);
     res.status(500).json({
       success: false,
       error: 'Failed to fetch leaderboard'
@@ -35,15 +90,25 @@ const getLeaderboard = async (req, res) => {
 /**
  * GET /leaderboard/node/:nodeId
  * Get specific node's ranking and stats
+ * Query: window (all|24h|7d|30d, default all)
  */
 const getNodeRanking = async (req, res) => {
   try {
     const { nodeId } = req.params;
-    const leaderboard = await leaderboardService.getLeaderboard();
-    
-    // Search in allNodes instead of just top 100
-    const nodeData = leaderboard.allNodes.find(node => node.nodeId === nodeId);
-    
+    const { window, error: windowError } = parseWindow(req.query.window);
+
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid window',
+        message: windowError
+      });
+    }
+
+    // Indexed lookup across every ranked node, not just the top 100
+    const leaderboard = await leaderboardService.findRankedNodes(window, { nodeId });
+    const [nodeData] = leaderboard.nodes;
+
     if (!nodeData) {
       return res.status(404).json({
         success: false,
@@ -51,16 +116,20 @@ const getNodeRanking = async (req, res) => {
       });
     }
 
+    if (notModified(req, res, leaderboard)) return;
+
     res.json({
       success: true,
       data: nodeData,
       metadata: {
+        window,
         totalNodes: leaderboard.totalNodes,
-        lastUpdated: leaderboard.lastUpdated
+        lastUpdated: leaderboard.lastUpdated,
+        movementBaselines: leaderboard.movementBaselines
       }
     });
   } catch (error) {
-    console.error('Error fetching node ranking:', error);
+    logger.error('Error fetching node ranking', error);
     res.status(500).json({
       success: false,
       error: 'Failed to fetch node ranking'
@@ -68,29 +137,126 @@ const getNodeRanking = async (req, res) => {
   }
 };
 
+/**
+ * GET /leaderboard/node/:nodeId/explain
+ * Break down how a node's reputation score is calculated
+ */
+const getNodeExplanation = async (req, res) => {
+  try {
+    const { nodeId } = req.params;
+    const explanation = await leaderboardService.explainNode(nodeId);
+
+    if (!explanation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Node not found in leaderboard'
+      });
+    }
+
+    // Rank comes from the cached ranking; the explanation is computed live
+    const leaderboard = await leaderboardService.findRankedNodes(DEFAULT_WINDOW, { nodeId });
+    const [cachedNode] = leaderboard.nodes;
+
+    res.json({
+      success: true,
+      data: {
+        ...explanation,
+        rank: cachedNode ? cachedNode.rank : null,
+        cachedReputationScore: cachedNode ? cachedNode.reputationScore : null
+      },
+      metadata: {
+        computedAt: new Date().toISOString(),
+        totalNodes: leaderboard.totalNodes,
+        lastUpdated: leaderboard.lastUpdated
+      }
+    });
+  } catch (error) {
+    logger.error('Error explaining node score', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to explain node score'
+    });
+  }
+};
+
+/**
+ * GET /leaderboard/node/:nodeId/history
+ * Get a node's rank and score history from stored snapshots
+ * Query: from, to (ISO dates, default last 7 days), interval (raw|hour|day)
+ */
+const getNodeHistory = async (req, res) => {
+  try {
+    const { nodeId } = req.params;
+    const { options, error, message } = parseHistoryQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+        message
+      });
+    }
+
+    const { from, to, interval } = options;
+    const history = await snapshotService.getNodeHistory(nodeId, options);
+
+    res.json({
+      success: true,
+      data: history,
+      metadata: {
+        nodeId,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        interval,
+        count: history.length
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching node history', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch node history'
+    });
+  }
+};
+
 /**
  * GET /leaderboard/top/:count
  * Get top N nodes from the leaderboard
+ * Query: window (all|24h|7d|30d, default all)
  */
 const getTopNodes = async (req, res) => {
   try {
     const count = Math.min(parseInt(req.params.count) || 10, 100); // Max 100
-    const leaderboard = await leaderboardService.getLeaderboard();
-    
+    const { window, error: windowError } = parseWindow(req.query.window);
+
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid window',
+        message: windowError
+      });
+    }
+
+    const leaderboard = await leaderboardService.getLeaderboard(window, { includeNodes: false });
+    if (notModified(req, res, leaderboard)) return;
+
     const topNodes = leaderboard.data.slice(0, count);
     
     res.json({
       success: true,
       data: topNodes,
       metadata: {
+        window,
         requestedCount: count,
         returnedCount: topNodes.length,
         totalNodes: leaderboard.totalNodes,
-        lastUpdated: leaderboard.lastUpdated
+        lastUpdated: leaderboard.lastUpdated,
+        movementBaselines: leaderboard.movementBaselines
       }
     });
   } catch (error) {
-    console.error('Error fetching top nodes:', error);
+    logger.error('Error fetching top nodes', error);
     res.status(500).json({
       success: false,
       error: 'Failed to fetch top nodes'
@@ -98,27 +264,546 @@ const getTopNodes = async (req, res) => {
   }
 };
 
+/**
+ * GET /leaderboard/export
+ * Stream every ranked node as a download (no envelope, no page cap)
+ * Query: format (csv|ndjson|json, default csv), columns (comma-separated, default all),
+ *        window (all|24h|7d|30d, default all)
+ */
+const getExport = async (req, res) => {
+  try {
+    const { window, error: windowError } = parseWindow(req.query.window);
+
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid window',
+        message: windowError
+      });
+    }
+
+    const { format, error: formatError } = parseFormat(req.query.format);
+
+    if (formatError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format',
+        message: formatError
+      });
+    }
+
+    const { columns, error: columnsError } = parseColumns(req.query.columns);
+
+    if (columnsError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid columns',
+        message: columnsError
+      });
+    }
+
+    const leaderboard = await leaderboardService.getLeaderboard(window);
+    if (notModified(req, res, leaderboard)) return;
+    const nodes = leaderboard.allNodes || [];
+    const stamp = leaderboard.timestamp ? new Date(leaderboard.timestamp).toISOString().replace(/[:.]/g, '-') : 'empty';
+    const { contentType, extension } = EXPORT_FORMATS[format];
+
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="leaderboard-${window}-${stamp}.${extension}"`);
+    res.set('X-Total-Count', String(nodes.length));
+    if (leaderboard.scoringVersion) {
+      res.set('X-Scoring-Version', leaderboard.scoringVersion);
+    }
+
+    const stream = Readable.from(exportChunks(nodes, {
+      format,
+      columns,
+      fieldMetadata: leaderboard.fieldMetadata
+    }));
+
+    // Headers are already sent once streaming starts; a failure can only abort the download
+    pipeline(stream, res, (error) => {
+      if (error) {
+        logger.error('Error streaming leaderboard export', error);
+      }
+    });
+  } catch (error) {
+    logger.error('Error exporting leaderboard', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export leaderboard'
+    });
+  }
+};
+
+/**
+ * GET /leaderboard/stream
+ * Server-Sent Events: push an update whenever the leaderboard is recalculated
+ * Query: window (all|24h|7d|30d, default all), nodeId (only events that change this node)
+ */
+const streamLeaderboard = async (req, res) => {
+  try {
+    const { window, error: windowError } = parseWindow(req.query.window);
+
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid window',
+        message: windowError
+      });
+    }
+
+    if (!liveUpdateService.hasCapacity()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Too many stream subscribers',
+        message: 'The stream subscriber limit has been reached; retry later or poll /leaderboard'
+      });
+    }
+
+    liveUpdateService.subscribe(req, res, {
+      window,
+      nodeId: req.query.nodeId ? String(req.query.nodeId) : null
+    });
+  } catch (error) {
+    logger.error('Error opening leaderboard stream', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to open leaderboard stream'
+      });
+    }
+  }
+};
+
+/**
+ * GET /leaderboard/countries
+ * Summarize every country: node count, average score and top node
+ * Query: window (all|24h|7d|30d, default all)
+ */
+const getCountries = async (req, res) => {
+  try {
+    const { window, error: windowError } = parseWindow(req.query.window);
+
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid window',
+        message: windowError
+      });
+    }
+
+    const leaderboard = await leaderboardService.getLeaderboard(window);
+    if (notModified(req, res, leaderboard)) return;
+    const { countries, unknownNodes } = summarizeCountries(leaderboard.allNodes || []);
+
+    res.json({
+      success: true,
+      data: countries,
+      metadata: {
+        window,
+        totalCountries: countries.length,
+        unknownCountryNodes: unknownNodes,
+        totalNodes: leaderboard.totalNodes,
+        lastUpdated: leaderboard.lastUpdated
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching country summary', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch country summary'
+    });
+  }
+};
+
+/**
+ * GET /leaderboard/country/:code
+ * Get the leaderboard for one country, with in-country ranks (countryRank)
+ * Query: window (all|24h|7d|30d, default all), region, plus the GET /leaderboard list parameters
+ */
+const getCountryLeaderboard = async (req, res) => {
+  try {
+    const countryCode = normalizeCountryCode(req.params.code);
+
+    if (!countryCode || !/^[A-Z]{2,3}$/.test(countryCode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid country code',
+        message: 'code must be a 2 or 3 letter country code (e.g. NG)'
+      });
+    }
+
+    const { window, error: windowError } = parseWindow(req.query.window);
+
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid window',
+        message: windowError
+      });
+    }
+
+    const { options, error } = parseListQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        message: error
+      });
+    }
+
+    const leaderboard = await leaderboardService.findRankedNodes(window, { countryCode });
+    const countryNodes = getCountryNodes(leaderboard.nodes, countryCode);
+
+    if (countryNodes.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Country not found in leaderboard'
+      });
+    }
+
+    if (notModified(req, res, leaderboard)) return;
+
+    const region = req.query.region ? String(req.query.region) : null;
+    const regionNodes = region ? getCountryNodes(countryNodes, countryCode, region) : countryNodes;
+    const result = applyListQuery(regionNodes, options);
+
+    res.set('X-Total-Count', String(result.total));
+    res.json({
+      success: true,
+      data: result.items,
+      metadata: {
+        window,
+        countryCode,
+        region,
+        countryNodes: countryNodes.length,
+        page: result.page,
+        limit: result.limit,
+        totalPages: result.totalPages,
+        matchedNodes: result.total,
+        sort: options.sort,
+        filters: options.filters,
+        totalNodes: leaderboard.totalNodes,
+        lastUpdated: leaderboard.lastUpdated
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching country leaderboard', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch country leaderboard'
+    });
+  }
+};
+
+/**
+ * GET /leaderboard/wallets
+ * Rank wallets (operators) by combined reputation across their fleet
+ * Query: window (all|24h|7d|30d, default all), page, limit
+ */
+const getWallets = async (req, res) => {
+  try {
+    const { window, error: windowError } = parseWindow(req.query.window);
+
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid window',
+        message: windowError
+      });
+    }
+
+    // Only pagination applies; wallets are always in wallet rank order
+    const { options, error } = parseListQuery({ page: req.query.page, limit: req.query.limit });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        message: error
+      });
+    }
+
+    const leaderboard = await leaderboardService.getLeaderboard(window);
+    if (notModified(req, res, leaderboard)) return;
+    const { wallets, unassignedNodes } = rankWallets(leaderboard.allNodes || []);
+    const start = (options.page - 1) * options.limit;
+
+    res.set('X-Total-Count', String(wallets.length));
+    res.json({
+      success: true,
+      data: wallets.slice(start, start + options.limit),
+      metadata: {
+        window,
+        page: options.page,
+        limit: options.limit,
+        totalPages: Math.ceil(wallets.length / options.limit),
+        totalWallets: wallets.length,
+        unassignedNodes,
+        totalNodes: leaderboard.totalNodes,
+        lastUpdated: leaderboard.lastUpdated
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching wallet leaderboard', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch wallet leaderboard'
+    });
+  }
+};
+
+/**
+ * GET /leaderboard/wallet/:address
+ * Get every node owned by a wallet with combined/average reputation and eligibility
+ * Query: window (all|24h|7d|30d, default all)
+ */
+const getWalletFleet = async (req, res) => {
+  try {
+    const { address } = req.params;
+    const { window, error: windowError } = parseWindow(req.query.window);
+
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid window',
+        message: windowError
+      });
+    }
+
+    const leaderboard = await leaderboardService.getLeaderboard(window);
+    const wallet = getWallet(leaderboard.allNodes || [], address);
+
+    if (!wallet) {
+      return res.status(404).json({
+        success: false,
+        error: 'Wallet not found in leaderboard'
+      });
+    }
+
+    if (notModified(req, res, leaderboard)) return;
+
+    res.json({
+      success: true,
+      data: wallet,
+      metadata: {
+        window,
+        totalNodes: leaderboard.totalNodes,
+        lastUpdated: leaderboard.lastUpdated
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching wallet fleet', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch wallet fleet'
+    });
+  }
+};
+
+/**
+ * GET /leaderboard/movers
+ * Get the biggest rank risers and fallers
+ * Query: window (previous|24h|7d, default 24h), limit (default 10, max 100)
+ */
+const getMovers = async (req, res) => {
+  try {
+    const window = req.query.window || '24h';
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100); // Max 100
+
+    if (!Object.prototype.hasOwnProperty.call(MOVEMENT_WINDOWS, window)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid window',
+        message: `window must be one of: ${Object.keys(MOVEMENT_WINDOWS).join(', ')}`
+      });
+    }
+
+    const leaderboard = await leaderboardService.getLeaderboard();
+    if (notModified(req, res, leaderboard)) return;
+    const { risers, fallers } = findMovers(leaderboard.allNodes || [], window, limit);
+
+    res.json({
+      success: true,
+      data: {
+        risers,
+        fallers
+      },
+      metadata: {
+        window,
+        limit,
+        baselineAt: leaderboard.movementBaselines ? leaderboard.movementBaselines[window] : null,
+        totalNodes: leaderboard.totalNodes,
+        lastUpdated: leaderboard.lastUpdated
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching leaderboard movers', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch leaderboard movers'
+    });
+  }
+};
+
+/**
+ * GET /leaderboard/scoring
+ * Publish the active scoring profile (weights, thresholds, tiers)
+ */
+const getScoring = async (req, res) => {
+  try {
+    const profile = getScoringProfile();
+    const leaderboard = await leaderboardService.getLeaderboard(DEFAULT_WINDOW, { includeNodes: false });
+
+    res.json({
+      success: true,
+      data: profile,
+      metadata: {
+        version: profile.version,
+        // May differ from version until the next recomputation after a profile change
+        cachedScoringVersion: leaderboard.scoringVersion,
+        lastUpdated: leaderboard.lastUpdated
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching scoring profile', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scoring profile'
+    });
+  }
+};
+
+/**
+ * POST /leaderboard/simulate
+ * Rank nodes with an alternate scoring profile and compare against the current ranking
+ * Body: { profile: partial scoring profile, limit?: number, changedOnly?: boolean }
+ * Requires admin authentication; never writes the cache
+ */
+const simulateLeaderboard = async (req, res) => {
+  try {
+    const { profile: overrides, limit: rawLimit, changedOnly = false } = req.body || {};
+
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid simulation request',
+        message: 'Body must include a profile object (partial scoring profile overrides)'
+      });
+    }
+
+    const unsafeKeys = findUnsafeProfileKeys(overrides);
+    if (unsafeKeys.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid scoring profile',
+        message: unsafeKeys.join('; '),
+        details: unsafeKeys
+      });
+    }
+
+    const activeProfile = getScoringProfile();
+    const profile = mergeScoringProfile(activeProfile, {
+      version: `${activeProfile.version}+simulation`,
+      ...overrides
+    });
+    const errors = validateScoringProfile(profile);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid scoring profile',
+        message: errors.join('; '),
+        details: errors
+      });
+    }
+
+    const limit = Math.min(parseInt(rawLimit) || 100, 1000); // Max 1000
+    const [leaderboard, simulatedNodes] = await Promise.all([
+      leaderboardService.getLeaderboard(),
+      leaderboardService.simulate(profile)
+    ]);
+
+    const { nodes, summary } = compareRankings(leaderboard.allNodes || [], simulatedNodes, profile.tiers);
+    const selected = changedOnly
+      ? nodes.filter(node => node.rankChange !== 0 || node.statusChange)
+      : nodes;
+
+    res.json({
+      success: true,
+      data: {
+        summary,
+        nodes: selected.slice(0, limit)
+      },
+      metadata: {
+        simulatedProfile: profile,
+        currentScoringVersion: leaderboard.scoringVersion,
+        currentLastUpdated: leaderboard.lastUpdated,
+        returnedCount: Math.min(selected.length, limit),
+        matchedCount: selected.length,
+        simulatedAt: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error simulating leaderboard', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to simulate leaderboard'
+    });
+  }
+};
+
 /**
  * POST /leaderboard/refresh
- * Force refresh the leaderboard
- * TODO: Add admin authentication in production
+ * Force refresh the leaderboard (admin only)
  */
 const refreshLeaderboard = async (req, res) => {
   try {
-    // In production, add admin authentication here
-    // const adminToken = req.headers.authorization;
-    // if (!isValidAdminToken(adminToken)) {
-    //   return res.status(403).json({ success: false, error: 'Unauthorized' });
-    // }
-    
-    await leaderboardService.forceUpdate();
-    
+    const { performed, reason, queued, failure, holder } = await leaderboardService.forceUpdate();
+
+    if (reason === 'standby') {
+      // Another replica holds the update lease; it picks the request up on its next lease renewal
+      return res.status(202).json({
+        success: true,
+        message: 'Leaderboard refresh requested from the update leader',
+        leader: holder
+      });
+    }
+
+    if (queued) {
+      return res.status(202).json({
+        success: true,
+        message: 'Leaderboard update in progress, a refresh will run after it',
+        leader: holder
+      });
+    }
+
+    if (failure) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to refresh leaderboard',
+        message: `${failure.window}: ${failure.message}`
+      });
+    }
+
+    if (!performed) {
+      // Shutting down, not initialized, or the lease was lost mid-run
+      return res.status(503).json({
+        success: false,
+        error: 'Leaderboard refresh not performed',
+        message: reason
+      });
+    }
+
     res.json({
       success: true,
-      message: 'Leaderboard refresh initiated'
+      message: 'Leaderboard refreshed',
+      leader: holder
     });
   } catch (error) {
-    console.error('Error refreshing leaderboard:', error);
+    logger.error('Error refreshing leaderboard', error);
     res.status(500).json({
       success: false,
       error: 'Failed to refresh leaderboard'
@@ -129,15 +814,28 @@ const refreshLeaderboard = async (req, res) => {
 /**
  * GET /leaderboard/stats
  * Get leaderboard statistics
+ * Query: window (all|24h|7d|30d, default all)
  */
 const getLeaderboardStats = async (req, res) => {
   try {
-    const leaderboard = await leaderboardService.getLeaderboard();
-    
+    const { window, error: windowError } = parseWindow(req.query.window);
+
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid window',
+        message: windowError
+      });
+    }
+
+    const leaderboard = await leaderboardService.getLeaderboard(window);
+    if (notModified(req, res, leaderboard)) return;
+
     if (leaderboard.data.length === 0) {
       return res.json({
         success: true,
         data: {
+          window,
           totalNodes: 0,
           averageScore: 0,
           topScore: 0,
@@ -169,6 +867,7 @@ const getLeaderboardStats = async (req, res) => {
     res.json({
       success: true,
       data: {
+        window,
         totalNodes: actualTotalNodes,
         averageScore: Math.round(averageScore * 100) / 100,
         topScore: topScore,
@@ -177,7 +876,7 @@ const getLeaderboardStats = async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Error fetching leaderboard stats:', error);
+    logger.error('Error fetching leaderboard stats', error);
     res.status(500).json({
       success: false,
       error: 'Failed to fetch leaderboard stats'
@@ -188,7 +887,18 @@ const getLeaderboardStats = async (req, res) => {
 module.exports = {
   getLeaderboard,
   getNodeRanking,
+  getNodeExplanation,
+  getNodeHistory,
   getTopNodes,
+  getExport,
+  streamLeaderboard,
+  getCountries,
+  getCountryLeaderboard,
+  getWallets,
+  getWalletFleet,
+  getMovers,
+  getScoring,
+  simulateLeaderboard,
   refreshLeaderboard,
   getLeaderboardStats,
 };
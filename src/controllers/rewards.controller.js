@@ -0,0 +1,197 @@
+const rewardService = require('../services/rewards');
+const clusterService = require('../services/clusters');
+const { parseRewardRequest, toCsv } = require('../services/rewardCalculator');
+const { getScoringProfile } = require('../config');
+const { logger } = require('../config/logger');
+
+/**
+ * Rewards Controller
+ * Admin reward distribution: preview, finalize and download payout tables
+ */
+
+const FORMATS = ['json', 'csv'];
+
+/**
+ * Send a payout table as JSON or as a CSV attachment
+ * @param {Object} res - Express response
+ * @param {Object} table - Payout table (preview or finalized record)
+ * @param {string} format - json or csv
+ * @param {string} label - Filename suffix (preview or final)
+ */
+const sendPayoutTable = (res, table, format, label) => {
+  if (format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="rewards-${table.epoch}-${label}.csv"`);
+    res.set('X-Payout-Checksum', table.checksum);
+    return res.send(toCsv(table.epoch, table.payouts));
+  }
+
+  res.json({
+    success: true,
+    data: {
+      epoch: table.epoch,
+      summary: table.summary,
+      payouts: table.payouts,
+      checksum: table.checksum
+    },
+    metadata: {
+      rules: table.rules,
+      source: table.source,
+      computedAt: table.computedAt,
+      finalizedAt: table.finalizedAt || null
+    }
+  });
+};
+
+/**
+ * Parse the ?format= query parameter
+ * @param {Object} req - Express request
+ * @returns {?string} json or csv, null when invalid
+ */
+const parseFormat = (req) => {
+  const format = req.query.format || 'json';
+  return FORMATS.includes(format) ? format : null;
+};
+
+const invalidFormat = (res) => res.status(400).json({
+  success: false,
+  error: 'Invalid format',
+  message: `format must be one of: ${FORMATS.join(', ')}`
+});
+
+/**
+ * POST /admin/rewards/preview
+ * Calculate a payout table without persisting it
+ * Body: { epoch, pool, rules }; Query: format (json|csv)
+ */
+const previewRewards = async (req, res) => {
+  try {
+    const format = parseFormat(req);
+    if (!format) return invalidFormat(res);
+
+    const { request, errors } = parseRewardRequest(req.body, getScoringProfile().tiers, {
+      flagging: clusterService.isFlaggingEnabled()
+    });
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid reward request',
+        message: errors.join('; '),
+        details: errors
+      });
+    }
+
+    const table = await rewardService.preview(request);
+
+    if (!table) {
+      return res.status(503).json({
+        success: false,
+        error: 'Leaderboard not yet calculated'
+      });
+    }
+
+    sendPayoutTable(res, table, format, 'preview');
+  } catch (error) {
+    logger.error('Error previewing rewards', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview rewards'
+    });
+  }
+};
+
+/**
+ * POST /admin/rewards/finalize
+ * Calculate and persist the payout table for an epoch (once per epoch)
+ * Body: { epoch, pool, rules, previewChecksum? }; Query: format (json|csv)
+ */
+const finalizeRewards = async (req, res) => {
+  try {
+    const format = parseFormat(req);
+    if (!format) return invalidFormat(res);
+
+    const { request, errors } = parseRewardRequest(req.body, getScoringProfile().tiers, {
+      flagging: clusterService.isFlaggingEnabled()
+    });
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid reward request',
+        message: errors.join('; '),
+        details: errors
+      });
+    }
+
+    const { record, error, checksum } = await rewardService.finalize(request, req.body.previewChecksum);
+
+    if (error === 'not_ready') {
+      return res.status(503).json({
+        success: false,
+        error: 'Leaderboard not yet calculated'
+      });
+    }
+
+    if (error === 'checksum_mismatch') {
+      return res.status(409).json({
+        success: false,
+        error: 'Payout table changed since preview',
+        message: 'The payout table no longer matches the reviewed preview (leaderboard recalculated or request changed); review a new preview before finalizing',
+        checksum
+      });
+    }
+
+    if (error === 'already_finalized') {
+      return res.status(409).json({
+        success: false,
+        error: 'Epoch already finalized',
+        message: `Rewards for epoch ${request.epoch} were already finalized; download them from GET /admin/rewards/${request.epoch}`
+      });
+    }
+
+    res.status(201);
+    sendPayoutTable(res, record, format, 'final');
+  } catch (error) {
+    logger.error('Error finalizing rewards', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to finalize rewards'
+    });
+  }
+};
+
+/**
+ * GET /admin/rewards/:epoch
+ * Download a finalized payout table
+ * Query: format (json|csv)
+ */
+const getFinalizedRewards = async (req, res) => {
+  try {
+    const format = parseFormat(req);
+    if (!format) return invalidFormat(res);
+
+    const record = await rewardService.getFinalized(req.params.epoch);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Epoch not finalized'
+      });
+    }
+
+    sendPayoutTable(res, record, format, 'final');
+  } catch (error) {
+    logger.error('Error fetching finalized rewards', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch finalized rewards'
+    });
+  }
+};
+
+module.exports = {
+  previewRewards,
+  finalizeRewards,
+  getFinalizedRewards,
+};
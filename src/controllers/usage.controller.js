@@ -0,0 +1,77 @@
+const usageService = require('../services/usage');
+const { logger } = require('../config/logger');
+
+/**
+ * Usage Controller
+ * Admin API usage analytics per consumer (API key)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 90;
+
+/**
+ * Parse an optional ISO 8601 query date
+ * @param {string} [value] - Raw query value
+ * @returns {?Date|undefined} undefined when absent, null when invalid
+ */
+const parseDate = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * GET /admin/usage
+ * Request counts, 4xx/5xx and throttled rates and latency per API key and route class
+ * Query: key (API key ID, or env:API_KEY / env:ADMIN_API_KEY), from, to (ISO 8601, default last 24 hours)
+ */
+const getUsage = async (req, res) => {
+  try {
+    const to = parseDate(req.query.to);
+    const from = parseDate(req.query.from);
+
+    if (to === null || from === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date',
+        message: 'from and to must be ISO 8601 dates'
+      });
+    }
+
+    const end = to || new Date();
+    const start = from || new Date(end.getTime() - DAY_MS);
+
+    if (start >= end || end - start > MAX_RANGE_DAYS * DAY_MS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range',
+        message: `from must be before to, at most ${MAX_RANGE_DAYS} days apart`
+      });
+    }
+
+    const keyId = req.query.key ? String(req.query.key) : null;
+    const consumers = await usageService.getReport({ keyId, from: start, to: end });
+
+    res.json({
+      success: true,
+      data: consumers,
+      metadata: {
+        key: keyId,
+        from: start,
+        to: end,
+        granularity: 'hour',
+        totalConsumers: consumers.length
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching API usage', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API usage'
+    });
+  }
+};
+
+module.exports = {
+  getUsage,
+};
@@ -0,0 +1,209 @@
+const webhookService = require('../services/webhooks');
+const { parseSubscription } = require('../services/webhookEvents');
+const { logger } = require('../config/logger');
+
+/**
+ * Webhooks Controller
+ * Admin webhook subscriptions and their delivery logs
+ */
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed', 'cancelled'];
+const DEFAULT_DELIVERY_LIMIT = 50;
+const MAX_DELIVERY_LIMIT = 500;
+
+// Subscription IDs are ObjectId hex strings
+const WEBHOOK_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+const invalidWebhookId = (res) => res.status(400).json({
+  success: false,
+  error: 'Invalid webhook ID',
+  message: 'id must be a 24-character hex string'
+});
+
+const subscriptionNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Webhook subscription not found'
+});
+
+/**
+ * POST /admin/webhooks
+ * Register a webhook subscription; the signing secret is only returned here
+ * Body: { url, events, topN?, silentHours?, nodeIds?, description? }
+ */
+const createWebhook = async (req, res) => {
+  try {
+    const { subscription, errors } = parseSubscription(req.body, {
+      allowInsecure: process.env.NODE_ENV === 'development'
+    });
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid webhook subscription',
+        message: errors.join('; '),
+        details: errors
+      });
+    }
+
+    const record = await webhookService.createSubscription(subscription);
+
+    res.status(201).json({
+      success: true,
+      data: record,
+      message: 'Store the secret now; it is used to sign deliveries and is not shown again'
+    });
+  } catch (error) {
+    logger.error('Error creating webhook subscription', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create webhook subscription'
+    });
+  }
+};
+
+/**
+ * GET /admin/webhooks
+ * List webhook subscriptions (without secrets)
+ */
+const listWebhooks = async (req, res) => {
+  try {
+    const subscriptions = await webhookService.listSubscriptions();
+
+    res.json({
+      success: true,
+      data: subscriptions,
+      metadata: {
+        total: subscriptions.length
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing webhook subscriptions', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list webhook subscriptions'
+    });
+  }
+};
+
+/**
+ * GET /admin/webhooks/:id
+ * Get one webhook subscription (without its secret)
+ */
+const getWebhook = async (req, res) => {
+  try {
+    if (!WEBHOOK_ID_PATTERN.test(req.params.id)) {
+      return invalidWebhookId(res);
+    }
+
+    const subscription = await webhookService.getSubscription(req.params.id);
+
+    if (!subscription) {
+      return subscriptionNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+  } catch (error) {
+    logger.error('Error fetching webhook subscription', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook subscription'
+    });
+  }
+};
+
+/**
+ * DELETE /admin/webhooks/:id
+ * Delete a webhook subscription and cancel its pending deliveries
+ */
+const deleteWebhook = async (req, res) => {
+  try {
+    if (!WEBHOOK_ID_PATTERN.test(req.params.id)) {
+      return invalidWebhookId(res);
+    }
+
+    const deleted = await webhookService.deleteSubscription(req.params.id);
+
+    if (!deleted) {
+      return subscriptionNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook subscription deleted'
+    });
+  } catch (error) {
+    logger.error('Error deleting webhook subscription', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete webhook subscription'
+    });
+  }
+};
+
+/**
+ * GET /admin/webhooks/:id/deliveries
+ * Delivery log for a subscription, newest first
+ * Query: status (pending|delivered|failed|cancelled), limit (default 50, max 500)
+ */
+const getWebhookDeliveries = async (req, res) => {
+  try {
+    if (!WEBHOOK_ID_PATTERN.test(req.params.id)) {
+      return invalidWebhookId(res);
+    }
+
+    const { status } = req.query;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : DEFAULT_DELIVERY_LIMIT;
+
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status',
+        message: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DELIVERY_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid limit',
+        message: `limit must be an integer between 1 and ${MAX_DELIVERY_LIMIT}`
+      });
+    }
+
+    const subscription = await webhookService.getSubscription(req.params.id);
+
+    if (!subscription) {
+      return subscriptionNotFound(res);
+    }
+
+    const deliveries = await webhookService.getDeliveries(req.params.id, { status, limit });
+
+    res.json({
+      success: true,
+      data: deliveries,
+      metadata: {
+        subscriptionId: subscription._id,
+        status: status || null,
+        limit,
+        returned: deliveries.length
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching webhook deliveries', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook deliveries'
+    });
+  }
+};
+
+module.exports = {
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+};
@@ -1,22 +1,38 @@
+const apiKeyService = require('../services/apiKeys');
+const { API_KEY_SCOPES, safeEqual } = require('../services/apiKeyTokens');
+const { logger } = require('../config/logger');
+
 /**
  * API Key Authentication Middleware
- * Validates API key from X-API-Key header or api_key query parameter
+ * Validates API key from X-API-Key header or api_key query parameter against the
+ * API_KEY / ADMIN_API_KEY environment keys and the api_keys store, and attaches
+ * the caller's scopes and limit overrides to req.apiKey
  */
 
+const KEY_ERRORS = {
+  invalid: { error: 'Invalid API key', message: 'The provided API key is not valid' },
+  expired: { error: 'API key expired', message: 'The provided API key has expired; ask an administrator for a new one' },
+  revoked: { error: 'API key revoked', message: 'The provided API key has been revoked' },
+};
+
 /**
  * Create API key authentication middleware
- * @param {string} validApiKey - The valid API key to check against
+ * The admin scope is only honoured when the key is sent in a header, never in the query string.
+ * @param {Object} keys - { apiKey, adminApiKey } environment keys (either may be null)
+ * @param {?string} keys.apiKey - Shared key with read and export scopes
+ * @param {?string} keys.adminApiKey - Bootstrap key with every scope
  * @returns {Function} Express middleware function
  */
-const createApiKeyAuth = (validApiKey) => {
-  return (req, res, next) => {
+const createApiKeyAuth = ({ apiKey: envApiKey, adminApiKey }) => {
+  return async (req, res, next) => {
     // Skip authentication for public endpoints
-    const publicPaths = ['/health', '/metrics', '/'];
+    const publicPaths = ['/health', '/health/live', '/health/ready', '/metrics', '/'];
     if (publicPaths.includes(req.path)) {
       return next();
     }
 
     // Get API key from header or query parameter
+    const fromHeader = Boolean(req.headers['x-api-key']);
     const apiKey = req.headers['x-api-key'] || req.query.api_key;
 
     if (!apiKey) {
@@ -27,19 +43,61 @@ const createApiKeyAuth = (validApiKey) => {
       });
     }
 
-    if (apiKey !== validApiKey) {
+    let principal;
+    if (adminApiKey && safeEqual(apiKey, adminApiKey)) {
+      principal = { id: 'env:ADMIN_API_KEY', name: 'ADMIN_API_KEY', scopes: API_KEY_SCOPES };
+    } else if (envApiKey && safeEqual(apiKey, envApiKey)) {
+      principal = { id: 'env:API_KEY', name: 'API_KEY', scopes: ['read', 'export'] };
+    } else {
+      try {
+        const { record, error } = await apiKeyService.authenticate(apiKey);
+
+        if (error) {
+          return res.status(403).json({ success: false, ...KEY_ERRORS[error] });
+        }
+
+        principal = { id: record._id.toString(), name: record.name, scopes: record.scopes, limits: record.limits || null };
+      } catch (error) {
+        logger.error('❌ API key lookup failed', error);
+        return res.status(503).json({
+          success: false,
+          error: 'Authentication unavailable',
+          message: 'API keys could not be verified; try again shortly',
+        });
+      }
+    }
+
+    const scopes = fromHeader ? principal.scopes : principal.scopes.filter((scope) => scope !== 'admin');
+
+    req.apiKey = { ...principal, scopes };
+    next();
+  };
+};
+
+/**
+ * Create scope authorization middleware (runs after createApiKeyAuth)
+ * @param {string} scope - Required scope (read, export, admin)
+ * @returns {Function} Express middleware function
+ */
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    const scopes = req.apiKey ? req.apiKey.scopes : [];
+
+    if (!scopes.includes(scope)) {
       return res.status(403).json({
         success: false,
-        error: 'Invalid API key',
-        message: 'The provided API key is not valid',
+        error: 'Insufficient scope',
+        message: scope === 'admin'
+          ? 'This endpoint requires an API key with the "admin" scope, sent in the X-API-Key header'
+          : `This endpoint requires an API key with the "${scope}" scope`,
       });
     }
 
-    // API key is valid, proceed
     next();
   };
 };
 
 module.exports = {
   createApiKeyAuth,
+  requireScope,
 };
@@ -1,3 +1,5 @@
+const { logger } = require('../config/logger');
+
 /**
  * Error Handler Middleware
  * Global error handling for Express application
@@ -11,7 +13,7 @@
  * @param {Function} next - Express next function
  */
 const errorHandler = (error, req, res, next) => {
-  console.error('API Error:', error);
+  logger.error('API Error', error, { method: req.method, path: req.path });
   
   const isDevelopment = process.env.NODE_ENV !== 'production';
   
@@ -1,15 +1,21 @@
-const { createRateLimiter } = require('./rateLimiter');
+const { createRateLimiter, createQuotaLimiter } = require('./rateLimiter');
+const { usageTracker } = require('./usageTracker');
 const { errorHandler, notFoundHandler } = require('./errorHandler');
+const { requestId } = require('./requestId');
 const { requestLogger } = require('./requestLogger');
 const { createCorsMiddleware, createSecurityMiddleware } = require('./security');
-const { createApiKeyAuth } = require('./apiKeyAuth');
+const { createApiKeyAuth, requireScope } = require('./apiKeyAuth');
 
 module.exports = {
   createRateLimiter,
+  createQuotaLimiter,
+  usageTracker,
   errorHandler,
   notFoundHandler,
+  requestId,
   requestLogger,
   createCorsMiddleware,
   createSecurityMiddleware,
   createApiKeyAuth,
+  requireScope,
 };
@@ -1,35 +1,99 @@
 const rateLimit = require('express-rate-limit');
+const usageService = require('../services/usage');
+const { ROUTE_CLASSES, getRouteClass, resolveLimits, getSecondsUntilQuotaReset } = require('../services/rateLimits');
 
 /**
  * Rate Limiter Middleware
- * Configurable rate limiting for API endpoints
+ * Per-minute rate limits and daily quotas per API key and route class
  */
 
+/**
+ * Full path of a request, independent of where the middleware is mounted
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+const getRequestPath = (req) => `${req.baseUrl}${req.path}`.replace(/\/$/, '') || '/';
+
+/**
+ * Rate limit key: the API key when authenticated, otherwise the client IP
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+const getLimitKey = (req) => (req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`);
+
 /**
  * Create rate limiter middleware
+ * Each route class (read, export, refresh, admin) has its own per-minute window per API key;
+ * a key's own limits (api_keys.limits) override the defaults.
  * @param {Object} options - Rate limiter options
  * @param {number} options.windowMs - Time window in milliseconds
- * @param {number} options.max - Maximum requests per window
+ * @param {Object} options.classes - Route class -> { perMinute, perDay } defaults
  * @returns {Function} Express middleware
  */
 const createRateLimiter = (options = {}) => {
   const {
     windowMs = 60 * 1000, // 1 minute
-    max = 200,
+    classes,
   } = options;
 
-  return rateLimit({
-    windowMs,
-    max,
-    message: {
-      error: 'Too many requests',
-      message: 'Rate limit exceeded. Please try again later.'
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
+  const limiters = {};
+  ROUTE_CLASSES.forEach((routeClass) => {
+    limiters[routeClass] = rateLimit({
+      windowMs,
+      max: (req) => resolveLimits(classes, req.apiKey && req.apiKey.limits)[routeClass].perMinute,
+      keyGenerator: getLimitKey,
+      message: {
+        error: 'Too many requests',
+        message: `Rate limit exceeded for ${routeClass} requests. Please try again later.`
+      },
+      standardHeaders: true,
+      legacyHeaders: false,
+    });
   });
+
+  return (req, res, next) => limiters[getRouteClass(req.method, getRequestPath(req))](req, res, next);
+};
+
+/**
+ * Create daily quota middleware (runs after authentication)
+ * Counts accepted requests per API key and route class per UTC day, across instances
+ * @param {Object} classes - Route class -> { perMinute, perDay } defaults (perDay 0 = unlimited)
+ * @returns {Function} Express middleware
+ */
+const createQuotaLimiter = (classes) => {
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      return next();
+    }
+
+    const routeClass = getRouteClass(req.method, getRequestPath(req));
+    const { perDay } = resolveLimits(classes, req.apiKey.limits)[routeClass];
+    if (!perDay) {
+      return next();
+    }
+
+    const now = new Date();
+    const used = usageService.getDailyCount(req.apiKey.id, routeClass, now);
+
+    res.set('X-Quota-Limit', String(perDay));
+    res.set('X-Quota-Remaining', String(Math.max(perDay - used - 1, 0)));
+
+    if (used >= perDay) {
+      res.set('X-Quota-Remaining', '0');
+      res.set('Retry-After', String(getSecondsUntilQuotaReset(now)));
+      return res.status(429).json({
+        success: false,
+        error: 'Daily quota exceeded',
+        message: `This API key has used its ${perDay} ${routeClass} requests for today; quotas reset at 00:00 UTC`
+      });
+    }
+
+    next();
+  };
 };
 
 module.exports = {
   createRateLimiter,
+  createQuotaLimiter,
+  getRequestPath,
 };
@@ -0,0 +1,39 @@
+const { randomUUID } = require('crypto');
+const { logger } = require('../config/logger');
+
+/**
+ * Request ID Middleware
+ * Assigns every request an ID (propagated from X-Request-Id or generated), returns it
+ * in the X-Request-Id header and in error bodies, and attaches it to every log entry
+ * written while the request is handled
+ */
+
+// Propagated IDs must look like an ID; anything else is replaced rather than logged
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Request ID middleware
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  // Error bodies (controllers, rate limiters, error handlers) quote the ID for support requests
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && body.requestId === undefined) {
+      return json({ ...body, requestId: req.id });
+    }
+    return json(body);
+  };
+
+  logger.withContext({ requestId: req.id }, next);
+};
+
+module.exports = {
+  requestId,
+};
@@ -1,6 +1,9 @@
+const metricsService = require('../services/metrics');
+const { logger } = require('../config/logger');
+
 /**
  * Request Logger Middleware
- * Logs HTTP requests with method, path, status, and duration
+ * Logs HTTP requests with method, path, status, duration and request ID, and feeds the HTTP metrics
  */
 
 /**
@@ -24,7 +27,20 @@ const requestLogger = (req, res, next) => {
                        status >= 300 ? '🔵' :
                        '🟢';
     
-    console.log(`${statusColor} ${method} ${path} - ${status} (${duration}ms)`);
+    // Route pattern (not the raw path) keeps label cardinality bounded
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+
+    const log = status >= 500 ? logger.warn : logger.info;
+    log(`${statusColor} ${method} ${path} - ${status} (${duration}ms)`, {
+      method,
+      path,
+      route,
+      status,
+      durationMs: duration,
+      apiKeyId: req.apiKey ? req.apiKey.id : undefined,
+    });
+
+    metricsService.recordHttpRequest({ method, route, status, durationMs: duration });
   });
   
   next();
@@ -0,0 +1,46 @@
+const usageService = require('../services/usage');
+const { getRouteClass } = require('../services/rateLimits');
+const { getRequestPath } = require('./rateLimiter');
+
+/**
+ * Usage Tracker Middleware
+ * Records every authenticated request (status and latency) per API key and route class
+ */
+
+/**
+ * Usage tracker middleware (runs after authentication, before rate limiting so 429s are counted)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+const usageTracker = (req, res, next) => {
+  if (!req.apiKey) {
+    return next();
+  }
+
+  const start = Date.now();
+  const routeClass = getRouteClass(req.method, getRequestPath(req));
+
+  // 'close' also covers streams (SSE, export) that end without 'finish'
+  let recorded = false;
+  const record = () => {
+    if (recorded) return;
+    recorded = true;
+    usageService.record({
+      keyId: req.apiKey.id,
+      keyName: req.apiKey.name,
+      routeClass,
+      statusCode: res.statusCode,
+      durationMs: Date.now() - start,
+      at: new Date(start),
+    });
+  };
+
+  res.on('finish', record);
+  res.on('close', record);
+  next();
+};
+
+module.exports = {
+  usageTracker,
+};
@@ -0,0 +1,111 @@
+const express = require('express');
+const router = express.Router();
+const {
+  previewRewards,
+  finalizeRewards,
+  getFinalizedRewards,
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  rotateApiKey,
+  setApiKeyLimits,
+  getUsage,
+  getClusters,
+} = require('../controllers');
+
+/**
+ * POST /admin/rewards/preview
+ * Calculate a reward payout table without persisting it
+ */
+router.post('/rewards/preview', previewRewards);
+
+/**
+ * POST /admin/rewards/finalize
+ * Calculate and persist the payout table for an epoch
+ */
+router.post('/rewards/finalize', finalizeRewards);
+
+/**
+ * GET /admin/rewards/:epoch
+ * Download a finalized payout table
+ */
+router.get('/rewards/:epoch', getFinalizedRewards);
+
+/**
+ * POST /admin/webhooks
+ * Register a webhook subscription
+ */
+router.post('/webhooks', createWebhook);
+
+/**
+ * GET /admin/webhooks
+ * List webhook subscriptions
+ */
+router.get('/webhooks', listWebhooks);
+
+/**
+ * GET /admin/webhooks/:id
+ * Get a webhook subscription
+ */
+router.get('/webhooks/:id', getWebhook);
+
+/**
+ * DELETE /admin/webhooks/:id
+ * Delete a webhook subscription
+ */
+router.delete('/webhooks/:id', deleteWebhook);
+
+/**
+ * GET /admin/webhooks/:id/deliveries
+ * Get a webhook subscription's delivery log
+ */
+router.get('/webhooks/:id/deliveries', getWebhookDeliveries);
+
+/**
+ * POST /admin/api-keys
+ * Issue an API key
+ */
+router.post('/api-keys', createApiKey);
+
+/**
+ * GET /admin/api-keys
+ * List API keys
+ */
+router.get('/api-keys', listApiKeys);
+
+/**
+ * DELETE /admin/api-keys/:id
+ * Revoke an API key
+ */
+router.delete('/api-keys/:id', revokeApiKey);
+
+/**
+ * POST /admin/api-keys/:id/rotate
+ * Replace an API key, keeping the old one valid for a grace period
+ */
+router.post('/api-keys/:id/rotate', rotateApiKey);
+
+/**
+ * PUT /admin/api-keys/:id/limits
+ * Set an API key's rate limits and daily quotas
+ */
+router.put('/api-keys/:id/limits', setApiKeyLimits);
+
+/**
+ * GET /admin/usage
+ * Request counts, error rates and latency per API key
+ */
+router.get('/usage', getUsage);
+
+/**
+ * GET /admin/clusters
+ * Suspected Sybil clusters with their evidence
+ */
+router.get('/clusters', getClusters);
+
+module.exports = router;
@@ -3,10 +3,22 @@ const router = express.Router();
 const {
   getLeaderboard,
   getNodeRanking,
+  getNodeExplanation,
+  getNodeHistory,
   getTopNodes,
+  getExport,
+  streamLeaderboard,
+  getCountries,
+  getCountryLeaderboard,
+  getWallets,
+  getWalletFleet,
+  getMovers,
+  getScoring,
+  simulateLeaderboard,
   refreshLeaderboard,
   getLeaderboardStats,
 } = require('../controllers');
+const { requireScope } = require('../middleware');
 
 /**
  * GET /leaderboard
@@ -20,18 +32,83 @@ router.get('/', getLeaderboard);
  */
 router.get('/node/:nodeId', getNodeRanking);
 
+/**
+ * GET /leaderboard/node/:nodeId/explain
+ * Break down how a node's reputation score is calculated
+ */
+router.get('/node/:nodeId/explain', getNodeExplanation);
+
+/**
+ * GET /leaderboard/node/:nodeId/history
+ * Get a node's rank and score history over time
+ */
+router.get('/node/:nodeId/history', getNodeHistory);
+
 /**
  * GET /leaderboard/top/:count
  * Get top N nodes from the leaderboard
  */
 router.get('/top/:count', getTopNodes);
 
+/**
+ * GET /leaderboard/export
+ * Stream every ranked node as CSV, NDJSON or JSON
+ */
+router.get('/export', getExport);
+
+/**
+ * GET /leaderboard/stream
+ * Server-Sent Events stream of leaderboard updates
+ */
+router.get('/stream', streamLeaderboard);
+
+/**
+ * GET /leaderboard/countries
+ * Get node count, average score and top node per country
+ */
+router.get('/countries', getCountries);
+
+/**
+ * GET /leaderboard/country/:code
+ * Get the leaderboard for one country with in-country ranks
+ */
+router.get('/country/:code', getCountryLeaderboard);
+
+/**
+ * GET /leaderboard/wallets
+ * Rank wallets by combined reputation across their fleet
+ */
+router.get('/wallets', getWallets);
+
+/**
+ * GET /leaderboard/wallet/:address
+ * Get every node owned by a wallet with combined reputation and eligibility
+ */
+router.get('/wallet/:address', getWalletFleet);
+
+/**
+ * GET /leaderboard/movers
+ * Get the biggest rank risers and fallers for a window
+ */
+router.get('/movers', getMovers);
+
+/**
+ * GET /leaderboard/scoring
+ * Publish the active scoring profile
+ */
+router.get('/scoring', getScoring);
+
+/**
+ * POST /leaderboard/simulate
+ * Preview rankings under an alternate scoring profile (admin only)
+ */
+router.post('/simulate', requireScope('admin'), simulateLeaderboard);
+
 /**
  * POST /leaderboard/refresh
- * Force refresh the leaderboard
- * TODO: Add admin authentication in production
+ * Force refresh the leaderboard (admin only)
  */
-router.post('/refresh', refreshLeaderboard);
+router.post('/refresh', requireScope('admin'), refreshLeaderboard);
 
 /**
  * GET /leaderboard/stats
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { parseLimits } = require('./rateLimits');
+
+/**
+ * API Key Token Helpers
+ * Key generation, hashing, scopes and request validation for the API key store
+ */
+
+// read: leaderboard endpoints; export: /leaderboard/export (with read); admin: admin endpoints
+const API_KEY_SCOPES = ['read', 'export', 'admin'];
+
+const KEY_PREFIX = 'qdb_';
+const VISIBLE_PREFIX_LENGTH = KEY_PREFIX.length + 8;
+const MAX_EXPIRY_DAYS = 3650;
+
+/**
+ * Generate a new API key
+ * @returns {{ key: string, prefix: string, hash: string }} Plaintext key (shown once), display prefix and stored hash
+ */
+const generateApiKey = () => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, prefix: key.slice(0, VISIBLE_PREFIX_LENGTH), hash: hashApiKey(key) };
+};
+
+/**
+ * Hash an API key for storage and lookup (keys are random, so a fast hash is sufficient)
+ * @param {string} key - Plaintext key
+ * @returns {string} Hex SHA-256
+ */
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Constant-time string comparison
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Lifecycle status of a stored key
+ * @param {Object} record - Stored key
+ * @param {Date} [now]
+ * @returns {string} active, expired or revoked
+ */
+const getKeyStatus = (record, now = new Date()) => {
+  if (record.revokedAt) return 'revoked';
+  if (record.expiresAt && new Date(record.expiresAt) <= now) return 'expired';
+  return 'active';
+};
+
+/**
+ * Validate a key issue request
+ * @param {Object} body - { name, owner?, scopes, expiresAt? | expiresInDays?, limits? }
+ * @param {Date} [now]
+ * @returns {{ request?: Object, errors?: string[] }}
+ */
+const parseApiKeyRequest = (body, now = new Date()) => {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return { errors: ['body must be a JSON object'] };
+  }
+
+  const errors = [];
+  const { name, owner = null, scopes, expiresAt = null, expiresInDays = null } = body;
+  const { limits, errors: limitErrors } = parseLimits(body.limits);
+
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    errors.push('name must be a non-empty string of at most 100 characters');
+  }
+
+  if (owner !== null && (typeof owner !== 'string' || owner.length > 100)) {
+    errors.push('owner must be a string of at most 100 characters');
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((scope) => !API_KEY_SCOPES.includes(scope))) {
+    errors.push(`scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}`);
+  }
+
+  let expiry = null;
+  if (expiresAt !== null && expiresInDays !== null) {
+    errors.push('set either expiresAt or expiresInDays, not both');
+  } else if (expiresAt !== null) {
+    expiry = new Date(expiresAt);
+    if (typeof expiresAt !== 'string' || Number.isNaN(expiry.getTime()) || expiry <= now) {
+      errors.push('expiresAt must be a future ISO 8601 date');
+    }
+  } else if (expiresInDays !== null) {
+    if (typeof expiresInDays !== 'number' || !(expiresInDays > 0) || expiresInDays > MAX_EXPIRY_DAYS) {
+      errors.push(`expiresInDays must be a number between 0 and ${MAX_EXPIRY_DAYS}`);
+    } else {
+      expiry = new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000);
+    }
+  }
+
+  if (limitErrors) {
+    errors.push(...limitErrors);
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    request: {
+      name: name.trim(),
+      owner,
+      scopes: API_KEY_SCOPES.filter((scope) => scopes.includes(scope)),
+      expiresAt: expiry,
+      limits,
+    },
+  };
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  generateApiKey,
+  hashApiKey,
+  safeEqual,
+  getKeyStatus,
+  parseApiKeyRequest,
+};
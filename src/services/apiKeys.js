@@ -0,0 +1,258 @@
+const mongoose = require('mongoose');
+const { generateApiKey, hashApiKey, getKeyStatus } = require('./apiKeyTokens');
+const { logger } = require('../config/logger');
+
+/**
+ * API Key Service
+ * Stores hashed API keys with owners, scopes, expiry and revocation
+ */
+
+const API_KEY_COLLECTION = 'api_keys';
+
+const DEFAULT_CACHE_TTL_MS = 30 * 1000; // Resolved keys are reused this long before re-reading the store
+const LAST_USED_RESOLUTION_MS = 60 * 1000; // lastUsedAt is written at most this often per key
+
+class ApiKeyService {
+  constructor() {
+    this.collection = null;
+    this.cache = new Map(); // hash -> { record, cachedAt }
+  }
+
+  /**
+   * Initialize the key collection and indexes
+   */
+  async initialize() {
+    try {
+      this.collection = mongoose.connection.db.collection(API_KEY_COLLECTION);
+
+      // Lookup by hash on every authenticated request
+      await this.collection.createIndex({ hash: 1 }, { unique: true });
+
+      logger.info('✅ API key service initialized');
+      return true;
+    } catch (error) {
+      logger.error('❌ Failed to initialize API key service', error);
+      return false;
+    }
+  }
+
+  /**
+   * How long a resolved key is reused before re-reading the store (milliseconds)
+   * Revoke and rotate clear the entry on the instance that handles them; other replicas
+   * keep accepting the old record until it expires, so this bounds that window (0 = no cache).
+   */
+  getCacheTtlMs() {
+    const ttlMs = parseInt(process.env.API_KEY_CACHE_TTL_MS, 10);
+    return Number.isNaN(ttlMs) ? DEFAULT_CACHE_TTL_MS : Math.max(ttlMs, 0);
+  }
+
+  /**
+   * Resolve a presented key
+   * @param {string} key - Plaintext key from the request
+   * @returns {Promise<{ record?: Object, error?: string }>} error: invalid, expired or revoked
+   */
+  async authenticate(key) {
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    const hash = hashApiKey(key);
+    const now = new Date();
+    const cached = this.cache.get(hash);
+
+    let record;
+    if (cached && now - cached.cachedAt < this.getCacheTtlMs()) {
+      record = cached.record;
+    } else {
+      record = await this.collection.findOne({ hash });
+      if (record) {
+        this.cache.set(hash, { record, cachedAt: now });
+      } else {
+        this.cache.delete(hash);
+      }
+    }
+
+    if (!record) {
+      return { error: 'invalid' };
+    }
+
+    const status = getKeyStatus(record, now);
+    if (status !== 'active') {
+      return { error: status };
+    }
+
+    if (!record.lastUsedAt || now - record.lastUsedAt >= LAST_USED_RESOLUTION_MS) {
+      record.lastUsedAt = now;
+      this.collection.updateOne({ _id: record._id }, { $set: { lastUsedAt: now } }).catch((error) => {
+        logger.error('❌ Failed to record API key use', error);
+      });
+    }
+
+    return { record };
+  }
+
+  /**
+   * Issue a new key
+   * @param {Object} request - Parsed request from parseApiKeyRequest
+   * @returns {Promise<{ key: string, record: Object }>} Plaintext key (only returned here) and the stored record
+   */
+  async issue(request) {
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    const { key, prefix, hash } = generateApiKey();
+    const record = {
+      _id: new mongoose.Types.ObjectId(),
+      name: request.name,
+      owner: request.owner,
+      scopes: request.scopes,
+      limits: request.limits || null, // Per route class { perMinute, perDay } overrides
+      prefix,
+      hash,
+      expiresAt: request.expiresAt,
+      revokedAt: null,
+      lastUsedAt: null,
+      createdAt: new Date(),
+    };
+
+    await this.collection.insertOne(record);
+    logger.info(`🔑 API key ${prefix}… issued to "${record.name}" (${record.scopes.join(', ')})`);
+    return { key, record: this.toPublic(record) };
+  }
+
+  /**
+   * List keys, newest first
+   * @param {Object} options - { includeInactive }
+   * @returns {Promise<Array>}
+   */
+  async list({ includeInactive }) {
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    const records = await this.collection.find({}).sort({ createdAt: -1 }).toArray();
+    return records
+      .map((record) => this.toPublic(record))
+      .filter((record) => includeInactive || record.status === 'active');
+  }
+
+  /**
+   * Revoke a key (kept for auditing)
+   * @param {string} id - Key ID
+   * @returns {Promise<Object|null>} Revoked key, null when not found
+   */
+  async revoke(id) {
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+
+    const record = await this.collection.findOneAndUpdate(
+      { _id: new mongoose.Types.ObjectId(id) },
+      [{ $set: { revokedAt: { $ifNull: ['$revokedAt', '$$NOW'] } } }],
+      { returnDocument: 'after' }
+    );
+
+    if (!record) {
+      return null;
+    }
+
+    this.cache.delete(record.hash);
+    logger.info(`🔑 API key ${record.prefix}… ("${record.name}") revoked`);
+    return this.toPublic(record);
+  }
+
+  /**
+   * Replace a key's rate limit and quota overrides
+   * @param {string} id - Key ID
+   * @param {?Object} limits - Parsed limits from parseLimits (null = use the defaults)
+   * @returns {Promise<Object|null>} Updated key, null when not found
+   */
+  async setLimits(id, limits) {
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+
+    const record = await this.collection.findOneAndUpdate(
+      { _id: new mongoose.Types.ObjectId(id) },
+      { $set: { limits } },
+      { returnDocument: 'after' }
+    );
+
+    if (!record) {
+      return null;
+    }
+
+    this.cache.delete(record.hash);
+    return this.toPublic(record);
+  }
+
+  /**
+   * Rotate a key: issue a replacement with the same name, owner, scopes and expiry,
+   * and let the old key keep working for a grace period
+   * @param {string} id - Key ID
+   * @param {number} graceHours - Hours the old key stays valid (0 = revoke now)
+   * @returns {Promise<{ key?: string, record?: Object, previous?: Object, error?: string }>} error: not_found or inactive
+   */
+  async rotate(id, graceHours) {
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return { error: 'not_found' };
+    }
+
+    const existing = await this.collection.findOne({ _id: new mongoose.Types.ObjectId(id) });
+    if (!existing) {
+      return { error: 'not_found' };
+    }
+    if (getKeyStatus(existing) !== 'active') {
+      return { error: 'inactive' };
+    }
+
+    const { key, record } = await this.issue({
+      name: existing.name,
+      owner: existing.owner,
+      scopes: existing.scopes,
+      expiresAt: existing.expiresAt,
+      limits: existing.limits || null,
+    });
+
+    const graceEndsAt = new Date(Date.now() + graceHours * 60 * 60 * 1000);
+    const update = graceHours === 0
+      ? { revokedAt: new Date() }
+      : { expiresAt: existing.expiresAt && existing.expiresAt < graceEndsAt ? existing.expiresAt : graceEndsAt };
+
+    const previous = await this.collection.findOneAndUpdate(
+      { _id: existing._id },
+      { $set: { ...update, rotatedTo: record._id } },
+      { returnDocument: 'after' }
+    );
+    this.cache.delete(existing.hash);
+
+    return { key, record, previous: this.toPublic(previous) };
+  }
+
+  /**
+   * Public view of a stored key (never includes the hash)
+   * @param {Object} record - Stored key
+   * @returns {Object}
+   */
+  toPublic(record) {
+    const { hash, ...rest } = record;
+    return { ...rest, status: getKeyStatus(record) };
+  }
+}
+
+// Export singleton instance
+const apiKeyService = new ApiKeyService();
+module.exports = apiKeyService;
@@ -0,0 +1,287 @@
+const mongoose = require('mongoose');
+const rollupService = require('./rollups');
+const { CLUSTER_FLAGS, FINGERPRINT_METRICS, buildFingerprint, detectClusters } = require('./sybil');
+const { logger } = require('../config/logger');
+
+/**
+ * Cluster Service
+ * Periodically groups devices that share MAC addresses, public IPs or metric fingerprints
+ * (suspected Sybil fleets) from the hourly rollups, and stores each cluster with its evidence.
+ * Clusters that stop being detected are kept as resolved for a while for review.
+ */
+
+const CLUSTER_COLLECTION = 'node_clusters';
+
+const HOUR_MS = 3600000;
+const RESOLVED_RETENTION_DAYS = 30;
+
+/**
+ * Build the aggregation that collects each device's identifiers and metric sums over the look-back
+ * @param {Date} since - First rollup hour included
+ * @returns {Array} MongoDB aggregation stages
+ */
+const buildDeviceSignalStages = (since) => {
+  // Union of the per-hour identifier sets
+  const union = (field) => ({
+    $reduce: { input: `$${field}`, initialValue: [], in: { $setUnion: ['$$value', { $ifNull: ['$$this', []] }] } },
+  });
+
+  return [
+    { $match: { hour: { $gte: since } } },
+    {
+      $group: {
+        _id: '$deviceId',
+        macs: { $push: '$macs' },
+        ips: { $push: '$ips' },
+        isps: { $push: '$isps' },
+        ...Object.fromEntries(FINGERPRINT_METRICS.flatMap((metric) => [
+          [`${metric}Sum`, { $sum: `$${metric}.sum` }],
+          [`${metric}Count`, { $sum: `$${metric}.count` }],
+        ])),
+      },
+    },
+    {
+      $lookup: {
+        from: 'devices',
+        localField: '_id',
+        foreignField: 'deviceId',
+        as: 'deviceInfoArr',
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        deviceId: '$_id',
+        macs: union('macs'),
+        ips: union('ips'),
+        isps: union('isps'),
+        walletAddress: { $arrayElemAt: ['$deviceInfoArr.walletAddress', 0] },
+        ...Object.fromEntries(FINGERPRINT_METRICS.flatMap((metric) => [
+          [`${metric}Sum`, 1],
+          [`${metric}Count`, 1],
+        ])),
+      },
+    },
+  ];
+};
+
+class ClusterService {
+  constructor() {
+    this.collection = null;
+    this.lastDetectionAt = null; // Last detection run by this instance (a new lease holder detects on its first run)
+  }
+
+  /**
+   * Initialize the cluster collection and indexes
+   */
+  async initialize() {
+    try {
+      this.collection = mongoose.connection.db.collection(CLUSTER_COLLECTION);
+
+      // Listing active clusters, largest first
+      await this.collection.createIndex({ active: 1, size: -1 });
+
+      // Clusters containing a node
+      await this.collection.createIndex({ deviceIds: 1 });
+
+      // Resolved clusters are removed once expiresAt passes
+      await this.collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+      logger.info('✅ Cluster service initialized');
+      return true;
+    } catch (error) {
+      logger.error('❌ Failed to initialize cluster service', error);
+      return false;
+    }
+  }
+
+  /**
+   * Minimum time between detection runs in milliseconds
+   */
+  getDetectionIntervalMs() {
+    return parseInt(process.env.CLUSTER_DETECTION_INTERVAL_MS, 10) || 3600000;
+  }
+
+  /**
+   * Hours of rollups a detection run looks at
+   */
+  getLookbackHours() {
+    return parseInt(process.env.CLUSTER_LOOKBACK_HOURS, 10) || 24;
+  }
+
+  /**
+   * Minimum devices sharing a value for it to link them
+   * @returns {Object} { mac, ip, fingerprint }
+   */
+  getThresholds() {
+    return {
+      mac: parseInt(process.env.CLUSTER_MIN_SHARED_MAC, 10) || 2,
+      ip: parseInt(process.env.CLUSTER_MIN_SHARED_IP, 10) || 3,
+      fingerprint: parseInt(process.env.CLUSTER_MIN_SHARED_FINGERPRINT, 10) || 2,
+    };
+  }
+
+  /**
+   * Whether ranked nodes carry their cluster flags (flags: ['shared-ip', ...])
+   */
+  isFlaggingEnabled() {
+    return process.env.CLUSTER_FLAG_NODES === 'true';
+  }
+
+  /**
+   * Detect clusters when the detection interval has elapsed
+   * A failed detection keeps the stored clusters (and flags) and is retried on the next call.
+   * @param {Date} now
+   * @returns {Promise<?Map<string, Array<string>>>} Flags of every clustered node (device ID -> flags), null when flagging is off
+   */
+  async update(now) {
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    if (!this.lastDetectionAt || now.getTime() - this.lastDetectionAt.getTime() >= this.getDetectionIntervalMs()) {
+      try {
+        await this.detect(now);
+      } catch (error) {
+        logger.error('❌ Cluster detection failed, keeping the previous clusters', error);
+      }
+    }
+
+    return this.isFlaggingEnabled() ? this.getFlags() : null;
+  }
+
+  /**
+   * Run detection over the look-back and store the result
+   * Clusters are keyed by their members: one seen again keeps its firstDetectedAt, one no
+   * longer seen becomes resolved.
+   * @param {Date} now
+   * @returns {Promise<Array>} Detected clusters
+   */
+  async detect(now) {
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    const since = new Date(Math.floor((now.getTime() - this.getLookbackHours() * HOUR_MS) / HOUR_MS) * HOUR_MS);
+    const rows = await rollupService.aggregate(buildDeviceSignalStages(since));
+
+    const devices = rows.map((row) => ({
+      deviceId: row.deviceId,
+      macs: row.macs,
+      ips: row.ips,
+      isps: row.isps,
+      walletAddress: row.walletAddress,
+      fingerprint: buildFingerprint(Object.fromEntries(FINGERPRINT_METRICS.map((metric) => [
+        metric,
+        row[`${metric}Count`] > 0 ? row[`${metric}Sum`] / row[`${metric}Count`] : null,
+      ]))),
+    }));
+
+    const { clusters, flags } = detectClusters(devices, this.getThresholds());
+
+    if (clusters.length > 0) {
+      await this.collection.bulkWrite(clusters.map((cluster) => ({
+        updateOne: {
+          filter: { _id: cluster.clusterId },
+          update: {
+            $set: {
+              deviceIds: cluster.deviceIds,
+              size: cluster.size,
+              flags: cluster.flags,
+              signals: cluster.signals,
+              wallets: cluster.wallets,
+              isps: cluster.isps,
+              active: true,
+              lastDetectedAt: now,
+            },
+            $setOnInsert: { firstDetectedAt: now },
+            $unset: { resolvedAt: '', expiresAt: '' },
+          },
+          upsert: true,
+        },
+      })), { ordered: false });
+    }
+
+    await this.collection.updateMany(
+      { active: true, lastDetectedAt: { $lt: now } },
+      {
+        $set: {
+          active: false,
+          resolvedAt: now,
+          expiresAt: new Date(now.getTime() + RESOLVED_RETENTION_DAYS * 24 * HOUR_MS),
+        },
+      }
+    );
+
+    this.lastDetectionAt = now;
+    logger.info(`🕵️ Cluster detection - ${clusters.length} suspected clusters, ${flags.size} flagged devices out of ${devices.length}`, {
+      clusters: clusters.length,
+      flaggedDevices: flags.size,
+      devices: devices.length,
+    });
+
+    return clusters;
+  }
+
+  /**
+   * Flags of every node in an active cluster
+   * @returns {Promise<Map<string, Array<string>>>} device ID -> flags
+   */
+  async getFlags() {
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    const clusters = await this.collection
+      .find({ active: true }, { projection: { signals: 1 } })
+      .toArray();
+
+    const flags = new Map();
+    clusters.forEach((cluster) => {
+      cluster.signals.forEach((signal) => {
+        signal.deviceIds.forEach((deviceId) => {
+          if (!flags.has(deviceId)) flags.set(deviceId, new Set());
+          flags.get(deviceId).add(CLUSTER_FLAGS[signal.type]);
+        });
+      });
+    });
+
+    return new Map([...flags].map(([deviceId, deviceFlags]) => [deviceId, [...deviceFlags].sort()]));
+  }
+
+  /**
+   * Stored clusters, largest first
+   * @param {Object} [filter] - { status: active|resolved|all, flag, nodeId }
+   * @param {Object} [options] - { limit }
+   * @returns {Promise<{ clusters: Array, total: number }>}
+   */
+  async list({ status = 'active', flag, nodeId } = {}, { limit = 100 } = {}) {
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    const query = {};
+    if (status !== 'all') query.active = status === 'active';
+    if (flag) query.flags = flag;
+    if (nodeId) query.deviceIds = nodeId;
+
+    const [clusters, total] = await Promise.all([
+      this.collection
+        .find(query, { projection: { expiresAt: 0 } })
+        .sort({ size: -1, lastDetectedAt: -1 })
+        .limit(limit)
+        .toArray(),
+      this.collection.countDocuments(query),
+    ]);
+
+    return {
+      clusters: clusters.map(({ _id, ...cluster }) => ({ clusterId: _id, ...cluster })),
+      total,
+    };
+  }
+}
+
+// Export singleton instance
+const clusterService = new ClusterService();
+module.exports = clusterService;
+module.exports.buildDeviceSignalStages = buildDeviceSignalStages;
@@ -0,0 +1,32 @@
+/**
+ * CSV Helpers
+ * Minimal RFC 4180 field quoting shared by CSV downloads
+ */
+
+// Leading characters that make spreadsheets evaluate a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escape a CSV field (quoted when it contains a comma, quote or line break)
+ * Strings that would start a formula are prefixed with ' (values such as device names and
+ * locations are self-reported); numbers are written as they are.
+ * @param {*} value - Field value (null/undefined become empty)
+ * @returns {string}
+ */
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render one CSV line, including the trailing newline
+ * @param {Array} values - Field values
+ * @returns {string}
+ */
+const csvRow = (values) => `${values.map(csvField).join(',')}\n`;
+
+module.exports = {
+  csvField,
+  csvRow,
+};
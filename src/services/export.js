@@ -0,0 +1,208 @@
+const { csvRow } = require('./csv');
+const { MOVEMENT_WINDOWS } = require('./movement');
+
+/**
+ * Leaderboard Export Helpers
+ * Column selection and row rendering for full-leaderboard downloads (CSV, NDJSON, JSON)
+ */
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+};
+
+const DEFAULT_FORMAT = 'csv';
+
+// Rows rendered per chunk written to the response
+const CHUNK_SIZE = 500;
+
+const MOVEMENT_FIELDS = ['rankChange', 'scoreChange', 'statusChange'];
+
+// Projected node fields, in column order; movement fields export one column per window
+const EXPORT_COLUMNS = [
+  'rank',
+  'countryRank',
+  'nodeId',
+  'deviceName',
+  'walletAddress',
+  'status',
+  'rankBadge',
+  'reputationScore',
+  'activityScore',
+  'uptimeScore',
+  'performanceScore',
+  'stabilityScore',
+  'avgNetworkSpeed',
+  'avgLatency',
+  'avgCpuUsage',
+  'avgMemoryUsage',
+  'avgDiskUsage',
+  'uptimeHours',
+  'maxUptime',
+  'cappedMaxUptime',
+  'meetsMinimumUptime',
+  'meetsThirtyDayRequirement',
+  'totalHeartbeats',
+  'rejectedHeartbeats',
+  'adjustedHeartbeats',
+  'dataQuality',
+  'daysObserved',
+  'daysSinceRegistration',
+  'hoursSinceLastSeen',
+  'lastSeen',
+  'country',
+  'location',
+  'countryCode',
+  'region',
+  'city',
+  'performanceInsight',
+  'flags',
+  ...MOVEMENT_FIELDS.flatMap((field) => Object.keys(MOVEMENT_WINDOWS).map((window) => `${field}.${window}`)),
+];
+
+/**
+ * Parse the ?format= query parameter
+ * @param {string} [value] - Raw query value
+ * @returns {{ format?: string, error?: string }}
+ */
+const parseFormat = (value) => {
+  if (value === undefined || value === '') {
+    return { format: DEFAULT_FORMAT };
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, value)) {
+    return { error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+  }
+
+  return { format: value };
+};
+
+/**
+ * Parse the ?columns= query parameter (comma-separated, in output order)
+ * @param {string} [value] - Raw query value
+ * @returns {{ columns?: string[], error?: string }} All columns when omitted
+ */
+const parseColumns = (value) => {
+  if (value === undefined || value === '') {
+    return { columns: EXPORT_COLUMNS };
+  }
+
+  const columns = [...new Set(String(value).split(',').map((column) => column.trim()).filter(Boolean))];
+  const unknown = columns.filter((column) => !EXPORT_COLUMNS.includes(column));
+
+  if (columns.length === 0 || unknown.length > 0) {
+    return { error: `columns must be a comma-separated list of: ${EXPORT_COLUMNS.join(', ')}` };
+  }
+
+  return { columns };
+};
+
+/**
+ * Read a column from a node ("field.window" reads a movement window)
+ * @param {Object} node - Ranked node
+ * @param {string} column - Export column
+ * @returns {*} null when missing
+ */
+const getColumnValue = (node, column) => {
+  const [field, window] = column.split('.');
+  const value = window === undefined ? node[field] : (node[field] || {})[window];
+  return value === undefined ? null : value;
+};
+
+/**
+ * Format a value for a CSV cell
+ * @param {*} value - Column value
+ * @returns {*}
+ */
+const toCsvValue = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.join(';'); // flags
+  if (value && typeof value === 'object') {
+    // statusChange: { from, to }
+    return value.from !== undefined ? `${value.from}->${value.to}` : JSON.stringify(value);
+  }
+  return value;
+};
+
+/**
+ * CSV header for a column: the field's display name (with the movement window), else the field name
+ * @param {string} column - Export column
+ * @param {Object} fieldMetadata - Leaderboard field metadata
+ * @returns {string}
+ */
+const getColumnHeader = (column, fieldMetadata = {}) => {
+  const [field, window] = column.split('.');
+  const displayName = fieldMetadata[field] && fieldMetadata[field].displayName;
+
+  if (!displayName) return column;
+  return window === undefined ? displayName : `${displayName} (${window})`;
+};
+
+/**
+ * Pick the selected columns from a node
+ * @param {Object} node - Ranked node
+ * @param {string[]} columns - Export columns
+ * @returns {Object}
+ */
+const pickColumns = (node, columns) => {
+  const row = {};
+  columns.forEach((column) => {
+    row[column] = getColumnValue(node, column);
+  });
+  return row;
+};
+
+/**
+ * Render a batch of nodes in the export format
+ * @param {Array} nodes - Ranked nodes
+ * @param {string[]} columns - Export columns
+ * @param {string} format - csv, ndjson or json
+ * @param {boolean} first - Whether the batch starts the document (JSON separators)
+ * @returns {string}
+ */
+const renderRows = (nodes, columns, format, first) => {
+  if (format === 'csv') {
+    return nodes.map((node) => csvRow(columns.map((column) => toCsvValue(getColumnValue(node, column))))).join('');
+  }
+
+  if (format === 'ndjson') {
+    return nodes.map((node) => `${JSON.stringify(pickColumns(node, columns))}\n`).join('');
+  }
+
+  return nodes
+    .map((node, index) => `${first && index === 0 ? '' : ',\n'}${JSON.stringify(pickColumns(node, columns))}`)
+    .join('');
+};
+
+/**
+ * Render an export document chunk by chunk, so large leaderboards are never held as one string
+ * @param {Array} nodes - Ranked nodes, in output order
+ * @param {Object} options - { format, columns, fieldMetadata }
+ * @yields {string}
+ */
+function* exportChunks(nodes, { format, columns, fieldMetadata }) {
+  if (format === 'csv') {
+    yield csvRow(columns.map((column) => getColumnHeader(column, fieldMetadata)));
+  } else if (format === 'json') {
+    yield '[\n';
+  }
+
+  for (let start = 0; start < nodes.length; start += CHUNK_SIZE) {
+    yield renderRows(nodes.slice(start, start + CHUNK_SIZE), columns, format, start === 0);
+  }
+
+  if (format === 'json') {
+    yield nodes.length > 0 ? '\n]\n' : ']\n';
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  DEFAULT_FORMAT,
+  parseFormat,
+  parseColumns,
+  getColumnHeader,
+  exportChunks,
+};
@@ -0,0 +1,108 @@
+/**
+ * Geography Helpers
+ * In-country ranks and per-country summaries over a ranked node list
+ */
+
+/**
+ * Normalize a country code for grouping and lookups
+ * @param {?string} code - Raw country code
+ * @returns {?string} Upper-cased code, null when missing
+ */
+const normalizeCountryCode = (code) => {
+  if (typeof code !== 'string' || code.trim() === '') return null;
+  return code.trim().toUpperCase();
+};
+
+/**
+ * Group ranked nodes by country code, keeping global rank order within each country
+ * Nodes without a country code are left out
+ * @param {Array} nodes - Ranked nodes
+ * @returns {Map<string, Array>} country code -> nodes
+ */
+const groupByCountry = (nodes) => {
+  const countries = new Map();
+  [...nodes]
+    .sort((a, b) => a.rank - b.rank)
+    .forEach((node) => {
+      const code = normalizeCountryCode(node.countryCode);
+      if (!code) return;
+      if (!countries.has(code)) countries.set(code, []);
+      countries.get(code).push(node);
+    });
+  return countries;
+};
+
+/**
+ * Attach countryRank (1-based rank within the node's country) to every node
+ * countryRank is null for nodes without a country code
+ * @param {Array} nodes - Ranked nodes (mutated in place)
+ * @returns {Array} The same nodes
+ */
+const applyCountryRanks = (nodes) => {
+  nodes.forEach((node) => {
+    node.countryRank = null;
+  });
+
+  groupByCountry(nodes).forEach((countryNodes) => {
+    countryNodes.forEach((node, index) => {
+      node.countryRank = index + 1;
+    });
+  });
+
+  return nodes;
+};
+
+/**
+ * Summarize every country: node count, average score and top node
+ * @param {Array} nodes - Ranked nodes
+ * @returns {{ countries: Array, unknownNodes: number }} Countries ordered by node count (then code)
+ */
+const summarizeCountries = (nodes) => {
+  const grouped = groupByCountry(nodes);
+  let located = 0;
+
+  const countries = [...grouped.entries()].map(([countryCode, countryNodes]) => {
+    located += countryNodes.length;
+    const [top] = countryNodes;
+    const total = countryNodes.reduce((sum, node) => sum + node.reputationScore, 0);
+
+    return {
+      countryCode,
+      nodeCount: countryNodes.length,
+      averageScore: Math.round((total / countryNodes.length) * 100) / 100,
+      topNode: {
+        nodeId: top.nodeId,
+        deviceName: top.deviceName,
+        reputationScore: top.reputationScore,
+        status: top.status,
+        rank: top.rank,
+      },
+    };
+  });
+
+  countries.sort((a, b) => b.nodeCount - a.nodeCount || a.countryCode.localeCompare(b.countryCode));
+
+  return { countries, unknownNodes: nodes.length - located };
+};
+
+/**
+ * Get the nodes of one country in country-rank order, optionally narrowed to a region
+ * @param {Array} nodes - Ranked nodes with countryRank
+ * @param {string} code - Country code (case-insensitive)
+ * @param {string} [region] - Region name (case-insensitive)
+ * @returns {Array} Matching nodes
+ */
+const getCountryNodes = (nodes, code, region) => {
+  const countryNodes = groupByCountry(nodes).get(normalizeCountryCode(code)) || [];
+  if (!region) return countryNodes;
+
+  const wanted = region.trim().toLowerCase();
+  return countryNodes.filter((node) => typeof node.region === 'string' && node.region.toLowerCase() === wanted);
+};
+
+module.exports = {
+  normalizeCountryCode,
+  applyCountryRanks,
+  summarizeCountries,
+  getCountryNodes,
+};
@@ -0,0 +1,247 @@
+/**
+ * Heartbeat Validation
+ * Plausibility checks applied to self-reported heartbeats before they are rolled up
+ * (see buildRollupStages in rollups.js). Every heartbeat is checked for:
+ *
+ * - futureTimestamp: stamped later than it was received (createdAt) plus the allowed clock skew
+ * - duplicate: sent sooner than the minimum interval after the device's previous heartbeat
+ * - outOfRange: a metric outside its plausible range (negative values, CPU/memory/disk over
+ *   100%, network speed or latency over the configured maximum, negative uptime)
+ * - uptime: uptime claims a boot earlier than the latest boot an earlier heartbeat implied
+ *   (timestamp - uptime), so a forged jump stays implausible on every later heartbeat too
+ *
+ * Future and duplicate heartbeats are always rejected. Out-of-range values and inconsistent
+ * uptime are clamped (mode clamp: values over the maximum become the maximum, negative values
+ * are dropped as not reported, uptime counts from the latest implied boot) or reject the whole
+ * heartbeat (mode discard). Rejected heartbeats are counted per device but never scored.
+ */
+
+const HEARTBEAT_ISSUES = ['futureTimestamp', 'duplicate', 'outOfRange', 'uptime'];
+
+const VALIDATION_MODES = ['clamp', 'discard'];
+
+const DEFAULT_VALIDATION_RULES = {
+  mode: 'clamp',
+  maxNetworkSpeedMbps: 10000, // 10 Gbps
+  maxLatencyMs: 60000,
+  minIntervalMs: 5000,
+  maxClockSkewMs: 300000,
+  uptimeToleranceSeconds: 120,
+};
+
+// Heartbeats before a rollup range that are read as predecessors (duplicate and uptime checks)
+const VALIDATION_CONTEXT_MS = 3600000;
+
+// Rollup hours before a rollup range read for each device's latest implied boot time; a device
+// silent for longer starts over like a new one (its first uptime is taken as reported)
+const BOOT_TIME_LOOKBACK_MS = 86400000;
+
+// Share of a node's heartbeats that were rejected or adjusted, highest level first
+const DATA_QUALITY_LEVELS = [
+  { level: 'good', maxIssueRate: 0.02 },
+  { level: 'fair', maxIssueRate: 0.1 },
+  { level: 'poor', maxIssueRate: 1 },
+];
+
+/**
+ * Usage percentage expression: used/total * 100 when both are numbers and total > 0
+ * @param {string} path - Resource path (e.g. systemResources.memory)
+ * @returns {{ condition: Object, value: Object }}
+ */
+const usagePercent = (path) => ({
+  condition: {
+    $and: [
+      { $isNumber: `$${path}.used` },
+      { $isNumber: `$${path}.total` },
+      { $gt: [`$${path}.total`, 0] },
+    ],
+  },
+  value: { $multiply: [{ $divide: [`$${path}.used`, `$${path}.total`] }, 100] },
+});
+
+/**
+ * Reported metric values with their plausible maximum (null = no maximum)
+ * @param {Object} rules - Validation rules
+ * @returns {Object} name -> { condition, value, max }; value is only evaluated when condition holds
+ */
+const buildMetricSpecs = (rules) => {
+  const reported = (value, max) => ({ condition: { $isNumber: value }, value, max });
+
+  return {
+    networkSpeed: reported('$networkMetrics.speed', rules.maxNetworkSpeedMbps),
+    latency: reported('$networkMetrics.latency', rules.maxLatencyMs),
+    cpuUsage: reported('$systemResources.cpu.usage', 100),
+    memoryUsage: { ...usagePercent('systemResources.memory'), max: 100 },
+    diskUsage: { ...usagePercent('systemResources.storage'), max: 100 },
+    uptime: reported('$status.uptime', null),
+  };
+};
+
+/**
+ * Whether a reported value is outside [0, max]
+ * @param {Object} spec - { condition, value, max }
+ * @returns {Object} Aggregation expression
+ */
+const isOutOfRange = ({ condition, value, max }) => ({
+  $cond: [
+    condition,
+    { $or: [{ $lt: [value, 0] }, ...(max === null ? [] : [{ $gt: [value, max] }])] },
+    false,
+  ],
+});
+
+/**
+ * Value clamped into [0, max]; null when not reported or negative
+ * @param {Object} spec - { condition, value, max }
+ * @returns {Object} Aggregation expression
+ */
+const clampValue = ({ condition, value, max }) => ({
+  $cond: [
+    condition,
+    { $cond: [{ $gte: [value, 0] }, max === null ? value : { $min: [value, max] }, null] },
+    null,
+  ],
+});
+
+/**
+ * Whether a heartbeat is stamped later than it was received plus the allowed clock skew
+ * @param {Object} rules - Validation rules
+ * @returns {Object} Aggregation expression
+ */
+const isFutureTimestamp = (rules) => ({
+  $and: [
+    { $gt: ['$createdAt', null] },
+    { $gt: ['$timestamp', { $add: ['$createdAt', rules.maxClockSkewMs] }] },
+  ],
+});
+
+/**
+ * Boot time implied by a heartbeat: timestamp - uptime
+ * Null when uptime is not reported or negative, or the timestamp is in the future.
+ * @param {Object} rules - Validation rules
+ * @returns {Object} Aggregation expression
+ */
+const buildImpliedBootTime = (rules) => ({
+  $cond: [
+    {
+      $and: [
+        { $isNumber: '$status.uptime' },
+        { $gte: ['$status.uptime', 0] },
+        { $not: [isFutureTimestamp(rules)] },
+      ],
+    },
+    { $subtract: ['$timestamp', { $multiply: ['$status.uptime', 1000] }] },
+    null,
+  ],
+});
+
+/**
+ * Build the stages that check every heartbeat and decide what counts
+ * Input: heartbeats matched from VALIDATION_CONTEXT_MS before `from`, so the first heartbeats
+ * of the range still have a predecessor. Each device's latest boot time before the range is
+ * read from the bootTime of its rollups (anchorCollection), so uptime stays chained across runs.
+ * Output: heartbeats from `from` on, with issues (issue -> boolean), rejected, adjusted,
+ * impliedBootTime, bootTimeFloor and validated (metric values to roll up, plus uptime).
+ * @param {Object} rules - Validation rules (see DEFAULT_VALIDATION_RULES)
+ * @param {?Date} from - Start of the rollup range; earlier heartbeats are context only
+ * @param {Object} [options]
+ * @param {string} [options.anchorCollection] - Rollup collection holding bootTime per device hour
+ * @returns {Array} MongoDB aggregation stages
+ */
+const buildValidationStages = (rules, from, { anchorCollection } = {}) => {
+  const specs = buildMetricSpecs(rules);
+  const hasPrevious = { $gt: ['$previousTimestamp', null] };
+  const unrecoverable = { $or: ['$issues.futureTimestamp', '$issues.duplicate'] };
+
+  // One document per device carrying its latest boot time, sorted before the context heartbeats
+  const anchorStages = from && anchorCollection ? [{
+    $unionWith: {
+      coll: anchorCollection,
+      pipeline: [
+        {
+          $match: {
+            hour: { $gte: new Date(from.getTime() - BOOT_TIME_LOOKBACK_MS), $lt: from },
+            bootTime: { $type: 'date' },
+          },
+        },
+        { $group: { _id: '$deviceId', bootTime: { $max: '$bootTime' } } },
+        {
+          $project: {
+            _id: 0,
+            deviceId: '$_id',
+            timestamp: { $literal: new Date(from.getTime() - VALIDATION_CONTEXT_MS - 1) },
+            anchor: { $literal: true },
+            impliedBootTime: '$bootTime',
+          },
+        },
+      ],
+    },
+  }] : [];
+
+  return [
+    ...anchorStages,
+    { $addFields: { impliedBootTime: { $cond: ['$anchor', '$impliedBootTime', buildImpliedBootTime(rules)] } } },
+    // Previous heartbeat of the same device, latest boot time implied before this heartbeat
+    {
+      $setWindowFields: {
+        partitionBy: '$deviceId',
+        sortBy: { timestamp: 1 },
+        output: {
+          previousTimestamp: { $shift: { output: { $cond: ['$anchor', null, '$timestamp'] }, by: -1 } },
+          bootTimeFloor: { $max: '$impliedBootTime', window: { documents: ['unbounded', -1] } },
+        },
+      },
+    },
+    // Also drops the anchor documents, which sort before the range
+    ...(from ? [{ $match: { timestamp: { $gte: from } } }] : []),
+    {
+      $addFields: {
+        issues: {
+          futureTimestamp: isFutureTimestamp(rules),
+          duplicate: {
+            $and: [hasPrevious, { $lt: [{ $subtract: ['$timestamp', '$previousTimestamp'] }, rules.minIntervalMs] }],
+          },
+          outOfRange: { $or: Object.values(specs).map(isOutOfRange) },
+          uptime: {
+            $and: [
+              { $gt: ['$impliedBootTime', null] },
+              { $gt: ['$bootTimeFloor', null] },
+              { $lt: ['$impliedBootTime', { $subtract: ['$bootTimeFloor', rules.uptimeToleranceSeconds * 1000] }] },
+            ],
+          },
+        },
+      },
+    },
+    {
+      $addFields: {
+        rejected: rules.mode === 'discard'
+          ? { $or: HEARTBEAT_ISSUES.map((issue) => `$issues.${issue}`) }
+          : unrecoverable,
+        adjusted: rules.mode === 'discard'
+          ? { $literal: false }
+          : { $and: [{ $not: [unrecoverable] }, { $or: ['$issues.outOfRange', '$issues.uptime'] }] },
+        validated: {
+          ...Object.fromEntries(Object.entries(specs).map(([name, spec]) => [name, clampValue(spec)])),
+          // Inconsistent uptime counts from the latest implied boot
+          uptime: {
+            $cond: [
+              '$issues.uptime',
+              { $max: [{ $divide: [{ $subtract: ['$timestamp', '$bootTimeFloor'] }, 1000] }, 0] },
+              clampValue(specs.uptime),
+            ],
+          },
+        },
+      },
+    },
+  ];
+};
+
+module.exports = {
+  HEARTBEAT_ISSUES,
+  VALIDATION_MODES,
+  DEFAULT_VALIDATION_RULES,
+  VALIDATION_CONTEXT_MS,
+  BOOT_TIME_LOOKBACK_MS,
+  DATA_QUALITY_LEVELS,
+  buildValidationStages,
+};
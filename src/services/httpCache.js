@@ -0,0 +1,95 @@
+/**
+ * HTTP Cache Helpers
+ * Validators (ETag, Last-Modified), freshness and conditional GET for responses built
+ * from the cached leaderboard, which only changes when a new computation lands
+ */
+
+/**
+ * Strong ETag for a window's cached computation
+ * @param {string} window - Leaderboard window
+ * @param {Date} timestamp - Cache timestamp
+ * @returns {string} Quoted entity tag
+ */
+const getEtag = (window, timestamp) => `"lb-${window}-${new Date(timestamp).getTime()}"`;
+
+/**
+ * Seconds until the next scheduled computation (how long a response stays fresh)
+ * @param {Date} timestamp - Cache timestamp
+ * @param {number} intervalMs - Update interval
+ * @param {Date} now
+ * @returns {number} 0 when the next computation is already due
+ */
+const getMaxAgeSeconds = (timestamp, intervalMs, now) => {
+  const remainingMs = new Date(timestamp).getTime() + intervalMs - now.getTime();
+  return Math.max(Math.floor(remainingMs / 1000), 0);
+};
+
+/**
+ * Whether the client's copy is current (RFC 9110: If-None-Match takes precedence over If-Modified-Since)
+ * @param {Object} headers - Request headers
+ * @param {Object} validators - { etag, lastModified }
+ * @returns {boolean}
+ */
+const isNotModified = (headers, { etag, lastModified }) => {
+  const ifNoneMatch = headers['if-none-match'];
+  if (ifNoneMatch) {
+    if (ifNoneMatch.trim() === '*') return true;
+    // Weak comparison, as required for If-None-Match
+    return ifNoneMatch
+      .split(',')
+      .map((tag) => tag.trim().replace(/^W\//, ''))
+      .includes(etag);
+  }
+
+  const ifModifiedSince = headers['if-modified-since'];
+  if (ifModifiedSince) {
+    const since = Date.parse(ifModifiedSince);
+    // HTTP dates have second precision
+    return !Number.isNaN(since) && Math.floor(lastModified.getTime() / 1000) * 1000 <= since;
+  }
+
+  return false;
+};
+
+/**
+ * Set ETag, Last-Modified and Cache-Control for a response built from a cached window,
+ * and answer 304 Not Modified when the client's copy is current
+ * Responses need an API key, so they are private: only the client's own cache may store them,
+ * never a shared cache (CDN, proxy) that could serve them to callers without a key.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} leaderboard - getLeaderboard result ({ window, timestamp })
+ * @param {number} intervalMs - Update interval
+ * @returns {boolean} true when a 304 was sent and the handler should stop
+ */
+const handleConditionalGet = (req, res, leaderboard, intervalMs) => {
+  res.vary('X-API-Key');
+
+  if (!leaderboard.timestamp) {
+    res.set('Cache-Control', 'no-cache');
+    return false;
+  }
+
+  const validators = {
+    etag: getEtag(leaderboard.window, leaderboard.timestamp),
+    lastModified: new Date(leaderboard.timestamp),
+  };
+
+  res.set('ETag', validators.etag);
+  res.set('Last-Modified', validators.lastModified.toUTCString());
+  res.set('Cache-Control', `private, max-age=${getMaxAgeSeconds(leaderboard.timestamp, intervalMs, new Date())}`);
+
+  if ((req.method === 'GET' || req.method === 'HEAD') && isNotModified(req.headers, validators)) {
+    res.status(304).end();
+    return true;
+  }
+
+  return false;
+};
+
+module.exports = {
+  getEtag,
+  getMaxAgeSeconds,
+  isNotModified,
+  handleConditionalGet,
+};
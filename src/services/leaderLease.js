@@ -0,0 +1,190 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const { logger } = require('../config/logger');
+
+/**
+ * Leader Lease Service
+ * Elects one instance to recompute the leaderboard through a lease document in MongoDB.
+ * The holder renews the lease while it runs; when it stops renewing (crash, network
+ * partition) the lease expires and another instance takes over. Expiry is compared
+ * against the database clock ($$NOW), so clock skew between instances does not matter.
+ */
+
+const LEASE_COLLECTION = 'leaderboard_locks';
+const LEASE_ID = 'leaderboard_update';
+
+class LeaderLeaseService {
+  /**
+   * @param {string} [instanceId] - Identifies this instance in the lease (defaults to LEADERBOARD_INSTANCE_ID, then host:pid)
+   */
+  constructor(instanceId = process.env.LEADERBOARD_INSTANCE_ID || `${os.hostname()}:${process.pid}`) {
+    this.collection = null;
+    this.instanceId = instanceId;
+    this.isLeader = false;
+    this.lease = null; // Last lease document seen by this instance
+  }
+
+  /**
+   * Initialize the lease collection
+   */
+  async initialize() {
+    try {
+      this.collection = mongoose.connection.db.collection(LEASE_COLLECTION);
+      logger.info(`✅ Leader lease service initialized (instance ${this.instanceId})`);
+      return true;
+    } catch (error) {
+      logger.error('❌ Failed to initialize leader lease service', error);
+      return false;
+    }
+  }
+
+  /**
+   * How long a lease stays valid without renewal (milliseconds)
+   */
+  getTtlMs() {
+    return parseInt(process.env.LEADERBOARD_LEASE_TTL_MS, 10) || 30000;
+  }
+
+  /**
+   * How often the holder renews its lease (and standbys try to take it over)
+   */
+  getRenewIntervalMs() {
+    return Math.max(Math.floor(this.getTtlMs() / 3), 1000);
+  }
+
+  /**
+   * Acquire the lease, or renew it when this instance already holds it
+   * @returns {Promise<boolean>} Whether this instance holds the lease
+   */
+  async acquire() {
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    const instanceId = this.instanceId;
+    let lease;
+    try {
+      lease = await this.collection.findOneAndUpdate(
+        {
+          _id: LEASE_ID,
+          $or: [
+            { holder: instanceId },
+            { $expr: { $lte: ['$expiresAt', '$$NOW'] } }, // Expired (or never held)
+          ],
+        },
+        [{
+          $set: {
+            // acquiredAt only moves when the holder changes
+            acquiredAt: { $cond: [{ $eq: ['$holder', instanceId] }, '$acquiredAt', '$$NOW'] },
+            holder: instanceId,
+            renewedAt: '$$NOW',
+            expiresAt: { $add: ['$$NOW', this.getTtlMs()] },
+          },
+        }],
+        { upsert: true, returnDocument: 'after' }
+      );
+    } catch (error) {
+      // Lease held by another instance: the upsert collides with the existing document
+      if (error.code !== 11000) {
+        throw error;
+      }
+      lease = null;
+    }
+
+    const wasLeader = this.isLeader;
+    this.isLeader = Boolean(lease);
+
+    if (lease) {
+      this.lease = lease;
+      if (!wasLeader) {
+        logger.info(`👑 Leaderboard update lease acquired by ${instanceId} (expires ${lease.expiresAt.toISOString()})`);
+      }
+    } else {
+      if (wasLeader) {
+        logger.warn(`⚠️ Leaderboard update lease lost by ${instanceId}`);
+      }
+      this.lease = await this.collection.findOne({ _id: LEASE_ID });
+    }
+
+    return this.isLeader;
+  }
+
+  /**
+   * Give up the lease (on shutdown) so another instance can take over immediately
+   */
+  async release() {
+    if (!this.collection || !this.isLeader) return;
+
+    this.isLeader = false;
+    try {
+      await this.collection.updateOne(
+        { _id: LEASE_ID, holder: this.instanceId },
+        [{ $set: { expiresAt: '$$NOW', releasedAt: '$$NOW' } }]
+      );
+      logger.info(`👑 Leaderboard update lease released by ${this.instanceId}`);
+    } catch (error) {
+      logger.error('❌ Failed to release leaderboard update lease', error);
+    }
+  }
+
+  /**
+   * Ask the lease holder to recompute on its next renewal
+   */
+  async requestRefresh() {
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    await this.collection.updateOne(
+      { _id: LEASE_ID },
+      [{ $set: { refreshRequestedAt: '$$NOW', refreshRequestedBy: this.instanceId } }],
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Publish the holder's update status so every replica can report it (readiness)
+   * @param {Object} updateStatus - From the leaderboard service
+   */
+  async recordUpdateStatus(updateStatus) {
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    await this.collection.updateOne(
+      { _id: LEASE_ID, holder: this.instanceId },
+      { $set: { updateStatus } }
+    );
+  }
+
+  /**
+   * Lease state for /health, and the last update status published by a holder
+   * @returns {Promise<Object>} { instanceId, role, holder, acquiredAt, renewedAt, expiresAt, ttlMs, updateStatus }
+   */
+  async getStatus() {
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    const lease = await this.collection.findOne({ _id: LEASE_ID });
+    const isLeader = Boolean(lease && lease.holder === this.instanceId && lease.expiresAt > new Date());
+
+    return {
+      instanceId: this.instanceId,
+      role: isLeader ? 'leader' : 'standby',
+      holder: lease && lease.expiresAt > new Date() ? lease.holder : null,
+      acquiredAt: lease ? lease.acquiredAt || null : null,
+      renewedAt: lease ? lease.renewedAt || null : null,
+      expiresAt: lease ? lease.expiresAt || null : null,
+      ttlMs: this.getTtlMs(),
+      updateStatus: lease ? lease.updateStatus || null : null,
+    };
+  }
+}
+
+// Export singleton instance
+const leaderLeaseService = new LeaderLeaseService();
+module.exports = leaderLeaseService;
+module.exports.LeaderLeaseService = LeaderLeaseService;
+module.exports.LEASE_COLLECTION = LEASE_COLLECTION;
+module.exports.LEASE_ID = LEASE_ID;
@@ -1,17 +1,84 @@
 // services/leaderboardService.js
+const EventEmitter = require('events');
+const { randomUUID } = require('crypto');
 const mongoose = require('mongoose');
-const DeviceHeartbeat = require('../models/deviceHeartbeat');
+const snapshotService = require('./snapshots');
+const rankingService = require('./rankings');
+const rollupService = require('./rollups');
+const clusterService = require('./clusters');
+const webhookService = require('./webhooks');
+const leaderLeaseService = require('./leaderLease');
+const metricsService = require('./metrics');
+const { MOVEMENT_WINDOWS, toBaseline, applyMovement, diffRanking } = require('./movement');
+const {
+  buildScoringStages,
+  buildRankingStages,
+  buildPublicProjection,
+  buildExplainProjection,
+} = require('./scoringPipeline');
+const { LEADERBOARD_WINDOWS, DEFAULT_WINDOW } = require('./windows');
+const { applyCountryRanks } = require('./geography');
+const { getStaleAfterMs } = require('./readiness');
+const { getScoringProfile } = require('../config/scoring');
+const { logger } = require('../config/logger');
+
+// Fields of the previous run needed for movement baselines and webhook events
+const BASELINE_FIELDS = ['nodeId', 'rank', 'reputationScore', 'status', 'hoursSinceLastSeen'];
+
+/**
+ * Count ranked nodes per status
+ * @param {Array} nodes - Ranked nodes
+ * @returns {Object} status -> count
+ */
+const countByStatus = (nodes) => nodes.reduce((counts, node) => {
+  const status = node.status || 'unknown';
+  counts[status] = (counts[status] || 0) + 1;
+  return counts;
+}, {});
+
+/**
+ * Update status before any run has finished
+ * @returns {Object}
+ */
+const createUpdateStatus = () => ({
+  lastRunAt: null,
+  lastRunBy: null, // Instance that ran it
+  lastRunId: null,
+  lastRunDurationMs: null,
+  lastSuccessAt: null,
+  lastFailureAt: null,
+  lastFailure: null, // { window, message }
+  consecutiveFailures: 0,
+});
+
+/**
+ * Cache document ID for a window (all-time keeps the original ID)
+ * @param {string} window - Window name
+ * @returns {string}
+ */
+const getCacheId = (window) => (window === 'all' ? 'leaderboard_cache' : `leaderboard_cache_${window}`);
 
 /**
  * Leaderboard Service
- * Calculates and caches node reputation scores based on heartbeat data
+ * Calculates and caches node reputation scores from hourly heartbeat rollups
  */
 class LeaderboardService {
   constructor() {
     this.cacheCollection = null;
     this.updateInterval = null;
+    this.leaseInterval = null;
     this.isRunning = false;
     this.isUpdating = false;
+    this.updateQueued = false; // A forced update arrived during a run: run again after it
+    this.lastRanked = {}; // window -> { nodes, at } from the previous run
+    this.events = new EventEmitter(); // 'update' after each window's cache is written
+    this.handledRefreshAt = null; // Last refresh request (from another instance) acted on
+    this.seenCacheTimestamps = null; // window -> cache timestamp last relayed (standby instances)
+    this.memory = new Map(); // window -> { loading, loadedAt }: in-process copy of the cache document (and nodes once read)
+    this.updateStatus = createUpdateStatus(); // Outcome of recent runs (lease holder), published through the lease
+
+    // A newer computation (this instance's or relayed from the leader) replaces the in-process copy
+    this.events.on('update', (update) => this.memory.delete(update.window));
   }
 
   /**
@@ -22,13 +89,37 @@ class LeaderboardService {
       // Create cache collection if it doesn't exist
       this.cacheCollection = mongoose.connection.db.collection('leaderboard_cache');
 
-      // Create TTL index for automatic cleanup
-      await this.cacheCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      // Cache documents hold the active ranking version, so they must never expire; drop the TTL
+      // index earlier releases created (ranking versions are pruned explicitly instead)
+      try {
+        await this.cacheCollection.dropIndex('expiresAt_1');
+      } catch (error) {
+        // 26: NamespaceNotFound, 27: IndexNotFound (fresh database)
+        if (error.code !== 26 && error.code !== 27) throw error;
+      }
+
+      // Per-node ranking versions (the cache documents point at the active one)
+      await rankingService.initialize();
+
+      // Snapshot history collection
+      await snapshotService.initialize();
+
+      // Hourly heartbeat rollups (scoring input)
+      await rollupService.initialize();
 
-      console.log('✅ Leaderboard service initialized');
+      // Suspected Sybil clusters (detected from the rollups)
+      await clusterService.initialize();
+
+      // Webhook subscriptions and delivery queue
+      await webhookService.initialize();
+
+      // Leader election across replicas
+      await leaderLeaseService.initialize();
+
+      logger.info('✅ Leaderboard service initialized');
       return true;
     } catch (error) {
-      console.error('❌ Failed to initialize leaderboard service:', error);
+      logger.error('❌ Failed to initialize leaderboard service', error);
       return false;
     }
   }
@@ -38,23 +129,42 @@ class LeaderboardService {
    */
   start() {
     if (this.isRunning) {
-      console.log('⚠️  Leaderboard service already running');
+      logger.warn('⚠️  Leaderboard service already running');
       return;
     }
 
     this.isRunning = true;
-    console.log('🚀 Starting leaderboard service...');
+    logger.info('🚀 Starting leaderboard service...');
 
     // Initial calculation
     this.updateLeaderboard();
 
     // Set up periodic updates every 60 seconds (increased from 30s for standalone service)
-    const updateIntervalMs = process.env.LEADERBOARD_UPDATE_INTERVAL_MS || 60000;
+    const updateIntervalMs = this.getUpdateIntervalMs();
     this.updateInterval = setInterval(() => {
       this.updateLeaderboard();
     }, updateIntervalMs);
 
-    console.log(`💓 Leaderboard service started - updating every ${updateIntervalMs / 1000} seconds`);
+    // Renew the update lease (leader) or watch for an expired one and for new results (standby)
+    this.leaseInterval = setInterval(() => {
+      this.checkLease();
+    }, leaderLeaseService.getRenewIntervalMs());
+
+    logger.info(`💓 Leaderboard service started - updating every ${updateIntervalMs / 1000} seconds (lease holder only)`);
+  }
+
+  /**
+   * Interval between computations in milliseconds (also how long cached responses stay fresh)
+   */
+  getUpdateIntervalMs() {
+    return parseInt(process.env.LEADERBOARD_UPDATE_INTERVAL_MS, 10) || 60000;
+  }
+
+  /**
+   * Cache age after which an instance stops reporting ready (a multiple of the update interval)
+   */
+  getStaleAfterMs() {
+    return getStaleAfterMs(this.getUpdateIntervalMs(), parseFloat(process.env.LEADERBOARD_STALE_AFTER_INTERVALS) || 3);
   }
 
   /**
@@ -63,7 +173,7 @@ class LeaderboardService {
   stop() {
     if (!this.isRunning) return;
 
-    console.log('🛑 Stopping leaderboard service...');
+    logger.info('🛑 Stopping leaderboard service...');
     this.isRunning = false;
 
     if (this.updateInterval) {
@@ -71,633 +181,649 @@ class LeaderboardService {
       this.updateInterval = null;
     }
 
+    if (this.leaseInterval) {
+      clearInterval(this.leaseInterval);
+      this.leaseInterval = null;
+    }
+
     // Wait for any ongoing update to complete
     if (this.isUpdating) {
-      console.log('⏳ Waiting for ongoing leaderboard update to complete...');
+      logger.info('⏳ Waiting for ongoing leaderboard update to complete...');
       // Give ongoing operations a chance to complete gracefully
       let waitCount = 0;
       const checkInterval = setInterval(() => {
         waitCount++;
         if (!this.isUpdating || waitCount > 10) { // Max 5 seconds wait
           clearInterval(checkInterval);
-          console.log('🛑 Leaderboard service stopped');
+          logger.info('🛑 Leaderboard service stopped');
         }
       }, 500);
     } else {
-      console.log('🛑 Leaderboard service stopped');
+      logger.info('🛑 Leaderboard service stopped');
     }
   }
 
   /**
    * Calculate and update the leaderboard cache
+   * @param {Object} [options]
+   * @param {boolean} [options.queueIfBusy=false] - When an update is already running, run again once it finishes
+   * @returns {Promise<{ performed: boolean, reason: ?string, queued?: boolean, failure?: ?Object }>}
+   *   performed: a run completed on this instance (failure: first window that failed); otherwise
+   *   reason is stopping, in_progress, not_initialized, standby, lease_lost or failed
    */
-  async updateLeaderboard() {
+  async updateLeaderboard({ queueIfBusy = false } = {}) {
     // Check if service is shutting down
     if (!this.isRunning) {
-      console.log('⚠️ Leaderboard service is stopping, skipping update');
-      return;
+      logger.info('⚠️ Leaderboard service is stopping, skipping update');
+      return { performed: false, reason: 'stopping' };
     }
 
     if (this.isUpdating) {
-      console.log('⚠️ Leaderboard update already in progress, skipping...');
-      return;
+      if (queueIfBusy) {
+        this.updateQueued = true;
+        logger.info('⏳ Leaderboard update in progress, another run will follow it');
+        return { performed: false, reason: 'in_progress', queued: true };
+      }
+      logger.warn('⚠️ Leaderboard update already in progress, skipping...');
+      metricsService.recordSkippedUpdate('in_progress');
+      return { performed: false, reason: 'in_progress' };
     }
 
     // Check if service is initialized
     if (!this.cacheCollection) {
-      console.error('❌ Leaderboard service not initialized, skipping update');
-      return;
+      logger.error('❌ Leaderboard service not initialized, skipping update');
+      return { performed: false, reason: 'not_initialized' };
     }
 
     this.isUpdating = true;
+    let result;
+    try {
+      // Every entry logged by this run (including webhook, snapshot and ranking services) carries its ID
+      result = await logger.withContext({ runId: randomUUID() }, () => this.runUpdate());
+    } finally {
+      this.isUpdating = false;
+    }
+
+    // The queued run may pick up heartbeats the finished one started too early to see
+    if (this.updateQueued) {
+      this.updateQueued = false;
+      this.updateLeaderboard();
+    }
+
+    return result;
+  }
+
+  /**
+   * One recomputation: rollups, then every window (called by updateLeaderboard only)
+   * @returns {Promise<Object>} Outcome, as returned by updateLeaderboard
+   */
+  async runUpdate() {
+    let runStartedAt = null;
+    let failure = null; // First window that failed
     try {
-      console.log('🔄 Calculating leaderboard...');
+      // Only the lease holder recomputes; other replicas serve the shared cache
+      if (!(await this.acquireLease())) {
+        const holder = leaderLeaseService.lease ? leaderLeaseService.lease.holder : 'unknown';
+        logger.debug(`⏸️ Leaderboard update skipped - lease held by ${holder}`, { holder });
+        metricsService.recordSkippedUpdate('standby');
+        return { performed: false, reason: 'standby' };
+      }
+
+      logger.info('🔄 Calculating leaderboard...');
 
       // Early exit check during calculation
       if (!this.isRunning) {
-        console.log('⚠️ Leaderboard service stopping, aborting update');
-        return;
+        logger.info('⚠️ Leaderboard service stopping, aborting update');
+        return { performed: false, reason: 'stopping' };
       }
 
-      const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
-
-      // MongoDB aggregation pipeline to calculate reputation scores
-      const leaderboard = await DeviceHeartbeat.aggregate([
-        // 1) Bucket by hour to count DISTINCT online hours (fair availability)
-        {
-          $addFields: {
-            hourBucket: { $dateTrunc: { date: '$timestamp', unit: 'hour' } },
-            isRecent: { $gte: ['$timestamp', twoDaysAgo] },
-          },
-        },
-
-        // 2) Group by device, compute metrics
-        {
-          $group: {
-            _id: '$deviceId',
-
-            // DISTINCT hours online in the 7d window
-            hoursOnlineSet: { $addToSet: '$hourBucket' },
-
-            // Activity
-            totalHeartbeats: { $sum: 1 },
-            recentHeartbeats: {
-              $sum: { $cond: [{ $eq: ['$isRecent', true] }, 1, 0] },
-            },
-
-            // Network metrics: only average when present
-            avgNetworkSpeed: {
-              $avg: {
-                $cond: [{ $gt: ['$networkMetrics.speed', null] }, '$networkMetrics.speed', null],
-              },
-            },
-            avgLatency: {
-              $avg: {
-                $cond: [{ $gt: ['$networkMetrics.latency', null] }, '$networkMetrics.latency', null],
-              },
-            },
-
-            // System resource metrics (keep optional)
-            avgCpuUsageRaw: {
-              $avg: {
-                $cond: [{ $gt: ['$systemResources.cpu.usage', null] }, '$systemResources.cpu.usage', null],
-              },
-            },
-            avgMemoryUsage: {
-              $avg: {
-                $cond: [
-                  {
-                    $and: [
-                      { $gt: ['$systemResources.memory.used', null] },
-                      { $gt: ['$systemResources.memory.total', null] },
-                      { $gt: ['$systemResources.memory.total', 0] },
-                    ],
-                  },
-                  {
-                    $multiply: [{ $divide: ['$systemResources.memory.used', '$systemResources.memory.total'] }, 100],
-                  },
-                  null,
-                ],
-              },
-            },
-            avgDiskUsage: {
-              $avg: {
-                $cond: [
-                  {
-                    $and: [
-                      { $gt: ['$systemResources.storage.used', null] },
-                      { $gt: ['$systemResources.storage.total', null] },
-                      { $gt: ['$systemResources.storage.total', 0] },
-                    ],
-                  },
-                  {
-                    $multiply: [{ $divide: ['$systemResources.storage.used', '$systemResources.storage.total'] }, 100],
-                  },
-                  null,
-                ],
-              },
-            },
-
-            // Time tracking
-            lastSeen: { $max: '$timestamp' },
-            firstSeen: { $min: '$timestamp' },
-
-            // Uptime
-            maxUptime: { $max: '$status.uptime' },
-          },
-        },
-
-        // 3) Lookup device info once (name/country/createdAt/walletAddress)
-        {
-          $lookup: {
-            from: 'devices',
-            localField: '_id',
-            foreignField: 'deviceId',
-            as: 'deviceInfoArr',
-          },
-        },
-        { $addFields: { 
-          deviceInfo: { $arrayElemAt: ['$deviceInfoArr', 0] },
-          walletAddress: { $arrayElemAt: ['$deviceInfoArr.walletAddress', 0] }
-        } },
-
-        // 4) Derived metrics + scores
-        {
-          $addFields: {
-            // Hours online over full history
-            distinctOnlineHours: { $size: { $ifNull: ['$hoursOnlineSet', []] } },
-            daysObserved: {
-              $max: [{ $divide: [{ $subtract: ['$lastSeen', '$firstSeen'] }, 86400000] }, 0],
-            },
-            normalizedDaysObserved: { $max: ['$daysObserved', 1] },
-            hoursOnlinePerDay: {
-              $divide: [{ $ifNull: ['$distinctOnlineHours', 0] }, { $max: ['$daysObserved', 1] }],
-            },
-
-            // Recency
-            hoursSinceLastSeen: {
-              $divide: [{ $subtract: ['$$NOW', '$lastSeen'] }, 3600000],
-            },
-
-            // Minimum "has been truly online" gate: 30 mins in any single streak
-            meetsMinimumUptime: { $gte: [{ $ifNull: ['$maxUptime', 0] }, 1800] },
-
-            // 30-day requirement flag (for your FE)
-            // Uses ORIGINAL createdAt (not affected by resets)
-            meetsThirtyDayRequirement: {
-              $cond: [
-                { $ifNull: ['$deviceInfo.createdAt', false] },
-                { $gte: [{ $divide: [{ $subtract: ['$$NOW', '$deviceInfo.createdAt'] }, 86400000] }, 30] },
-                false,
-              ],
-            },
-
-            // Grace period - checks BOTH manual grace flag AND natural device age
-            // During grace period, prevents dropping more than one tier from excellent
-            // Grace is active if:
-            // 1. Device is explicitly in grace period (isInGracePeriod=true AND before gracePeriodEndsAt), OR
-            // 2. Device is naturally new (≤7 days since createdAt)
-            isNewNode: {
-              $or: [
-                // Manual grace period from reset
-                {
-                  $and: [
-                    { $eq: [{ $ifNull: ['$deviceInfo.isInGracePeriod', false] }, true] },
-                    { $lt: ['$$NOW', { $ifNull: ['$deviceInfo.gracePeriodEndsAt', new Date(0)] }] }
-                  ]
-                },
-                // Natural grace period for genuinely new devices (≤7 days old)
-                {
-                  $and: [
-                    { $ifNull: ['$deviceInfo.createdAt', false] },
-                    { $lte: [{ $divide: [{ $subtract: ['$$NOW', '$deviceInfo.createdAt'] }, 86400000] }, 7] }
-                  ]
-                }
-              ]
-            },
-
-            // Normalize CPU usage (keep null if missing; neutrality handled later)
-            avgCpuUsage: { $ifNull: ['$avgCpuUsageRaw', null] },
-
-            // Cap uptime at 24h (in seconds)
-            cappedMaxUptime: { $min: [{ $ifNull: ['$maxUptime', 0] }, 86400] },
-          },
-        },
-
-        // 5) Component scores — REBALANCED WEIGHTS (sum = 100)
-        {
-          $addFields: {
-            // AVAILABILITY (0..45): distinct hours online dominates rank
-            availabilityScore: {
-              $cond: [
-                { $lt: [{ $ifNull: ['$maxUptime', 0] }, 1800] },
-                0,
-                {
-                  $multiply: [
-                    { $min: [{ $divide: [{ $ifNull: ['$hoursOnlinePerDay', 0] }, 22] }, 1] }, // target ~22h/day
-                    45,
-                  ],
-                },
-              ],
-            },
-
-            // NETWORK (0..30): 20 throughput + 10 latency
-            networkQualityScore: {
-              $add: [
-                {
-                  $multiply: [{ $min: [{ $divide: [{ $ifNull: ['$avgNetworkSpeed', 0] }, 400] }, 1] }, 20],
-                },
-                {
-                  $multiply: [
-                    {
-                      $max: [{ $subtract: [1, { $divide: [{ $ifNull: ['$avgLatency', 200] }, 200] }] }, 0],
-                    },
-                    10,
-                  ],
-                },
-              ],
-            },
-
-            // RESOURCE HEADROOM (0..10): small influence, prevents unfair swings
-            resourceHeadroomScore: {
-              $add: [
-                {
-                  $multiply: [
-                    { $max: [{ $subtract: [1, { $divide: [{ $ifNull: ['$avgCpuUsage', 50] }, 100] }] }, 0] },
-                    6,
-                  ],
-                },
-                {
-                  $multiply: [
-                    { $max: [{ $subtract: [1, { $divide: [{ $ifNull: ['$avgMemoryUsage', 50] }, 100] }] }, 0] },
-                    3,
-                  ],
-                },
-                {
-                  $multiply: [
-                    { $max: [{ $subtract: [1, { $divide: [{ $ifNull: ['$avgDiskUsage', 50] }, 100] }] }, 0] },
-                    1,
-                  ],
-                },
-              ],
-            },
-
-            // CONSISTENCY (0..15): 12 coverage + 3 recency
-            consistencyScore: {
-              $add: [
-                // Coverage target: 80% of 168 hours (~134 h)
-                {
-                  $multiply: [
-                    {
-                      $min: [
-                        {
-                          $divide: [
-                            { $ifNull: ['$distinctOnlineHours', 0] },
-                            { $max: [{ $multiply: [{ $ifNull: ['$normalizedDaysObserved', 1] }, 24, 0.8] }, 1] },
-                          ],
-                        },
-                        1,
-                      ],
-                    },
-                    12,
-                  ],
-                },
-                // Recency decay: full at 0h, zero at 72h (small weight)
-                {
-                  $cond: [
-                    { $gt: [{ $ifNull: ['$hoursSinceLastSeen', 10000] }, 72] },
-                    0,
-                    {
-                      $multiply: [
-                        {
-                          $max: [{ $subtract: [1, { $divide: [{ $ifNull: ['$hoursSinceLastSeen', 0] }, 72] }] }, 0],
-                        },
-                        3,
-                      ],
-                    },
-                  ],
-                },
-              ],
-            },
-          },
-        },
-
-        // 6) Final reputation (rounded first to ensure status alignment)
-        // TOP-DOWN MODEL: New nodes start at 100, then degrade based on performance
-        {
-          $addFields: {
-            calculatedScore: {
-              $add: ['$availabilityScore', '$networkQualityScore', '$resourceHeadroomScore', '$consistencyScore']
-            },
-            reputationScore: {
-              $round: [
-                {
-                  $cond: [
-                    // If new node (≤7 days) AND has minimal/no data, seed at 100
-                    {
-                      $and: [
-                        { $eq: ['$isNewNode', true] },
-                        { $lte: [{ $ifNull: ['$totalHeartbeats', 0] }, 10] } // Less than 10 heartbeats
-                      ]
-                    },
-                    100, // Seed new nodes at maximum reputation
-                    // Otherwise use calculated score
-                    { $add: ['$availabilityScore', '$networkQualityScore', '$resourceHeadroomScore', '$consistencyScore'] }
-                  ]
-                },
-                2
-              ],
-            },
-          },
-        },
-
-        // 7) Assign rank badge and status based on rounded score
-        // TOP-DOWN MODEL: Start at excellent, degrade down based on performance decay
-        {
-          $addFields: {
-            // Calculate base status from reputation score (excellent → good → average → poor)
-            baseStatus: {
-              $switch: {
-                branches: [
-                  { case: { $gte: ['$reputationScore', 75] }, then: 'excellent' },
-                  { case: { $gte: ['$reputationScore', 55] }, then: 'good' },
-                  { case: { $gte: ['$reputationScore', 40] }, then: 'average' },
-                  { case: { $lt: ['$reputationScore', 40] }, then: 'poor' },
-                ],
-                default: 'excellent', // Default to excellent (new nodes with no data)
-              },
-            },
-            // Apply grace period: during first 7 days, prevent dropping more than 1 tier
-            status: {
-              $cond: [
-                { $eq: ['$isNewNode', true] },
-                // Grace period active: clamp status to at worst 'good' (1 tier drop from excellent)
-                {
-                  $switch: {
-                    branches: [
-                      { case: { $gte: ['$reputationScore', 75] }, then: 'excellent' },
-                      { case: { $gte: ['$reputationScore', 55] }, then: 'good' },
-                      // During grace, prevent falling below 'good' even if score < 55
-                      { case: { $lt: ['$reputationScore', 55] }, then: 'good' },
-                    ],
-                    default: 'excellent',
-                  },
-                },
-                // No grace period: apply full status based on score
-                {
-                  $switch: {
-                    branches: [
-                      { case: { $gte: ['$reputationScore', 75] }, then: 'excellent' },
-                      { case: { $gte: ['$reputationScore', 55] }, then: 'good' },
-                      { case: { $gte: ['$reputationScore', 40] }, then: 'average' },
-                      { case: { $lt: ['$reputationScore', 40] }, then: 'poor' },
-                    ],
-                    default: 'excellent',
-                  },
-                },
-              ],
-            },
-            // Rank badge matches status
-            rankBadge: {
-              $cond: [
-                { $eq: ['$isNewNode', true] },
-                // Grace period badges
-                {
-                  $switch: {
-                    branches: [
-                      { case: { $gte: ['$reputationScore', 75] }, then: '🏆 Excellent' },
-                      { case: { $gte: ['$reputationScore', 55] }, then: '😊 Good' },
-                      { case: { $lt: ['$reputationScore', 55] }, then: '😊 Good' },
-                    ],
-                    default: '🏆 Excellent',
-                  },
-                },
-                // Full status badges
-                {
-                  $switch: {
-                    branches: [
-                      { case: { $gte: ['$reputationScore', 75] }, then: '🏆 Excellent' },
-                      { case: { $gte: ['$reputationScore', 55] }, then: '😊 Good' },
-                      { case: { $gte: ['$reputationScore', 40] }, then: '👍 Average' },
-                      { case: { $lt: ['$reputationScore', 40] }, then: '⚠️ Poor' },
-                    ],
-                    default: '🏆 Excellent',
-                  },
-                },
-              ],
-            },
-          },
-        },
-
-        // 8) Sort with tie-breakers: reputation, then availability (coverage), then more recent
-        { $sort: { reputationScore: -1, availabilityScore: -1, hoursSinceLastSeen: 1 } },
-
-        // 9) Rank ALL nodes
-        { $group: { _id: null, nodes: { $push: '$$ROOT' } } },
-        { $unwind: { path: '$nodes', includeArrayIndex: 'rank' } },
-        { $addFields: { 'nodes.rank': { $add: ['$rank', 1] } } },
-        { $replaceRoot: { newRoot: '$nodes' } },
-
-        // 10) Project EXACT shape frontend expects
-        {
-          $project: {
-            totalHeartbeats: 1,
-            totalHeartbeatsAllTime: '$totalHeartbeats',
-            lastSeen: 1,
-            maxUptime: 1,
-            cappedMaxUptime: 1,
-            meetsMinimumUptime: '$meetsMinimumUptime',
-            meetsThirtyDayRequirement: '$meetsThirtyDayRequirement',
-            rank: 1,
-            nodeId: '$_id',
-            reputationScore: 1, // Already rounded in step 7
-
-            // raw averages (or null)
-            avgNetworkSpeed: {
-              $cond: [{ $gt: ['$avgNetworkSpeed', null] }, { $round: ['$avgNetworkSpeed', 2] }, null],
-            },
-            avgLatency: {
-              $cond: [{ $gt: ['$avgLatency', null] }, { $round: ['$avgLatency', 2] }, null],
-            },
-            avgCpuUsage: {
-              $cond: [{ $gt: ['$avgCpuUsage', null] }, { $round: ['$avgCpuUsage', 2] }, null],
-            },
-            avgMemoryUsage: {
-              $cond: [{ $gt: ['$avgMemoryUsage', null] }, { $round: ['$avgMemoryUsage', 2] }, null],
-            },
-            avgDiskUsage: {
-              $cond: [{ $gt: ['$avgDiskUsage', null] }, { $round: ['$avgDiskUsage', 2] }, null],
-            },
-
-            // component scores mapped to FE fields
-            activityScore: {
-              $round: [
-                {
-                  $multiply: [
-                    {
-                      $min: [
-                        {
-                          $divide: [
-                            { $ifNull: ['$distinctOnlineHours', 0] },
-                            { $max: [{ $multiply: [{ $ifNull: ['$normalizedDaysObserved', 1] }, 24] }, 1] },
-                          ],
-                        },
-                        1,
-                      ],
-                    },
-                    10,
-                  ],
-                },
-                2,
-              ],
-            },
-            uptimeScore: {
-              $round: [
-                {
-                  $cond: [
-                    '$meetsMinimumUptime',
-                    { $min: [{ $multiply: [{ $divide: ['$cappedMaxUptime', 86400] }, 10] }, 10] },
-                    0,
-                  ],
-                },
-                2,
-              ],
-            },
-            performanceScore: { $round: ['$networkQualityScore', 2] },
-            stabilityScore: {
-              // 0..15 -> 0..10
-              $round: [{ $min: [{ $multiply: [{ $divide: ['$consistencyScore', 15] }, 10] }, 10] }, 2],
-            },
-
-            // time/volume helpers
-            daysObserved: { $round: ['$normalizedDaysObserved', 1] },
-            // Legacy naming retained for compatibility; now represents lifetime days seen
-            daysInSevenDayWindow: { $round: ['$normalizedDaysObserved', 1] },
-            // For true lifetime metrics, use deviceInfo.createdAt
-            daysSinceRegistration: {
-              $cond: [
-                { $ifNull: ['$deviceInfo.createdAt', false] },
-                { $round: [{ $divide: [{ $subtract: ['$$NOW', '$deviceInfo.createdAt'] }, 86400000] }, 1] },
-                null
-              ]
-            },
-            hoursSinceLastSeen: { $round: ['$hoursSinceLastSeen', 1] },
-            uptimeHours: { $round: [{ $divide: ['$cappedMaxUptime', 3600] }, 1] },
-
-            // device info
-            country: { $ifNull: ['$deviceInfo.country', 'Unknown'] },
-            location: { $ifNull: ['$deviceInfo.location', ''] },
-            deviceName: { $ifNull: ['$deviceInfo.name', '$_id'] },
-            walletAddress: 1, // Include wallet address for LSK distribution
-
-            // status and insight already set in step 8 based on rounded score
-            status: 1,
-            rankBadge: 1,
-            performanceInsight: {
-              $switch: {
-                branches: [
-                  { case: { $eq: ['$status', 'excellent'] }, then: 'Excellent - Maintaining peak performance' },
-                  { case: { $eq: ['$status', 'good'] }, then: 'Good - Strong and reliable performance' },
-                  { case: { $eq: ['$status', 'average'] }, then: 'Average - Performance declining, needs improvement' },
-                  { case: { $eq: ['$status', 'poor'] }, then: 'Poor - Significant inactivity or performance issues' },
-                ],
-                default: 'Excellent - Starting with maximum reputation',
-              },
-            },
-
-            _id: 0,
-          },
-        },
-      ]);
-
-      // Check if service is still running before caching
-      if (!this.isRunning) {
-        console.log('⚠️ Leaderboard service stopping, skipping cache update');
-        return;
+      // Fold heartbeats received since the last run into the hourly rollups
+      runStartedAt = Date.now();
+      const rollupRange = await rollupService.update(new Date());
+      logger.info(`📦 Rollups updated from ${rollupRange.from ? rollupRange.from.toISOString() : 'start of history'}`, { rollupsFrom: rollupRange.from });
+
+      // Re-detect suspected Sybil clusters when due; their flags go on every window's nodes
+      let nodeFlags = null;
+      try {
+        nodeFlags = await clusterService.update(new Date());
+      } catch (clusterError) {
+        logger.error('❌ Failed to update node clusters', clusterError);
       }
 
-      // Only include devices with heartbeats in the leaderboard
-      const combinedLeaderboard = leaderboard;
+      // Rank every window from the same rollups, all-time first
+      const profile = getScoringProfile();
+      for (const [window, windowMs] of Object.entries(LEADERBOARD_WINDOWS)) {
+        // Check if service is still running before each window
+        if (!this.isRunning) {
+          logger.info('⚠️ Leaderboard service stopping, skipping remaining windows');
+          return { performed: false, reason: 'stopping' };
+        }
 
-      console.log(`📊 Leaderboard: ${leaderboard.length} active devices with heartbeats`);
+        // Another instance took over (this one failed to renew in time)
+        if (!leaderLeaseService.isLeader) {
+          logger.warn('⚠️ Leaderboard update lease lost, skipping remaining windows');
+          return { performed: false, reason: 'lease_lost' };
+        }
 
-      // Cache the results with both full data and top-100 slice
-      const cacheDocument = {
-        _id: 'leaderboard_cache',
-        timestamp: new Date(),
-        allNodes: combinedLeaderboard, // Full ranked list for stats (includes inactive)
-        data: combinedLeaderboard.slice(0, 100), // Top 100 for leaderboard display
-        totalNodes: combinedLeaderboard.length, // Accurate total count
-        expiresAt: new Date(Date.now() + 60000), // Expire in 1 minute
-      };
+        const windowStartedAt = Date.now();
+        try {
+          const ranked = await this.updateWindow(window, windowMs, profile, nodeFlags);
+          if (ranked) {
+            metricsService.recordUpdate(window, 'success', Date.now() - windowStartedAt);
+          }
+          if (window === 'all' && ranked) {
+            await this.notifyWebhooks(ranked);
+          }
+        } catch (windowError) {
+          logger.error(`❌ Failed to update ${window} leaderboard`, windowError, { window });
+          metricsService.recordUpdate(window, 'failure', Date.now() - windowStartedAt);
+          failure = failure || { window, message: windowError.message };
+          await this.notifyWebhookFailure(window, windowError);
+        }
+      }
 
-      // Monitor cache size (16MB BSON limit warning)
-      const cacheSize = JSON.stringify(cacheDocument).length;
-      const cacheSizeMB = (cacheSize / (1024 * 1024)).toFixed(2);
-      const bsonLimitMB = 16;
-      const warningThresholdMB = 12; // Warn at 75% capacity
+      await this.recordRun(runStartedAt, failure);
+      return { performed: true, reason: null, failure };
+    } catch (error) {
+      logger.error('❌ Failed to update leaderboard', error);
+      metricsService.recordUpdate('update', 'failure', Date.now() - (runStartedAt || Date.now()));
+      await this.notifyWebhookFailure('update', error);
 
-      if (cacheSizeMB > warningThresholdMB) {
-        console.warn(`⚠️ Leaderboard cache size: ${cacheSizeMB}MB (approaching ${bsonLimitMB}MB BSON limit)`);
-        console.warn('   Consider splitting cache or moving to separate collection');
+      // Failures before the run started (lease check) are not attributed to a run
+      if (runStartedAt) {
+        await this.recordRun(runStartedAt, { window: 'update', message: error.message });
       }
+      return { performed: false, reason: 'failed', failure: { window: 'update', message: error.message } };
+    }
+  }
 
-      if (!this.cacheCollection) {
-        console.error('❌ Cache collection not initialized, skipping cache update');
-        return;
-      }
+  /**
+   * Record the outcome of a completed run and publish it through the lease
+   * Runs cut short by shutdown or a lost lease are not recorded.
+   * @param {number} startedAt - Run start (ms)
+   * @param {?Object} failure - { window, message } of the first failure, null on success
+   */
+  async recordRun(startedAt, failure) {
+    const finishedAt = new Date();
+    const status = this.updateStatus;
+
+    status.lastRunAt = finishedAt;
+    status.lastRunBy = leaderLeaseService.instanceId;
+    status.lastRunId = logger.getContext().runId || null;
+    status.lastRunDurationMs = finishedAt.getTime() - startedAt;
+    if (failure) {
+      status.lastFailureAt = finishedAt;
+      status.lastFailure = failure;
+      status.consecutiveFailures += 1;
+    } else {
+      status.lastSuccessAt = finishedAt;
+      status.consecutiveFailures = 0;
+    }
+
+    try {
+      await leaderLeaseService.recordUpdateStatus(status);
+    } catch (error) {
+      logger.error('❌ Failed to publish leaderboard update status', error);
+    }
+  }
+
+  /**
+   * Acquire or renew the update lease
+   * Taking over from another instance drops in-memory previous runs, which may be stale;
+   * movement then falls back to the cache the previous holder wrote.
+   * @returns {Promise<boolean>} Whether this instance holds the lease
+   */
+  async acquireLease() {
+    const wasLeader = leaderLeaseService.isLeader;
+    const isLeader = await leaderLeaseService.acquire();
+
+    if (isLeader && !wasLeader) {
+      this.lastRanked = {};
+      this.seenCacheTimestamps = null;
+      // Continue the previous holder's record (consecutive failures, last success)
+      this.updateStatus = { ...createUpdateStatus(), ...leaderLeaseService.lease.updateStatus };
+      // The first run as leader covers any refresh requested before the takeover
+      this.handledRefreshAt = leaderLeaseService.lease.refreshRequestedAt || null;
+    }
+
+    return isLeader;
+  }
 
-      await this.cacheCollection.replaceOne({ _id: 'leaderboard_cache' }, cacheDocument, { upsert: true });
+  /**
+   * Periodic lease check: renew as leader, take over an expired lease as standby.
+   * A new leader recomputes immediately, as does the leader when a refresh was requested
+   * through another instance. Standbys relay results written by the leader to SSE subscribers.
+   */
+  async checkLease() {
+    if (!this.isRunning) return;
 
-      console.log(`✅ Leaderboard updated - ${leaderboard.length} nodes ranked (cache: ${cacheSizeMB}MB)`);
+    try {
+      const wasLeader = leaderLeaseService.isLeader;
+      const isLeader = await this.acquireLease();
+
+      if (isLeader) {
+        const { refreshRequestedAt } = leaderLeaseService.lease;
+        const refreshRequested = Boolean(refreshRequestedAt)
+          && (!this.handledRefreshAt || refreshRequestedAt.getTime() !== this.handledRefreshAt.getTime());
+        if (!this.isUpdating && (!wasLeader || refreshRequested)) {
+          this.handledRefreshAt = refreshRequestedAt || null;
+          this.updateLeaderboard();
+        }
+      } else {
+        await this.relayCacheUpdates();
+      }
     } catch (error) {
-      console.error('❌ Failed to update leaderboard:', error);
-    } finally {
-      this.isUpdating = false;
+      logger.error('❌ Failed to check leaderboard update lease', error);
     }
   }
 
   /**
-   * Get cached leaderboard data
+   * On standby instances, emit an 'update' for each window the leader has rewritten since the
+   * last check. There is no previous run to diff against, so subscribers get a full refresh.
+   */
+  async relayCacheUpdates() {
+    const windows = Object.keys(LEADERBOARD_WINDOWS);
+    const cached = await this.cacheCollection
+      .find(
+        { _id: { $in: windows.map(getCacheId) } },
+        { projection: { window: 1, timestamp: 1, totalNodes: 1, scoringVersion: 1 } }
+      )
+      .toArray();
+
+    // First check only records what is already cached
+    const seen = this.seenCacheTimestamps;
+    this.seenCacheTimestamps = Object.fromEntries(cached.map((doc) => [doc.window, doc.timestamp]));
+    if (!seen) return;
+
+    cached.forEach((doc) => {
+      if (seen[doc.window] && doc.timestamp <= seen[doc.window]) return;
+
+      this.events.emit('update', {
+        window: doc.window,
+        timestamp: doc.timestamp,
+        totalNodes: doc.totalNodes,
+        scoringVersion: doc.scoringVersion || null,
+        diff: null,
+      });
+    });
+  }
+
+  /**
+   * Release the update lease so another instance takes over without waiting for expiry
+   */
+  async releaseLease() {
+    await leaderLeaseService.release();
+  }
+
+  /**
+   * Rank one time window and cache the result
+   * Only the all-time ranking is snapshotted for history and 24h/7d movement
+   * @param {string} window - Window name (all, 24h, 7d, 30d)
+   * @param {?number} windowMs - Look-back in milliseconds (null = all-time)
+   * @param {Object} profile - Active scoring profile
+   * @param {?Map<string, Array<string>>} [nodeFlags] - Cluster flags per node ID (null when flagging is off)
+   * @returns {Promise<?{nodes: Array, previousNodes: ?Array, timestamp: Date}>} The new and previous ranking, undefined when skipped
    */
-  async getLeaderboard() {
+  async updateWindow(window, windowMs, profile, nodeFlags = null) {
+    // MongoDB aggregation pipeline generated from the active scoring profile
+    const leaderboard = await rollupService.aggregate([
+      ...buildScoringStages(profile, { windowMs }),
+      ...buildRankingStages(),
+      buildPublicProjection(profile),
+    ]);
+
+    // Check if service is still running before caching
+    if (!this.isRunning) {
+      logger.info('⚠️ Leaderboard service stopping, skipping cache update');
+      return;
+    }
+
+    // Only include devices with heartbeats in the window
+    const combinedLeaderboard = leaderboard;
+
+    logger.info(`📊 Leaderboard (${window}): ${leaderboard.length} active devices with heartbeats`, { window, activeDevices: leaderboard.length });
+
+    // Attach rank/score/status movement against previous run and historical baselines
+    const computedAt = new Date();
+    const baselines = await this.loadMovementBaselines(computedAt, window);
+    applyMovement(combinedLeaderboard, baselines.lookups);
+
+    // Rank within each country (heartbeat country code)
+    applyCountryRanks(combinedLeaderboard);
+
+    // Suspected Sybil cluster membership (shared-mac, shared-ip, shared-fingerprint)
+    if (nodeFlags) {
+      combinedLeaderboard.forEach((node) => {
+        node.flags = nodeFlags.get(node.nodeId) || [];
+      });
+    }
+
     if (!this.cacheCollection) {
-      await this.initialize();
+      logger.error('❌ Cache collection not initialized, skipping cache update');
+      return;
+    }
+
+    // Store every ranked node under a new version, then point the cache at it in one write
+    const rankingVersion = rankingService.createVersion();
+    await rankingService.writeVersion(window, rankingVersion, combinedLeaderboard);
+
+    const cacheDocument = {
+      _id: getCacheId(window),
+      window,
+      timestamp: computedAt,
+      rankingVersion, // Active version in leaderboard_rankings (every ranked node, includes inactive); pruneVersions keeps it
+      data: combinedLeaderboard.slice(0, 100), // Top 100 for leaderboard display
+      totalNodes: combinedLeaderboard.length, // Accurate total count
+      statusCounts: countByStatus(combinedLeaderboard), // Nodes per status (metrics)
+      scoringVersion: profile.version, // Formula that produced this ranking
+      movementBaselines: baselines.timestamps, // When each movement baseline was taken
+    };
+
+    // Kept until the next run replaces it; readiness reports it stale (getStaleAfterMs) rather than missing
+    await this.cacheCollection.replaceOne({ _id: cacheDocument._id }, cacheDocument, { upsert: true });
+    this.lastRanked[window] = { nodes: combinedLeaderboard, at: computedAt, rankingVersion };
+
+    logger.info(`✅ Leaderboard (${window}) updated - ${leaderboard.length} nodes ranked (version ${rankingVersion})`, {
+      window,
+      rankedNodes: leaderboard.length,
+      rankingVersion,
+    });
+
+    // The previous version stays for reads that started before the switch; failures only leave versions for the next run
+    try {
+      await rankingService.pruneVersions(window, [rankingVersion, baselines.rankingVersion]);
+    } catch (pruneError) {
+      logger.error(`❌ Failed to prune ${window} ranking versions`, pruneError, { window });
+    }
+
+    // Notify live subscribers (SSE); diff is null when there was no previous run
+    this.events.emit('update', {
+      window,
+      timestamp: computedAt,
+      totalNodes: combinedLeaderboard.length,
+      scoringVersion: profile.version,
+      diff: diffRanking(combinedLeaderboard, baselines.lookups.previous),
+    });
+
+    // Serve the new ranking from memory without reading it back (after the event cleared the old copy)
+    this.memory.set(window, {
+      loading: Promise.resolve({ cached: cacheDocument, nodes: combinedLeaderboard, nodesLoading: null }),
+      loadedAt: Date.now(),
+    });
+
+    const ranked = { nodes: combinedLeaderboard, previousNodes: baselines.previousNodes, timestamp: computedAt };
+
+    if (window !== 'all') {
+      return ranked;
+    }
+
+    // Persist history snapshot (downsampled); failures must not affect the live cache
+    try {
+      await snapshotService.recordSnapshot(combinedLeaderboard, computedAt);
+    } catch (snapshotError) {
+      logger.error('❌ Failed to store leaderboard snapshot', snapshotError);
+    }
+
+    return ranked;
+  }
+
+  /**
+   * Queue webhook events for the new all-time ranking (failures never affect the leaderboard)
+   * @param {Object} ranked - { nodes, previousNodes, timestamp } from updateWindow
+   */
+  async notifyWebhooks(ranked) {
+    try {
+      await webhookService.notifyLeaderboardUpdate(ranked.nodes, ranked.previousNodes, ranked.timestamp);
+    } catch (error) {
+      logger.error('❌ Failed to queue webhook events', error);
+    }
+  }
+
+  /**
+   * Queue leaderboard.update_failed webhook events
+   * @param {string} window - Failed window, or "update" for the whole run
+   * @param {Error} failure - Update error
+   */
+  async notifyWebhookFailure(window, failure) {
+    try {
+      await webhookService.notifyUpdateFailure(window, failure);
+    } catch (error) {
+      logger.error('❌ Failed to queue webhook failure event', error);
+    }
+  }
+
+  /**
+   * Load baselines for rank movement: the previous run plus 24h/7d snapshots
+   * A missing baseline leaves the corresponding movement fields null.
+   * Snapshots hold the all-time ranking, so other windows only get previous-run movement.
+   * @param {Date} now - Time of the current computation
+   * @param {string} [window] - Leaderboard window being ranked
+   * @returns {Promise<{lookups: Object, timestamps: Object, previousNodes: ?Array, rankingVersion: ?string}>}
+   *   rankingVersion: the active ranking version before this run
+   */
+  async loadMovementBaselines(now, window = DEFAULT_WINDOW) {
+    const lookups = {};
+    const timestamps = {};
+
+    // Previous run: in-memory result, or the active ranking version after a restart
+    let previousNodes = this.lastRanked[window] ? this.lastRanked[window].nodes : null;
+    let previousAt = this.lastRanked[window] ? this.lastRanked[window].at : null;
+    let rankingVersion = this.lastRanked[window] ? this.lastRanked[window].rankingVersion : null;
+    if (!previousNodes) {
+      const cached = await this.cacheCollection.findOne(
+        { _id: getCacheId(window) },
+        { projection: { rankingVersion: 1, timestamp: 1 } }
+      );
+      rankingVersion = cached ? cached.rankingVersion || null : null;
+      previousNodes = rankingVersion ? await rankingService.find(rankingVersion, {}, { fields: BASELINE_FIELDS }) : null;
+      previousAt = rankingVersion ? cached.timestamp : null;
+    }
+    lookups.previous = previousNodes ? toBaseline(previousNodes) : null;
+    timestamps.previous = previousAt;
+
+    // Historical baselines from snapshot history
+    for (const [movementWindow, offsetMs] of Object.entries(MOVEMENT_WINDOWS)) {
+      if (offsetMs === null) continue;
+      if (window !== 'all') {
+        lookups[movementWindow] = null;
+        timestamps[movementWindow] = null;
+        continue;
+      }
+      try {
+        const snapshot = await snapshotService.getSnapshotAt(new Date(now.getTime() - offsetMs));
+        lookups[movementWindow] = snapshot ? toBaseline(snapshot.nodes) : null;
+        timestamps[movementWindow] = snapshot ? snapshot.snapshotAt : null;
+      } catch (error) {
+        logger.error(`❌ Failed to load ${movementWindow} movement baseline`, error, { window: movementWindow });
+        lookups[movementWindow] = null;
+        timestamps[movementWindow] = null;
+      }
     }
 
+    return { lookups, timestamps, previousNodes, rankingVersion };
+  }
+
+  /**
+   * Get cached leaderboard data
+   * @param {string} [window] - Leaderboard window (all, 24h, 7d, 30d)
+   * @param {Object} [options] - { includeNodes } (false skips loading every ranked node into allNodes)
+   */
+  async getLeaderboard(window = DEFAULT_WINDOW, { includeNodes = true } = {}) {
     try {
-      const cached = await this.cacheCollection.findOne({ _id: 'leaderboard_cache' });
+      const state = await this.getCacheState(window);
+      const { cached } = state;
 
       if (!cached) {
         return {
+          window,
           data: [],
-          allNodes: [],
+          ...(includeNodes && { allNodes: [] }),
+          rankingVersion: null,
           timestamp: null,
           totalNodes: 0,
+          movementBaselines: null,
+          scoringVersion: null,
           message: 'Leaderboard not yet calculated',
-          fieldMetadata: this.getFieldMetadata(),
+          fieldMetadata: this.getFieldMetadata(null),
         };
       }
 
+      // Cache documents written before rankings were split out have no version (replaced by the next run)
+      const rankingVersion = cached.rankingVersion || null;
+
       return {
+        window,
         data: cached.data, // Top 100 for leaderboard display
-        allNodes: cached.allNodes, // Full list for stats calculations
+        ...(includeNodes && {
+          // Full list for stats calculations
+          allNodes: rankingVersion ? await this.loadCachedNodes(state) : [],
+        }),
+        rankingVersion,
         timestamp: cached.timestamp,
         totalNodes: cached.totalNodes, // Accurate total count
         lastUpdated: cached.timestamp,
-        fieldMetadata: this.getFieldMetadata(),
+        movementBaselines: cached.movementBaselines || null,
+        scoringVersion: cached.scoringVersion || null,
+        fieldMetadata: this.getFieldMetadata(cached.scoringVersion || null),
       };
     } catch (error) {
-      console.error('❌ Failed to get leaderboard:', error);
+      logger.error('❌ Failed to get leaderboard', error);
       throw error;
     }
   }
 
+  /**
+   * In-process copy of a window's cache document
+   * Re-read from MongoDB after an 'update' event for the window, and at least once per update interval
+   * (covers standby instances that have not relayed the leader's latest run yet). Concurrent
+   * requests share one read.
+   * @param {string} window - Leaderboard window
+   * @returns {Promise<{ cached: ?Object, nodes: ?Array, nodesLoading: ?Promise }>}
+   */
+  async getCacheState(window) {
+    if (!this.cacheCollection) {
+      await this.initialize();
+    }
+
+    const entry = this.memory.get(window);
+    if (entry && Date.now() - entry.loadedAt < this.getUpdateIntervalMs()) {
+      return entry.loading;
+    }
+
+    const loading = this.cacheCollection
+      .findOne({ _id: getCacheId(window) })
+      .then((cached) => ({ cached, nodes: null, nodesLoading: null }));
+    const loaded = { loading, loadedAt: Date.now() };
+    this.memory.set(window, loaded);
+
+    // Failed reads are retried by the next request
+    loading.catch(() => {
+      if (this.memory.get(window) === loaded) {
+        this.memory.delete(window);
+      }
+    });
+
+    return loading;
+  }
+
+  /**
+   * Every ranked node of a cached window, read from the active ranking version once
+   * @param {Object} state - From getCacheState
+   * @returns {Promise<Array>}
+   */
+  loadCachedNodes(state) {
+    if (state.nodes) {
+      return Promise.resolve(state.nodes);
+    }
+
+    if (!state.nodesLoading) {
+      state.nodesLoading = rankingService.find(state.cached.rankingVersion)
+        .then((nodes) => {
+          state.nodes = nodes;
+          return nodes;
+        })
+        .finally(() => {
+          state.nodesLoading = null;
+        });
+    }
+
+    return state.nodesLoading;
+  }
+
+  /**
+   * Ranked nodes of a window matching a filter: from memory when every node is already loaded,
+   * otherwise by indexed lookup instead of loading every node
+   * @param {string} window - Leaderboard window (all, 24h, 7d, 30d)
+   * @param {Object} filter - { nodeId, countryCode, walletAddress, status }
+   * @param {Object} [options] - { limit }
+   * @returns {Promise<Object>} getLeaderboard result without allNodes, plus the matching nodes in rank order
+   */
+  async findRankedNodes(window, filter, options = {}) {
+    const leaderboard = await this.getLeaderboard(window, { includeNodes: false });
+    const state = await this.getCacheState(window);
+
+    let nodes = [];
+    if (state.cached && state.cached.rankingVersion === leaderboard.rankingVersion && state.nodes) {
+      nodes = rankingService.filterNodes(state.nodes, filter, options);
+    } else if (leaderboard.rankingVersion) {
+      nodes = await rankingService.find(leaderboard.rankingVersion, filter, options);
+    }
+
+    return { ...leaderboard, nodes };
+  }
+
+  /**
+   * Rank all nodes with an alternate scoring profile without touching the cache
+   * @param {Object} profile - Validated scoring profile
+   * @returns {Promise<Array>} Ranked nodes in the public shape
+   */
+  async simulate(profile) {
+    logger.info(`🧪 Simulating leaderboard with scoring profile ${profile.version}...`);
+
+    return rollupService.aggregate([
+      ...buildScoringStages(profile),
+      ...buildRankingStages(),
+      buildPublicProjection(profile),
+    ]);
+  }
+
+  /**
+   * Explain how a single node's reputation score is derived
+   * Runs the scoring stages for one device and returns the intermediate values
+   * that the public projection discards (rollups as of the last leaderboard update)
+   * @param {string} nodeId - Device ID
+   * @returns {Promise<Object|null>} Explanation, or null if the device has no heartbeats
+   */
+  async explainNode(nodeId) {
+    const profile = getScoringProfile();
+
+    const [explanation] = await rollupService.aggregate([
+      { $match: { deviceId: nodeId } },
+      ...buildScoringStages(profile),
+      buildExplainProjection(profile),
+    ]);
+
+    if (explanation) {
+      explanation.scoringVersion = profile.version;
+    }
+
+    return explanation || null;
+  }
+
   /**
    * Get field metadata with units and descriptions
+   * @param {?string} scoringVersion - Scoring profile version of the cached ranking
    */
-  getFieldMetadata() {
+  getFieldMetadata(scoringVersion) {
+    const { weights } = getScoringProfile();
+
     return {
+      scoringVersion: {
+        unit: 'version',
+        description: 'Scoring profile version that produced these rankings (see GET /leaderboard/scoring)',
+        displayName: 'Scoring Version',
+        value: scoringVersion,
+      },
       reputationScore: {
         unit: 'points',
         description: 'Overall reputation score (0-100)',
@@ -718,7 +844,7 @@ class LeaderboardService {
       },
       performanceScore: {
         unit: 'points',
-        description: 'Network quality (0-30): throughput + latency',
+        description: `Network quality (0-${weights.throughput + weights.latency}): throughput + latency`,
         displayName: 'Performance',
         decimals: 2,
       },
@@ -728,6 +854,22 @@ class LeaderboardService {
         displayName: 'Stability',
         decimals: 2,
       },
+      rankChange: {
+        unit: 'positions',
+        description: 'Rank movement by window (previous run, 24h, 7d); positive means moved up, null when no baseline',
+        displayName: 'Rank Change',
+      },
+      scoreChange: {
+        unit: 'points',
+        description: 'Reputation score change by window (previous run, 24h, 7d)',
+        displayName: 'Score Change',
+        decimals: 2,
+      },
+      statusChange: {
+        unit: 'status',
+        description: 'Status transition by window ({ from, to }), null when unchanged',
+        displayName: 'Status Change',
+      },
       lastSeen: {
         unit: 'timestamp',
         description: 'Last heartbeat timestamp',
@@ -748,15 +890,47 @@ class LeaderboardService {
         description: 'Device name',
         displayName: 'Device Name',
       },
+      rejectedHeartbeats: {
+        unit: 'heartbeats',
+        description: 'Heartbeats rejected by validation (future timestamps, duplicate bursts; in discard mode also implausible values)',
+        displayName: 'Rejected Heartbeats',
+      },
+      adjustedHeartbeats: {
+        unit: 'heartbeats',
+        description: 'Heartbeats whose implausible values (out of range, inconsistent uptime) were clamped',
+        displayName: 'Adjusted Heartbeats',
+      },
+      dataQuality: {
+        unit: 'level',
+        description: 'good, fair or poor by the share of heartbeats rejected or adjusted (up to 2%, up to 10%, more)',
+        displayName: 'Data Quality',
+      },
+      flags: {
+        unit: 'flags',
+        description: 'Suspected Sybil cluster links (shared-mac, shared-ip, shared-fingerprint); present only when node flagging is enabled',
+        displayName: 'Flags',
+      },
     };
   }
 
   /**
    * Force update the leaderboard immediately
+   * On a standby instance the refresh is requested from the lease holder instead; on the holder
+   * a refresh that arrives during a run is queued behind it.
+   * @returns {Promise<Object>} updateLeaderboard outcome plus holder (reason standby: requested from holder)
    */
   async forceUpdate() {
-    console.log('🔄 Force updating leaderboard...');
-    await this.updateLeaderboard();
+    logger.info('🔄 Force updating leaderboard...');
+
+    if (!(await this.acquireLease())) {
+      await leaderLeaseService.requestRefresh();
+      const holder = leaderLeaseService.lease ? leaderLeaseService.lease.holder : null;
+      logger.info(`📨 Leaderboard refresh requested from lease holder ${holder}`);
+      return { performed: false, reason: 'standby', holder };
+    }
+
+    const result = await this.updateLeaderboard({ queueIfBusy: true });
+    return { ...result, holder: leaderLeaseService.instanceId };
   }
 }
 
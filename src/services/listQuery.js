@@ -0,0 +1,219 @@
+/**
+ * Leaderboard List Query Helpers
+ * Parses and applies pagination, sorting and filtering over the ranked node list
+ */
+
+const { getScoringProfile } = require('../config/scoring');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Fields that can be used with ?sort= (prefix with - for descending)
+// Only fields of the public node shape; component scores such as availability are in /explain only
+const SORTABLE_FIELDS = [
+  'rank',
+  'countryRank',
+  'reputationScore',
+  'activityScore',
+  'uptimeScore',
+  'performanceScore',
+  'stabilityScore',
+  'avgNetworkSpeed',
+  'avgLatency',
+  'avgCpuUsage',
+  'avgMemoryUsage',
+  'avgDiskUsage',
+  'uptimeHours',
+  'hoursSinceLastSeen',
+  'daysObserved',
+  'daysSinceRegistration',
+  'totalHeartbeats',
+  'rejectedHeartbeats',
+  'lastSeen',
+];
+
+const BOOLEAN_FILTERS = ['meetsThirtyDayRequirement', 'meetsMinimumUptime'];
+
+/**
+ * Statuses the scoring profile can assign, best tier first
+ * @param {Object} [profile] - Scoring profile (defaults to the active one)
+ * @returns {string[]}
+ */
+const getStatuses = (profile = getScoringProfile()) => [...new Set(profile.tiers.map((tier) => tier.status))];
+
+/**
+ * Parse a boolean query value
+ * @param {string} value - Raw query value
+ * @returns {boolean|undefined} undefined when not a recognised boolean
+ */
+const parseBoolean = (value) => {
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  return undefined;
+};
+
+/**
+ * Parse list query parameters
+ * @param {Object} query - Express req.query
+ * @returns {{ options?: Object, error?: string }} Parsed options, or a validation error message
+ */
+const parseListQuery = (query = {}) => {
+  const page = query.page !== undefined ? parseInt(query.page, 10) : 1;
+  const limit = query.limit !== undefined ? parseInt(query.limit, 10) : DEFAULT_LIMIT;
+
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'page must be a positive integer' };
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+
+  // Sort: "field" ascending, "-field" descending
+  const rawSort = String(query.sort || 'rank');
+  const descending = rawSort.startsWith('-');
+  const sortField = descending ? rawSort.slice(1) : rawSort;
+
+  if (!SORTABLE_FIELDS.includes(sortField)) {
+    return { error: `sort must be one of: ${SORTABLE_FIELDS.join(', ')} (prefix with - for descending)` };
+  }
+
+  const filters = {};
+
+  if (query.status) {
+    const known = getStatuses();
+    // Case-insensitive, resolved to the status as the profile spells it
+    const statuses = String(query.status).split(',')
+      .map((status) => known.find((candidate) => candidate.toLowerCase() === status.trim().toLowerCase()));
+    if (statuses.includes(undefined)) {
+      return { error: `status must be one or more of: ${known.join(', ')}` };
+    }
+    filters.status = statuses;
+  }
+
+  if (query.country) {
+    filters.country = String(query.country).split(',').map((country) => country.trim().toLowerCase()).filter(Boolean);
+  }
+
+  for (const field of BOOLEAN_FILTERS) {
+    if (query[field] !== undefined) {
+      const value = parseBoolean(query[field]);
+      if (value === undefined) {
+        return { error: `${field} must be true or false` };
+      }
+      filters[field] = value;
+    }
+  }
+
+  for (const param of ['minScore', 'maxScore']) {
+    if (query[param] !== undefined) {
+      const value = parseFloat(query[param]);
+      if (Number.isNaN(value)) {
+        return { error: `${param} must be a number` };
+      }
+      filters[param] = value;
+    }
+  }
+
+  return {
+    options: {
+      page,
+      limit,
+      sort: { field: sortField, order: descending ? 'desc' : 'asc' },
+      filters,
+    },
+  };
+};
+
+/**
+ * Check whether a node is in one of the requested countries
+ * 2-letter values match the ISO country code from the latest heartbeat; longer values match
+ * either the country code or the device's country name.
+ * @param {Object} node - Ranked node
+ * @param {string[]} countries - Lower-case country codes or names
+ * @returns {boolean}
+ */
+const matchesCountry = (node, countries) => {
+  const code = String(node.countryCode || '').toLowerCase();
+  const name = String(node.country || '').toLowerCase();
+  return countries.some((country) => country === code || (country.length !== 2 && country === name));
+};
+
+/**
+ * Check whether a node matches the parsed filters
+ * @param {Object} node - Ranked node
+ * @param {Object} filters - Parsed filters
+ * @returns {boolean}
+ */
+const matchesFilters = (node, filters) => {
+  if (filters.status && !filters.status.includes(node.status)) return false;
+  if (filters.country && !matchesCountry(node, filters.country)) return false;
+  for (const field of BOOLEAN_FILTERS) {
+    if (filters[field] !== undefined && Boolean(node[field]) !== filters[field]) return false;
+  }
+  if (filters.minScore !== undefined && node.reputationScore < filters.minScore) return false;
+  if (filters.maxScore !== undefined && node.reputationScore > filters.maxScore) return false;
+  return true;
+};
+
+/**
+ * Normalize a field value for comparison (dates compare by time)
+ * @param {*} value - Raw field value
+ * @returns {number|string|null}
+ */
+const toSortable = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+/**
+ * Compare two nodes on a field; null/missing values always sort last
+ * @param {string} field - Field name
+ * @param {string} order - asc or desc
+ * @returns {Function} Array.sort comparator
+ */
+const compareBy = (field, order) => (a, b) => {
+  const aValue = toSortable(a[field]);
+  const bValue = toSortable(b[field]);
+
+  if (aValue === null && bValue === null) return a.rank - b.rank;
+  if (aValue === null) return 1;
+  if (bValue === null) return -1;
+  if (aValue === bValue) return a.rank - b.rank;
+
+  const diff = aValue < bValue ? -1 : 1;
+  return order === 'desc' ? -diff : diff;
+};
+
+/**
+ * Apply filters, sort and pagination to the ranked node list
+ * @param {Array} nodes - Full ranked node list
+ * @param {Object} options - Options from parseListQuery
+ * @returns {{ items: Array, total: number, page: number, limit: number, totalPages: number }}
+ */
+const applyListQuery = (nodes, options) => {
+  const { page, limit, sort, filters } = options;
+
+  const filtered = nodes.filter((node) => matchesFilters(node, filters));
+  const sorted = sort.field === 'rank' && sort.order === 'asc'
+    ? filtered // Already in rank order
+    : [...filtered].sort(compareBy(sort.field, sort.order));
+
+  const start = (page - 1) * limit;
+
+  return {
+    items: sorted.slice(start, start + limit),
+    total: sorted.length,
+    page,
+    limit,
+    totalPages: Math.ceil(sorted.length / limit),
+  };
+};
+
+module.exports = {
+  SORTABLE_FIELDS,
+  getStatuses,
+  parseListQuery,
+  applyListQuery,
+};
@@ -0,0 +1,168 @@
+const leaderboardService = require('./leaderboard');
+const { logger } = require('../config/logger');
+
+/**
+ * Live Update Service
+ * Pushes leaderboard updates to Server-Sent Events subscribers as soon as a window's cache is written
+ */
+
+const RETRY_MS = 5000; // Client reconnect delay sent with the stream
+
+class LiveUpdateService {
+  constructor() {
+    this.clients = new Set();
+    this.keepAliveInterval = null;
+    this.lastUpdates = {}; // window -> timestamp of the last update seen by this process
+    this.handleUpdate = this.handleUpdate.bind(this);
+    leaderboardService.events.on('update', this.handleUpdate);
+  }
+
+  /**
+   * Maximum concurrent stream subscribers
+   */
+  getMaxClients() {
+    return parseInt(process.env.LEADERBOARD_STREAM_MAX_CLIENTS, 10) || 500;
+  }
+
+  /**
+   * Interval between keep-alive comments (keeps proxies from closing idle streams)
+   */
+  getKeepAliveMs() {
+    return parseInt(process.env.LEADERBOARD_STREAM_KEEPALIVE_MS, 10) || 25000;
+  }
+
+  /**
+   * Whether another subscriber can be accepted
+   * @returns {boolean}
+   */
+  hasCapacity() {
+    return this.clients.size < this.getMaxClients();
+  }
+
+  /**
+   * Open an event stream on a response and keep it until the client disconnects
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} options - { window, nodeId } (nodeId null = every node)
+   */
+  subscribe(req, res, { window, nodeId }) {
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const client = { res, window, nodeId };
+    this.clients.add(client);
+    this.startKeepAlive();
+
+    this.send(client, 'ready', {
+      window,
+      nodeId,
+      timestamp: this.lastUpdates[window] || null,
+    });
+
+    req.on('close', () => {
+      this.clients.delete(client);
+      if (this.clients.size === 0) {
+        this.stopKeepAlive();
+      }
+    });
+  }
+
+  /**
+   * Fan a leaderboard update out to the subscribers of its window
+   * @param {Object} update - { window, timestamp, totalNodes, scoringVersion, diff }
+   */
+  handleUpdate(update) {
+    this.lastUpdates[update.window] = update.timestamp;
+
+    // Index the diff once for single-node subscribers
+    const changedById = new Map();
+    const removedIds = new Set();
+    if (update.diff) {
+      update.diff.changed.forEach((entry) => changedById.set(entry.nodeId, entry));
+      update.diff.removed.forEach((nodeId) => removedIds.add(nodeId));
+    }
+
+    const base = {
+      window: update.window,
+      timestamp: update.timestamp,
+      totalNodes: update.totalNodes,
+      scoringVersion: update.scoringVersion,
+      fullRefresh: update.diff === null, // No previous run to diff against: refetch
+    };
+
+    this.clients.forEach((client) => {
+      if (client.window !== update.window) return;
+
+      try {
+        if (!client.nodeId) {
+          this.send(client, 'update', {
+            ...base,
+            changed: update.diff ? update.diff.changed : [],
+            removed: update.diff ? update.diff.removed : [],
+          }, update.timestamp);
+          return;
+        }
+
+        const node = changedById.get(client.nodeId) || null;
+        const removed = removedIds.has(client.nodeId);
+        if (!base.fullRefresh && !node && !removed) return;
+
+        this.send(client, 'update', { ...base, nodeId: client.nodeId, node, removed }, update.timestamp);
+      } catch (error) {
+        logger.error('❌ Failed to push leaderboard update to stream subscriber', error);
+      }
+    });
+  }
+
+  /**
+   * Write one event to a subscriber
+   * @param {Object} client - Subscriber
+   * @param {string} event - Event name
+   * @param {Object} data - JSON payload
+   * @param {Date} [id] - Event ID (leaderboard timestamp)
+   */
+  send(client, event, data, id) {
+    const lines = [`event: ${event}`];
+    if (id) {
+      lines.push(`id: ${new Date(id).toISOString()}`);
+    }
+    lines.push(`data: ${JSON.stringify(data)}`);
+    client.res.write(`${lines.join('\n')}\n\n`);
+  }
+
+  startKeepAlive() {
+    if (this.keepAliveInterval) return;
+
+    this.keepAliveInterval = setInterval(() => {
+      this.clients.forEach((client) => client.res.write(': keep-alive\n\n'));
+    }, this.getKeepAliveMs());
+    this.keepAliveInterval.unref();
+  }
+
+  stopKeepAlive() {
+    if (this.keepAliveInterval) {
+      clearInterval(this.keepAliveInterval);
+      this.keepAliveInterval = null;
+    }
+  }
+
+  /**
+   * End every open stream (graceful shutdown; the HTTP server waits for open connections)
+   */
+  closeAll() {
+    this.clients.forEach((client) => client.res.end());
+    this.clients.clear();
+    this.stopKeepAlive();
+  }
+}
+
+// Export singleton instance
+const liveUpdateService = new LiveUpdateService();
+module.exports = liveUpdateService;
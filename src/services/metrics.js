@@ -0,0 +1,144 @@
+const { Counter, Gauge, Histogram, renderMetrics } = require('./prometheus');
+const { LEADERBOARD_WINDOWS } = require('./windows');
+
+/**
+ * Metrics Service
+ * Prometheus metrics for leaderboard computation, the cached ranking and HTTP traffic
+ */
+
+// Computation takes seconds to minutes on large networks
+const UPDATE_BUCKETS = [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+
+class MetricsService {
+  constructor() {
+    // Computation (recorded on the instance holding the update lease)
+    this.updateDuration = new Histogram(
+      'leaderboard_update_duration_seconds',
+      'Time to rank and cache one leaderboard window',
+      ['window', 'result'],
+      UPDATE_BUCKETS
+    );
+    this.updates = new Counter(
+      'leaderboard_updates_total',
+      'Leaderboard window computations by result (success, failure); window "update" is a failure before any window',
+      ['window', 'result']
+    );
+    this.skippedUpdates = new Counter(
+      'leaderboard_updates_skipped_total',
+      'Scheduled computations skipped: in_progress (previous run still going) or standby (another instance holds the update lease)',
+      ['reason']
+    );
+
+    // Cached ranking (refreshed on every scrape, on every instance)
+    this.rankedNodes = new Gauge('leaderboard_ranked_nodes', 'Nodes in the cached ranking', ['window']);
+    this.nodesByStatus = new Gauge('leaderboard_nodes_by_status', 'Nodes in the cached ranking by status', ['window', 'status']);
+    this.cacheAge = new Gauge('leaderboard_cache_age_seconds', 'Seconds since the cached ranking was computed', ['window']);
+    this.cacheDocumentBytes = new Gauge(
+      'leaderboard_cache_document_bytes',
+      'Approximate size of the window cache document (JSON); ranked nodes are stored separately',
+      ['window']
+    );
+    this.isLeader = new Gauge('leaderboard_update_lease_held', '1 when this instance holds the leaderboard update lease');
+    this.streamClients = new Gauge('leaderboard_stream_clients', 'Open /leaderboard/stream connections');
+
+    // HTTP (fed from the request logger)
+    this.httpRequests = new Counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+    this.httpDuration = new Histogram('http_request_duration_seconds', 'HTTP request latency by route and status', ['method', 'route', 'status']);
+
+    // Process
+    this.uptime = new Gauge('process_uptime_seconds', 'Process uptime in seconds');
+    this.memory = new Gauge('nodejs_memory_bytes', 'Process memory usage by type (rss, heapTotal, heapUsed, external, arrayBuffers)', ['type']);
+  }
+
+  /**
+   * Record one window computation
+   * @param {string} window - Window name, or "update" for a failure before any window
+   * @param {string} result - success or failure
+   * @param {number} durationMs
+   */
+  recordUpdate(window, result, durationMs) {
+    this.updates.inc({ window, result });
+    this.updateDuration.observe({ window, result }, durationMs / 1000);
+  }
+
+  /**
+   * Record a skipped scheduled computation
+   * @param {string} reason - in_progress or standby
+   */
+  recordSkippedUpdate(reason) {
+    this.skippedUpdates.inc({ reason });
+  }
+
+  /**
+   * Record one finished HTTP request
+   * @param {Object} request - { method, route, status, durationMs } (route: matched route pattern)
+   */
+  recordHttpRequest({ method, route, status, durationMs }) {
+    const labels = { method, route, status };
+    this.httpRequests.inc(labels);
+    this.httpDuration.observe(labels, durationMs / 1000);
+  }
+
+  /**
+   * Refresh scrape-time gauges from the cached ranking and process state
+   */
+  async collect() {
+    const leaderboardService = require('./leaderboard');
+    const leaderLeaseService = require('./leaderLease');
+    const liveUpdateService = require('./liveUpdates');
+
+    this.rankedNodes.reset();
+    this.nodesByStatus.reset();
+    this.cacheAge.reset();
+    this.cacheDocumentBytes.reset();
+
+    const now = Date.now();
+    for (const window of Object.keys(LEADERBOARD_WINDOWS)) {
+      const { cached } = await leaderboardService.getCacheState(window);
+      if (!cached) continue;
+
+      this.rankedNodes.set({ window }, cached.totalNodes);
+      this.cacheAge.set({ window }, Math.max((now - new Date(cached.timestamp).getTime()) / 1000, 0));
+      this.cacheDocumentBytes.set({ window }, Buffer.byteLength(JSON.stringify(cached)));
+      Object.entries(cached.statusCounts || {}).forEach(([status, count]) => {
+        this.nodesByStatus.set({ window, status }, count);
+      });
+    }
+
+    this.isLeader.set({}, leaderLeaseService.isLeader ? 1 : 0);
+    this.streamClients.set({}, liveUpdateService.clients.size);
+
+    this.uptime.set({}, process.uptime());
+    Object.entries(process.memoryUsage()).forEach(([type, bytes]) => {
+      this.memory.set({ type }, bytes);
+    });
+  }
+
+  /**
+   * Every metric in the Prometheus text format
+   * @returns {Promise<string>}
+   */
+  async render() {
+    await this.collect();
+
+    return renderMetrics([
+      this.updateDuration,
+      this.updates,
+      this.skippedUpdates,
+      this.rankedNodes,
+      this.nodesByStatus,
+      this.cacheAge,
+      this.cacheDocumentBytes,
+      this.isLeader,
+      this.streamClients,
+      this.httpRequests,
+      this.httpDuration,
+      this.uptime,
+      this.memory,
+    ]);
+  }
+}
+
+// Export singleton instance
+const metricsService = new MetricsService();
+module.exports = metricsService;
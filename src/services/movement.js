@@ -0,0 +1,140 @@
+/**
+ * Rank Movement Helpers
+ * Computes rank/score/status deltas for ranked nodes against earlier baselines
+ */
+
+// Baseline windows: previous run, plus fixed look-backs served from snapshot history
+const MOVEMENT_WINDOWS = {
+  previous: null,
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Build a baseline lookup from a ranked node list
+ * @param {Array} nodes - Ranked nodes (rank, reputationScore, status)
+ * @returns {Map<string, Object>} nodeId -> { rank, reputationScore, status }
+ */
+const toBaseline = (nodes = []) => {
+  const baseline = new Map();
+  nodes.forEach((node) => {
+    baseline.set(node.nodeId, {
+      rank: node.rank,
+      reputationScore: node.reputationScore,
+      status: node.status,
+    });
+  });
+  return baseline;
+};
+
+/**
+ * Compute movement of a single node against one baseline
+ * rankChange is positive when the node moved up (smaller rank number)
+ * @param {Object} node - Current ranked node
+ * @param {Map|null} baseline - Baseline lookup, null when unavailable
+ * @returns {{ rankChange: ?number, scoreChange: ?number, statusChange: ?Object }}
+ */
+const compareToBaseline = (node, baseline) => {
+  const before = baseline ? baseline.get(node.nodeId) : null;
+  if (!before) {
+    return { rankChange: null, scoreChange: null, statusChange: null };
+  }
+
+  return {
+    rankChange: before.rank - node.rank,
+    scoreChange: Math.round((node.reputationScore - before.reputationScore) * 100) / 100,
+    statusChange: before.status !== node.status ? { from: before.status, to: node.status } : null,
+  };
+};
+
+/**
+ * Attach rankChange, scoreChange and statusChange to every node
+ * Each field is keyed by window name (previous, 24h, 7d); null means no baseline for that node
+ * @param {Array} nodes - Current ranked nodes (mutated in place)
+ * @param {Object} baselines - Map of window name -> baseline lookup (or null)
+ * @returns {Array} The same nodes
+ */
+const applyMovement = (nodes, baselines) => {
+  nodes.forEach((node) => {
+    node.rankChange = {};
+    node.scoreChange = {};
+    node.statusChange = {};
+
+    Object.keys(MOVEMENT_WINDOWS).forEach((window) => {
+      const change = compareToBaseline(node, baselines[window] || null);
+      node.rankChange[window] = change.rankChange;
+      node.scoreChange[window] = change.scoreChange;
+      node.statusChange[window] = change.statusChange;
+    });
+  });
+  return nodes;
+};
+
+/**
+ * Get the biggest risers and fallers for a window
+ * @param {Array} nodes - Ranked nodes with movement fields
+ * @param {string} window - Window name (previous, 24h, 7d)
+ * @param {number} limit - Maximum entries per list
+ * @returns {{ risers: Array, fallers: Array }}
+ */
+const getMovers = (nodes, window, limit = 10) => {
+  const moved = nodes.filter((node) => node.rankChange && typeof node.rankChange[window] === 'number');
+
+  const risers = moved
+    .filter((node) => node.rankChange[window] > 0)
+    .sort((a, b) => b.rankChange[window] - a.rankChange[window] || a.rank - b.rank)
+    .slice(0, limit);
+
+  const fallers = moved
+    .filter((node) => node.rankChange[window] < 0)
+    .sort((a, b) => a.rankChange[window] - b.rankChange[window] || a.rank - b.rank)
+    .slice(0, limit);
+
+  return { risers, fallers };
+};
+
+/**
+ * Compact diff of a ranking against the previous run
+ * A node is listed when it is new or its rank, score or status changed
+ * @param {Array} nodes - Current ranked nodes
+ * @param {Map|null} previous - Previous-run baseline lookup
+ * @returns {?{ changed: Array, removed: string[] }} null when there is no previous run to diff against
+ */
+const diffRanking = (nodes, previous) => {
+  if (!previous) {
+    return null;
+  }
+
+  const changed = [];
+  const seen = new Set();
+
+  nodes.forEach((node) => {
+    seen.add(node.nodeId);
+    const before = previous.get(node.nodeId);
+    if (before && before.rank === node.rank && before.reputationScore === node.reputationScore && before.status === node.status) {
+      return;
+    }
+
+    const change = compareToBaseline(node, previous);
+    changed.push({
+      nodeId: node.nodeId,
+      rank: node.rank,
+      reputationScore: node.reputationScore,
+      status: node.status,
+      ...change, // all null for nodes new to the ranking
+    });
+  });
+
+  const removed = [...previous.keys()].filter((nodeId) => !seen.has(nodeId));
+
+  return { changed, removed };
+};
+
+module.exports = {
+  MOVEMENT_WINDOWS,
+  toBaseline,
+  compareToBaseline,
+  applyMovement,
+  getMovers,
+  diffRanking,
+};
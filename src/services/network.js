@@ -0,0 +1,96 @@
+const dns = require('dns').promises;
+const net = require('net');
+
+/**
+ * Network Address Helpers
+ * Tells public addresses from private, loopback and other internal ones
+ */
+
+/**
+ * Whether an IPv4 address is private, loopback, link-local, CGNAT or unspecified
+ * @param {string} ip
+ * @returns {boolean}
+ */
+const isReservedIpv4 = (ip) => {
+  const [a, b] = ip.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    a >= 224;
+};
+
+/**
+ * Normalize a public IP address
+ * @param {?string} ip - Raw IP address
+ * @returns {?string} Normalized address, null when missing, invalid or not public
+ */
+const normalizePublicIp = (ip) => {
+  if (typeof ip !== 'string') return null;
+  let address = ip.trim().toLowerCase();
+
+  // IPv4-mapped IPv6 (::ffff:203.0.113.7)
+  if (address.startsWith('::ffff:') && net.isIPv4(address.slice(7))) {
+    address = address.slice(7);
+  }
+
+  if (net.isIPv4(address)) {
+    return isReservedIpv4(address) ? null : address;
+  }
+
+  if (net.isIPv6(address)) {
+    // Unspecified, loopback, link-local (fe80::/10), unique local (fc00::/7)
+    if (address === '::' || address === '::1' || /^fe[89ab]/.test(address) || /^f[cd]/.test(address)) {
+      return null;
+    }
+    return address;
+  }
+
+  return null;
+};
+
+/**
+ * Whether a URL host is this machine or a private network, from the name alone
+ * (IP literals and localhost; other names need resolvePublicAddresses)
+ * @param {string} hostname - URL hostname (IPv6 in brackets)
+ * @returns {boolean}
+ */
+const isInternalHost = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+  return net.isIP(host) !== 0 && normalizePublicIp(host) === null;
+};
+
+/**
+ * Resolve a URL host and check that every address it resolves to is public
+ * @param {string} hostname - URL hostname (IPv6 in brackets)
+ * @param {Function} [lookup] - dns.promises.lookup (replaceable in tests)
+ * @returns {Promise<{ addresses?: string[], error?: string }>} Resolved addresses, or why the host was refused
+ * @throws {Error} When the name does not resolve
+ */
+const resolvePublicAddresses = async (hostname, lookup = dns.lookup) => {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (isInternalHost(host)) {
+    return { error: `${host} is not a public address` };
+  }
+  if (net.isIP(host) !== 0) {
+    return { addresses: [host] };
+  }
+
+  const results = await lookup(host, { all: true, verbatim: true });
+  const internal = results.find(({ address }) => normalizePublicIp(address) === null);
+  if (internal) {
+    return { error: `${host} resolves to non-public address ${internal.address}` };
+  }
+
+  return { addresses: results.map(({ address }) => address) };
+};
+
+module.exports = {
+  isReservedIpv4,
+  normalizePublicIp,
+  isInternalHost,
+  resolvePublicAddresses,
+};
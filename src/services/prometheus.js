@@ -0,0 +1,170 @@
+/**
+ * Prometheus Exposition Helpers
+ * Minimal counters, gauges and histograms rendered in the Prometheus text format (0.0.4)
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Request/computation latency buckets in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value (backslash, double quote and newline)
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * Render a label set
+ * @param {Object} labels - name -> value
+ * @returns {string} {a="1",b="2"}, or '' without labels
+ */
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+/**
+ * Render a sample value (Prometheus spells infinities +Inf / -Inf)
+ * @param {number} value
+ * @returns {string}
+ */
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+/**
+ * Base for metrics with a fixed set of label names
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label key -> { labels, ... }
+  }
+
+  /**
+   * Series for a label set, created on first use
+   * @param {Object} labels
+   * @param {Function} create - () => initial series state
+   */
+  getSeries(labels, create) {
+    const picked = {};
+    this.labelNames.forEach((name) => {
+      picked[name] = labels[name] === undefined ? '' : String(labels[name]);
+    });
+
+    const key = JSON.stringify(picked);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: picked, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Drop every series (gauges recomputed from scratch on each scrape)
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  /**
+   * HELP and TYPE lines
+   * @returns {Array<string>}
+   */
+  header() {
+    return [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  /**
+   * @param {Object} [labels]
+   * @param {number} [value] - Non-negative increment
+   */
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    return [...this.header(), ...[...this.series.values()].map((series) => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`)];
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  /**
+   * @param {Object} labels
+   * @param {number} value
+   */
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    return [...this.header(), ...[...this.series.values()].map((series) => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`)];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * @param {Object} labels
+   * @param {number} value - Observation (seconds for durations)
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  render() {
+    const lines = this.header();
+    this.series.forEach((series) => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    });
+    return lines;
+  }
+}
+
+/**
+ * Render metrics in the text exposition format
+ * @param {Array<Metric>} metrics
+ * @returns {string}
+ */
+const renderMetrics = (metrics) => `${metrics.map((metric) => metric.render().join('\n')).join('\n')}\n`;
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  Counter,
+  Gauge,
+  Histogram,
+  escapeLabelValue,
+  renderMetrics,
+};
@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const { normalizeCountryCode } = require('./geography');
+const { normalizeWalletAddress } = require('./wallets');
+const { logger } = require('../config/logger');
+
+/**
+ * Ranking Service
+ * Stores each leaderboard run as one document per ranked node, tagged with a version.
+ * The cache document of a window points at its active version, so a run becomes
+ * visible in a single write once all of its nodes are stored.
+ */
+
+const RANKING_COLLECTION = 'leaderboard_rankings';
+
+const WRITE_BATCH_SIZE = 1000;
+
+const RANKING_INDEXES = [
+  // Ordered reads of a version (full list, top N)
+  { key: { version: 1, 'node.rank': 1 } },
+  // Node lookups
+  { key: { version: 1, 'node.nodeId': 1 }, options: { unique: true } },
+  // Country, status and wallet lookups (country and wallet are normalized)
+  { key: { version: 1, country: 1, 'node.rank': 1 } },
+  { key: { version: 1, 'node.status': 1, 'node.rank': 1 } },
+  { key: { version: 1, wallet: 1, 'node.rank': 1 } },
+  // Pruning superseded versions
+  { key: { window: 1, version: 1 } },
+];
+
+/**
+ * Documents stored for a run: one per node, with the normalized lookup keys
+ * @param {string} window - Leaderboard window
+ * @param {string} version - Version ID
+ * @param {Array} nodes - Ranked nodes
+ * @returns {Array}
+ */
+const toRankingDocuments = (window, version, nodes) => nodes.map((node) => ({
+  version,
+  window,
+  country: normalizeCountryCode(node.countryCode),
+  wallet: normalizeWalletAddress(node.walletAddress),
+  node,
+}));
+
+/**
+ * Query for a find() filter within a version
+ * @param {string} version - Version ID
+ * @param {Object} [filter] - { nodeId, countryCode, walletAddress, status }
+ * @returns {Object}
+ */
+const buildRankingQuery = (version, filter = {}) => {
+  const query = { version };
+  if (filter.nodeId !== undefined) query['node.nodeId'] = filter.nodeId;
+  if (filter.countryCode !== undefined) query.country = normalizeCountryCode(filter.countryCode);
+  if (filter.walletAddress !== undefined) query.wallet = normalizeWalletAddress(filter.walletAddress);
+  if (filter.status !== undefined) query['node.status'] = filter.status;
+  return query;
+};
+
+/**
+ * Projection returning the requested node fields
+ * @param {?Array<string>} fields - Node fields (null = the whole node)
+ * @returns {Object}
+ */
+const buildNodeProjection = (fields) => ({
+  _id: 0,
+  ...(fields ? Object.fromEntries(fields.map((field) => [`node.${field}`, 1])) : { node: 1 }),
+});
+
+/**
+ * Delete filter for a window's versions other than the ones kept
+ * @param {string} window - Leaderboard window
+ * @param {Array<?string>} keep - Versions still referenced; null entries are ignored
+ * @returns {?Object} null when nothing would be kept (never delete every version of a window)
+ */
+const buildPruneFilter = (window, keep) => {
+  const versions = [...new Set(keep.filter(Boolean))];
+  return versions.length > 0 ? { window, version: { $nin: versions } } : null;
+};
+
+class RankingService {
+  constructor() {
+    this.collection = null;
+  }
+
+  /**
+   * Initialize the ranking collection and indexes
+   */
+  async initialize() {
+    try {
+      this.collection = mongoose.connection.db.collection(RANKING_COLLECTION);
+
+      for (const { key, options } of RANKING_INDEXES) {
+        await this.collection.createIndex(key, options);
+      }
+
+      logger.info('✅ Ranking service initialized');
+      return true;
+    } catch (error) {
+      logger.error('❌ Failed to initialize ranking service', error);
+      return false;
+    }
+  }
+
+  /**
+   * Create a version ID for a new run
+   * @returns {string}
+   */
+  createVersion() {
+    return new mongoose.Types.ObjectId().toHexString();
+  }
+
+  /**
+   * Store every ranked node of a run under a version (not visible until the cache points at it)
+   * @param {string} window - Leaderboard window
+   * @param {string} version - Version ID from createVersion
+   * @param {Array} nodes - Ranked nodes
+   */
+  async writeVersion(window, version, nodes) {
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    const documents = toRankingDocuments(window, version, nodes);
+    for (let start = 0; start < documents.length; start += WRITE_BATCH_SIZE) {
+      await this.collection.insertMany(documents.slice(start, start + WRITE_BATCH_SIZE), { ordered: false });
+    }
+  }
+
+  /**
+   * Ranked nodes of a version in rank order
+   * @param {string} version - Version ID
+   * @param {Object} [filter] - { nodeId, countryCode, walletAddress, status }
+   * @param {Object} [options] - { limit, fields } (fields: node fields to return, default all)
+   * @returns {Promise<Array>}
+   */
+  async find(version, filter = {}, { limit = 0, fields = null } = {}) {
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    const documents = await this.collection
+      .find(buildRankingQuery(version, filter), { projection: buildNodeProjection(fields) })
+      .sort({ 'node.rank': 1 })
+      .limit(limit)
+      .toArray();
+
+    return documents.map((document) => document.node);
+  }
+
+  /**
+   * Apply a find() filter to ranked nodes already in memory (in rank order)
+   * @param {Array} nodes - Every node of a version, in rank order
+   * @param {Object} [filter] - { nodeId, countryCode, walletAddress, status }
+   * @param {Object} [options] - { limit }
+   * @returns {Array}
+   */
+  filterNodes(nodes, filter = {}, { limit = 0 } = {}) {
+    const country = filter.countryCode !== undefined ? normalizeCountryCode(filter.countryCode) : undefined;
+    const wallet = filter.walletAddress !== undefined ? normalizeWalletAddress(filter.walletAddress) : undefined;
+
+    const matched = nodes.filter((node) =>
+      (filter.nodeId === undefined || node.nodeId === filter.nodeId) &&
+      (country === undefined || normalizeCountryCode(node.countryCode) === country) &&
+      (wallet === undefined || normalizeWalletAddress(node.walletAddress) === wallet) &&
+      (filter.status === undefined || node.status === filter.status)
+    );
+
+    return limit ? matched.slice(0, limit) : matched;
+  }
+
+  /**
+   * Delete a window's versions other than the ones kept
+   * @param {string} window - Leaderboard window
+   * @param {Array<?string>} keep - Version IDs still referenced (active and previous)
+   */
+  async pruneVersions(window, keep) {
+    const filter = buildPruneFilter(window, keep);
+    if (!filter) return;
+
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    const result = await this.collection.deleteMany(filter);
+    if (result.deletedCount > 0) {
+      logger.info(`🧹 Pruned ${result.deletedCount} superseded ${window} ranking entries`);
+    }
+  }
+}
+
+// Export singleton instance
+const rankingService = new RankingService();
+module.exports = rankingService;
+module.exports.RANKING_INDEXES = RANKING_INDEXES;
+module.exports.toRankingDocuments = toRankingDocuments;
+module.exports.buildRankingQuery = buildRankingQuery;
+module.exports.buildNodeProjection = buildNodeProjection;
+module.exports.buildPruneFilter = buildPruneFilter;
@@ -0,0 +1,151 @@
+/**
+ * Rate Limit and Usage Helpers
+ * Route classes, per-key limit resolution and usage bucket maths
+ */
+
+// Route classes, each with its own per-minute limit and daily quota
+const ROUTE_CLASSES = ['read', 'export', 'refresh', 'admin'];
+
+const MAX_PER_MINUTE = 100000;
+const MAX_PER_DAY = 100000000;
+
+/**
+ * Classify a request for rate limiting and quotas
+ * Paths are compared the way Express routes them: case-insensitive, trailing slash ignored.
+ * @param {string} method - HTTP method
+ * @param {string} requestPath - Full request path (baseUrl + path)
+ * @returns {string} read, export, refresh or admin
+ */
+const getRouteClass = (method, requestPath) => {
+  const path = requestPath.toLowerCase().replace(/\/+$/, '');
+  if (path.startsWith('/admin') || path === '/leaderboard/simulate') return 'admin';
+  if (path === '/leaderboard/refresh') return 'refresh';
+  if (path === '/leaderboard/export') return 'export';
+  return 'read';
+};
+
+/**
+ * Merge a key's limit overrides over the defaults
+ * @param {Object} defaults - Route class -> { perMinute, perDay } (perDay 0 = unlimited)
+ * @param {?Object} overrides - Partial per-key limits
+ * @returns {Object} Route class -> { perMinute, perDay }
+ */
+const resolveLimits = (defaults, overrides) => {
+  const limits = {};
+  ROUTE_CLASSES.forEach((routeClass) => {
+    limits[routeClass] = { ...defaults[routeClass], ...((overrides && overrides[routeClass]) || {}) };
+  });
+  return limits;
+};
+
+/**
+ * Validate per-key limit overrides
+ * @param {*} value - { read?: { perMinute?, perDay? }, export?: ..., refresh?: ..., admin?: ... }
+ * @returns {{ limits?: ?Object, errors?: string[] }} null limits when none were given
+ */
+const parseLimits = (value) => {
+  if (value === undefined || value === null) {
+    return { limits: null };
+  }
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { errors: [`limits must be an object keyed by route class (${ROUTE_CLASSES.join(', ')})`] };
+  }
+
+  const errors = [];
+  const limits = {};
+
+  Object.entries(value).forEach(([routeClass, classLimits]) => {
+    if (!ROUTE_CLASSES.includes(routeClass)) {
+      errors.push(`limits.${routeClass} is not a route class (${ROUTE_CLASSES.join(', ')})`);
+      return;
+    }
+
+    if (classLimits === null || typeof classLimits !== 'object' || Array.isArray(classLimits)) {
+      errors.push(`limits.${routeClass} must be an object with perMinute and/or perDay`);
+      return;
+    }
+
+    const unknown = Object.keys(classLimits).filter((field) => !['perMinute', 'perDay'].includes(field));
+    if (unknown.length > 0) {
+      errors.push(`limits.${routeClass} has unknown fields: ${unknown.join(', ')}`);
+    }
+
+    const { perMinute, perDay } = classLimits;
+    if (perMinute !== undefined && (!Number.isInteger(perMinute) || perMinute < 1 || perMinute > MAX_PER_MINUTE)) {
+      errors.push(`limits.${routeClass}.perMinute must be an integer between 1 and ${MAX_PER_MINUTE}`);
+    }
+    if (perDay !== undefined && (!Number.isInteger(perDay) || perDay < 0 || perDay > MAX_PER_DAY)) {
+      errors.push(`limits.${routeClass}.perDay must be an integer between 0 (unlimited) and ${MAX_PER_DAY}`);
+    }
+
+    limits[routeClass] = {
+      ...(perMinute !== undefined && { perMinute }),
+      ...(perDay !== undefined && { perDay }),
+    };
+  });
+
+  return errors.length > 0 ? { errors } : { limits };
+};
+
+/**
+ * UTC day of a timestamp (daily quotas reset at 00:00 UTC)
+ * @param {Date} date
+ * @returns {string} YYYY-MM-DD
+ */
+const getUsageDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Start of the UTC hour containing a timestamp (usage bucket)
+ * @param {Date} date
+ * @returns {Date}
+ */
+const getUsageHour = (date) => {
+  const hour = new Date(date);
+  hour.setUTCMinutes(0, 0, 0);
+  return hour;
+};
+
+/**
+ * Seconds until daily quotas reset
+ * @param {Date} now
+ * @returns {number}
+ */
+const getSecondsUntilQuotaReset = (now) => {
+  const reset = new Date(now);
+  reset.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((reset - now) / 1000);
+};
+
+/**
+ * Add derived rates to aggregated usage counters
+ * @param {Object} counters - { requests, status2xx, status3xx, status4xx, status5xx, throttled, latencySumMs, latencyMaxMs }
+ * @returns {Object} Counters plus clientErrorRate, serverErrorRate, throttledRate and avgLatencyMs
+ */
+const withUsageRates = (counters) => {
+  const { requests, status4xx, status5xx, throttled, latencySumMs, ...rest } = counters;
+  const rate = (count) => (requests > 0 ? Math.round((count / requests) * 10000) / 10000 : 0);
+
+  return {
+    ...rest,
+    requests,
+    status4xx,
+    status5xx,
+    throttled,
+    clientErrorRate: rate(status4xx),
+    serverErrorRate: rate(status5xx),
+    throttledRate: rate(throttled),
+    avgLatencyMs: requests > 0 ? Math.round((latencySumMs / requests) * 10) / 10 : null,
+  };
+};
+
+module.exports = {
+  ROUTE_CLASSES,
+  getRouteClass,
+  resolveLimits,
+  parseLimits,
+  getUsageDay,
+  getUsageHour,
+  getSecondsUntilQuotaReset,
+  withUsageRates,
+};
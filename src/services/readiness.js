@@ -0,0 +1,52 @@
+/**
+ * Readiness
+ * Whether an instance should receive traffic: the database is reachable and every window's
+ * cached ranking is recent enough to serve
+ */
+
+/**
+ * Cache age after which a window is stale
+ * @param {number} updateIntervalMs - Interval between leaderboard computations
+ * @param {number} [intervals] - Update intervals a cached ranking may miss (at least 1)
+ * @returns {number} Milliseconds
+ */
+const getStaleAfterMs = (updateIntervalMs, intervals = 3) => Math.round(updateIntervalMs * Math.max(intervals, 1));
+
+/**
+ * Evaluate readiness
+ * @param {Object} input
+ * @param {string} input.database - Connection status (connected, disconnected, ...)
+ * @param {Object} input.cacheTimestamps - window -> cache timestamp (null when never computed)
+ * @param {number} input.staleAfterMs - Cache age after which a window is stale
+ * @param {Date} input.now
+ * @returns {Object} { ready, reasons, windows } (windows: window -> { timestamp, ageSeconds, stale })
+ */
+const evaluateReadiness = ({ database, cacheTimestamps, staleAfterMs, now }) => {
+  const reasons = [];
+  if (database !== 'connected') {
+    reasons.push(`Database ${database}`);
+  }
+
+  const windows = {};
+  Object.entries(cacheTimestamps).forEach(([window, timestamp]) => {
+    if (!timestamp) {
+      windows[window] = { timestamp: null, ageSeconds: null, stale: true };
+      reasons.push(`No ${window} leaderboard computed yet`);
+      return;
+    }
+
+    const ageMs = Math.max(now.getTime() - new Date(timestamp).getTime(), 0);
+    const stale = ageMs > staleAfterMs;
+    windows[window] = { timestamp, ageSeconds: Math.round(ageMs / 1000), stale };
+    if (stale) {
+      reasons.push(`${window} leaderboard is ${Math.round(ageMs / 1000)}s old (stale after ${Math.round(staleAfterMs / 1000)}s)`);
+    }
+  });
+
+  return { ready: reasons.length === 0, reasons, windows };
+};
+
+module.exports = {
+  getStaleAfterMs,
+  evaluateReadiness,
+};
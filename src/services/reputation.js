@@ -0,0 +1,595 @@
+/**
+ * Reputation Reference Implementation
+ * Pure JavaScript version of the scoring aggregation in scoringPipeline.js
+ *
+ * Produces the same ranked node shape as the MongoDB pipeline so the formula can be
+ * exercised without a database. Heartbeats go through the same hourly rollup step.
+ * Any change to the pipeline must be mirrored here (test/reputation.parity.test.js
+ * checks both against the same fixtures).
+ */
+
+const { ROLLUP_METRICS } = require('./rollups');
+const { HEARTBEAT_ISSUES, DEFAULT_VALIDATION_RULES, DATA_QUALITY_LEVELS } = require('./heartbeatValidation');
+
+const HOUR_MS = 3600000;
+const DAY_MS = 86400000;
+
+/**
+ * Round half to even at a decimal place, matching MongoDB $round on doubles
+ * (the double is first converted to a 15-significant-digit decimal)
+ * @param {?number} value - Value to round
+ * @param {number} place - Decimal places
+ * @returns {?number} Rounded value (null stays null)
+ */
+const roundHalfEven = (value, place) => {
+  if (value === null || value === undefined) return null;
+  if (!Number.isFinite(value) || value === 0) return value;
+
+  const decimal = Math.abs(value).toPrecision(15);
+  if (decimal.includes('e')) {
+    // Outside plain decimal notation; far beyond the magnitudes scores reach
+    return Number(value.toFixed(place));
+  }
+
+  const [integerPart, fractionPart = ''] = decimal.split('.');
+  const kept = fractionPart.slice(0, place).padEnd(place, '0');
+  const rest = fractionPart.slice(place);
+
+  let digits = BigInt(integerPart + kept);
+  const firstDropped = rest.length > 0 ? Number(rest[0]) : 0;
+  const tail = rest.slice(1);
+  const roundUp = firstDropped > 5 ||
+    (firstDropped === 5 && (/[1-9]/.test(tail) || digits % 2n === 1n));
+  if (roundUp) digits += 1n;
+
+  const text = digits.toString().padStart(place + 1, '0');
+  const rounded = place > 0
+    ? Number(`${text.slice(0, -place)}.${text.slice(-place)}`)
+    : Number(text);
+  return value < 0 ? -rounded : rounded;
+};
+
+const isNumber = (value) => typeof value === 'number' && !Number.isNaN(value);
+
+const isSet = (value) => value !== null && value !== undefined;
+
+/**
+ * Usage percentage from used/total, null when either is missing or total is not positive
+ * @param {Object} [resource] - { used, total }
+ * @returns {?number}
+ */
+const usagePercent = (resource) => {
+  if (!resource || !isNumber(resource.used) || !isNumber(resource.total) || resource.total <= 0) {
+    return null;
+  }
+  return (resource.used / resource.total) * 100;
+};
+
+/**
+ * Reported metric values of a heartbeat
+ * @param {Object} heartbeat - Heartbeat document
+ * @returns {Object} metric -> value (as reported; usage percentages null when not computable)
+ */
+const reportedValues = (heartbeat) => {
+  const network = heartbeat.networkMetrics || {};
+  const resources = heartbeat.systemResources || {};
+  return {
+    networkSpeed: network.speed,
+    latency: network.latency,
+    cpuUsage: resources.cpu && resources.cpu.usage,
+    memoryUsage: usagePercent(resources.memory),
+    diskUsage: usagePercent(resources.storage),
+    uptime: heartbeat.status ? heartbeat.status.uptime : undefined,
+  };
+};
+
+/**
+ * Validate a device's heartbeats (mirrors buildValidationStages in heartbeatValidation.js)
+ * @param {Array} heartbeats - Heartbeat documents for one device
+ * @param {Object} [rules] - Validation rules
+ * @returns {Array} [{ heartbeat, timestamp, issues, rejected, adjusted, values, bootTime }], oldest first
+ *   (bootTime: latest boot time implied up to and including the heartbeat, ms)
+ */
+const validateHeartbeats = (heartbeats, rules = DEFAULT_VALIDATION_RULES) => {
+  const maxima = {
+    networkSpeed: rules.maxNetworkSpeedMbps,
+    latency: rules.maxLatencyMs,
+    cpuUsage: 100,
+    memoryUsage: 100,
+    diskUsage: 100,
+    uptime: null,
+  };
+  const isOutOfRange = (value, max) => isNumber(value) && (value < 0 || (max !== null && value > max));
+  const clamp = (value, max) => {
+    if (!isNumber(value) || value < 0) return null;
+    return max === null ? value : Math.min(value, max);
+  };
+
+  const sorted = [...heartbeats].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  // Latest boot time implied by the heartbeats so far (timestamp - uptime)
+  let bootTimeFloor = null;
+
+  return sorted.map((heartbeat, index) => {
+    const timestamp = new Date(heartbeat.timestamp).getTime();
+    const previous = index > 0 ? sorted[index - 1] : null;
+    const gapMs = previous ? timestamp - new Date(previous.timestamp).getTime() : null;
+    const reported = reportedValues(heartbeat);
+
+    const futureTimestamp = isSet(heartbeat.createdAt) &&
+      timestamp > new Date(heartbeat.createdAt).getTime() + rules.maxClockSkewMs;
+    const impliedBootTime = isNumber(reported.uptime) && reported.uptime >= 0 && !futureTimestamp
+      ? timestamp - reported.uptime * 1000
+      : null;
+
+    const issues = {
+      futureTimestamp,
+      duplicate: previous !== null && gapMs < rules.minIntervalMs,
+      outOfRange: Object.keys(maxima).some((name) => isOutOfRange(reported[name], maxima[name])),
+      uptime: impliedBootTime !== null && bootTimeFloor !== null &&
+        impliedBootTime < bootTimeFloor - rules.uptimeToleranceSeconds * 1000,
+    };
+
+    const unrecoverable = issues.futureTimestamp || issues.duplicate;
+    const rejected = rules.mode === 'discard' ? HEARTBEAT_ISSUES.some((issue) => issues[issue]) : unrecoverable;
+    const adjusted = rules.mode === 'discard' ? false : !unrecoverable && (issues.outOfRange || issues.uptime);
+
+    const values = Object.fromEntries(Object.keys(maxima).map((name) => [name, clamp(reported[name], maxima[name])]));
+    if (issues.uptime) {
+      values.uptime = Math.max((timestamp - bootTimeFloor) / 1000, 0);
+    }
+
+    if (impliedBootTime !== null && (bootTimeFloor === null || impliedBootTime > bootTimeFloor)) {
+      bootTimeFloor = impliedBootTime;
+    }
+
+    return { heartbeat, timestamp, issues, rejected, adjusted, values, bootTime: bootTimeFloor };
+  });
+};
+
+/**
+ * Roll heartbeats up into hourly buckets (mirrors buildRollupStages in rollups.js)
+ * @param {Array} heartbeats - Heartbeat documents for one device
+ * @param {Object} [rules] - Heartbeat validation rules
+ * @returns {Array} Rollup documents, oldest hour first
+ */
+const rollupHeartbeats = (heartbeats, rules = DEFAULT_VALIDATION_RULES) => {
+  const buckets = new Map();
+
+  validateHeartbeats(heartbeats, rules).forEach(({ heartbeat, timestamp, issues, rejected, adjusted, values, bootTime }) => {
+    const hour = Math.floor(timestamp / HOUR_MS) * HOUR_MS;
+    if (!buckets.has(hour)) {
+      buckets.set(hour, {
+        deviceId: heartbeat.deviceId,
+        hour: new Date(hour),
+        heartbeats: 0,
+        rejectedHeartbeats: 0,
+        adjustedHeartbeats: 0,
+        issues: Object.fromEntries(HEARTBEAT_ISSUES.map((issue) => [issue, 0])),
+        online: false,
+        firstSeen: null,
+        lastSeen: null,
+        maxUptime: null,
+        bootTime: null,
+        location: null,
+        ...Object.fromEntries(ROLLUP_METRICS.map((metric) => [metric, { sum: 0, count: 0 }])),
+      });
+    }
+
+    const bucket = buckets.get(hour);
+    if (bootTime !== null && (bucket.bootTime === null || bootTime > bucket.bootTime.getTime())) bucket.bootTime = new Date(bootTime);
+    HEARTBEAT_ISSUES.forEach((issue) => {
+      if (issues[issue]) bucket.issues[issue]++;
+    });
+    if (rejected) {
+      bucket.rejectedHeartbeats++;
+      return;
+    }
+    if (adjusted) bucket.adjustedHeartbeats++;
+
+    bucket.heartbeats++;
+    bucket.online = true;
+    if (bucket.firstSeen === null || timestamp < bucket.firstSeen.getTime()) bucket.firstSeen = new Date(timestamp);
+    if (bucket.lastSeen === null || timestamp > bucket.lastSeen.getTime()) bucket.lastSeen = new Date(timestamp);
+
+    if (isNumber(values.uptime) && (bucket.maxUptime === null || values.uptime > bucket.maxUptime)) bucket.maxUptime = values.uptime;
+
+    const location = heartbeat.location || {};
+    if (isSet(location.countryCode) && location.countryCode !== '' &&
+      (bucket.location === null || timestamp > bucket.location.timestamp.getTime())) {
+      bucket.location = { timestamp: new Date(timestamp), countryCode: location.countryCode };
+      if (location.region !== undefined) bucket.location.region = location.region;
+      if (location.city !== undefined) bucket.location.city = location.city;
+    }
+
+    ROLLUP_METRICS.forEach((metric) => {
+      if (isNumber(values[metric])) {
+        bucket[metric].sum += values[metric];
+        bucket[metric].count++;
+      }
+    });
+  });
+
+  return [...buckets.values()].sort((a, b) => a.hour - b.hour);
+};
+
+const headroom = (usage, weight, defaultUsage) =>
+  Math.max(1 - (isSet(usage) ? usage : defaultUsage) / 100, 0) * weight;
+
+/**
+ * Assign a tier property from a rounded score, optionally clamped to a floor status
+ * @param {Array} tiers - Profile tiers, highest first
+ * @param {number} score - Rounded reputation score
+ * @param {string} property - status or badge
+ * @param {string} [floorStatus] - Lowest status allowed
+ * @returns {string}
+ */
+const tierFor = (tiers, score, property, floorStatus) => {
+  const floorIndex = floorStatus ? tiers.findIndex((tier) => tier.status === floorStatus) : tiers.length - 1;
+  for (let index = 0; index < floorIndex; index++) {
+    if (score >= tiers[index].minScore) return tiers[index][property];
+  }
+  return tiers[floorIndex][property];
+};
+
+/**
+ * Score a single device from its hourly rollups (pipeline stages 1-7)
+ * @param {string} deviceId - Device ID
+ * @param {Array} rollups - Hourly rollups for the device (at least one accepted heartbeat, see rollupHeartbeats)
+ * @param {?Object} device - Matching devices collection document
+ * @param {Object} options
+ * @param {Object} options.profile - Scoring profile
+ * @param {Date} options.now - Evaluation time
+ * @returns {Object} Scored device with every intermediate value
+ */
+const scoreDevice = (deviceId, rollups, device, { profile, now }) => {
+  const { weights, thresholds, newNodes, tiers } = profile;
+  const nowMs = now.getTime();
+  const recentSinceHour = Math.floor((nowMs - thresholds.recentWindowHours * HOUR_MS) / HOUR_MS) * HOUR_MS;
+
+  // 1-2) Per-device metrics from hourly rollups
+  let onlineHours = 0;
+  let totalHeartbeats = 0;
+  let recentHeartbeats = 0;
+  let rejectedHeartbeats = 0;
+  let adjustedHeartbeats = 0;
+  const heartbeatIssues = Object.fromEntries(HEARTBEAT_ISSUES.map((issue) => [issue, 0]));
+  let lastSeen = null;
+  let firstSeen = null;
+  let maxUptime = null;
+  let latestLocation = null;
+  const totals = Object.fromEntries(ROLLUP_METRICS.map((metric) => [metric, { sum: 0, count: 0 }]));
+
+  rollups.forEach((rollup) => {
+    if (rollup.online === true) onlineHours++;
+    totalHeartbeats += rollup.heartbeats;
+    if (new Date(rollup.hour).getTime() >= recentSinceHour) recentHeartbeats += rollup.heartbeats;
+    rejectedHeartbeats += rollup.rejectedHeartbeats || 0;
+    adjustedHeartbeats += rollup.adjustedHeartbeats || 0;
+    HEARTBEAT_ISSUES.forEach((issue) => {
+      heartbeatIssues[issue] += (rollup.issues && rollup.issues[issue]) || 0;
+    });
+
+    // Hours where every heartbeat was rejected have no first/last seen
+    if (isSet(rollup.lastSeen)) {
+      const rollupLastSeen = new Date(rollup.lastSeen).getTime();
+      const rollupFirstSeen = new Date(rollup.firstSeen).getTime();
+      if (lastSeen === null || rollupLastSeen > lastSeen) lastSeen = rollupLastSeen;
+      if (firstSeen === null || rollupFirstSeen < firstSeen) firstSeen = rollupFirstSeen;
+    }
+    if (isNumber(rollup.maxUptime) && (maxUptime === null || rollup.maxUptime > maxUptime)) maxUptime = rollup.maxUptime;
+    if (rollup.location && (latestLocation === null ||
+      new Date(rollup.location.timestamp).getTime() > new Date(latestLocation.timestamp).getTime())) {
+      latestLocation = rollup.location;
+    }
+
+    ROLLUP_METRICS.forEach((metric) => {
+      totals[metric].sum += rollup[metric].sum;
+      totals[metric].count += rollup[metric].count;
+    });
+  });
+
+  const averageOf = (metric) => (totals[metric].count > 0 ? totals[metric].sum / totals[metric].count : null);
+  const avgNetworkSpeed = averageOf('networkSpeed');
+  const avgLatency = averageOf('latency');
+  const avgCpuUsage = averageOf('cpuUsage');
+  const avgMemoryUsage = averageOf('memoryUsage');
+  const avgDiskUsage = averageOf('diskUsage');
+
+  const issueRate = (rejectedHeartbeats + adjustedHeartbeats) / (totalHeartbeats + rejectedHeartbeats);
+  const dataQuality = DATA_QUALITY_LEVELS.find((candidate) => issueRate <= candidate.maxIssueRate).level;
+
+  // 3) Device info
+  const deviceInfo = device || {};
+  const createdAt = isSet(deviceInfo.createdAt) ? new Date(deviceInfo.createdAt).getTime() : null;
+  const ageDays = createdAt !== null ? (nowMs - createdAt) / DAY_MS : null;
+
+  // 4) Derived metrics
+  const distinctOnlineHours = onlineHours;
+  const daysObserved = Math.max((lastSeen - firstSeen) / DAY_MS, 0);
+  const normalizedDaysObserved = Math.max(daysObserved, 1);
+  const hoursOnlinePerDay = distinctOnlineHours / normalizedDaysObserved;
+  const hoursSinceLastSeen = (nowMs - lastSeen) / HOUR_MS;
+  const meetsMinimumUptime = (maxUptime || 0) >= thresholds.minimumUptimeSeconds;
+  const meetsThirtyDayRequirement = ageDays !== null ? ageDays >= newNodes.eligibilityAgeDays : false;
+
+  const graceEndsAt = isSet(deviceInfo.gracePeriodEndsAt) ? new Date(deviceInfo.gracePeriodEndsAt).getTime() : 0;
+  const inManualGracePeriod = deviceInfo.isInGracePeriod === true && nowMs < graceEndsAt;
+  const isNewNode = inManualGracePeriod || (ageDays !== null && ageDays <= newNodes.gracePeriodDays);
+
+  const cappedMaxUptime = Math.min(maxUptime || 0, thresholds.uptimeCapSeconds);
+
+  // 5) Component sub-scores
+  const availabilityScore = (maxUptime || 0) < thresholds.minimumUptimeSeconds
+    ? 0
+    : Math.min(hoursOnlinePerDay / thresholds.targetHoursOnlinePerDay, 1) * weights.availability;
+
+  const throughputScore = Math.min((isSet(avgNetworkSpeed) ? avgNetworkSpeed : 0) / thresholds.targetNetworkSpeedMbps, 1) * weights.throughput;
+  const latencyScore = Math.max(1 - (isSet(avgLatency) ? avgLatency : thresholds.maxLatencyMs) / thresholds.maxLatencyMs, 0) * weights.latency;
+
+  const cpuHeadroomScore = headroom(avgCpuUsage, weights.cpuHeadroom, thresholds.defaultResourceUsagePercent);
+  const memoryHeadroomScore = headroom(avgMemoryUsage, weights.memoryHeadroom, thresholds.defaultResourceUsagePercent);
+  const diskHeadroomScore = headroom(avgDiskUsage, weights.diskHeadroom, thresholds.defaultResourceUsagePercent);
+
+  const coverageScore = Math.min(
+    distinctOnlineHours / Math.max(normalizedDaysObserved * 24 * thresholds.coverageTarget, 1),
+    1
+  ) * weights.coverage;
+  const recencyScore = hoursSinceLastSeen > thresholds.recencyDecayHours
+    ? 0
+    : Math.max(1 - hoursSinceLastSeen / thresholds.recencyDecayHours, 0) * weights.recency;
+
+  // 5b) Component scores
+  const networkQualityScore = throughputScore + latencyScore;
+  const resourceHeadroomScore = cpuHeadroomScore + memoryHeadroomScore + diskHeadroomScore;
+  const consistencyScore = coverageScore + recencyScore;
+
+  // 6) Final reputation
+  const calculatedScore = availabilityScore + networkQualityScore + resourceHeadroomScore + consistencyScore;
+  const seeded = isNewNode && totalHeartbeats <= newNodes.seedMaxHeartbeats;
+  const reputationScore = roundHalfEven(seeded ? newNodes.seedScore : calculatedScore, 2);
+
+  // 7) Status and badge
+  const floor = isNewNode ? newNodes.graceFloorStatus : undefined;
+
+  return {
+    deviceId,
+    deviceInfo: device || null,
+    totalHeartbeats,
+    recentHeartbeats,
+    rejectedHeartbeats,
+    adjustedHeartbeats,
+    heartbeatIssues,
+    dataQuality,
+    lastSeen: new Date(lastSeen),
+    firstSeen: new Date(firstSeen),
+    maxUptime,
+    latestLocation,
+    avgNetworkSpeed,
+    avgLatency,
+    avgCpuUsage,
+    avgMemoryUsage,
+    avgDiskUsage,
+    distinctOnlineHours,
+    daysObserved,
+    normalizedDaysObserved,
+    hoursOnlinePerDay,
+    hoursSinceLastSeen,
+    meetsMinimumUptime,
+    meetsThirtyDayRequirement,
+    isNewNode,
+    inManualGracePeriod,
+    cappedMaxUptime,
+    availabilityScore,
+    throughputScore,
+    latencyScore,
+    cpuHeadroomScore,
+    memoryHeadroomScore,
+    diskHeadroomScore,
+    coverageScore,
+    recencyScore,
+    networkQualityScore,
+    resourceHeadroomScore,
+    consistencyScore,
+    calculatedScore,
+    seeded,
+    reputationScore,
+    baseStatus: tierFor(tiers, reputationScore, 'status'),
+    status: tierFor(tiers, reputationScore, 'status', floor),
+    rankBadge: tierFor(tiers, reputationScore, 'badge', floor),
+  };
+};
+
+/**
+ * Project a scored device into the public node shape (pipeline step 10)
+ * @param {Object} scored - Result of scoreDevice
+ * @param {number} rank - 1-based rank
+ * @param {Object} profile - Scoring profile
+ * @param {Date} now - Evaluation time
+ * @returns {Object} Public node
+ */
+const projectNode = (scored, rank, profile, now) => {
+  const { weights, thresholds, tiers } = profile;
+  const deviceInfo = scored.deviceInfo || {};
+  const consistencyMax = weights.coverage + weights.recency;
+  const tier = tiers.find((candidate) => candidate.status === scored.status);
+  const createdAt = isSet(deviceInfo.createdAt) ? new Date(deviceInfo.createdAt).getTime() : null;
+  const locationField = (field) => (scored.latestLocation && isSet(scored.latestLocation[field]) ? scored.latestLocation[field] : null);
+
+  const node = {
+    totalHeartbeats: scored.totalHeartbeats,
+    totalHeartbeatsAllTime: scored.totalHeartbeats,
+    rejectedHeartbeats: scored.rejectedHeartbeats,
+    adjustedHeartbeats: scored.adjustedHeartbeats,
+    dataQuality: scored.dataQuality,
+    lastSeen: scored.lastSeen,
+    maxUptime: scored.maxUptime,
+    cappedMaxUptime: scored.cappedMaxUptime,
+    meetsMinimumUptime: scored.meetsMinimumUptime,
+    meetsThirtyDayRequirement: scored.meetsThirtyDayRequirement,
+    rank,
+    nodeId: scored.deviceId,
+    reputationScore: scored.reputationScore,
+
+    avgNetworkSpeed: roundHalfEven(scored.avgNetworkSpeed, 2),
+    avgLatency: roundHalfEven(scored.avgLatency, 2),
+    avgCpuUsage: roundHalfEven(scored.avgCpuUsage, 2),
+    avgMemoryUsage: roundHalfEven(scored.avgMemoryUsage, 2),
+    avgDiskUsage: roundHalfEven(scored.avgDiskUsage, 2),
+
+    activityScore: roundHalfEven(
+      Math.min(scored.distinctOnlineHours / Math.max(scored.normalizedDaysObserved * 24, 1), 1) * 10,
+      2
+    ),
+    uptimeScore: roundHalfEven(
+      scored.meetsMinimumUptime ? Math.min((scored.cappedMaxUptime / thresholds.uptimeCapSeconds) * 10, 10) : 0,
+      2
+    ),
+    performanceScore: roundHalfEven(scored.networkQualityScore, 2),
+    stabilityScore: roundHalfEven(Math.min((scored.consistencyScore / (consistencyMax || 1)) * 10, 10), 2),
+
+    daysObserved: roundHalfEven(scored.normalizedDaysObserved, 1),
+    daysInSevenDayWindow: roundHalfEven(scored.normalizedDaysObserved, 1),
+    daysSinceRegistration: createdAt !== null ? roundHalfEven((now.getTime() - createdAt) / DAY_MS, 1) : null,
+    hoursSinceLastSeen: roundHalfEven(scored.hoursSinceLastSeen, 1),
+    uptimeHours: roundHalfEven(scored.cappedMaxUptime / 3600, 1),
+
+    country: isSet(deviceInfo.country) ? deviceInfo.country : 'Unknown',
+    location: isSet(deviceInfo.location) ? deviceInfo.location : '',
+    deviceName: isSet(deviceInfo.name) ? deviceInfo.name : scored.deviceId,
+    countryCode: locationField('countryCode'),
+    region: locationField('region'),
+    city: locationField('city'),
+
+    status: scored.status,
+    rankBadge: scored.rankBadge,
+    performanceInsight: tier ? tier.insight : 'Excellent - Starting with maximum reputation',
+  };
+
+  // Projected only when the device record carries one
+  if (deviceInfo.walletAddress !== undefined) {
+    node.walletAddress = deviceInfo.walletAddress;
+  }
+
+  return node;
+};
+
+/**
+ * Explain a scored device (mirrors buildExplainProjection in scoringPipeline.js)
+ * @param {Object} scored - Result of scoreDevice
+ * @param {Object} profile - Scoring profile
+ * @returns {Object} { nodeId, reputationScore, calculatedScore, status, inputs, components, gates }
+ */
+const explainDevice = (scored, profile) => {
+  const { weights, newNodes } = profile;
+  const round = (value) => roundHalfEven(value, 2);
+  const deviceInfo = scored.deviceInfo || {};
+
+  return {
+    nodeId: scored.deviceId,
+    reputationScore: scored.reputationScore,
+    calculatedScore: round(scored.calculatedScore),
+    status: scored.status,
+    inputs: {
+      totalHeartbeats: scored.totalHeartbeats,
+      recentHeartbeats: scored.recentHeartbeats,
+      rejectedHeartbeats: scored.rejectedHeartbeats,
+      adjustedHeartbeats: scored.adjustedHeartbeats,
+      heartbeatIssues: scored.heartbeatIssues,
+      dataQuality: scored.dataQuality,
+      firstSeen: scored.firstSeen,
+      lastSeen: scored.lastSeen,
+      distinctOnlineHours: scored.distinctOnlineHours,
+      daysObserved: round(scored.daysObserved),
+      normalizedDaysObserved: round(scored.normalizedDaysObserved),
+      hoursOnlinePerDay: round(scored.hoursOnlinePerDay),
+      hoursSinceLastSeen: round(scored.hoursSinceLastSeen),
+      maxUptime: scored.maxUptime,
+      cappedMaxUptime: scored.cappedMaxUptime,
+      avgNetworkSpeed: round(scored.avgNetworkSpeed),
+      avgLatency: round(scored.avgLatency),
+      avgCpuUsage: round(scored.avgCpuUsage),
+      avgMemoryUsage: round(scored.avgMemoryUsage),
+      avgDiskUsage: round(scored.avgDiskUsage),
+    },
+    components: {
+      availability: {
+        score: round(scored.availabilityScore),
+        max: weights.availability,
+      },
+      networkQuality: {
+        score: round(scored.networkQualityScore),
+        max: weights.throughput + weights.latency,
+        throughput: round(scored.throughputScore),
+        latency: round(scored.latencyScore),
+      },
+      resourceHeadroom: {
+        score: round(scored.resourceHeadroomScore),
+        max: weights.cpuHeadroom + weights.memoryHeadroom + weights.diskHeadroom,
+        cpu: round(scored.cpuHeadroomScore),
+        memory: round(scored.memoryHeadroomScore),
+        disk: round(scored.diskHeadroomScore),
+      },
+      consistency: {
+        score: round(scored.consistencyScore),
+        max: weights.coverage + weights.recency,
+        coverage: round(scored.coverageScore),
+        recency: round(scored.recencyScore),
+      },
+    },
+    gates: {
+      meetsMinimumUptime: scored.meetsMinimumUptime,
+      availabilityZeroed: !scored.meetsMinimumUptime,
+      isNewNode: scored.isNewNode,
+      inManualGracePeriod: deviceInfo.isInGracePeriod === true,
+      gracePeriodEndsAt: isSet(deviceInfo.gracePeriodEndsAt) ? deviceInfo.gracePeriodEndsAt : null,
+      seededAtMaximum: scored.isNewNode && scored.totalHeartbeats <= newNodes.seedMaxHeartbeats,
+      baseStatus: scored.baseStatus,
+      statusClamped: scored.baseStatus !== scored.status,
+      meetsThirtyDayRequirement: scored.meetsThirtyDayRequirement,
+    },
+  };
+};
+
+/**
+ * Rank devices and produce public nodes, in rank order
+ * Devices without accepted heartbeats (in the window) are not ranked (the pipeline starts from rollups)
+ * @param {Array} entries - [{ deviceId, heartbeats, device }]
+ * @param {Object} options
+ * @param {Object} options.profile - Scoring profile
+ * @param {Date} [options.now] - Evaluation time (default: now)
+ * @param {?number} [options.windowMs] - Only score rollup hours within this look-back (null = all-time)
+ * @param {Object} [options.validation] - Heartbeat validation rules
+ * @returns {Array} Ranked public nodes
+ */
+const rankDevices = (entries, { profile, now = new Date(), windowMs = null, validation = DEFAULT_VALIDATION_RULES }) => {
+  const windowStart = windowMs ? Math.floor((now.getTime() - windowMs) / HOUR_MS) * HOUR_MS : null;
+
+  const scored = entries
+    .map((entry) => ({
+      entry,
+      rollups: rollupHeartbeats(entry.heartbeats || [], validation)
+        .filter((rollup) => windowStart === null || rollup.hour.getTime() >= windowStart),
+    }))
+    .filter(({ rollups }) => rollups.some((rollup) => rollup.heartbeats > 0))
+    .map(({ entry, rollups }) => scoreDevice(entry.deviceId, rollups, entry.device || null, { profile, now }));
+
+  // Sort with tie-breakers: reputation, then availability, then more recent
+  scored.sort((a, b) =>
+    b.reputationScore - a.reputationScore ||
+    b.availabilityScore - a.availabilityScore ||
+    a.hoursSinceLastSeen - b.hoursSinceLastSeen
+  );
+
+  return scored.map((device, index) => projectNode(device, index + 1, profile, now));
+};
+
+module.exports = {
+  roundHalfEven,
+  validateHeartbeats,
+  rollupHeartbeats,
+  scoreDevice,
+  projectNode,
+  explainDevice,
+  rankDevices,
+};
@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const { normalizeWalletAddress } = require('./wallets');
+const { csvRow } = require('./csv');
+const { CLUSTER_FLAGS } = require('./sybil');
+
+/**
+ * Reward Calculator
+ * Turns the ranked node list into a deterministic per-wallet payout table.
+ * All amounts are integer base units (BigInt) so the same inputs always give
+ * the same table, down to the last unit.
+ */
+
+const DISTRIBUTIONS = ['proportional', 'tiered'];
+
+const DEFAULT_RULES = {
+  minimumStatus: null, // null = lowest tier (every status)
+  requireThirtyDayRequirement: true,
+  requireMinimumUptime: true,
+  distribution: 'proportional',
+  tierWeights: null,
+  maxPerWallet: null,
+  excludeFlags: [], // Cluster flags (shared-mac, shared-ip, shared-fingerprint) that exclude a node
+  decimals: 8, // LSK: 1 LSK = 10^8 base units
+};
+
+const EPOCH_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Parse a decimal token amount into base units
+ * @param {string|number} value - Amount (e.g. "1500.5")
+ * @param {number} decimals - Base unit decimals
+ * @returns {?bigint} null when not a valid non-negative amount with at most `decimals` fraction digits
+ */
+const toUnits = (value, decimals) => {
+  const text = typeof value === 'number' ? String(value) : value;
+  if (typeof text !== 'string' || !/^\d+(\.\d+)?$/.test(text.trim())) return null;
+
+  const [whole, fraction = ''] = text.trim().split('.');
+  if (fraction.length > decimals) return null;
+  return BigInt(whole + fraction.padEnd(decimals, '0'));
+};
+
+/**
+ * Format base units as a fixed-point decimal string
+ * @param {bigint} units - Amount in base units
+ * @param {number} decimals - Base unit decimals
+ * @returns {string}
+ */
+const fromUnits = (units, decimals) => {
+  if (decimals === 0) return units.toString();
+  const text = units.toString().padStart(decimals + 1, '0');
+  return `${text.slice(0, -decimals)}.${text.slice(-decimals)}`;
+};
+
+// Weights are compared as integer hundredths (scores carry two decimals)
+const toWeight = (value) => BigInt(Math.round(value * 100));
+
+/**
+ * Validate a reward request and apply rule defaults
+ * @param {Object} body - { epoch, pool, rules }
+ * @param {Array} tiers - Scoring profile tiers, highest first
+ * @param {Object} [options]
+ * @param {boolean} [options.flagging] - Whether ranked nodes carry cluster flags (CLUSTER_FLAG_NODES)
+ * @returns {{ request?: Object, errors?: string[] }}
+ */
+const parseRewardRequest = (body, tiers, { flagging = false } = {}) => {
+  const errors = [];
+  const { epoch, pool, rules: rawRules = {} } = body || {};
+  const statuses = tiers.map((tier) => tier.status);
+
+  if (typeof epoch !== 'string' || !EPOCH_PATTERN.test(epoch)) {
+    errors.push('epoch must be 1-64 characters of letters, digits, ".", "_" or "-"');
+  }
+
+  if (!isPlainObject(rawRules)) {
+    return { errors: [...errors, 'rules must be an object'] };
+  }
+
+  const unknown = Object.keys(rawRules).filter((key) => !Object.prototype.hasOwnProperty.call(DEFAULT_RULES, key));
+  if (unknown.length > 0) {
+    errors.push(`unknown rules: ${unknown.join(', ')}`);
+  }
+
+  const rules = { ...DEFAULT_RULES, ...rawRules };
+
+  if (!Number.isInteger(rules.decimals) || rules.decimals < 0 || rules.decimals > 18) {
+    errors.push('rules.decimals must be an integer between 0 and 18');
+    return { errors };
+  }
+
+  const poolUnits = toUnits(pool, rules.decimals);
+  if (poolUnits === null || poolUnits <= 0n) {
+    errors.push(`pool must be a positive amount with at most ${rules.decimals} decimal places`);
+  }
+
+  if (rules.minimumStatus !== null && !statuses.includes(rules.minimumStatus)) {
+    errors.push(`rules.minimumStatus must be one of: ${statuses.join(', ')}`);
+  }
+
+  ['requireThirtyDayRequirement', 'requireMinimumUptime'].forEach((key) => {
+    if (typeof rules[key] !== 'boolean') {
+      errors.push(`rules.${key} must be true or false`);
+    }
+  });
+
+  if (!DISTRIBUTIONS.includes(rules.distribution)) {
+    errors.push(`rules.distribution must be one of: ${DISTRIBUTIONS.join(', ')}`);
+  }
+
+  if (rules.distribution === 'tiered') {
+    if (!isPlainObject(rules.tierWeights)) {
+      errors.push('rules.tierWeights is required for tiered distribution (status -> weight)');
+    } else {
+      statuses.forEach((status) => {
+        const weight = rules.tierWeights[status];
+        if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+          errors.push(`rules.tierWeights.${status} must be a non-negative number`);
+        }
+      });
+    }
+  }
+
+  const flags = Object.values(CLUSTER_FLAGS);
+  if (!Array.isArray(rules.excludeFlags) || !rules.excludeFlags.every((flag) => flags.includes(flag))) {
+    errors.push(`rules.excludeFlags must be an array of: ${flags.join(', ')}`);
+  } else if (rules.excludeFlags.length > 0 && !flagging) {
+    // Without flags on the ranked nodes the rule would silently exclude nobody
+    errors.push('rules.excludeFlags requires node flagging (CLUSTER_FLAG_NODES=true)');
+  }
+
+  let maxPerWalletUnits = null;
+  if (rules.maxPerWallet !== null) {
+    maxPerWalletUnits = toUnits(rules.maxPerWallet, rules.decimals);
+    if (maxPerWalletUnits === null || maxPerWalletUnits <= 0n) {
+      errors.push(`rules.maxPerWallet must be a positive amount with at most ${rules.decimals} decimal places`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    request: {
+      epoch,
+      pool: fromUnits(poolUnits, rules.decimals),
+      poolUnits,
+      maxPerWalletUnits,
+      rules,
+    },
+  };
+};
+
+/**
+ * Split an amount across weighted entries: floor shares, then the leftover units
+ * go one each to the largest remainders (ties: wallet address ascending)
+ * @param {bigint} amount - Units to split
+ * @param {Array} entries - [{ walletAddress, weight }]
+ * @returns {Map<string, bigint>} wallet address -> units
+ */
+const allocate = (amount, entries) => {
+  const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0n);
+  const shares = new Map();
+  if (totalWeight === 0n) {
+    entries.forEach((entry) => shares.set(entry.walletAddress, 0n));
+    return shares;
+  }
+
+  let assigned = 0n;
+  const remainders = entries.map((entry) => {
+    const numerator = amount * entry.weight;
+    const share = numerator / totalWeight;
+    shares.set(entry.walletAddress, share);
+    assigned += share;
+    return { walletAddress: entry.walletAddress, remainder: numerator % totalWeight };
+  });
+
+  remainders.sort((a, b) => {
+    if (a.remainder !== b.remainder) return a.remainder > b.remainder ? -1 : 1;
+    return a.walletAddress < b.walletAddress ? -1 : 1;
+  });
+
+  let leftover = amount - assigned;
+  for (let index = 0; leftover > 0n; index++, leftover--) {
+    const { walletAddress } = remainders[index];
+    shares.set(walletAddress, shares.get(walletAddress) + 1n);
+  }
+
+  return shares;
+};
+
+/**
+ * Calculate the payout table for a reward request
+ * @param {Array} nodes - Ranked nodes (allNodes)
+ * @param {Object} request - Parsed request from parseRewardRequest
+ * @param {Array} tiers - Scoring profile tiers, highest first
+ * @returns {{ payouts: Array, summary: Object, checksum: string }}
+ */
+const calculatePayouts = (nodes, request, tiers) => {
+  const { epoch, poolUnits, maxPerWalletUnits, rules } = request;
+  const statuses = tiers.map((tier) => tier.status);
+  const minimumIndex = rules.minimumStatus === null ? statuses.length - 1 : statuses.indexOf(rules.minimumStatus);
+
+  const excluded = { status: 0, thirtyDayRequirement: 0, minimumUptime: 0, flagged: 0, noWallet: 0 };
+  const wallets = new Map();
+
+  nodes.forEach((node) => {
+    const walletAddress = normalizeWalletAddress(node.walletAddress);
+    const statusIndex = statuses.indexOf(node.status);
+
+    // Each node is excluded for the first rule it fails
+    if (!walletAddress) { excluded.noWallet++; return; }
+    if (statusIndex === -1 || statusIndex > minimumIndex) { excluded.status++; return; }
+    if (rules.requireThirtyDayRequirement && !node.meetsThirtyDayRequirement) { excluded.thirtyDayRequirement++; return; }
+    if (rules.requireMinimumUptime && !node.meetsMinimumUptime) { excluded.minimumUptime++; return; }
+    if ((node.flags || []).some((flag) => rules.excludeFlags.includes(flag))) { excluded.flagged++; return; }
+
+    const weight = rules.distribution === 'tiered'
+      ? toWeight(rules.tierWeights[node.status])
+      : toWeight(Math.max(node.reputationScore, 0));
+
+    if (!wallets.has(walletAddress)) {
+      wallets.set(walletAddress, { walletAddress, weight: 0n, nodeIds: [] });
+    }
+    const wallet = wallets.get(walletAddress);
+    wallet.weight += weight;
+    wallet.nodeIds.push(node.nodeId);
+  });
+
+  // Water-fill: wallets over the cap are fixed at the cap and the rest is re-split
+  let active = [...wallets.values()].sort((a, b) => (a.walletAddress < b.walletAddress ? -1 : 1));
+  let remaining = poolUnits;
+  const amounts = new Map();
+  const capped = new Set();
+
+  while (active.length > 0) {
+    const shares = allocate(remaining, active);
+    const over = maxPerWalletUnits === null
+      ? []
+      : active.filter((wallet) => shares.get(wallet.walletAddress) > maxPerWalletUnits);
+
+    if (over.length === 0) {
+      shares.forEach((units, walletAddress) => amounts.set(walletAddress, units));
+      remaining = 0n;
+      break;
+    }
+
+    over.forEach((wallet) => {
+      amounts.set(wallet.walletAddress, maxPerWalletUnits);
+      capped.add(wallet.walletAddress);
+      remaining -= maxPerWalletUnits;
+    });
+    active = active.filter((wallet) => !capped.has(wallet.walletAddress));
+  }
+
+  // Nothing eligible (or every weight is zero): the pool stays undistributed
+  const distributedUnits = [...amounts.values()].reduce((sum, units) => sum + units, 0n);
+
+  const payouts = [...wallets.values()]
+    .map((wallet) => {
+      const units = amounts.get(wallet.walletAddress) || 0n;
+      return {
+        walletAddress: wallet.walletAddress,
+        amount: fromUnits(units, rules.decimals),
+        amountUnits: units.toString(),
+        nodeCount: wallet.nodeIds.length,
+        weight: fromUnits(wallet.weight, 2),
+        capped: capped.has(wallet.walletAddress),
+        nodeIds: [...wallet.nodeIds].sort(),
+      };
+    })
+    .filter((payout) => payout.amountUnits !== '0')
+    .sort((a, b) => {
+      const diff = BigInt(b.amountUnits) - BigInt(a.amountUnits);
+      if (diff !== 0n) return diff > 0n ? 1 : -1;
+      return a.walletAddress < b.walletAddress ? -1 : 1;
+    });
+
+  const summary = {
+    epoch,
+    pool: fromUnits(poolUnits, rules.decimals),
+    distributed: fromUnits(distributedUnits, rules.decimals),
+    undistributed: fromUnits(poolUnits - distributedUnits, rules.decimals),
+    decimals: rules.decimals,
+    eligibleNodes: [...wallets.values()].reduce((sum, wallet) => sum + wallet.nodeIds.length, 0),
+    eligibleWallets: wallets.size,
+    paidWallets: payouts.length,
+    cappedWallets: capped.size,
+    excludedNodes: excluded,
+  };
+
+  const checksum = crypto
+    .createHash('sha256')
+    .update(JSON.stringify(payouts.map((payout) => [payout.walletAddress, payout.amountUnits])))
+    .digest('hex');
+
+  return { payouts, summary, checksum };
+};
+
+/**
+ * Render a payout table as CSV (one row per wallet)
+ * @param {string} epoch - Reward epoch
+ * @param {Array} payouts - Payouts from calculatePayouts
+ * @returns {string}
+ */
+const toCsv = (epoch, payouts) => {
+  const header = ['epoch', 'walletAddress', 'amount', 'amountUnits', 'nodeCount', 'weight', 'capped', 'nodeIds'];
+  const rows = payouts.map((payout) => [
+    epoch,
+    payout.walletAddress,
+    payout.amount,
+    payout.amountUnits,
+    payout.nodeCount,
+    payout.weight,
+    payout.capped,
+    payout.nodeIds.join(';'),
+  ]);
+
+  return [header, ...rows].map(csvRow).join('');
+};
+
+module.exports = {
+  DEFAULT_RULES,
+  DISTRIBUTIONS,
+  parseRewardRequest,
+  calculatePayouts,
+  toCsv,
+};
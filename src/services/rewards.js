@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const leaderboardService = require('./leaderboard');
+const { calculatePayouts } = require('./rewardCalculator');
+const { getScoringProfile } = require('../config/scoring');
+const { logger } = require('../config/logger');
+
+/**
+ * Reward Service
+ * Builds payout tables from the cached all-time ranking and persists finalized epochs
+ */
+
+const PAYOUT_COLLECTION = 'reward_payouts';
+
+class RewardService {
+  constructor() {
+    this.collection = null;
+  }
+
+  /**
+   * Initialize the payout collection and indexes
+   */
+  async initialize() {
+    try {
+      this.collection = mongoose.connection.db.collection(PAYOUT_COLLECTION);
+
+      // Listing finalized epochs, newest first (epoch is the _id)
+      await this.collection.createIndex({ finalizedAt: -1 });
+
+      logger.info('✅ Reward service initialized');
+      return true;
+    } catch (error) {
+      logger.error('❌ Failed to initialize reward service', error);
+      return false;
+    }
+  }
+
+  /**
+   * Calculate the payout table for a parsed reward request
+   * @param {Object} request - Parsed request from parseRewardRequest
+   * @returns {Promise<Object|null>} Payout table with its source, null when the leaderboard is not yet calculated
+   */
+  async preview(request) {
+    const leaderboard = await leaderboardService.getLeaderboard();
+    if (!leaderboard.timestamp) {
+      return null;
+    }
+
+    const { tiers } = getScoringProfile();
+    const { payouts, summary, checksum } = calculatePayouts(leaderboard.allNodes || [], request, tiers);
+
+    return {
+      epoch: request.epoch,
+      summary,
+      payouts,
+      checksum,
+      rules: request.rules,
+      source: {
+        leaderboardTimestamp: leaderboard.timestamp,
+        scoringVersion: leaderboard.scoringVersion,
+        totalNodes: leaderboard.totalNodes,
+      },
+      computedAt: new Date(),
+    };
+  }
+
+  /**
+   * Calculate and persist the payout table for an epoch (once per epoch)
+   * @param {Object} request - Parsed request from parseRewardRequest
+   * @param {string} [expectedChecksum] - Checksum of the reviewed preview; rejects if the table changed
+   * @returns {Promise<{ record?: Object, error?: string }>} error: not_ready, checksum_mismatch or already_finalized
+   */
+  async finalize(request, expectedChecksum) {
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    const table = await this.preview(request);
+    if (!table) {
+      return { error: 'not_ready' };
+    }
+
+    if (expectedChecksum && expectedChecksum !== table.checksum) {
+      return { error: 'checksum_mismatch', checksum: table.checksum };
+    }
+
+    const record = {
+      _id: table.epoch,
+      ...table,
+      finalizedAt: new Date(),
+    };
+
+    try {
+      await this.collection.insertOne(record);
+    } catch (error) {
+      if (error.code === 11000) {
+        return { error: 'already_finalized' };
+      }
+      throw error;
+    }
+
+    logger.info(`💰 Rewards finalized for epoch ${table.epoch} - ${table.summary.paidWallets} wallets, ${table.summary.distributed} distributed`);
+    return { record };
+  }
+
+  /**
+   * Get a finalized payout table
+   * @param {string} epoch - Reward epoch
+   * @returns {Promise<Object|null>}
+   */
+  async getFinalized(epoch) {
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    return this.collection.findOne({ _id: epoch });
+  }
+}
+
+// Export singleton instance
+const rewardService = new RewardService();
+module.exports = rewardService;
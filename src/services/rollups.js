@@ -0,0 +1,274 @@
+const mongoose = require('mongoose');
+const DeviceHeartbeat = require('../models/deviceHeartbeat');
+const {
+  HEARTBEAT_ISSUES,
+  VALIDATION_MODES,
+  DEFAULT_VALIDATION_RULES,
+  VALIDATION_CONTEXT_MS,
+  buildValidationStages,
+} = require('./heartbeatValidation');
+const { logger } = require('../config/logger');
+
+/**
+ * Rollup Service
+ * Maintains per-device hourly rollups of heartbeat data so the leaderboard never
+ * has to aggregate the full heartbeat history. Heartbeats stay read-only: rollups
+ * are written to the service's own collection with $merge.
+ */
+
+const ROLLUP_COLLECTION = 'leaderboard_hourly_rollups';
+const STATE_COLLECTION = 'leaderboard_rollup_state';
+const STATE_ID = 'hourly';
+
+const HOUR_MS = 3600000;
+
+// Metrics kept as { sum, count } so averages can be recombined across hours
+const ROLLUP_METRICS = ['networkSpeed', 'latency', 'cpuUsage', 'memoryUsage', 'diskUsage'];
+
+/**
+ * Sum/count accumulators for an optional numeric field
+ * @param {string} name - Metric name in the rollup document
+ * @param {Object} value - Expression yielding the metric value
+ * @param {Object} [condition] - Extra condition for the value to count
+ * @returns {Object} $group accumulators
+ */
+const sumAndCount = (name, value, condition) => {
+  const isPresent = condition ? { $and: [condition, { $isNumber: value }] } : { $isNumber: value };
+  return {
+    [`${name}Sum`]: { $sum: { $cond: [isPresent, value, 0] } },
+    [`${name}Count`]: { $sum: { $cond: [isPresent, 1, 0] } },
+  };
+};
+
+/**
+ * Distinct non-empty values of a $addToSet accumulator
+ * @param {string} field - Accumulated array field
+ * @returns {Object} $filter expression
+ */
+const presentValues = (field) => ({
+  $filter: {
+    input: `$${field}`,
+    cond: { $and: [{ $eq: [{ $type: '$$this' }, 'string'] }, { $ne: ['$$this', ''] }] },
+  },
+});
+
+/**
+ * Build the aggregation that rolls heartbeats up into hourly buckets and merges
+ * them into the rollup collection. Buckets are recomputed whole, so re-running
+ * over the same hours is idempotent.
+ * Heartbeats are validated first (see heartbeatValidation.js): rejected ones only count
+ * towards rejectedHeartbeats, clamped values replace the reported ones.
+ * @param {?Date} from - Start of range (inclusive, hour-aligned); null for full history
+ * @param {Date} to - End of range (exclusive)
+ * @param {Object} [rules] - Heartbeat validation rules
+ * @returns {Array} MongoDB aggregation stages
+ */
+const buildRollupStages = (from, to, rules = DEFAULT_VALIDATION_RULES) => {
+  const contextFrom = from ? new Date(from.getTime() - VALIDATION_CONTEXT_MS) : null;
+  const accepted = { $not: ['$rejected'] };
+  const ifAccepted = (value) => ({ $cond: ['$rejected', null, value] });
+
+  return [
+    { $match: { timestamp: contextFrom ? { $gte: contextFrom, $lt: to } : { $lt: to } } },
+    ...buildValidationStages(rules, from, { anchorCollection: ROLLUP_COLLECTION }),
+    {
+      $group: {
+        _id: {
+          deviceId: '$deviceId',
+          hour: { $dateTrunc: { date: '$timestamp', unit: 'hour' } },
+        },
+        heartbeats: { $sum: { $cond: ['$rejected', 0, 1] } },
+        rejectedHeartbeats: { $sum: { $cond: ['$rejected', 1, 0] } },
+        adjustedHeartbeats: { $sum: { $cond: ['$adjusted', 1, 0] } },
+        ...Object.fromEntries(HEARTBEAT_ISSUES.map((issue) => [
+          `${issue}Issues`,
+          { $sum: { $cond: [`$issues.${issue}`, 1, 0] } },
+        ])),
+        firstSeen: { $min: ifAccepted('$timestamp') },
+        lastSeen: { $max: ifAccepted('$timestamp') },
+        maxUptime: { $max: ifAccepted('$validated.uptime') },
+        // Latest boot time implied so far, read back by the next run (uptime validation)
+        bootTime: { $max: { $max: ['$impliedBootTime', '$bootTimeFloor'] } },
+        // Latest reported location: documents compare by their first field (timestamp)
+        location: {
+          $max: {
+            $cond: [
+              { $and: [accepted, { $gt: ['$location.countryCode', null] }, { $ne: ['$location.countryCode', ''] }] },
+              {
+                timestamp: '$timestamp',
+                countryCode: '$location.countryCode',
+                region: '$location.region',
+                city: '$location.city',
+              },
+              null,
+            ],
+          },
+        },
+        // Network identifiers (Sybil cluster detection), from every heartbeat
+        macs: { $addToSet: '$networkInterface.mac' },
+        externalIps: { $addToSet: '$networkInterface.externalIp' },
+        locationIps: { $addToSet: '$location.ip' },
+        isps: { $addToSet: '$location.isp' },
+        ...sumAndCount('networkSpeed', '$validated.networkSpeed', accepted),
+        ...sumAndCount('latency', '$validated.latency', accepted),
+        ...sumAndCount('cpuUsage', '$validated.cpuUsage', accepted),
+        ...sumAndCount('memoryUsage', '$validated.memoryUsage', accepted),
+        ...sumAndCount('diskUsage', '$validated.diskUsage', accepted),
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        deviceId: '$_id.deviceId',
+        hour: '$_id.hour',
+        heartbeats: 1,
+        rejectedHeartbeats: 1,
+        adjustedHeartbeats: 1,
+        issues: Object.fromEntries(HEARTBEAT_ISSUES.map((issue) => [issue, `$${issue}Issues`])),
+        // Any accepted heartbeat in the hour counts it as an online hour (availability/coverage)
+        online: { $gt: ['$heartbeats', 0] },
+        firstSeen: 1,
+        lastSeen: 1,
+        maxUptime: 1,
+        bootTime: 1,
+        location: 1,
+        macs: presentValues('macs'),
+        ips: { $setUnion: [presentValues('externalIps'), presentValues('locationIps')] },
+        isps: presentValues('isps'),
+        ...Object.fromEntries(ROLLUP_METRICS.map((metric) => [
+          metric,
+          { sum: `$${metric}Sum`, count: `$${metric}Count` },
+        ])),
+        updatedAt: '$$NOW',
+      },
+    },
+    {
+      $merge: {
+        into: ROLLUP_COLLECTION,
+        on: ['deviceId', 'hour'],
+        whenMatched: 'replace',
+        whenNotMatched: 'insert',
+      },
+    },
+  ];
+};
+
+class RollupService {
+  constructor() {
+    this.collection = null;
+    this.stateCollection = null;
+  }
+
+  /**
+   * Initialize the rollup collections and indexes
+   */
+  async initialize() {
+    try {
+      this.collection = mongoose.connection.db.collection(ROLLUP_COLLECTION);
+      this.stateCollection = mongoose.connection.db.collection(STATE_COLLECTION);
+
+      // $merge target key; also serves per-device scoring and explain lookups
+      await this.collection.createIndex({ deviceId: 1, hour: 1 }, { unique: true });
+
+      logger.info('✅ Rollup service initialized');
+      return true;
+    } catch (error) {
+      logger.error('❌ Failed to initialize rollup service', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get how far behind the high-water mark buckets are recomputed, in hours
+   * Heartbeats stamped earlier than this when they arrive are not picked up
+   */
+  getLookbackHours() {
+    return parseInt(process.env.LEADERBOARD_ROLLUP_LOOKBACK_HOURS, 10) || 2;
+  }
+
+  /**
+   * Heartbeat validation rules from the environment (see heartbeatValidation.js)
+   * @returns {Object} Rules; invalid values fall back to the defaults
+   */
+  getValidationRules() {
+    const mode = (process.env.HEARTBEAT_VALIDATION_MODE || '').toLowerCase();
+    const number = (name, fallback) => {
+      const value = parseFloat(process.env[name]);
+      return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+
+    return {
+      mode: VALIDATION_MODES.includes(mode) ? mode : DEFAULT_VALIDATION_RULES.mode,
+      maxNetworkSpeedMbps: number('HEARTBEAT_MAX_NETWORK_SPEED_MBPS', DEFAULT_VALIDATION_RULES.maxNetworkSpeedMbps),
+      maxLatencyMs: number('HEARTBEAT_MAX_LATENCY_MS', DEFAULT_VALIDATION_RULES.maxLatencyMs),
+      minIntervalMs: number('HEARTBEAT_MIN_INTERVAL_MS', DEFAULT_VALIDATION_RULES.minIntervalMs),
+      maxClockSkewMs: number('HEARTBEAT_MAX_CLOCK_SKEW_MS', DEFAULT_VALIDATION_RULES.maxClockSkewMs),
+      uptimeToleranceSeconds: number('HEARTBEAT_UPTIME_TOLERANCE_SECONDS', DEFAULT_VALIDATION_RULES.uptimeToleranceSeconds),
+    };
+  }
+
+  /**
+   * Get the high-water mark: heartbeats before this time are already rolled up
+   * @returns {Promise<?Date>} null when nothing has been rolled up yet
+   */
+  async getProcessedUntil() {
+    if (!this.stateCollection) {
+      await this.initialize();
+    }
+
+    const state = await this.stateCollection.findOne({ _id: STATE_ID });
+    return state ? state.processedUntil : null;
+  }
+
+  /**
+   * Roll up heartbeats received since the high-water mark
+   * The first run backfills the full heartbeat history.
+   * @param {Date} [now] - Upper bound (exclusive) for heartbeats to roll up
+   * @returns {Promise<{from: ?Date, to: Date}>} Range that was recomputed
+   */
+  async update(now = new Date()) {
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    const processedUntil = await this.getProcessedUntil();
+    let from = null;
+    if (processedUntil) {
+      // Recompute whole hours, starting early enough to catch late heartbeats
+      const lookbackStart = processedUntil.getTime() - this.getLookbackHours() * HOUR_MS;
+      from = new Date(Math.floor(lookbackStart / HOUR_MS) * HOUR_MS);
+    } else {
+      logger.info('📦 No rollup high-water mark found, backfilling full heartbeat history...');
+    }
+
+    await DeviceHeartbeat.aggregate(buildRollupStages(from, now, this.getValidationRules())).allowDiskUse(true);
+
+    await this.stateCollection.updateOne(
+      { _id: STATE_ID },
+      { $set: { processedUntil: now, updatedAt: new Date() } },
+      { upsert: true }
+    );
+
+    return { from, to: now };
+  }
+
+  /**
+   * Run an aggregation over the hourly rollups
+   * @param {Array} pipeline - Aggregation stages
+   * @returns {Promise<Array>} Result documents
+   */
+  async aggregate(pipeline) {
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    return this.collection.aggregate(pipeline, { allowDiskUse: true }).toArray();
+  }
+}
+
+// Export singleton instance
+const rollupService = new RollupService();
+module.exports = rollupService;
+module.exports.ROLLUP_COLLECTION = ROLLUP_COLLECTION;
+module.exports.ROLLUP_METRICS = ROLLUP_METRICS;
+module.exports.buildRollupStages = buildRollupStages;
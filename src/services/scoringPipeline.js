@@ -0,0 +1,622 @@
+/**
+ * Scoring Pipeline Builder
+ * Generates the reputation aggregation stages from a scoring profile
+ */
+
+const { ROLLUP_METRICS } = require('./rollups');
+const { HEARTBEAT_ISSUES, DATA_QUALITY_LEVELS } = require('./heartbeatValidation');
+
+const HOUR_MS = 3600000;
+const DAY_MS = 86400000;
+
+/**
+ * Build a $switch assigning a tier property from the rounded reputation score
+ * Mirrors the tier ladder: score >= minScore earns the tier, the lowest tier catches the rest.
+ * With a floor status, tiers below the floor collapse into it (grace period clamp).
+ * Tier values are emitted as literals: profiles can come from a request (simulator).
+ * @param {Array} tiers - Profile tiers, highest first
+ * @param {string} property - Tier property to emit (status or badge)
+ * @param {string} [floorStatus] - Lowest status allowed
+ * @returns {Object} $switch expression
+ */
+const buildTierSwitch = (tiers, property, floorStatus) => {
+  const floorIndex = floorStatus ? tiers.findIndex((tier) => tier.status === floorStatus) : tiers.length - 1;
+  const branches = [];
+
+  tiers.slice(0, floorIndex).forEach((tier) => {
+    branches.push({ case: { $gte: ['$reputationScore', tier.minScore] }, then: { $literal: tier[property] } });
+  });
+
+  // Floor tier catches every score below the tier above it
+  const floorTier = tiers[floorIndex];
+  const ceiling = floorIndex > 0 ? tiers[floorIndex - 1].minScore : Infinity;
+  branches.push({ case: { $lt: ['$reputationScore', ceiling] }, then: { $literal: floorTier[property] } });
+
+  return {
+    $switch: {
+      branches,
+      default: { $literal: tiers[0][property] }, // Default to top tier (new nodes with no data)
+    },
+  };
+};
+
+/**
+ * Headroom score: full weight at 0% usage, zero at 100%; missing usage assumes the profile default
+ * @param {string} field - Usage percentage field
+ * @param {number} weight - Points available
+ * @param {number} defaultUsage - Usage assumed when missing
+ * @returns {Object} Aggregation expression
+ */
+const headroom = (field, weight, defaultUsage) => ({
+  $multiply: [
+    { $max: [{ $subtract: [1, { $divide: [{ $ifNull: [field, defaultUsage] }, 100] }] }, 0] },
+    weight,
+  ],
+});
+
+/**
+ * Average recombined from per-hour sum/count totals
+ * @param {string} metric - Rollup metric name
+ * @returns {Object} Aggregation expression (null when the count is 0)
+ */
+const averageOf = (metric) => ({
+  $cond: [{ $gt: [`$${metric}Count`, 0] }, { $divide: [`$${metric}Sum`, `$${metric}Count`] }, null],
+});
+
+/**
+ * Data quality level from the share of a device's heartbeats that were rejected or adjusted
+ * @returns {Object} $switch expression
+ */
+const buildDataQualitySwitch = () => {
+  const issueRate = {
+    $divide: [
+      { $add: ['$rejectedHeartbeats', '$adjustedHeartbeats'] },
+      { $add: ['$totalHeartbeats', '$rejectedHeartbeats'] },
+    ],
+  };
+
+  return {
+    $switch: {
+      branches: DATA_QUALITY_LEVELS.slice(0, -1).map(({ level, maxIssueRate }) => ({
+        case: { $lte: [issueRate, maxIssueRate] },
+        then: level,
+      })),
+      default: DATA_QUALITY_LEVELS[DATA_QUALITY_LEVELS.length - 1].level,
+    },
+  };
+};
+
+/**
+ * Build the aggregation stages that compute per-device metrics, component scores,
+ * reputation and status (everything before ranking and the public projection)
+ * Runs on the hourly rollup collection (see services/rollups.js).
+ * @param {Object} profile - Validated scoring profile
+ * @param {Object} [options]
+ * @param {?number} [options.windowMs] - Only score rollup hours within this look-back (null = all-time)
+ * @returns {Array} MongoDB aggregation stages
+ */
+const buildScoringStages = (profile, { windowMs = null } = {}) => {
+  const { weights, thresholds, newNodes, tiers } = profile;
+  // Hour granularity: a rollup hour counts as recent when it overlaps the window
+  const recentSince = Date.now() - thresholds.recentWindowHours * HOUR_MS;
+  const recentSinceHour = new Date(Math.floor(recentSince / HOUR_MS) * HOUR_MS);
+
+  // Windowed rankings start at the hour containing the window start
+  const windowStages = windowMs
+    ? [{ $match: { hour: { $gte: new Date(Math.floor((Date.now() - windowMs) / HOUR_MS) * HOUR_MS) } } }]
+    : [];
+
+  return [
+    ...windowStages,
+
+    // 1) Flag rollup hours that overlap the recent window
+    {
+      $addFields: {
+        isRecent: { $gte: ['$hour', recentSinceHour] },
+      },
+    },
+
+    // 2) Group hourly rollups by device, compute metrics
+    {
+      $group: {
+        _id: '$deviceId',
+
+        // DISTINCT hours online within the ranked window
+        onlineHours: { $sum: { $cond: [{ $eq: ['$online', true] }, 1, 0] } },
+
+        // Activity
+        totalHeartbeats: { $sum: '$heartbeats' },
+        recentHeartbeats: {
+          $sum: { $cond: [{ $eq: ['$isRecent', true] }, '$heartbeats', 0] },
+        },
+
+        // Heartbeat validation (rollups from before validation carry none)
+        rejectedHeartbeats: { $sum: '$rejectedHeartbeats' },
+        adjustedHeartbeats: { $sum: '$adjustedHeartbeats' },
+        ...Object.fromEntries(HEARTBEAT_ISSUES.map((issue) => [`${issue}Issues`, { $sum: `$issues.${issue}` }])),
+
+        // Metric sums/counts: averages only over heartbeats that reported the metric
+        ...Object.fromEntries(ROLLUP_METRICS.flatMap((metric) => [
+          [`${metric}Sum`, { $sum: `$${metric}.sum` }],
+          [`${metric}Count`, { $sum: `$${metric}.count` }],
+        ])),
+
+        // Time tracking
+        lastSeen: { $max: '$lastSeen' },
+        firstSeen: { $min: '$firstSeen' },
+
+        // Uptime
+        maxUptime: { $max: '$maxUptime' },
+
+        // Latest heartbeat location (country code, region, city)
+        latestLocation: { $max: '$location' },
+      },
+    },
+
+    // 2a) Devices whose heartbeats were all rejected are not ranked
+    { $match: { totalHeartbeats: { $gt: 0 } } },
+
+    // 2b) Recombine averages (null when no heartbeat reported the metric)
+    {
+      $addFields: {
+        avgNetworkSpeed: averageOf('networkSpeed'),
+        avgLatency: averageOf('latency'),
+        // System resource metrics (keep optional)
+        avgCpuUsageRaw: averageOf('cpuUsage'),
+        avgMemoryUsage: averageOf('memoryUsage'),
+        avgDiskUsage: averageOf('diskUsage'),
+      },
+    },
+
+    // 3) Lookup device info once (name/country/createdAt/walletAddress)
+    {
+      $lookup: {
+        from: 'devices',
+        localField: '_id',
+        foreignField: 'deviceId',
+        as: 'deviceInfoArr',
+      },
+    },
+    { $addFields: {
+      deviceInfo: { $arrayElemAt: ['$deviceInfoArr', 0] },
+      walletAddress: { $arrayElemAt: ['$deviceInfoArr.walletAddress', 0] }
+    } },
+
+    // 4a) Observation span (its own stage: expressions in one $addFields stage only see the stage's input)
+    {
+      $addFields: {
+        // Hours online over the ranked window (full history for all-time)
+        distinctOnlineHours: { $ifNull: ['$onlineHours', 0] },
+        daysObserved: {
+          $max: [{ $divide: [{ $subtract: ['$lastSeen', '$firstSeen'] }, DAY_MS] }, 0],
+        },
+      },
+    },
+
+    // 4) Derived metrics + scores
+    {
+      $addFields: {
+        normalizedDaysObserved: { $max: ['$daysObserved', 1] },
+        hoursOnlinePerDay: {
+          $divide: [{ $ifNull: ['$distinctOnlineHours', 0] }, { $max: ['$daysObserved', 1] }],
+        },
+
+        // Recency
+        hoursSinceLastSeen: {
+          $divide: [{ $subtract: ['$$NOW', '$lastSeen'] }, HOUR_MS],
+        },
+
+        // Minimum "has been truly online" gate: longest single streak
+        meetsMinimumUptime: { $gte: [{ $ifNull: ['$maxUptime', 0] }, thresholds.minimumUptimeSeconds] },
+
+        // Eligibility age flag (for your FE)
+        // Uses ORIGINAL createdAt (not affected by resets)
+        meetsThirtyDayRequirement: {
+          $cond: [
+            { $ifNull: ['$deviceInfo.createdAt', false] },
+            { $gte: [{ $divide: [{ $subtract: ['$$NOW', '$deviceInfo.createdAt'] }, DAY_MS] }, newNodes.eligibilityAgeDays] },
+            false,
+          ],
+        },
+
+        // Grace period - checks BOTH manual grace flag AND natural device age
+        // During grace period, prevents dropping below the grace floor tier
+        // Grace is active if:
+        // 1. Device is explicitly in grace period (isInGracePeriod=true AND before gracePeriodEndsAt), OR
+        // 2. Device is naturally new (≤ gracePeriodDays since createdAt)
+        isNewNode: {
+          $or: [
+            // Manual grace period from reset
+            {
+              $and: [
+                { $eq: [{ $ifNull: ['$deviceInfo.isInGracePeriod', false] }, true] },
+                { $lt: ['$$NOW', { $ifNull: ['$deviceInfo.gracePeriodEndsAt', new Date(0)] }] }
+              ]
+            },
+            // Natural grace period for genuinely new devices
+            {
+              $and: [
+                { $ifNull: ['$deviceInfo.createdAt', false] },
+                { $lte: [{ $divide: [{ $subtract: ['$$NOW', '$deviceInfo.createdAt'] }, DAY_MS] }, newNodes.gracePeriodDays] }
+              ]
+            }
+          ]
+        },
+
+        // Normalize CPU usage (keep null if missing; neutrality handled later)
+        avgCpuUsage: { $ifNull: ['$avgCpuUsageRaw', null] },
+
+        // Cap uptime
+        cappedMaxUptime: { $min: [{ $ifNull: ['$maxUptime', 0] }, thresholds.uptimeCapSeconds] },
+      },
+    },
+
+    // 5) Component sub-scores
+    {
+      $addFields: {
+        // AVAILABILITY: distinct hours online dominates rank
+        availabilityScore: {
+          $cond: [
+            { $lt: [{ $ifNull: ['$maxUptime', 0] }, thresholds.minimumUptimeSeconds] },
+            0,
+            {
+              $multiply: [
+                { $min: [{ $divide: [{ $ifNull: ['$hoursOnlinePerDay', 0] }, thresholds.targetHoursOnlinePerDay] }, 1] },
+                weights.availability,
+              ],
+            },
+          ],
+        },
+
+        // NETWORK: throughput + latency
+        throughputScore: {
+          $multiply: [
+            { $min: [{ $divide: [{ $ifNull: ['$avgNetworkSpeed', 0] }, thresholds.targetNetworkSpeedMbps] }, 1] },
+            weights.throughput,
+          ],
+        },
+        latencyScore: {
+          $multiply: [
+            {
+              $max: [{ $subtract: [1, { $divide: [{ $ifNull: ['$avgLatency', thresholds.maxLatencyMs] }, thresholds.maxLatencyMs] }] }, 0],
+            },
+            weights.latency,
+          ],
+        },
+
+        // RESOURCE HEADROOM: small influence, prevents unfair swings
+        cpuHeadroomScore: headroom('$avgCpuUsage', weights.cpuHeadroom, thresholds.defaultResourceUsagePercent),
+        memoryHeadroomScore: headroom('$avgMemoryUsage', weights.memoryHeadroom, thresholds.defaultResourceUsagePercent),
+        diskHeadroomScore: headroom('$avgDiskUsage', weights.diskHeadroom, thresholds.defaultResourceUsagePercent),
+
+        // CONSISTENCY: coverage + recency
+        // Coverage target: fraction of observed hours online
+        coverageScore: {
+          $multiply: [
+            {
+              $min: [
+                {
+                  $divide: [
+                    { $ifNull: ['$distinctOnlineHours', 0] },
+                    { $max: [{ $multiply: [{ $ifNull: ['$normalizedDaysObserved', 1] }, 24, thresholds.coverageTarget] }, 1] },
+                  ],
+                },
+                1,
+              ],
+            },
+            weights.coverage,
+          ],
+        },
+        // Recency decay: full at 0h, zero at recencyDecayHours
+        recencyScore: {
+          $cond: [
+            { $gt: [{ $ifNull: ['$hoursSinceLastSeen', 10000] }, thresholds.recencyDecayHours] },
+            0,
+            {
+              $multiply: [
+                {
+                  $max: [{ $subtract: [1, { $divide: [{ $ifNull: ['$hoursSinceLastSeen', 0] }, thresholds.recencyDecayHours] }] }, 0],
+                },
+                weights.recency,
+              ],
+            },
+          ],
+        },
+      },
+    },
+
+    // 5b) Component scores from sub-scores
+    {
+      $addFields: {
+        networkQualityScore: { $add: ['$throughputScore', '$latencyScore'] },
+        resourceHeadroomScore: { $add: ['$cpuHeadroomScore', '$memoryHeadroomScore', '$diskHeadroomScore'] },
+        consistencyScore: { $add: ['$coverageScore', '$recencyScore'] },
+      },
+    },
+
+    // 6) Final reputation (rounded first to ensure status alignment)
+    // TOP-DOWN MODEL: New nodes start at the seed score, then degrade based on performance
+    {
+      $addFields: {
+        calculatedScore: {
+          $add: ['$availabilityScore', '$networkQualityScore', '$resourceHeadroomScore', '$consistencyScore']
+        },
+        reputationScore: {
+          $round: [
+            {
+              $cond: [
+                // If new node AND has minimal/no data, seed
+                {
+                  $and: [
+                    { $eq: ['$isNewNode', true] },
+                    { $lte: [{ $ifNull: ['$totalHeartbeats', 0] }, newNodes.seedMaxHeartbeats] }
+                  ]
+                },
+                newNodes.seedScore,
+                // Otherwise use calculated score
+                { $add: ['$availabilityScore', '$networkQualityScore', '$resourceHeadroomScore', '$consistencyScore'] }
+              ]
+            },
+            2
+          ],
+        },
+      },
+    },
+
+    // 7) Assign rank badge and status based on rounded score
+    // TOP-DOWN MODEL: Start at the top tier, degrade down based on performance decay
+    {
+      $addFields: {
+        // Base status from reputation score, ignoring grace
+        baseStatus: buildTierSwitch(tiers, 'status'),
+        // Apply grace period: status cannot fall below the grace floor tier
+        status: {
+          $cond: [
+            { $eq: ['$isNewNode', true] },
+            buildTierSwitch(tiers, 'status', newNodes.graceFloorStatus),
+            buildTierSwitch(tiers, 'status'),
+          ],
+        },
+        // Rank badge matches status
+        rankBadge: {
+          $cond: [
+            { $eq: ['$isNewNode', true] },
+            buildTierSwitch(tiers, 'badge', newNodes.graceFloorStatus),
+            buildTierSwitch(tiers, 'badge'),
+          ],
+        },
+      },
+    },
+  ];
+};
+
+/**
+ * Build the stages that order scored devices and assign ranks
+ * @returns {Array} MongoDB aggregation stages
+ */
+const buildRankingStages = () => [
+  // 8) Sort with tie-breakers: reputation, then availability (coverage), then more recent
+  { $sort: { reputationScore: -1, availabilityScore: -1, hoursSinceLastSeen: 1 } },
+
+  // 9) Rank ALL nodes
+  { $group: { _id: null, nodes: { $push: '$$ROOT' } } },
+  { $unwind: { path: '$nodes', includeArrayIndex: 'rank' } },
+  { $addFields: { 'nodes.rank': { $add: ['$rank', 1] } } },
+  { $replaceRoot: { newRoot: '$nodes' } },
+];
+
+/**
+ * Build the $project stage producing the EXACT node shape the frontend expects
+ * @param {Object} profile - Validated scoring profile
+ * @returns {Object} $project stage
+ */
+const buildPublicProjection = (profile) => {
+  const { weights, thresholds, tiers } = profile;
+  const consistencyMax = weights.coverage + weights.recency;
+
+  return {
+    $project: {
+      totalHeartbeats: 1,
+      totalHeartbeatsAllTime: '$totalHeartbeats',
+      rejectedHeartbeats: 1,
+      adjustedHeartbeats: 1,
+      dataQuality: buildDataQualitySwitch(),
+      lastSeen: 1,
+      maxUptime: 1,
+      cappedMaxUptime: 1,
+      meetsMinimumUptime: '$meetsMinimumUptime',
+      meetsThirtyDayRequirement: '$meetsThirtyDayRequirement',
+      rank: 1,
+      nodeId: '$_id',
+      reputationScore: 1, // Already rounded in step 6
+
+      // raw averages (or null)
+      avgNetworkSpeed: {
+        $cond: [{ $gt: ['$avgNetworkSpeed', null] }, { $round: ['$avgNetworkSpeed', 2] }, null],
+      },
+      avgLatency: {
+        $cond: [{ $gt: ['$avgLatency', null] }, { $round: ['$avgLatency', 2] }, null],
+      },
+      avgCpuUsage: {
+        $cond: [{ $gt: ['$avgCpuUsage', null] }, { $round: ['$avgCpuUsage', 2] }, null],
+      },
+      avgMemoryUsage: {
+        $cond: [{ $gt: ['$avgMemoryUsage', null] }, { $round: ['$avgMemoryUsage', 2] }, null],
+      },
+      avgDiskUsage: {
+        $cond: [{ $gt: ['$avgDiskUsage', null] }, { $round: ['$avgDiskUsage', 2] }, null],
+      },
+
+      // component scores mapped to FE fields
+      activityScore: {
+        $round: [
+          {
+            $multiply: [
+              {
+                $min: [
+                  {
+                    $divide: [
+                      { $ifNull: ['$distinctOnlineHours', 0] },
+                      { $max: [{ $multiply: [{ $ifNull: ['$normalizedDaysObserved', 1] }, 24] }, 1] },
+                    ],
+                  },
+                  1,
+                ],
+              },
+              10,
+            ],
+          },
+          2,
+        ],
+      },
+      uptimeScore: {
+        $round: [
+          {
+            $cond: [
+              '$meetsMinimumUptime',
+              { $min: [{ $multiply: [{ $divide: ['$cappedMaxUptime', thresholds.uptimeCapSeconds] }, 10] }, 10] },
+              0,
+            ],
+          },
+          2,
+        ],
+      },
+      performanceScore: { $round: ['$networkQualityScore', 2] },
+      stabilityScore: {
+        // 0..consistencyMax -> 0..10
+        $round: [{ $min: [{ $multiply: [{ $divide: ['$consistencyScore', consistencyMax || 1] }, 10] }, 10] }, 2],
+      },
+
+      // time/volume helpers
+      daysObserved: { $round: ['$normalizedDaysObserved', 1] },
+      // Legacy naming retained for compatibility; represents days seen within the ranked window
+      daysInSevenDayWindow: { $round: ['$normalizedDaysObserved', 1] },
+      // For true lifetime metrics, use deviceInfo.createdAt
+      daysSinceRegistration: {
+        $cond: [
+          { $ifNull: ['$deviceInfo.createdAt', false] },
+          { $round: [{ $divide: [{ $subtract: ['$$NOW', '$deviceInfo.createdAt'] }, DAY_MS] }, 1] },
+          null
+        ]
+      },
+      hoursSinceLastSeen: { $round: ['$hoursSinceLastSeen', 1] },
+      uptimeHours: { $round: [{ $divide: ['$cappedMaxUptime', 3600] }, 1] },
+
+      // device info
+      country: { $ifNull: ['$deviceInfo.country', 'Unknown'] },
+      location: { $ifNull: ['$deviceInfo.location', ''] },
+      deviceName: { $ifNull: ['$deviceInfo.name', '$_id'] },
+      // Geography reported by the latest heartbeat (country rankings)
+      countryCode: { $ifNull: ['$latestLocation.countryCode', null] },
+      region: { $ifNull: ['$latestLocation.region', null] },
+      city: { $ifNull: ['$latestLocation.city', null] },
+      walletAddress: 1, // Include wallet address for LSK distribution
+
+      // status and insight already set in step 7 based on rounded score
+      status: 1,
+      rankBadge: 1,
+      performanceInsight: {
+        $switch: {
+          branches: tiers.map((tier) => ({
+            case: { $eq: ['$status', { $literal: tier.status }] },
+            then: { $literal: tier.insight },
+          })),
+          default: 'Excellent - Starting with maximum reputation',
+        },
+      },
+
+      _id: 0,
+    },
+  };
+};
+
+/**
+ * Build the $project stage for a single-node score explanation
+ * Exposes the intermediate values that the public projection discards
+ * @param {Object} profile - Validated scoring profile
+ * @returns {Object} $project stage
+ */
+const buildExplainProjection = (profile) => {
+  const { weights } = profile;
+  const round = (field) => ({ $round: [field, 2] });
+
+  return {
+    $project: {
+      _id: 0,
+      nodeId: '$_id',
+      reputationScore: 1,
+      calculatedScore: round('$calculatedScore'),
+      status: 1,
+      inputs: {
+        totalHeartbeats: '$totalHeartbeats',
+        recentHeartbeats: '$recentHeartbeats',
+        rejectedHeartbeats: '$rejectedHeartbeats',
+        adjustedHeartbeats: '$adjustedHeartbeats',
+        heartbeatIssues: Object.fromEntries(HEARTBEAT_ISSUES.map((issue) => [issue, `$${issue}Issues`])),
+        dataQuality: buildDataQualitySwitch(),
+        firstSeen: '$firstSeen',
+        lastSeen: '$lastSeen',
+        distinctOnlineHours: '$distinctOnlineHours',
+        daysObserved: round('$daysObserved'),
+        normalizedDaysObserved: round('$normalizedDaysObserved'),
+        hoursOnlinePerDay: round('$hoursOnlinePerDay'),
+        hoursSinceLastSeen: round('$hoursSinceLastSeen'),
+        maxUptime: '$maxUptime',
+        cappedMaxUptime: '$cappedMaxUptime',
+        avgNetworkSpeed: round('$avgNetworkSpeed'),
+        avgLatency: round('$avgLatency'),
+        avgCpuUsage: round('$avgCpuUsage'),
+        avgMemoryUsage: round('$avgMemoryUsage'),
+        avgDiskUsage: round('$avgDiskUsage'),
+      },
+      components: {
+        availability: {
+          score: round('$availabilityScore'),
+          max: { $literal: weights.availability },
+        },
+        networkQuality: {
+          score: round('$networkQualityScore'),
+          max: { $literal: weights.throughput + weights.latency },
+          throughput: round('$throughputScore'),
+          latency: round('$latencyScore'),
+        },
+        resourceHeadroom: {
+          score: round('$resourceHeadroomScore'),
+          max: { $literal: weights.cpuHeadroom + weights.memoryHeadroom + weights.diskHeadroom },
+          cpu: round('$cpuHeadroomScore'),
+          memory: round('$memoryHeadroomScore'),
+          disk: round('$diskHeadroomScore'),
+        },
+        consistency: {
+          score: round('$consistencyScore'),
+          max: { $literal: weights.coverage + weights.recency },
+          coverage: round('$coverageScore'),
+          recency: round('$recencyScore'),
+        },
+      },
+      gates: {
+        meetsMinimumUptime: '$meetsMinimumUptime',
+        // Availability is forced to 0 when the longest uptime streak is under the minimum
+        availabilityZeroed: { $not: ['$meetsMinimumUptime'] },
+        isNewNode: '$isNewNode',
+        inManualGracePeriod: { $eq: [{ $ifNull: ['$deviceInfo.isInGracePeriod', false] }, true] },
+        gracePeriodEndsAt: { $ifNull: ['$deviceInfo.gracePeriodEndsAt', null] },
+        // New nodes with few heartbeats are seeded instead of using the calculated score
+        seededAtMaximum: {
+          $and: [{ $eq: ['$isNewNode', true] }, { $lte: [{ $ifNull: ['$totalHeartbeats', 0] }, profile.newNodes.seedMaxHeartbeats] }],
+        },
+        // Grace period keeps status at the grace floor tier or better
+        baseStatus: '$baseStatus',
+        statusClamped: { $ne: ['$baseStatus', '$status'] },
+        meetsThirtyDayRequirement: '$meetsThirtyDayRequirement',
+      },
+    },
+  };
+};
+
+module.exports = {
+  buildScoringStages,
+  buildRankingStages,
+  buildPublicProjection,
+  buildExplainProjection,
+};
@@ -0,0 +1,86 @@
+/**
+ * Scoring Simulation Helpers
+ * Compares a simulated ranking against the current one
+ */
+
+/**
+ * Compare current and simulated rankings node by node
+ * @param {Array} currentNodes - Currently cached ranked nodes
+ * @param {Array} simulatedNodes - Ranked nodes produced by the alternate profile
+ * @param {Array} tiers - Tiers of the simulated profile, highest first (used to classify promotions)
+ * @returns {{ nodes: Array, summary: Object }} summary.newNodes / removedNodes: only in the simulated / current ranking
+ */
+const compareRankings = (currentNodes, simulatedNodes, tiers) => {
+  const current = new Map(currentNodes.map((node) => [node.nodeId, node]));
+  const simulatedIds = new Set(simulatedNodes.map((node) => node.nodeId));
+  const tierIndex = new Map(tiers.map((tier, index) => [tier.status, index]));
+
+  const summary = {
+    totalNodes: simulatedNodes.length,
+    rankChanged: 0,
+    tierChanged: 0,
+    promoted: 0,
+    demoted: 0,
+    newNodes: 0,
+    removedNodes: currentNodes.filter((node) => !simulatedIds.has(node.nodeId)).length,
+    statusDistribution: {
+      current: {},
+      simulated: {},
+    },
+    transitions: {},
+  };
+
+  currentNodes.forEach((node) => {
+    summary.statusDistribution.current[node.status] = (summary.statusDistribution.current[node.status] || 0) + 1;
+  });
+
+  const nodes = simulatedNodes.map((simulated) => {
+    const before = current.get(simulated.nodeId);
+    summary.statusDistribution.simulated[simulated.status] = (summary.statusDistribution.simulated[simulated.status] || 0) + 1;
+
+    if (!before) {
+      summary.newNodes++;
+      return {
+        nodeId: simulated.nodeId,
+        deviceName: simulated.deviceName,
+        current: null,
+        simulated: { rank: simulated.rank, reputationScore: simulated.reputationScore, status: simulated.status },
+        rankChange: null,
+        scoreChange: null,
+        statusChange: null,
+      };
+    }
+
+    const rankChange = before.rank - simulated.rank; // positive = moves up
+    const statusChanged = before.status !== simulated.status;
+
+    if (rankChange !== 0) summary.rankChanged++;
+    if (statusChanged) {
+      summary.tierChanged++;
+      const transition = `${before.status}->${simulated.status}`;
+      summary.transitions[transition] = (summary.transitions[transition] || 0) + 1;
+
+      // Unknown statuses (not in simulated tiers) count as the lowest tier
+      const beforeIndex = tierIndex.has(before.status) ? tierIndex.get(before.status) : tiers.length;
+      const afterIndex = tierIndex.get(simulated.status);
+      if (afterIndex < beforeIndex) summary.promoted++;
+      if (afterIndex > beforeIndex) summary.demoted++;
+    }
+
+    return {
+      nodeId: simulated.nodeId,
+      deviceName: simulated.deviceName,
+      current: { rank: before.rank, reputationScore: before.reputationScore, status: before.status },
+      simulated: { rank: simulated.rank, reputationScore: simulated.reputationScore, status: simulated.status },
+      rankChange,
+      scoreChange: Math.round((simulated.reputationScore - before.reputationScore) * 100) / 100,
+      statusChange: statusChanged ? { from: before.status, to: simulated.status } : null,
+    };
+  });
+
+  return { nodes, summary };
+};
+
+module.exports = {
+  compareRankings,
+};
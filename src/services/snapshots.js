@@ -0,0 +1,258 @@
+const mongoose = require('mongoose');
+const { logger } = require('../config/logger');
+
+/**
+ * Snapshot Service
+ * Persists downsampled leaderboard snapshots so rank/score history survives cache rewrites
+ */
+
+const SNAPSHOT_COLLECTION = 'leaderboard_snapshots';
+
+// Fields copied from each ranked node into its history entry
+const SNAPSHOT_FIELDS = [
+  'rank',
+  'reputationScore',
+  'status',
+  'activityScore',
+  'uptimeScore',
+  'performanceScore',
+  'stabilityScore',
+];
+
+// Supported history bucket sizes (raw = every stored snapshot)
+const HISTORY_INTERVALS = ['raw', 'hour', 'day'];
+
+const DEFAULT_HISTORY_RANGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a snapshot is due for a computation
+ * @param {Date} timestamp - Time of the leaderboard computation
+ * @param {?Date} lastSnapshotAt - Most recent stored snapshot (null when none)
+ * @param {number} intervalMs - Downsample interval
+ * @returns {boolean}
+ */
+const isSnapshotDue = (timestamp, lastSnapshotAt, intervalMs) => {
+  if (!lastSnapshotAt) return true;
+  return timestamp.getTime() - lastSnapshotAt.getTime() >= intervalMs;
+};
+
+/**
+ * Parse node history query parameters
+ * @param {Object} query - Express req.query ({ from, to, interval })
+ * @param {Date} [now] - Default end of range
+ * @returns {{ options?: { from: Date, to: Date, interval: string }, error?: string, message?: string }}
+ *   Parsed options (default: the 7 days up to to, raw), or an error and message for a 400 response
+ */
+const parseHistoryQuery = (query = {}, now = new Date()) => {
+  const interval = query.interval || 'raw';
+  const to = query.to ? new Date(query.to) : now;
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_HISTORY_RANGE_MS);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return { error: 'Invalid date range', message: 'from and to must be valid ISO 8601 dates' };
+  }
+
+  if (from > to) {
+    return { error: 'Invalid date range', message: 'from must be before to' };
+  }
+
+  if (!HISTORY_INTERVALS.includes(interval)) {
+    return { error: 'Invalid interval', message: `interval must be one of: ${HISTORY_INTERVALS.join(', ')}` };
+  }
+
+  return { options: { from, to, interval } };
+};
+
+/**
+ * Aggregation stages for a node's history, oldest first
+ * hour and day keep the latest snapshot of each bucket and add its start as bucket.
+ * @param {string} nodeId - Device ID
+ * @param {Object} options - { from, to, interval } as returned by parseHistoryQuery
+ * @returns {Array} Pipeline stages
+ */
+const buildHistoryStages = (nodeId, { from, to, interval = 'raw' }) => {
+  const match = { nodeId, snapshotAt: { $gte: from, $lte: to } };
+  const projection = { _id: 0, snapshotAt: 1, totalNodes: 1 };
+  SNAPSHOT_FIELDS.forEach((field) => {
+    projection[field] = 1;
+  });
+
+  if (interval === 'raw') {
+    return [
+      { $match: match },
+      { $sort: { snapshotAt: 1 } },
+      { $project: projection },
+    ];
+  }
+
+  // Keep the latest snapshot within each bucket
+  const lastOf = {};
+  Object.keys(projection)
+    .filter((field) => field !== '_id')
+    .forEach((field) => {
+      lastOf[field] = { $last: `$${field}` };
+    });
+
+  return [
+    { $match: match },
+    { $sort: { snapshotAt: 1 } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$snapshotAt', unit: interval } },
+        ...lastOf,
+      },
+    },
+    { $sort: { _id: 1 } },
+    { $project: { ...projection, bucket: '$_id' } },
+  ];
+};
+
+class SnapshotService {
+  constructor() {
+    this.collection = null;
+  }
+
+  /**
+   * Initialize the snapshot collection and indexes
+   */
+  async initialize() {
+    try {
+      this.collection = mongoose.connection.db.collection(SNAPSHOT_COLLECTION);
+
+      // Per-node history lookups
+      await this.collection.createIndex({ nodeId: 1, snapshotAt: -1 });
+
+      // Whole-snapshot lookups (movement baselines)
+      await this.collection.createIndex({ snapshotAt: -1 });
+
+      // Retention: documents are removed once expiresAt passes
+      await this.collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+      logger.info('✅ Snapshot service initialized');
+      return true;
+    } catch (error) {
+      logger.error('❌ Failed to initialize snapshot service', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get snapshot downsample interval in milliseconds
+   */
+  getSnapshotIntervalMs() {
+    return parseInt(process.env.LEADERBOARD_SNAPSHOT_INTERVAL_MS, 10) || 3600000;
+  }
+
+  /**
+   * Get snapshot retention in days
+   */
+  getRetentionDays() {
+    return parseInt(process.env.LEADERBOARD_SNAPSHOT_RETENTION_DAYS, 10) || 90;
+  }
+
+  /**
+   * Time of the most recent stored snapshot
+   * Read from the collection rather than kept per instance, so a new lease holder does not
+   * store a second snapshot for the same interval.
+   * @returns {Promise<?Date>} null when no snapshot exists
+   */
+  async getLastSnapshotAt() {
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    const latest = await this.collection.findOne({}, { sort: { snapshotAt: -1 }, projection: { snapshotAt: 1 } });
+    return latest ? latest.snapshotAt : null;
+  }
+
+  /**
+   * Record a snapshot of the ranked leaderboard if the downsample interval has elapsed
+   * @param {Array} nodes - Full ranked node list
+   * @param {Date} timestamp - Time of the leaderboard computation
+   * @returns {Promise<boolean>} true if a snapshot was written
+   */
+  async recordSnapshot(nodes, timestamp) {
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    if (!this.collection || nodes.length === 0) {
+      return false;
+    }
+
+    if (!isSnapshotDue(timestamp, await this.getLastSnapshotAt(), this.getSnapshotIntervalMs())) {
+      return false;
+    }
+
+    const expiresAt = new Date(timestamp.getTime() + this.getRetentionDays() * 24 * 60 * 60 * 1000);
+
+    const documents = nodes.map((node) => {
+      const entry = {
+        nodeId: node.nodeId,
+        snapshotAt: timestamp,
+        totalNodes: nodes.length,
+        expiresAt,
+      };
+      SNAPSHOT_FIELDS.forEach((field) => {
+        entry[field] = node[field] !== undefined ? node[field] : null;
+      });
+      return entry;
+    });
+
+    await this.collection.insertMany(documents, { ordered: false });
+
+    logger.info(`📸 Leaderboard snapshot stored - ${documents.length} nodes`);
+    return true;
+  }
+
+  /**
+   * Get the most recent snapshot taken at or before a point in time
+   * @param {Date} target - Latest acceptable snapshot time
+   * @returns {Promise<{snapshotAt: Date, nodes: Array}|null>} null when no snapshot exists
+   */
+  async getSnapshotAt(target) {
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    const latest = await this.collection.findOne(
+      { snapshotAt: { $lte: target } },
+      { sort: { snapshotAt: -1 }, projection: { snapshotAt: 1 } }
+    );
+
+    if (!latest) {
+      return null;
+    }
+
+    const nodes = await this.collection
+      .find({ snapshotAt: latest.snapshotAt }, { projection: { _id: 0, nodeId: 1, rank: 1, reputationScore: 1, status: 1 } })
+      .toArray();
+
+    return { snapshotAt: latest.snapshotAt, nodes };
+  }
+
+  /**
+   * Get rank/score history for a single node
+   * @param {string} nodeId - Device ID
+   * @param {Object} options - Query options
+   * @param {Date} options.from - Start of range (inclusive)
+   * @param {Date} options.to - End of range (inclusive)
+   * @param {string} options.interval - raw, hour or day
+   * @returns {Promise<Array>} History entries ordered oldest first
+   */
+  async getNodeHistory(nodeId, options) {
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    return this.collection.aggregate(buildHistoryStages(nodeId, options)).toArray();
+  }
+}
+
+// Export singleton instance
+const snapshotService = new SnapshotService();
+module.exports = snapshotService;
+module.exports.HISTORY_INTERVALS = HISTORY_INTERVALS;
+module.exports.isSnapshotDue = isSnapshotDue;
+module.exports.parseHistoryQuery = parseHistoryQuery;
+module.exports.buildHistoryStages = buildHistoryStages;
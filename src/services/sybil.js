@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const { normalizeWalletAddress } = require('./wallets');
+const { normalizePublicIp } = require('./network');
+
+/**
+ * Sybil Detection Helpers
+ * Groups devices that look like one operator's fake fleet: devices linked by a shared MAC
+ * address, a shared public IP or an identical metric fingerprint end up in one cluster
+ * (connected components, so A-B sharing an IP and B-C sharing a MAC is one cluster)
+ */
+
+// Flag attached to a device for each kind of link it has
+const CLUSTER_FLAGS = {
+  mac: 'shared-mac',
+  ip: 'shared-ip',
+  fingerprint: 'shared-fingerprint',
+};
+
+// Metrics that make up a fingerprint (averages over the detection look-back)
+const FINGERPRINT_METRICS = ['networkSpeed', 'latency', 'cpuUsage', 'memoryUsage', 'diskUsage'];
+
+// A fingerprint needs enough metrics to be distinctive (a lone "100 Mbps" is not)
+const MIN_FINGERPRINT_METRICS = 3;
+
+const DEFAULT_THRESHOLDS = {
+  mac: 2, // MAC addresses are unique per interface
+  ip: 3, // Households and small offices legitimately run a node or two behind one IP
+  fingerprint: 2,
+};
+
+/**
+ * Normalize a MAC address
+ * All-zero, broadcast and locally administered addresses are left out: containers and VMs
+ * generate those (Docker's 02:42:ac:11:00:02 shows up on unrelated hosts everywhere).
+ * @param {?string} mac - Raw MAC address
+ * @returns {?string} Lower-case colon-separated address, null when missing or not usable
+ */
+const normalizeMac = (mac) => {
+  if (typeof mac !== 'string') return null;
+  const hex = mac.trim().toLowerCase().replace(/[^0-9a-f]/g, '');
+  if (hex.length !== 12) return null;
+  if (/^0+$/.test(hex) || /^f+$/.test(hex)) return null;
+
+  // Second-least-significant bit of the first octet: locally administered
+  if (parseInt(hex.slice(0, 2), 16) & 0x02) return null;
+
+  return hex.match(/../g).join(':');
+};
+
+/**
+ * Metric fingerprint of a device: its metric averages rounded to two decimals
+ * @param {Object} averages - metric -> average (null when not reported)
+ * @returns {?string} e.g. "networkSpeed=100|latency=12.5|cpuUsage=20", null when too few metrics
+ */
+const buildFingerprint = (averages) => {
+  const parts = FINGERPRINT_METRICS
+    .filter((metric) => typeof averages[metric] === 'number' && Number.isFinite(averages[metric]))
+    .map((metric) => `${metric}=${Math.round(averages[metric] * 100) / 100}`);
+
+  return parts.length >= MIN_FINGERPRINT_METRICS ? parts.join('|') : null;
+};
+
+/**
+ * Stable cluster ID from its members
+ * @param {Array<string>} deviceIds - Sorted device IDs
+ * @returns {string}
+ */
+const getClusterId = (deviceIds) => crypto
+  .createHash('sha256')
+  .update(deviceIds.join('\n'))
+  .digest('hex')
+  .slice(0, 16);
+
+/**
+ * Cluster devices by shared identifiers
+ * @param {Array} devices - [{ deviceId, macs, ips, isps, fingerprint, walletAddress }]
+ * @param {Object} [thresholds] - Minimum devices sharing a value for it to link them ({ mac, ip, fingerprint })
+ * @returns {{ clusters: Array, flags: Map<string, Array<string>> }} Clusters (largest first) and device ID -> flags
+ */
+const detectClusters = (devices, thresholds = {}) => {
+  const limits = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const byId = new Map(devices.map((device) => [device.deviceId, device]));
+
+  // type -> value -> device IDs
+  const shared = { mac: new Map(), ip: new Map(), fingerprint: new Map() };
+  const add = (type, value, deviceId) => {
+    if (!value) return;
+    if (!shared[type].has(value)) shared[type].set(value, new Set());
+    shared[type].get(value).add(deviceId);
+  };
+
+  devices.forEach((device) => {
+    (device.macs || []).forEach((mac) => add('mac', normalizeMac(mac), device.deviceId));
+    // Private and reserved addresses say nothing about who runs a device
+    (device.ips || []).forEach((ip) => add('ip', normalizePublicIp(ip), device.deviceId));
+    add('fingerprint', device.fingerprint, device.deviceId);
+  });
+
+  // Union-find over devices linked by a value shared widely enough
+  const parent = new Map();
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+
+  const signals = [];
+  const flags = new Map();
+  Object.entries(shared).forEach(([type, values]) => {
+    values.forEach((deviceIdSet, value) => {
+      if (deviceIdSet.size < limits[type]) return;
+
+      const deviceIds = [...deviceIdSet].sort();
+      signals.push({ type, value, deviceIds });
+
+      deviceIds.forEach((deviceId) => {
+        if (!parent.has(deviceId)) parent.set(deviceId, deviceId);
+        if (!flags.has(deviceId)) flags.set(deviceId, new Set());
+        flags.get(deviceId).add(CLUSTER_FLAGS[type]);
+      });
+      deviceIds.slice(1).forEach((deviceId) => {
+        parent.set(find(deviceId), find(deviceIds[0]));
+      });
+    });
+  });
+
+  // Collect components and the signals inside each
+  const components = new Map();
+  parent.forEach((_, deviceId) => {
+    const root = find(deviceId);
+    if (!components.has(root)) components.set(root, { deviceIds: [], signals: [] });
+    components.get(root).deviceIds.push(deviceId);
+  });
+  signals.forEach((signal) => components.get(find(signal.deviceIds[0])).signals.push(signal));
+
+  const clusters = [...components.values()].map(({ deviceIds, signals: clusterSignals }) => {
+    const members = deviceIds.sort();
+    const wallets = new Set();
+    const isps = new Set();
+    members.forEach((deviceId) => {
+      const device = byId.get(deviceId);
+      const wallet = normalizeWalletAddress(device.walletAddress);
+      if (wallet) wallets.add(wallet);
+      (device.isps || []).forEach((isp) => {
+        if (typeof isp === 'string' && isp.trim() !== '') isps.add(isp.trim());
+      });
+    });
+
+    return {
+      clusterId: getClusterId(members),
+      deviceIds: members,
+      size: members.length,
+      flags: [...new Set(clusterSignals.map((signal) => CLUSTER_FLAGS[signal.type]))].sort(),
+      signals: clusterSignals.sort((a, b) => b.deviceIds.length - a.deviceIds.length || (a.type < b.type ? -1 : 1)),
+      wallets: [...wallets].sort(),
+      isps: [...isps].sort(),
+    };
+  });
+
+  clusters.sort((a, b) => b.size - a.size || (a.clusterId < b.clusterId ? -1 : 1));
+
+  return {
+    clusters,
+    flags: new Map([...flags].map(([deviceId, deviceFlags]) => [deviceId, [...deviceFlags].sort()])),
+  };
+};
+
+module.exports = {
+  CLUSTER_FLAGS,
+  FINGERPRINT_METRICS,
+  DEFAULT_THRESHOLDS,
+  normalizeMac,
+  buildFingerprint,
+  detectClusters,
+};
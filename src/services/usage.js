@@ -0,0 +1,289 @@
+const mongoose = require('mongoose');
+const { getUsageDay, getUsageHour, withUsageRates } = require('./rateLimits');
+const { logger } = require('../config/logger');
+
+/**
+ * Usage Service
+ * Counts requests per API key and route class in hourly buckets, flushed to MongoDB
+ * in batches, and keeps today's totals for daily quotas
+ */
+
+const USAGE_COLLECTION = 'api_usage';
+
+const COUNTER_FIELDS = ['requests', 'status2xx', 'status3xx', 'status4xx', 'status5xx', 'throttled', 'latencySumMs'];
+
+class UsageService {
+  constructor() {
+    this.collection = null;
+    this.flushInterval = null;
+    this.isFlushing = false;
+    this.pending = new Map(); // bucket id -> unflushed counters
+    this.localDaily = new Map(); // "day|keyId|routeClass" -> accepted requests not yet in dailyTotals
+    this.flushingDaily = null; // localDaily being flushed, still counted until totals refresh
+    this.dailyTotals = new Map(); // "day|keyId|routeClass" -> accepted requests stored in MongoDB
+  }
+
+  /**
+   * Initialize the usage collection and indexes
+   */
+  async initialize() {
+    try {
+      this.collection = mongoose.connection.db.collection(USAGE_COLLECTION);
+
+      // Usage reports by key and time range
+      await this.collection.createIndex({ keyId: 1, hour: 1 });
+
+      // Daily quota totals
+      await this.collection.createIndex({ day: 1 });
+
+      // Retention
+      await this.collection.createIndex(
+        { hour: 1 },
+        { expireAfterSeconds: this.getRetentionDays() * 24 * 60 * 60 }
+      );
+
+      logger.info('✅ Usage service initialized');
+      return true;
+    } catch (error) {
+      logger.error('❌ Failed to initialize usage service', error);
+      return false;
+    }
+  }
+
+  /**
+   * How often counters are written to MongoDB (milliseconds)
+   */
+  getFlushIntervalMs() {
+    return parseInt(process.env.USAGE_FLUSH_INTERVAL_MS, 10) || 10000;
+  }
+
+  /**
+   * How long hourly usage buckets are kept (days)
+   */
+  getRetentionDays() {
+    return parseInt(process.env.USAGE_RETENTION_DAYS, 10) || 90;
+  }
+
+  /**
+   * Start periodic flushing
+   */
+  start() {
+    if (this.flushInterval) return;
+
+    this.flushInterval = setInterval(() => {
+      this.flush();
+    }, this.getFlushIntervalMs());
+    this.flushInterval.unref();
+
+    logger.info(`📈 Usage tracking started - flushing every ${this.getFlushIntervalMs() / 1000} seconds`);
+  }
+
+  /**
+   * Stop periodic flushing and write what is left
+   */
+  async stop() {
+    if (this.flushInterval) {
+      clearInterval(this.flushInterval);
+      this.flushInterval = null;
+    }
+    await this.flush();
+  }
+
+  /**
+   * Count one finished request
+   * @param {Object} entry - { keyId, keyName, routeClass, statusCode, durationMs, at }
+   */
+  record({ keyId, keyName, routeClass, statusCode, durationMs, at }) {
+    const hour = getUsageHour(at);
+    const day = getUsageDay(at);
+    const id = `${keyId}|${routeClass}|${hour.toISOString()}`;
+
+    let bucket = this.pending.get(id);
+    if (!bucket) {
+      bucket = { keyId, keyName, routeClass, hour, day, latencyMaxMs: 0 };
+      COUNTER_FIELDS.forEach((field) => { bucket[field] = 0; });
+      this.pending.set(id, bucket);
+    }
+
+    const statusField = `status${Math.floor(statusCode / 100)}xx`;
+    bucket.requests += 1;
+    if (Object.prototype.hasOwnProperty.call(bucket, statusField)) {
+      bucket[statusField] += 1;
+    }
+    bucket.latencySumMs += durationMs;
+    bucket.latencyMaxMs = Math.max(bucket.latencyMaxMs, durationMs);
+
+    if (statusCode === 429) {
+      bucket.throttled += 1;
+    } else {
+      const dailyId = `${day}|${keyId}|${routeClass}`;
+      this.localDaily.set(dailyId, (this.localDaily.get(dailyId) || 0) + 1);
+    }
+  }
+
+  /**
+   * Accepted (not throttled) requests today for a key and route class, across instances
+   * as of the last flush plus this instance's unflushed requests
+   * @param {string} keyId - API key ID
+   * @param {string} routeClass - Route class
+   * @param {Date} now
+   * @returns {number}
+   */
+  getDailyCount(keyId, routeClass, now) {
+    const dailyId = `${getUsageDay(now)}|${keyId}|${routeClass}`;
+    return (this.dailyTotals.get(dailyId) || 0)
+      + (this.localDaily.get(dailyId) || 0)
+      + ((this.flushingDaily && this.flushingDaily.get(dailyId)) || 0);
+  }
+
+  /**
+   * Write pending counters and refresh today's totals
+   */
+  async flush() {
+    if (this.isFlushing) return;
+
+    if (!this.collection) {
+      if (mongoose.connection.readyState !== 1) return;
+      await this.initialize();
+    }
+
+    this.isFlushing = true;
+    const buckets = this.pending;
+    this.pending = new Map();
+    this.flushingDaily = this.localDaily;
+    this.localDaily = new Map();
+
+    try {
+      if (buckets.size > 0) {
+        const updatedAt = new Date();
+        await this.collection.bulkWrite([...buckets.entries()].map(([id, bucket]) => ({
+          updateOne: {
+            filter: { _id: id },
+            update: {
+              $setOnInsert: { keyId: bucket.keyId, routeClass: bucket.routeClass, hour: bucket.hour, day: bucket.day },
+              $set: { keyName: bucket.keyName, updatedAt },
+              $inc: Object.fromEntries(COUNTER_FIELDS.map((field) => [field, bucket[field]])),
+              $max: { latencyMaxMs: bucket.latencyMaxMs },
+            },
+            upsert: true,
+          },
+        })), { ordered: false });
+      }
+    } catch (error) {
+      logger.error('❌ Failed to write API usage counters', error);
+      // Keep the counts for the next flush
+      buckets.forEach((bucket, id) => this.mergePending(id, bucket));
+      this.flushingDaily.forEach((count, dailyId) => {
+        this.localDaily.set(dailyId, (this.localDaily.get(dailyId) || 0) + count);
+      });
+      this.flushingDaily = null;
+      this.isFlushing = false;
+      return;
+    }
+
+    try {
+      await this.refreshDailyTotals(new Date());
+      this.flushingDaily = null;
+    } catch (error) {
+      logger.error('❌ Failed to refresh daily quota totals', error);
+      // Written but not reflected in dailyTotals yet: keep counting them locally
+      this.flushingDaily.forEach((count, dailyId) => {
+        this.localDaily.set(dailyId, (this.localDaily.get(dailyId) || 0) + count);
+      });
+      this.flushingDaily = null;
+    } finally {
+      this.isFlushing = false;
+    }
+  }
+
+  /**
+   * Merge counters back into the pending buckets (after a failed write)
+   * @param {string} id - Bucket id
+   * @param {Object} bucket - Counters
+   */
+  mergePending(id, bucket) {
+    const existing = this.pending.get(id);
+    if (!existing) {
+      this.pending.set(id, bucket);
+      return;
+    }
+    COUNTER_FIELDS.forEach((field) => { existing[field] += bucket[field]; });
+    existing.latencyMaxMs = Math.max(existing.latencyMaxMs, bucket.latencyMaxMs);
+  }
+
+  /**
+   * Reload today's accepted request totals from MongoDB (all instances)
+   * @param {Date} now
+   */
+  async refreshDailyTotals(now) {
+    const day = getUsageDay(now);
+    const totals = await this.collection.aggregate([
+      { $match: { day } },
+      {
+        $group: {
+          _id: { keyId: '$keyId', routeClass: '$routeClass' },
+          accepted: { $sum: { $subtract: ['$requests', '$throttled'] } },
+        },
+      },
+    ]).toArray();
+
+    this.dailyTotals = new Map(totals.map((total) => [`${day}|${total._id.keyId}|${total._id.routeClass}`, total.accepted]));
+  }
+
+  /**
+   * Usage report per key and route class
+   * @param {Object} options - { keyId?, from, to }
+   * @returns {Promise<Array>} One entry per key: totals plus a per-route-class breakdown
+   */
+  async getReport({ keyId, from, to }) {
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    // Include this instance's unflushed counters
+    await this.flush();
+
+    const match = { hour: { $gte: getUsageHour(from), $lt: to } };
+    if (keyId) {
+      match.keyId = keyId;
+    }
+
+    const counters = Object.fromEntries(COUNTER_FIELDS.map((field) => [field, { $sum: `$${field}` }]));
+    const rows = await this.collection.aggregate([
+      { $match: match },
+      { $sort: { hour: 1 } },
+      {
+        $group: {
+          _id: { keyId: '$keyId', routeClass: '$routeClass' },
+          keyName: { $last: '$keyName' },
+          ...counters,
+          latencyMaxMs: { $max: '$latencyMaxMs' },
+        },
+      },
+    ]).toArray();
+
+    const consumers = new Map();
+    rows.forEach((row) => {
+      const { keyId: id, routeClass } = row._id;
+      if (!consumers.has(id)) {
+        const totals = { latencyMaxMs: 0 };
+        COUNTER_FIELDS.forEach((field) => { totals[field] = 0; });
+        consumers.set(id, { keyId: id, keyName: row.keyName, totals, routes: {} });
+      }
+
+      const consumer = consumers.get(id);
+      const { _id, keyName, ...classCounters } = row;
+      consumer.routes[routeClass] = withUsageRates(classCounters);
+      COUNTER_FIELDS.forEach((field) => { consumer.totals[field] += row[field]; });
+      consumer.totals.latencyMaxMs = Math.max(consumer.totals.latencyMaxMs, row.latencyMaxMs);
+    });
+
+    return [...consumers.values()]
+      .map((consumer) => ({ ...consumer, totals: withUsageRates(consumer.totals) }))
+      .sort((a, b) => b.totals.requests - a.totals.requests);
+  }
+}
+
+// Export singleton instance
+const usageService = new UsageService();
+module.exports = usageService;
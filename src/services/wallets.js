@@ -0,0 +1,119 @@
+/**
+ * Wallet Aggregation Helpers
+ * Groups ranked nodes by operator wallet for fleet views and per-wallet totals
+ */
+
+/**
+ * Normalize a wallet address for grouping and lookups (addresses are case-insensitive)
+ * @param {?string} address - Raw wallet address
+ * @returns {?string} Trimmed, lower-cased address, null when missing
+ */
+const normalizeWalletAddress = (address) => {
+  if (typeof address !== 'string' || address.trim() === '') return null;
+  return address.trim().toLowerCase();
+};
+
+/**
+ * Reward eligibility of a node: 30 days since registration and minimum uptime met
+ * @param {Object} node - Ranked node
+ * @returns {boolean}
+ */
+const isEligible = (node) => Boolean(node.meetsThirtyDayRequirement && node.meetsMinimumUptime);
+
+/**
+ * Group ranked nodes by wallet, keeping rank order within each wallet
+ * Nodes without a wallet address are left out
+ * @param {Array} nodes - Ranked nodes
+ * @returns {Map<string, Array>} wallet address -> nodes
+ */
+const groupByWallet = (nodes) => {
+  const wallets = new Map();
+  [...nodes]
+    .sort((a, b) => a.rank - b.rank)
+    .forEach((node) => {
+      const address = normalizeWalletAddress(node.walletAddress);
+      if (!address) return;
+      if (!wallets.has(address)) wallets.set(address, []);
+      wallets.get(address).push(node);
+    });
+  return wallets;
+};
+
+/**
+ * Summarize one wallet's fleet
+ * @param {string} walletAddress - Normalized wallet address
+ * @param {Array} nodes - The wallet's ranked nodes, in rank order
+ * @returns {Object} Wallet summary (without the node list)
+ */
+const summarizeWallet = (walletAddress, nodes) => {
+  const totalReputation = nodes.reduce((sum, node) => sum + node.reputationScore, 0);
+  const statusDistribution = nodes.reduce((acc, node) => {
+    acc[node.status] = (acc[node.status] || 0) + 1;
+    return acc;
+  }, {});
+  const eligibleNodes = nodes.filter(isEligible).length;
+
+  return {
+    walletAddress,
+    nodeCount: nodes.length,
+    totalReputation: Math.round(totalReputation * 100) / 100,
+    averageScore: Math.round((totalReputation / nodes.length) * 100) / 100,
+    bestRank: nodes[0].rank,
+    eligibleNodes,
+    eligible: eligibleNodes > 0,
+    statusDistribution,
+  };
+};
+
+/**
+ * Rank wallets by combined reputation across their fleet
+ * Ties break on average score, then best node rank
+ * @param {Array} nodes - Ranked nodes
+ * @returns {{ wallets: Array, unassignedNodes: number }} Wallet summaries with walletRank
+ */
+const rankWallets = (nodes) => {
+  let assigned = 0;
+  const wallets = [...groupByWallet(nodes).entries()].map(([address, walletNodes]) => {
+    assigned += walletNodes.length;
+    return summarizeWallet(address, walletNodes);
+  });
+
+  wallets.sort((a, b) =>
+    b.totalReputation - a.totalReputation ||
+    b.averageScore - a.averageScore ||
+    a.bestRank - b.bestRank
+  );
+  wallets.forEach((wallet, index) => {
+    wallet.walletRank = index + 1;
+  });
+
+  return { wallets, unassignedNodes: nodes.length - assigned };
+};
+
+/**
+ * Get one wallet's summary, wallet rank and nodes
+ * @param {Array} nodes - Ranked nodes
+ * @param {string} address - Wallet address (case-insensitive)
+ * @returns {Object|null} Wallet with nodes, null when no node belongs to it
+ */
+const getWallet = (nodes, address) => {
+  const walletAddress = normalizeWalletAddress(address);
+  if (!walletAddress) return null;
+
+  const { wallets } = rankWallets(nodes);
+  const wallet = wallets.find((candidate) => candidate.walletAddress === walletAddress);
+  if (!wallet) return null;
+
+  return {
+    ...wallet,
+    totalWallets: wallets.length,
+    nodes: groupByWallet(nodes).get(walletAddress).map((node) => ({ ...node, eligible: isEligible(node) })),
+  };
+};
+
+module.exports = {
+  normalizeWalletAddress,
+  isEligible,
+  rankWallets,
+  getWallet,
+};
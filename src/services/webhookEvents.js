@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const { isInternalHost } = require('./network');
+
+/**
+ * Webhook Event Helpers
+ * Subscription validation, event detection against the previous ranking, signing and retry backoff
+ */
+
+const WEBHOOK_EVENTS = [
+  'node.status_changed',
+  'node.entered_top',
+  'node.left_top',
+  'node.silent',
+  'leaderboard.update_failed',
+];
+
+const DEFAULT_TOP_N = 10;
+const DEFAULT_SILENT_HOURS = 6;
+const MAX_NODE_IDS = 1000;
+
+// Retry backoff: 30s, 1m, 2m, 4m ... capped at 1 hour
+const BASE_RETRY_MS = 30 * 1000;
+const MAX_RETRY_MS = 60 * 60 * 1000;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate a subscription request and apply defaults
+ * @param {Object} body - { url, events, topN?, silentHours?, nodeIds?, description? }
+ * @param {Object} [options]
+ * @param {boolean} [options.allowInsecure] - Accept http and internal hosts (development)
+ * @returns {{ subscription?: Object, errors?: string[] }}
+ */
+const parseSubscription = (body, { allowInsecure = false } = {}) => {
+  if (!isPlainObject(body)) {
+    return { errors: ['body must be a JSON object'] };
+  }
+
+  const errors = [];
+  const { url, events, topN = DEFAULT_TOP_N, silentHours = DEFAULT_SILENT_HOURS, nodeIds = null, description = '' } = body;
+
+  let parsedUrl = null;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    parsedUrl = null;
+  }
+  if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+    errors.push('url must be an absolute http(s) URL');
+  } else if (!allowInsecure && parsedUrl.protocol !== 'https:') {
+    errors.push('url must use https');
+  } else if (!allowInsecure && isInternalHost(parsedUrl.hostname)) {
+    errors.push('url must not point at localhost or a private network');
+  }
+
+  if (!Array.isArray(events) || events.length === 0) {
+    errors.push(`events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`);
+  } else {
+    const unknown = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      errors.push(`unknown events: ${unknown.join(', ')}`);
+    }
+  }
+
+  if (!Number.isInteger(topN) || topN < 1 || topN > 1000) {
+    errors.push('topN must be an integer between 1 and 1000');
+  }
+
+  if (typeof silentHours !== 'number' || !Number.isFinite(silentHours) || silentHours <= 0) {
+    errors.push('silentHours must be a positive number');
+  }
+
+  if (nodeIds !== null && (!Array.isArray(nodeIds) || nodeIds.length > MAX_NODE_IDS || nodeIds.some((nodeId) => typeof nodeId !== 'string' || !nodeId))) {
+    errors.push(`nodeIds must be an array of at most ${MAX_NODE_IDS} node IDs`);
+  }
+
+  if (typeof description !== 'string' || description.length > 200) {
+    errors.push('description must be a string of at most 200 characters');
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    subscription: {
+      url: parsedUrl.toString(),
+      events: [...new Set(events)],
+      topN,
+      silentHours,
+      nodeIds: nodeIds ? [...new Set(nodeIds)] : null,
+      description,
+    },
+  };
+};
+
+/**
+ * Public node fields carried by node events
+ * @param {Object} node - Ranked node
+ * @returns {Object}
+ */
+const describeNode = (node) => ({
+  nodeId: node.nodeId,
+  deviceName: node.deviceName,
+  walletAddress: node.walletAddress || null,
+  rank: node.rank,
+  reputationScore: node.reputationScore,
+  status: node.status,
+  hoursSinceLastSeen: node.hoursSinceLastSeen,
+});
+
+/**
+ * Detect the node events a subscription wants by diffing against the previous ranking
+ * @param {Array} nodes - Current all-time ranking
+ * @param {Array} previousNodes - Previous ranking (nodeId, rank, status, hoursSinceLastSeen)
+ * @param {Object} subscription - Stored subscription
+ * @returns {Array<{ event: string, data: Object }>}
+ */
+const detectNodeEvents = (nodes, previousNodes, subscription) => {
+  const wanted = new Set(subscription.events);
+  const watched = subscription.nodeIds ? new Set(subscription.nodeIds) : null;
+  const { topN, silentHours } = subscription;
+
+  const previousById = new Map(previousNodes.map((node) => [node.nodeId, node]));
+  const currentIds = new Set();
+  const detected = [];
+
+  nodes.forEach((node) => {
+    currentIds.add(node.nodeId);
+    if (watched && !watched.has(node.nodeId)) return;
+
+    const before = previousById.get(node.nodeId);
+
+    if (wanted.has('node.status_changed') && before && before.status !== node.status) {
+      detected.push({
+        event: 'node.status_changed',
+        data: { ...describeNode(node), previousStatus: before.status },
+      });
+    }
+
+    if (wanted.has('node.entered_top') && node.rank <= topN && (!before || before.rank > topN)) {
+      detected.push({
+        event: 'node.entered_top',
+        data: { ...describeNode(node), previousRank: before ? before.rank : null, topN },
+      });
+    }
+
+    if (wanted.has('node.left_top') && before && before.rank <= topN && node.rank > topN) {
+      detected.push({
+        event: 'node.left_top',
+        data: { ...describeNode(node), previousRank: before.rank, topN },
+      });
+    }
+
+    if (wanted.has('node.silent') && before
+      && node.hoursSinceLastSeen > silentHours && !(before.hoursSinceLastSeen > silentHours)) {
+      detected.push({
+        event: 'node.silent',
+        data: { ...describeNode(node), silentHours },
+      });
+    }
+  });
+
+  // Nodes that dropped out of the ranking entirely also leave the top N
+  if (wanted.has('node.left_top')) {
+    previousNodes.forEach((before) => {
+      if (currentIds.has(before.nodeId) || before.rank > topN) return;
+      if (watched && !watched.has(before.nodeId)) return;
+
+      detected.push({
+        event: 'node.left_top',
+        data: { nodeId: before.nodeId, rank: null, previousRank: before.rank, topN },
+      });
+    });
+  }
+
+  return detected;
+};
+
+/**
+ * Sign a delivery body: hex HMAC-SHA256 of "<timestamp>.<body>"
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - X-Webhook-Timestamp value (unix seconds)
+ * @param {string} body - Raw JSON body
+ * @returns {string}
+ */
+const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+/**
+ * Delay before the next delivery attempt
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Milliseconds
+ */
+const getRetryDelayMs = (attempts) => Math.min(BASE_RETRY_MS * 2 ** (attempts - 1), MAX_RETRY_MS);
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DEFAULT_TOP_N,
+  DEFAULT_SILENT_HOURS,
+  parseSubscription,
+  detectNodeEvents,
+  signPayload,
+  getRetryDelayMs,
+};
@@ -0,0 +1,401 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { detectNodeEvents, signPayload, getRetryDelayMs } = require('./webhookEvents');
+const { resolvePublicAddresses } = require('./network');
+const { logger } = require('../config/logger');
+
+/**
+ * Webhook Service
+ * Stores webhook subscriptions, queues events detected after each leaderboard update
+ * and delivers them (HMAC-signed, retried with exponential backoff)
+ */
+
+const SUBSCRIPTION_COLLECTION = 'webhook_subscriptions';
+const DELIVERY_COLLECTION = 'webhook_deliveries';
+
+const DELIVERY_BATCH_SIZE = 50; // Deliveries attempted per worker tick
+const MAX_RESPONSE_LOG = 500; // Characters of the receiver's response body kept per attempt
+
+class WebhookService {
+  constructor() {
+    this.subscriptions = null;
+    this.deliveries = null;
+    this.workerInterval = null;
+    this.isDelivering = false;
+  }
+
+  /**
+   * Initialize the subscription and delivery collections and indexes
+   */
+  async initialize() {
+    try {
+      this.subscriptions = mongoose.connection.db.collection(SUBSCRIPTION_COLLECTION);
+      this.deliveries = mongoose.connection.db.collection(DELIVERY_COLLECTION);
+
+      // Worker queue: due pending deliveries
+      await this.deliveries.createIndex({ status: 1, nextAttemptAt: 1 });
+
+      // Delivery log per subscription, newest first
+      await this.deliveries.createIndex({ subscriptionId: 1, createdAt: -1 });
+
+      // Delivery log retention
+      await this.deliveries.createIndex(
+        { createdAt: 1 },
+        { expireAfterSeconds: this.getRetentionDays() * 24 * 60 * 60 }
+      );
+
+      logger.info('✅ Webhook service initialized');
+      return true;
+    } catch (error) {
+      logger.error('❌ Failed to initialize webhook service', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delivery attempts before a delivery is marked failed
+   */
+  getMaxAttempts() {
+    return parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+  }
+
+  /**
+   * Per-attempt request timeout (milliseconds)
+   */
+  getTimeoutMs() {
+    return parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+  }
+
+  /**
+   * How often the worker looks for due deliveries (milliseconds)
+   */
+  getDeliveryIntervalMs() {
+    return parseInt(process.env.WEBHOOK_DELIVERY_INTERVAL_MS, 10) || 5000;
+  }
+
+  /**
+   * How long delivery logs are kept (days)
+   */
+  getRetentionDays() {
+    return parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 10) || 30;
+  }
+
+  /**
+   * Start the delivery worker
+   */
+  start() {
+    if (this.workerInterval) return;
+
+    this.workerInterval = setInterval(() => {
+      this.deliverDue();
+    }, this.getDeliveryIntervalMs());
+
+    logger.info(`📮 Webhook delivery worker started - checking every ${this.getDeliveryIntervalMs() / 1000} seconds`);
+  }
+
+  /**
+   * Stop the delivery worker (deliveries in flight are retried on the next start)
+   */
+  stop() {
+    if (this.workerInterval) {
+      clearInterval(this.workerInterval);
+      this.workerInterval = null;
+      logger.info('🛑 Webhook delivery worker stopped');
+    }
+  }
+
+  /**
+   * Register a subscription
+   * @param {Object} subscription - Parsed subscription from parseSubscription
+   * @returns {Promise<Object>} Stored subscription, including its signing secret
+   */
+  async createSubscription(subscription) {
+    if (!this.subscriptions) {
+      await this.initialize();
+    }
+
+    const record = {
+      _id: new mongoose.Types.ObjectId(),
+      ...subscription,
+      secret: crypto.randomBytes(32).toString('hex'),
+      active: true,
+      createdAt: new Date(),
+    };
+
+    await this.subscriptions.insertOne(record);
+    logger.info(`🪝 Webhook subscription ${record._id} created for ${record.events.join(', ')}`);
+    return record;
+  }
+
+  /**
+   * List subscriptions (secrets omitted)
+   * @returns {Promise<Array>}
+   */
+  async listSubscriptions() {
+    if (!this.subscriptions) {
+      await this.initialize();
+    }
+
+    return this.subscriptions
+      .find({}, { projection: { secret: 0 } })
+      .sort({ createdAt: -1 })
+      .toArray();
+  }
+
+  /**
+   * Get one subscription (secret omitted)
+   * @param {string} id - Subscription ID
+   * @returns {Promise<Object|null>} null when the ID is malformed or unknown
+   */
+  async getSubscription(id) {
+    if (!this.subscriptions) {
+      await this.initialize();
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+
+    return this.subscriptions.findOne(
+      { _id: new mongoose.Types.ObjectId(id) },
+      { projection: { secret: 0 } }
+    );
+  }
+
+  /**
+   * Delete a subscription and its pending deliveries (the delivery log is kept until it expires)
+   * @param {string} id - Subscription ID
+   * @returns {Promise<boolean>} false when not found
+   */
+  async deleteSubscription(id) {
+    if (!this.subscriptions) {
+      await this.initialize();
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return false;
+    }
+
+    const _id = new mongoose.Types.ObjectId(id);
+    const { deletedCount } = await this.subscriptions.deleteOne({ _id });
+    if (deletedCount === 0) {
+      return false;
+    }
+
+    await this.deliveries.updateMany(
+      { subscriptionId: _id, status: 'pending' },
+      { $set: { status: 'cancelled', nextAttemptAt: null } }
+    );
+    return true;
+  }
+
+  /**
+   * Get a subscription's delivery log, newest first
+   * @param {string} id - Subscription ID
+   * @param {Object} options - { status?, limit }
+   * @returns {Promise<Array>} Empty when the ID is malformed
+   */
+  async getDeliveries(id, { status, limit }) {
+    if (!this.deliveries) {
+      await this.initialize();
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return [];
+    }
+
+    const query = { subscriptionId: new mongoose.Types.ObjectId(id) };
+    if (status) {
+      query.status = status;
+    }
+
+    return this.deliveries
+      .find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .toArray();
+  }
+
+  /**
+   * Queue node events after a leaderboard update (called at the end of updateLeaderboard)
+   * @param {Array} nodes - New all-time ranking
+   * @param {?Array} previousNodes - Previous all-time ranking; nothing is detected without one
+   * @param {Date} timestamp - Leaderboard timestamp
+   */
+  async notifyLeaderboardUpdate(nodes, previousNodes, timestamp) {
+    if (!this.subscriptions) {
+      await this.initialize();
+    }
+
+    if (!previousNodes) {
+      return;
+    }
+
+    const subscriptions = await this.subscriptions.find({ active: true }).toArray();
+    let queued = 0;
+
+    for (const subscription of subscriptions) {
+      const events = detectNodeEvents(nodes, previousNodes, subscription);
+      queued += await this.enqueue(subscription, events, { leaderboardTimestamp: timestamp });
+    }
+
+    if (queued > 0) {
+      logger.info(`🪝 Queued ${queued} webhook deliveries`);
+    }
+  }
+
+  /**
+   * Queue leaderboard.update_failed events
+   * @param {string} window - Window that failed (or "update" for the whole run)
+   * @param {Error} error - Failure
+   */
+  async notifyUpdateFailure(window, error) {
+    if (!this.subscriptions) {
+      await this.initialize();
+    }
+
+    const subscriptions = await this.subscriptions
+      .find({ active: true, events: 'leaderboard.update_failed' })
+      .toArray();
+
+    const data = { window, error: error.message, failedAt: new Date() };
+    for (const subscription of subscriptions) {
+      await this.enqueue(subscription, [{ event: 'leaderboard.update_failed', data }], {});
+    }
+  }
+
+  /**
+   * Store pending deliveries for a subscription
+   * @param {Object} subscription - Stored subscription
+   * @param {Array} events - [{ event, data }]
+   * @param {Object} context - Extra fields merged into every payload
+   * @returns {Promise<number>} Deliveries queued
+   */
+  async enqueue(subscription, events, context) {
+    if (events.length === 0) return 0;
+
+    const now = new Date();
+    const deliveries = events.map(({ event, data }) => {
+      const _id = new mongoose.Types.ObjectId();
+      return {
+        _id,
+        subscriptionId: subscription._id,
+        url: subscription.url,
+        event,
+        payload: { id: _id.toString(), event, createdAt: now, ...context, data },
+        status: 'pending',
+        attempts: 0,
+        attemptLog: [],
+        nextAttemptAt: now,
+        createdAt: now,
+      };
+    });
+
+    await this.deliveries.insertMany(deliveries, { ordered: false });
+    return deliveries.length;
+  }
+
+  /**
+   * Attempt every due delivery (one worker tick; skipped while the previous tick runs)
+   */
+  async deliverDue() {
+    if (this.isDelivering || !this.deliveries) return;
+
+    this.isDelivering = true;
+    try {
+      for (let count = 0; count < DELIVERY_BATCH_SIZE; count++) {
+        // Claim one due delivery; the lease stops another instance from sending it concurrently
+        const now = new Date();
+        const delivery = await this.deliveries.findOneAndUpdate(
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { $set: { nextAttemptAt: new Date(now.getTime() + this.getTimeoutMs() * 2) } },
+          { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+        );
+
+        if (!delivery) break;
+        await this.attempt(delivery);
+      }
+    } catch (error) {
+      logger.error('❌ Webhook delivery worker failed', error);
+    } finally {
+      this.isDelivering = false;
+    }
+  }
+
+  /**
+   * Send one delivery and record the outcome
+   * @param {Object} delivery - Claimed delivery
+   */
+  async attempt(delivery) {
+    const subscription = await this.subscriptions.findOne({ _id: delivery.subscriptionId });
+    if (!subscription || !subscription.active) {
+      await this.deliveries.updateOne(
+        { _id: delivery._id },
+        { $set: { status: 'cancelled', nextAttemptAt: null } }
+      );
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const startedAt = new Date();
+    const entry = { at: startedAt, responseStatus: null, error: null, durationMs: 0 };
+
+    try {
+      // Subscriptions only reject internal IP literals; names are checked here, on every attempt.
+      // fetch looks the name up again, so an answer that changes between the two lookups is not caught.
+      if (process.env.NODE_ENV !== 'development') {
+        const { error } = await resolvePublicAddresses(new URL(subscription.url).hostname);
+        if (error) {
+          throw new Error(`Refused: ${error}`);
+        }
+      }
+
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'QuikDB-Leaderboard-Webhooks/1.0',
+          'X-Webhook-Id': delivery._id.toString(),
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${signPayload(subscription.secret, timestamp, body)}`,
+        },
+        body,
+        signal: AbortSignal.timeout(this.getTimeoutMs()),
+        redirect: 'manual',
+      });
+
+      entry.responseStatus = response.status;
+      const text = await response.text().catch(() => '');
+      entry.responseBody = text.slice(0, MAX_RESPONSE_LOG);
+      if (!response.ok) {
+        entry.error = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      entry.error = error.name === 'TimeoutError' ? `Timed out after ${this.getTimeoutMs()}ms` : error.message;
+    }
+    entry.durationMs = Date.now() - startedAt.getTime();
+
+    const attempts = delivery.attempts + 1;
+    const update = { attempts, lastAttemptAt: startedAt, lastError: entry.error, responseStatus: entry.responseStatus };
+
+    if (!entry.error) {
+      Object.assign(update, { status: 'delivered', deliveredAt: new Date(), nextAttemptAt: null });
+    } else if (attempts >= this.getMaxAttempts()) {
+      Object.assign(update, { status: 'failed', nextAttemptAt: null });
+      logger.warn(`⚠️ Webhook delivery ${delivery._id} (${delivery.event}) failed after ${attempts} attempts: ${entry.error}`);
+    } else {
+      update.nextAttemptAt = new Date(Date.now() + getRetryDelayMs(attempts));
+    }
+
+    await this.deliveries.updateOne(
+      { _id: delivery._id },
+      { $set: update, $push: { attemptLog: entry } }
+    );
+  }
+}
+
+// Export singleton instance
+const webhookService = new WebhookService();
+module.exports = webhookService;
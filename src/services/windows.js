@@ -0,0 +1,39 @@
+/**
+ * Leaderboard Window Helpers
+ * Time windows the leaderboard is ranked over (each one computed and cached separately)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Window name -> look-back in milliseconds (null = all-time)
+const LEADERBOARD_WINDOWS = {
+  all: null,
+  '24h': DAY_MS,
+  '7d': 7 * DAY_MS,
+  '30d': 30 * DAY_MS,
+};
+
+const DEFAULT_WINDOW = 'all';
+
+/**
+ * Parse the ?window= query parameter
+ * @param {string} [value] - Raw query value
+ * @returns {{ window?: string, error?: string }} Window name, or a validation error message
+ */
+const parseWindow = (value) => {
+  if (value === undefined || value === '') {
+    return { window: DEFAULT_WINDOW };
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(LEADERBOARD_WINDOWS, value)) {
+    return { error: `window must be one of: ${Object.keys(LEADERBOARD_WINDOWS).join(', ')}` };
+  }
+
+  return { window: value };
+};
+
+module.exports = {
+  LEADERBOARD_WINDOWS,
+  DEFAULT_WINDOW,
+  parseWindow,
+};
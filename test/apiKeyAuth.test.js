@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createApiKeyAuth, requireScope } = require('../src/middleware/apiKeyAuth');
+
+const keys = { apiKey: 'shared-read-key', adminApiKey: 'bootstrap-admin-key' };
+
+// Run a middleware and report whether it called next() or answered
+const run = async (middleware, req) => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  let passed = false;
+  await middleware(req, res, () => { passed = true; });
+  return { passed, res };
+};
+
+const request = (headers, query = {}) => ({ path: '/leaderboard', headers, query });
+
+describe('api key auth', () => {
+  const auth = createApiKeyAuth(keys);
+
+  it('grants the environment keys their scopes', async () => {
+    const shared = request({ 'x-api-key': keys.apiKey });
+    const admin = request({ 'x-api-key': keys.adminApiKey });
+    await run(auth, shared);
+    await run(auth, admin);
+
+    assert.deepEqual(shared.apiKey.scopes, ['read', 'export']);
+    assert.ok(admin.apiKey.scopes.includes('admin'));
+  });
+
+  it('ignores the admin key in X-Admin-Key', async () => {
+    const req = request({ 'x-api-key': keys.apiKey, 'x-admin-key': keys.adminApiKey });
+    await run(auth, req);
+
+    assert.deepEqual(req.apiKey.scopes, ['read', 'export']);
+    const { passed, res } = await run(requireScope('admin'), req);
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('drops the admin scope for keys sent in the query string', async () => {
+    const req = request({}, { api_key: keys.adminApiKey });
+    await run(auth, req);
+
+    assert.ok(req.apiKey.scopes.includes('read'));
+    assert.ok(!req.apiKey.scopes.includes('admin'));
+  });
+});
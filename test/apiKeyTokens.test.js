@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateApiKey, hashApiKey, safeEqual, getKeyStatus, parseApiKeyRequest } = require('../src/services/apiKeyTokens');
+
+const now = new Date('2025-06-01T00:00:00Z');
+
+describe('api key tokens', () => {
+  it('generates unique prefixed keys and stores only their hash', () => {
+    const first = generateApiKey();
+    const second = generateApiKey();
+
+    assert.match(first.key, /^qdb_[A-Za-z0-9_-]{32}$/);
+    assert.notEqual(first.key, second.key);
+    assert.equal(first.prefix, first.key.slice(0, 12));
+    assert.equal(first.hash, hashApiKey(first.key));
+    assert.ok(!first.hash.includes(first.key));
+  });
+
+  it('compares keys in constant time without throwing on length mismatch', () => {
+    assert.equal(safeEqual('abc', 'abc'), true);
+    assert.equal(safeEqual('abc', 'abcd'), false);
+  });
+
+  it('reports revoked before expired', () => {
+    assert.equal(getKeyStatus({ expiresAt: null, revokedAt: null }, now), 'active');
+    assert.equal(getKeyStatus({ expiresAt: new Date('2025-05-01'), revokedAt: null }, now), 'expired');
+    assert.equal(getKeyStatus({ expiresAt: new Date('2025-05-01'), revokedAt: new Date('2025-04-01') }, now), 'revoked');
+  });
+
+  it('parses issue requests', () => {
+    const { request } = parseApiKeyRequest({ name: ' frontend ', scopes: ['export', 'read', 'read'], expiresInDays: 30 }, now);
+
+    assert.equal(request.name, 'frontend');
+    assert.deepEqual(request.scopes, ['read', 'export']);
+    assert.equal(request.expiresAt.toISOString(), '2025-07-01T00:00:00.000Z');
+    assert.equal(request.owner, null);
+
+    const { errors } = parseApiKeyRequest({ name: '', scopes: ['write'], expiresAt: '2020-01-01' }, now);
+    assert.equal(errors.length, 3);
+    assert.ok(parseApiKeyRequest({ name: 'x', scopes: ['read'], expiresAt: '2030-01-01', expiresInDays: 1 }, now).errors);
+
+    assert.deepEqual(
+      parseApiKeyRequest({ name: 'x', scopes: ['read'], limits: { read: { perDay: 1000 } } }, now).request.limits,
+      { read: { perDay: 1000 } }
+    );
+    assert.ok(parseApiKeyRequest({ name: 'x', scopes: ['read'], limits: { read: { perDay: -1 } } }, now).errors);
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseColumns, parseFormat, exportChunks } = require('../src/services/export');
+
+const nodes = [
+  {
+    rank: 1,
+    nodeId: 'n1',
+    deviceName: 'Lagos, 1',
+    reputationScore: 95.5,
+    lastSeen: new Date('2025-01-01T00:00:00Z'),
+    rankChange: { previous: 2, '24h': null, '7d': 4 },
+    statusChange: { previous: { from: 'good', to: 'excellent' }, '24h': null, '7d': null },
+  },
+  { rank: 2, nodeId: 'n2', deviceName: 'n2', reputationScore: 80 },
+];
+
+const fieldMetadata = {
+  reputationScore: { displayName: 'Reputation' },
+  rankChange: { displayName: 'Rank Change' },
+};
+
+const render = (format, columns) => [...exportChunks(nodes, { format, columns, fieldMetadata })].join('');
+
+describe('leaderboard export', () => {
+  it('renders CSV with display-name headers and flattened values', () => {
+    const csv = render('csv', ['rank', 'deviceName', 'reputationScore', 'lastSeen', 'rankChange.previous', 'statusChange.previous']);
+
+    assert.equal(csv, [
+      'rank,deviceName,Reputation,lastSeen,Rank Change (previous),statusChange.previous',
+      '1,"Lagos, 1",95.5,2025-01-01T00:00:00.000Z,2,good->excellent',
+      '2,n2,80,,,',
+      '',
+    ].join('\n'));
+  });
+
+  it('neutralizes text that spreadsheets would run as a formula', () => {
+    const csv = [...exportChunks([
+      { rank: 1, deviceName: '=HYPERLINK("http://x","y")', city: '+1', country: '@SUM(A1)', rankChange: { previous: -3 } },
+      { rank: 2, deviceName: '\tcmd', city: '-2', country: 'Nigeria', rankChange: { previous: 1 } },
+    ], { format: 'csv', columns: ['rank', 'deviceName', 'city', 'country', 'rankChange.previous'], fieldMetadata: {} })].join('');
+
+    assert.equal(csv, [
+      'rank,deviceName,city,country,rankChange.previous',
+      `1,"'=HYPERLINK(""http://x"",""y"")",'+1,'@SUM(A1),-3`,
+      "2,'\tcmd,'-2,Nigeria,1",
+      '',
+    ].join('\n'));
+  });
+
+  it('renders NDJSON and JSON rows keyed by column', () => {
+    const ndjson = render('ndjson', ['nodeId', 'rankChange.7d']);
+    assert.deepEqual(ndjson.trim().split('\n').map((line) => JSON.parse(line)), [
+      { nodeId: 'n1', 'rankChange.7d': 4 },
+      { nodeId: 'n2', 'rankChange.7d': null },
+    ]);
+
+    assert.deepEqual(JSON.parse(render('json', ['nodeId'])), [{ nodeId: 'n1' }, { nodeId: 'n2' }]);
+    assert.deepEqual(JSON.parse([...exportChunks([], { format: 'json', columns: ['nodeId'] })].join('')), []);
+  });
+
+  it('validates formats and columns', () => {
+    assert.equal(parseFormat(undefined).format, 'csv');
+    assert.ok(parseFormat('xlsx').error);
+    assert.deepEqual(parseColumns('nodeId, rank,nodeId').columns, ['nodeId', 'rank']);
+    assert.ok(parseColumns('nodeId,password').error);
+    assert.ok(parseColumns(',').error);
+  });
+});
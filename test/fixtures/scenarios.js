@@ -0,0 +1,256 @@
+/**
+ * Heartbeat fixture scenarios for reputation tests
+ * Every scenario is built relative to `now` so the same data works for golden
+ * files (fixed now) and parity runs against MongoDB (real now).
+ */
+
+const HOUR_MS = 3600000;
+const DAY_MS = 86400000;
+
+/**
+ * Build a heartbeat document
+ * @param {string} deviceId - Device ID
+ * @param {Date} timestamp - Heartbeat time
+ * @param {Object} [overrides] - Replaces top-level sections (networkMetrics, systemResources, status)
+ * @returns {Object} Heartbeat
+ */
+const heartbeat = (deviceId, timestamp, overrides = {}) => ({
+  deviceId,
+  timestamp,
+  networkMetrics: { speed: 250, latency: 60 },
+  systemResources: {
+    cpu: { usage: 35 },
+    memory: { total: 16, used: 6, available: 10 },
+    storage: { total: 500, used: 200, available: 300 },
+  },
+  status: { uptime: 3600, isOnline: true },
+  ...overrides,
+});
+
+/**
+ * Hourly heartbeats ending `endHoursAgo` before now
+ * @param {string} deviceId - Device ID
+ * @param {Date} now - Reference time
+ * @param {number} count - Number of heartbeats
+ * @param {number} endHoursAgo - Age of the newest heartbeat in hours
+ * @param {Function} [build] - (index, timestamp) => overrides
+ * @returns {Array} Heartbeats, oldest first
+ */
+const hourly = (deviceId, now, count, endHoursAgo, build = () => ({})) =>
+  Array.from({ length: count }, (_, index) => {
+    const hoursAgo = endHoursAgo + (count - 1 - index);
+    const timestamp = new Date(now.getTime() - hoursAgo * HOUR_MS - 7 * 60 * 1000);
+    return heartbeat(deviceId, timestamp, build(index, timestamp));
+  });
+
+const daysAgo = (now, days) => new Date(now.getTime() - days * DAY_MS);
+
+/**
+ * Single-device edge cases plus a combined network
+ * @param {Date} now - Reference time
+ * @returns {Object<string, Array>} scenario name -> [{ deviceId, device, heartbeats }]
+ */
+const buildScenarios = (now) => {
+  const veteran = {
+    deviceId: 'veteran-healthy',
+    device: {
+      deviceId: 'veteran-healthy',
+      name: 'Veteran',
+      country: 'NG',
+      location: 'Lagos',
+      walletAddress: '0xveteran',
+      createdAt: daysAgo(now, 60),
+    },
+    heartbeats: hourly('veteran-healthy', now, 48, 0, (index) => ({
+      networkMetrics: { speed: 350 + (index % 5), latency: 40 },
+      // Moved from Abuja to Lagos: the latest location wins
+      location: index < 40
+        ? { countryCode: 'NG', region: 'FCT', city: 'Abuja' }
+        : { countryCode: 'NG', region: 'Lagos', city: 'Lagos' },
+      systemResources: {
+        cpu: { usage: 30 },
+        memory: { total: 16, used: 8, available: 8 },
+        storage: { total: 500, used: 100, available: 400 },
+      },
+      status: { uptime: 1800 + index * 3600 },
+    })),
+  };
+
+  const stale = {
+    deviceId: 'stale-no-recent',
+    device: {
+      deviceId: 'stale-no-recent',
+      name: 'Stale',
+      country: 'US',
+      walletAddress: '0xstale',
+      createdAt: daysAgo(now, 40),
+    },
+    // Newest heartbeat 80h ago: nothing in the last 48h, recency fully decayed
+    heartbeats: hourly('stale-no-recent', now, 20, 80, (index) => ({
+      status: { uptime: 2000 + index * 3600 },
+      location: { countryCode: 'US', region: 'California' },
+    })),
+  };
+
+  const nullNetwork = {
+    deviceId: 'null-network',
+    device: {
+      deviceId: 'null-network',
+      name: 'No Network Data',
+      country: 'GH',
+      createdAt: daysAgo(now, 35),
+    },
+    heartbeats: hourly('null-network', now, 24, 1, (index) => ({
+      networkMetrics: { speed: null },
+      systemResources: { cpu: {}, memory: {}, storage: { total: 0, used: 0 } },
+      status: { uptime: 5000 + index * 3600 },
+    })),
+  };
+
+  const naturalGrace = {
+    deviceId: 'grace-natural',
+    device: {
+      deviceId: 'grace-natural',
+      name: 'New Device',
+      country: 'KE',
+      walletAddress: '0xnew',
+      createdAt: daysAgo(now, 3),
+    },
+    // Enough heartbeats to skip seeding, weak metrics: status clamped to the grace floor
+    heartbeats: hourly('grace-natural', now, 30, 2, () => ({
+      networkMetrics: { speed: 5, latency: 180 },
+      location: { countryCode: 'KE', region: 'Nairobi', city: 'Nairobi' },
+      systemResources: {
+        cpu: { usage: 95 },
+        memory: { total: 4, used: 3.8, available: 0.2 },
+        storage: { total: 100, used: 97, available: 3 },
+      },
+      status: { uptime: 600 },
+    })),
+  };
+
+  const manualGrace = {
+    deviceId: 'grace-manual',
+    device: {
+      deviceId: 'grace-manual',
+      name: 'Reset Device',
+      country: 'NG',
+      walletAddress: '0xreset',
+      createdAt: daysAgo(now, 100),
+      isInGracePeriod: true,
+      gracePeriodEndsAt: new Date(now.getTime() + 2 * DAY_MS),
+    },
+    // Lower-case code and a later heartbeat without location
+    heartbeats: hourly('grace-manual', now, 12, 30, (index) => ({
+      networkMetrics: { speed: 20, latency: 150 },
+      location: index < 11 ? { countryCode: 'ng', region: 'Lagos' } : {},
+      status: { uptime: 900 },
+    })),
+  };
+
+  const expiredGrace = {
+    deviceId: 'grace-expired',
+    device: {
+      deviceId: 'grace-expired',
+      name: 'Expired Grace',
+      country: 'NG',
+      createdAt: daysAgo(now, 100),
+      isInGracePeriod: true,
+      gracePeriodEndsAt: daysAgo(now, 1),
+    },
+    heartbeats: hourly('grace-expired', now, 12, 31, () => ({
+      networkMetrics: { speed: 20, latency: 150 },
+      status: { uptime: 900 },
+    })),
+  };
+
+  const seeded = {
+    deviceId: 'seeded-new',
+    device: {
+      deviceId: 'seeded-new',
+      name: 'Fresh Device',
+      country: 'ZA',
+      walletAddress: '0xfresh',
+      createdAt: daysAgo(now, 1),
+    },
+    // Fewer than 10 heartbeats on a new device: seeded at the maximum score
+    heartbeats: hourly('seeded-new', now, 5, 0, () => ({ status: { uptime: 300 } })),
+  };
+
+  const belowUptime = {
+    deviceId: 'below-min-uptime',
+    device: {
+      deviceId: 'below-min-uptime',
+      name: 'Flapping',
+      country: 'US',
+      createdAt: daysAgo(now, 45),
+    },
+    heartbeats: hourly('below-min-uptime', now, 36, 0, () => ({ status: { uptime: 1200 } })),
+  };
+
+  const unregistered = {
+    deviceId: 'unregistered',
+    device: null,
+    heartbeats: hourly('unregistered', now, 6, 3),
+  };
+
+  // Out-of-range metrics, a forged uptime jump, a duplicate burst and a future-stamped heartbeat
+  const implausibleHeartbeats = hourly('implausible', now, 24, 0, (index) => {
+    const overrides = { status: { uptime: 1800 + index * 3600 } };
+    if (index === 3) overrides.networkMetrics = { speed: 50000, latency: 40 };
+    if (index === 5) overrides.networkMetrics = { speed: 250, latency: -5 };
+    if (index === 7 || index === 9) {
+      overrides.systemResources = {
+        cpu: { usage: index === 7 ? 150 : 35 },
+        memory: index === 9 ? { total: 16, used: 20, available: 0 } : { total: 16, used: 6, available: 10 },
+        storage: { total: 500, used: 200, available: 300 },
+      };
+    }
+    if (index === 12) overrides.status = { uptime: 1800 + index * 3600 + 500000 };
+    return overrides;
+  });
+  const duplicateOf = implausibleHeartbeats[15];
+  const futureAfter = implausibleHeartbeats[18];
+  const futureTimestamp = new Date(futureAfter.timestamp.getTime() + 10 * 60 * 1000);
+
+  const implausible = {
+    deviceId: 'implausible',
+    device: {
+      deviceId: 'implausible',
+      name: 'Implausible',
+      country: 'US',
+      createdAt: daysAgo(now, 50),
+    },
+    heartbeats: [
+      ...implausibleHeartbeats,
+      { ...duplicateOf, timestamp: new Date(duplicateOf.timestamp.getTime() + 2000) },
+      // Received an hour before the time it claims
+      heartbeat('implausible', futureTimestamp, {
+        status: { uptime: futureAfter.status.uptime + 600 },
+        createdAt: new Date(futureTimestamp.getTime() - HOUR_MS),
+      }),
+    ],
+  };
+
+  const single = (entry) => [entry];
+
+  return {
+    'veteran-healthy': single(veteran),
+    'stale-no-recent': single(stale),
+    'null-network': single(nullNetwork),
+    'grace-natural': single(naturalGrace),
+    'grace-manual': single(manualGrace),
+    'grace-expired': single(expiredGrace),
+    'seeded-new': single(seeded),
+    'below-min-uptime': single(belowUptime),
+    unregistered: single(unregistered),
+    implausible: single(implausible),
+    network: [veteran, stale, nullNetwork, naturalGrace, manualGrace, expiredGrace, seeded, belowUptime, unregistered],
+  };
+};
+
+module.exports = {
+  GOLDEN_NOW: new Date('2025-11-22T12:00:00.000Z'),
+  heartbeat,
+  buildScenarios,
+};
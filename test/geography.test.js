@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const defaultProfile = require('../src/config/scoringProfiles/default');
+const { rankDevices } = require('../src/services/reputation');
+const { applyCountryRanks, summarizeCountries, getCountryNodes } = require('../src/services/geography');
+const { GOLDEN_NOW, buildScenarios } = require('./fixtures/scenarios');
+
+const rankedNetwork = () =>
+  applyCountryRanks(rankDevices(buildScenarios(GOLDEN_NOW).network, { profile: defaultProfile, now: GOLDEN_NOW }));
+
+describe('geography', () => {
+  it('ranks nodes within their country, case-insensitively', () => {
+    const nodes = rankedNetwork();
+    const byId = Object.fromEntries(nodes.map((node) => [node.nodeId, node]));
+
+    assert.equal(byId['veteran-healthy'].countryRank, 1);
+    assert.equal(byId['grace-manual'].countryRank, 2);
+    assert.equal(byId['stale-no-recent'].countryRank, 1);
+    assert.equal(byId.unregistered.countryRank, null);
+  });
+
+  it('summarizes countries by node count with the top node', () => {
+    const nodes = rankedNetwork();
+    const { countries, unknownNodes } = summarizeCountries(nodes);
+
+    assert.deepEqual(countries.map((country) => [country.countryCode, country.nodeCount]), [['NG', 2], ['KE', 1], ['US', 1]]);
+    assert.equal(countries[0].topNode.nodeId, 'veteran-healthy');
+    assert.equal(unknownNodes, nodes.length - 4);
+
+    const nigeria = nodes.filter((node) => ['veteran-healthy', 'grace-manual'].includes(node.nodeId));
+    const expectedAverage = Math.round(((nigeria[0].reputationScore + nigeria[1].reputationScore) / 2) * 100) / 100;
+    assert.equal(countries[0].averageScore, expectedAverage);
+  });
+
+  it('filters a country by region', () => {
+    const nodes = rankedNetwork();
+
+    assert.deepEqual(getCountryNodes(nodes, 'ng').map((node) => node.nodeId), ['veteran-healthy', 'grace-manual']);
+    assert.deepEqual(getCountryNodes(nodes, 'NG', 'lagos').map((node) => node.nodeId), ['veteran-healthy', 'grace-manual']);
+    assert.deepEqual(getCountryNodes(nodes, 'NG', 'FCT'), []);
+    assert.deepEqual(getCountryNodes(nodes, 'GB'), []);
+  });
+});
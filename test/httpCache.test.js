@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getEtag, getMaxAgeSeconds, isNotModified, handleConditionalGet } = require('../src/services/httpCache');
+
+const timestamp = new Date('2025-06-01T12:00:00.250Z');
+
+// Just enough of an Express response for handleConditionalGet
+const fakeResponse = () => ({
+  headers: {},
+  statusCode: 200,
+  ended: false,
+  vary(field) { this.headers.Vary = field; },
+  set(field, value) { this.headers[field] = value; },
+  status(code) { this.statusCode = code; return this; },
+  end() { this.ended = true; },
+});
+
+describe('http cache', () => {
+  it('derives a strong ETag from the window and cache timestamp', () => {
+    assert.equal(getEtag('all', timestamp), `"lb-all-${timestamp.getTime()}"`);
+    assert.notEqual(getEtag('7d', timestamp), getEtag('all', timestamp));
+    assert.notEqual(getEtag('all', new Date(timestamp.getTime() + 1)), getEtag('all', timestamp));
+  });
+
+  it('keeps responses fresh until the next scheduled computation', () => {
+    assert.equal(getMaxAgeSeconds(timestamp, 60000, new Date('2025-06-01T12:00:20.250Z')), 40);
+    assert.equal(getMaxAgeSeconds(timestamp, 60000, new Date('2025-06-01T12:00:59.900Z')), 0);
+    assert.equal(getMaxAgeSeconds(timestamp, 60000, new Date('2025-06-01T12:05:00Z')), 0);
+  });
+
+  it('matches If-None-Match lists, weak tags and *', () => {
+    const validators = { etag: getEtag('all', timestamp), lastModified: timestamp };
+
+    assert.equal(isNotModified({ 'if-none-match': validators.etag }, validators), true);
+    assert.equal(isNotModified({ 'if-none-match': `"other", W/${validators.etag}` }, validators), true);
+    assert.equal(isNotModified({ 'if-none-match': '*' }, validators), true);
+    assert.equal(isNotModified({ 'if-none-match': '"other"' }, validators), false);
+    assert.equal(isNotModified({}, validators), false);
+  });
+
+  it('falls back to If-Modified-Since at second precision, after If-None-Match', () => {
+    const validators = { etag: getEtag('all', timestamp), lastModified: timestamp };
+
+    assert.equal(isNotModified({ 'if-modified-since': timestamp.toUTCString() }, validators), true);
+    assert.equal(isNotModified({ 'if-modified-since': 'Sun, 01 Jun 2025 11:59:59 GMT' }, validators), false);
+    assert.equal(isNotModified({ 'if-modified-since': 'garbage' }, validators), false);
+    assert.equal(
+      isNotModified({ 'if-none-match': '"other"', 'if-modified-since': timestamp.toUTCString() }, validators),
+      false
+    );
+  });
+
+  it('marks responses private to the client, since they need an API key', () => {
+    const res = fakeResponse();
+    const sent = handleConditionalGet({ method: 'GET', headers: {} }, res, { window: 'all', timestamp }, 60000);
+
+    assert.equal(sent, false);
+    assert.match(res.headers['Cache-Control'], /^private, max-age=\d+$/);
+    assert.equal(res.headers.Vary, 'X-API-Key');
+    assert.equal(res.headers.ETag, getEtag('all', timestamp));
+  });
+
+  it('answers 304 when the client copy is current, and revalidates before the first computation', () => {
+    const res = fakeResponse();
+    const req = { method: 'GET', headers: { 'if-none-match': getEtag('all', timestamp) } };
+    assert.equal(handleConditionalGet(req, res, { window: 'all', timestamp }, 60000), true);
+    assert.equal(res.statusCode, 304);
+    assert.equal(res.ended, true);
+
+    const empty = fakeResponse();
+    assert.equal(handleConditionalGet(req, empty, { window: 'all', timestamp: null }, 60000), false);
+    assert.equal(empty.headers['Cache-Control'], 'no-cache');
+  });
+});
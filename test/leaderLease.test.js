@@ -0,0 +1,128 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const { LeaderLeaseService, LEASE_COLLECTION, LEASE_ID } = require('../src/services/leaderLease');
+
+/**
+ * Leader lease election against a real MongoDB server (expiry uses the database clock)
+ * Needs a MongoDB server: MONGODB_TEST_URI=mongodb://localhost:27017 npm test
+ * Each run uses a throwaway database that is dropped afterwards.
+ */
+
+const uri = process.env.MONGODB_TEST_URI;
+
+describe('leader lease', { skip: !uri && 'MONGODB_TEST_URI not set' }, () => {
+  let connection;
+  let collection;
+
+  const instance = (instanceId) => {
+    const lease = new LeaderLeaseService(instanceId);
+    lease.collection = collection;
+    return lease;
+  };
+
+  // Simulate a holder that stopped renewing: its lease runs out
+  const expireLease = () => collection.updateOne({ _id: LEASE_ID }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+  before(async () => {
+    connection = await mongoose
+      .createConnection(uri, { dbName: `leaderboard_lease_${Date.now()}` })
+      .asPromise();
+    collection = connection.db.collection(LEASE_COLLECTION);
+  });
+
+  after(async () => {
+    if (connection) {
+      await connection.db.dropDatabase();
+      await connection.close();
+    }
+  });
+
+  beforeEach(async () => {
+    await collection.deleteMany({});
+  });
+
+  it('grants the lease to one instance at a time', async () => {
+    const first = instance('first');
+    const second = instance('second');
+
+    assert.equal(await first.acquire(), true);
+    assert.equal(await second.acquire(), false);
+
+    assert.equal(first.isLeader, true);
+    assert.equal(second.isLeader, false);
+    assert.equal(second.lease.holder, 'first');
+    assert.ok(first.lease.expiresAt > new Date());
+  });
+
+  it('renews the lease for its holder without moving acquiredAt', async () => {
+    const first = instance('first');
+    await first.acquire();
+    const { acquiredAt, expiresAt } = first.lease;
+
+    assert.equal(await first.acquire(), true);
+    assert.equal(first.lease.acquiredAt.getTime(), acquiredAt.getTime());
+    assert.ok(first.lease.expiresAt >= expiresAt);
+  });
+
+  it('fails over once the holder stops renewing', async () => {
+    const first = instance('first');
+    const second = instance('second');
+    await first.acquire();
+    await second.acquire();
+
+    await expireLease();
+
+    assert.equal(await second.acquire(), true);
+    assert.equal(second.lease.holder, 'second');
+    assert.ok(second.lease.acquiredAt > first.lease.acquiredAt);
+
+    // The former holder learns it lost the lease on its next renewal
+    assert.equal(await first.acquire(), false);
+    assert.equal(first.isLeader, false);
+    assert.equal(first.lease.holder, 'second');
+  });
+
+  it('hands the lease over immediately on release', async () => {
+    const first = instance('first');
+    const second = instance('second');
+    await first.acquire();
+
+    await first.release();
+
+    assert.equal(first.isLeader, false);
+    assert.equal(await second.acquire(), true);
+  });
+
+  it('passes refresh requests from a standby to the holder', async () => {
+    const first = instance('first');
+    const second = instance('second');
+    await first.acquire();
+
+    await second.requestRefresh();
+    await first.acquire();
+
+    assert.ok(first.lease.refreshRequestedAt instanceof Date);
+    assert.equal(first.lease.refreshRequestedBy, 'second');
+    assert.equal(first.lease.holder, 'first');
+  });
+
+  it('reports the holder and the published update status to every instance', async () => {
+    const first = instance('first');
+    const second = instance('second');
+    await first.acquire();
+    await first.recordUpdateStatus({ consecutiveFailures: 0 });
+
+    const leaderStatus = await first.getStatus();
+    const standbyStatus = await second.getStatus();
+
+    assert.equal(leaderStatus.role, 'leader');
+    assert.equal(standbyStatus.role, 'standby');
+    assert.equal(standbyStatus.holder, 'first');
+    assert.deepEqual(standbyStatus.updateStatus, { consecutiveFailures: 0 });
+
+    await expireLease();
+    assert.equal((await second.getStatus()).holder, null);
+  });
+});
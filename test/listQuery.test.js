@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const defaultProfile = require('../src/config/scoringProfiles/default');
+const { parseListQuery, applyListQuery, getStatuses } = require('../src/services/listQuery');
+
+const nodes = [
+  { rank: 1, nodeId: 'n1', countryCode: 'NG', country: 'Nigeria', status: 'excellent', reputationScore: 90 },
+  { rank: 2, nodeId: 'n2', countryCode: 'ke', country: 'Unknown', status: 'good', reputationScore: 70 },
+  { rank: 3, nodeId: 'n3', countryCode: null, country: 'Ghana', status: 'good', reputationScore: 60 },
+];
+
+const nodeIds = (query) => applyListQuery(nodes, parseListQuery(query).options).items.map((node) => node.nodeId);
+
+describe('list query', () => {
+  it('filters 2-letter countries by country code', () => {
+    assert.deepEqual(nodeIds({ country: 'NG' }), ['n1']);
+    assert.deepEqual(nodeIds({ country: 'ng,KE' }), ['n1', 'n2']);
+  });
+
+  it('filters longer values by country name', () => {
+    assert.deepEqual(nodeIds({ country: 'ghana' }), ['n3']);
+    assert.deepEqual(nodeIds({ country: 'Nigeria, KE' }), ['n1', 'n2']);
+  });
+
+  it('combines country with the other filters', () => {
+    assert.deepEqual(nodeIds({ country: 'NG,KE', status: 'good' }), ['n2']);
+  });
+
+  it('paginates the filtered list and reports totals', () => {
+    const page = applyListQuery(nodes, parseListQuery({ page: '2', limit: '2' }).options);
+
+    assert.deepEqual(page.items.map((node) => node.nodeId), ['n3']);
+    assert.equal(page.total, 3);
+    assert.equal(page.totalPages, 2);
+    assert.deepEqual(applyListQuery(nodes, parseListQuery({ page: '3', limit: '2' }).options).items, []);
+  });
+
+  it('sorts ascending or descending, ties in rank order and missing values last', () => {
+    const scored = [
+      { rank: 1, nodeId: 'a', avgLatency: 40, lastSeen: new Date('2025-06-01T10:00:00Z') },
+      { rank: 2, nodeId: 'b', avgLatency: null, lastSeen: new Date('2025-06-01T12:00:00Z') },
+      { rank: 3, nodeId: 'c', avgLatency: 20, lastSeen: new Date('2025-06-01T11:00:00Z') },
+      { rank: 4, nodeId: 'd', avgLatency: 40 },
+    ];
+    const sorted = (sort) => applyListQuery(scored, parseListQuery({ sort }).options).items.map((node) => node.nodeId);
+
+    assert.deepEqual(sorted('avgLatency'), ['c', 'a', 'd', 'b']);
+    assert.deepEqual(sorted('-avgLatency'), ['a', 'd', 'c', 'b']);
+    assert.deepEqual(sorted('-lastSeen'), ['b', 'c', 'a', 'd']);
+    assert.deepEqual(sorted('rank'), ['a', 'b', 'c', 'd']);
+  });
+
+  it('parses defaults, filters and booleans', () => {
+    assert.deepEqual(parseListQuery({}).options, { page: 1, limit: 100, sort: { field: 'rank', order: 'asc' }, filters: {} });
+    assert.deepEqual(
+      parseListQuery({ status: 'Good, poor', meetsMinimumUptime: '1', meetsThirtyDayRequirement: 'false', minScore: '50.5' }).options.filters,
+      { status: ['good', 'poor'], meetsMinimumUptime: true, meetsThirtyDayRequirement: false, minScore: 50.5 }
+    );
+    assert.deepEqual(nodeIds({ minScore: '60', maxScore: '70' }), ['n2', 'n3']);
+  });
+
+  it('rejects invalid parameters', () => {
+    assert.match(parseListQuery({ page: '0' }).error, /^page/);
+    assert.match(parseListQuery({ limit: '1001' }).error, /^limit/);
+    assert.match(parseListQuery({ sort: 'availability' }).error, /^sort must be one of/);
+    assert.match(parseListQuery({ status: 'good,great' }).error, /^status must be one or more of: excellent, good, average, poor$/);
+    assert.match(parseListQuery({ meetsMinimumUptime: 'yes' }).error, /^meetsMinimumUptime/);
+    assert.match(parseListQuery({ minScore: 'high' }).error, /^minScore/);
+  });
+
+  it('takes statuses from the scoring profile tiers', () => {
+    assert.deepEqual(getStatuses(defaultProfile), ['excellent', 'good', 'average', 'poor']);
+    const custom = { ...defaultProfile, tiers: [{ status: 'gold' }, { status: 'silver' }, { status: 'gold' }] };
+    assert.deepEqual(getStatuses(custom), ['gold', 'silver']);
+  });
+});
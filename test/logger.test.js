@@ -0,0 +1,79 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { logger, buildEntry, getLevel, getFormat } = require('../src/config/logger');
+
+const now = new Date('2025-06-01T12:00:00Z');
+
+describe('logger', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env.LOG_LEVEL = env.LOG_LEVEL;
+    process.env.LOG_FORMAT = env.LOG_FORMAT;
+    process.env.NODE_ENV = env.NODE_ENV;
+    if (env.LOG_LEVEL === undefined) delete process.env.LOG_LEVEL;
+    if (env.LOG_FORMAT === undefined) delete process.env.LOG_FORMAT;
+    if (env.NODE_ENV === undefined) delete process.env.NODE_ENV;
+  });
+
+  it('builds JSON entries without the leading emoji', () => {
+    assert.deepEqual(buildEntry('info', '⚠️  Leaderboard update lease lost', [{ window: '7d' }], now), {
+      time: '2025-06-01T12:00:00.000Z',
+      level: 'info',
+      msg: 'Leaderboard update lease lost',
+      window: '7d',
+    });
+  });
+
+  it('serializes errors under err and keeps other values as fields', () => {
+    const error = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    const entry = buildEntry('error', '❌ Failed to acquire lease', [error, { holder: 'a:1' }], now);
+
+    assert.equal(entry.holder, 'a:1');
+    assert.equal(entry.err.name, 'Error');
+    assert.equal(entry.err.message, 'E11000 duplicate key');
+    assert.equal(entry.err.code, 11000);
+    assert.match(entry.err.stack, /E11000/);
+
+    assert.equal(buildEntry('error', 'Failed', ['timeout'], now).error, 'timeout');
+  });
+
+  it('attaches context fields to entries logged inside withContext, including async work', async () => {
+    await logger.withContext({ requestId: 'req-1' }, async () => {
+      await logger.withContext({ runId: 'run-1' }, async () => {
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        const entry = buildEntry('info', 'Calculating leaderboard', [], now);
+        assert.equal(entry.requestId, 'req-1');
+        assert.equal(entry.runId, 'run-1');
+      });
+      assert.deepEqual(logger.getContext(), { requestId: 'req-1' });
+    });
+
+    assert.deepEqual(logger.getContext(), {});
+  });
+
+  it('filters by LOG_LEVEL and falls back to info', () => {
+    process.env.LOG_LEVEL = 'warn';
+    assert.equal(logger.isLevelEnabled('error'), true);
+    assert.equal(logger.isLevelEnabled('info'), false);
+
+    process.env.LOG_LEVEL = 'DEBUG';
+    assert.equal(logger.isLevelEnabled('debug'), true);
+
+    process.env.LOG_LEVEL = 'verbose';
+    assert.equal(getLevel(), 'info');
+  });
+
+  it('defaults to JSON in production unless LOG_FORMAT is set', () => {
+    delete process.env.LOG_FORMAT;
+    process.env.NODE_ENV = 'production';
+    assert.equal(getFormat(), 'json');
+
+    process.env.NODE_ENV = 'development';
+    assert.equal(getFormat(), 'pretty');
+
+    process.env.LOG_FORMAT = 'json';
+    assert.equal(getFormat(), 'json');
+  });
+});
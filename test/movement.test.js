@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toBaseline, applyMovement, getMovers, diffRanking } = require('../src/services/movement');
+
+const node = (nodeId, rank, reputationScore, status) => ({ nodeId, rank, reputationScore, status });
+
+describe('rank movement', () => {
+  const previous = toBaseline([node('a', 1, 90, 'excellent'), node('b', 2, 80, 'excellent'), node('c', 3, 70, 'good')]);
+  const dayAgo = toBaseline([node('a', 3, 60, 'good'), node('b', 1, 95, 'excellent')]);
+
+  const current = () => applyMovement([
+    node('b', 1, 85.556, 'excellent'),
+    node('c', 2, 75, 'excellent'),
+    node('a', 3, 88, 'excellent'),
+    node('new', 4, 50, 'average'),
+  ], { previous, '24h': dayAgo, '7d': null });
+
+  it('computes rank, score and status changes per window', () => {
+    const [b, c, a, fresh] = current();
+
+    assert.deepEqual(b.rankChange, { previous: 1, '24h': 0, '7d': null });
+    assert.deepEqual(b.scoreChange, { previous: 5.56, '24h': -9.44, '7d': null });
+    assert.deepEqual(c.statusChange, { previous: { from: 'good', to: 'excellent' }, '24h': null, '7d': null });
+    assert.deepEqual(a.rankChange, { previous: -2, '24h': 0, '7d': null });
+    assert.deepEqual(a.statusChange['24h'], { from: 'good', to: 'excellent' });
+    assert.deepEqual(fresh.rankChange, { previous: null, '24h': null, '7d': null });
+  });
+
+  it('lists the biggest risers and fallers', () => {
+    const { risers, fallers } = getMovers(current(), 'previous');
+
+    assert.deepEqual(risers.map((entry) => entry.nodeId), ['b', 'c']);
+    assert.deepEqual(fallers.map((entry) => entry.nodeId), ['a']);
+    assert.deepEqual(getMovers(current(), 'previous', 1).risers.map((entry) => entry.nodeId), ['b']);
+    assert.deepEqual(getMovers(current(), '7d'), { risers: [], fallers: [] });
+  });
+});
+
+describe('ranking diff', () => {
+  const previous = toBaseline([
+    node('a', 1, 90, 'excellent'),
+    node('b', 2, 80, 'excellent'),
+    node('c', 3, 70, 'good'),
+    node('gone', 4, 60, 'good'),
+  ]);
+
+  it('lists new and changed nodes with their movement, and removed node IDs', () => {
+    const nodes = applyMovement([
+      node('b', 1, 91, 'excellent'),
+      node('a', 2, 90, 'excellent'),
+      node('c', 3, 70, 'good'),
+      node('new', 4, 50, 'average'),
+    ], { previous });
+
+    const { changed, removed } = diffRanking(nodes, previous);
+
+    assert.deepEqual(changed.map((entry) => [entry.nodeId, entry.rankChange, entry.scoreChange]), [
+      ['b', 1, 11],
+      ['a', -1, 0],
+      ['new', null, null],
+    ]);
+    assert.deepEqual(removed, ['gone']);
+  });
+
+  it('returns null without a previous run', () => {
+    assert.equal(diffRanking([node('a', 1, 90, 'excellent')], null), null);
+  });
+});
@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizePublicIp, isInternalHost, resolvePublicAddresses } = require('../src/services/network');
+
+// Stand-in for dns.promises.lookup with fixed answers
+const fakeLookup = (answers) => async (host, options) => {
+  assert.deepEqual(options, { all: true, verbatim: true });
+  if (!answers[host]) {
+    throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${host}`), { code: 'ENOTFOUND' });
+  }
+  return answers[host].map((address) => ({ address, family: address.includes(':') ? 6 : 4 }));
+};
+
+describe('network addresses', () => {
+  it('keeps only public IP addresses', () => {
+    assert.equal(normalizePublicIp('203.0.113.7'), '203.0.113.7');
+    assert.equal(normalizePublicIp('::ffff:203.0.113.7'), '203.0.113.7');
+    assert.equal(normalizePublicIp('2001:DB8::1'), '2001:db8::1');
+    ['10.0.0.1', '192.168.1.10', '172.20.0.1', '127.0.0.1', '100.64.0.1', '169.254.1.1', '::1', 'fe80::1', 'fd00::1', 'localhost']
+      .forEach((ip) => assert.equal(normalizePublicIp(ip), null, ip));
+  });
+
+  it('recognises internal hosts from the name alone', () => {
+    ['localhost', 'api.localhost', '127.0.0.1', '[::1]', '10.1.2.3', '[::ffff:192.168.0.1]']
+      .forEach((host) => assert.equal(isInternalHost(host), true, host));
+    ['203.0.113.7', '[2001:db8::1]', 'hooks.example.com', 'internal.example.com']
+      .forEach((host) => assert.equal(isInternalHost(host), false, host));
+  });
+
+  it('accepts names that resolve only to public addresses', async () => {
+    const lookup = fakeLookup({ 'hooks.example.com': ['203.0.113.7', '2001:db8::7'] });
+
+    assert.deepEqual(await resolvePublicAddresses('hooks.example.com', lookup), { addresses: ['203.0.113.7', '2001:db8::7'] });
+    assert.deepEqual(await resolvePublicAddresses('[2001:db8::1]', lookup), { addresses: ['2001:db8::1'] });
+  });
+
+  it('refuses names with any internal address', async () => {
+    const lookup = fakeLookup({
+      'internal.example.com': ['10.0.0.8'],
+      'mixed.example.com': ['203.0.113.7', '169.254.169.254'],
+    });
+
+    assert.deepEqual(await resolvePublicAddresses('internal.example.com', lookup), {
+      error: 'internal.example.com resolves to non-public address 10.0.0.8',
+    });
+    assert.deepEqual(await resolvePublicAddresses('mixed.example.com', lookup), {
+      error: 'mixed.example.com resolves to non-public address 169.254.169.254',
+    });
+    assert.deepEqual(await resolvePublicAddresses('localhost', lookup), { error: 'localhost is not a public address' });
+  });
+
+  it('reports names that do not resolve', async () => {
+    await assert.rejects(resolvePublicAddresses('missing.example.com', fakeLookup({})), { code: 'ENOTFOUND' });
+  });
+});
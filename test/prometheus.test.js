@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Counter, Gauge, Histogram, escapeLabelValue, renderMetrics } = require('../src/services/prometheus');
+
+describe('prometheus exposition', () => {
+  it('escapes backslashes, quotes and newlines in label values', () => {
+    assert.equal(escapeLabelValue('a\\b"c\nd'), 'a\\\\b\\"c\\nd');
+    assert.equal(escapeLabelValue(404), '404');
+  });
+
+  it('renders counters per label set with HELP and TYPE lines', () => {
+    const counter = new Counter('requests_total', 'Requests', ['route', 'status']);
+    counter.inc({ route: '/a', status: 200 });
+    counter.inc({ route: '/a', status: 200 }, 2);
+    counter.inc({ route: '/b', status: 500 });
+
+    assert.deepEqual(counter.render(), [
+      '# HELP requests_total Requests',
+      '# TYPE requests_total counter',
+      'requests_total{route="/a",status="200"} 3',
+      'requests_total{route="/b",status="500"} 1',
+    ]);
+  });
+
+  it('ignores labels outside the declared names and renders unlabelled gauges', () => {
+    const gauge = new Gauge('lease_held', 'Lease held');
+    gauge.set({ extra: 'x' }, 1);
+    gauge.set({}, 0);
+
+    assert.deepEqual(gauge.render(), ['# HELP lease_held Lease held', '# TYPE lease_held gauge', 'lease_held 0']);
+
+    gauge.reset();
+    assert.deepEqual(gauge.render(), ['# HELP lease_held Lease held', '# TYPE lease_held gauge']);
+  });
+
+  it('renders cumulative histogram buckets with +Inf, sum and count', () => {
+    const histogram = new Histogram('duration_seconds', 'Duration', ['window'], [1, 0.1]);
+    histogram.observe({ window: 'all' }, 0.05);
+    histogram.observe({ window: 'all' }, 0.5);
+    histogram.observe({ window: 'all' }, 3);
+
+    assert.deepEqual(histogram.render(), [
+      '# HELP duration_seconds Duration',
+      '# TYPE duration_seconds histogram',
+      'duration_seconds_bucket{window="all",le="0.1"} 1',
+      'duration_seconds_bucket{window="all",le="1"} 2',
+      'duration_seconds_bucket{window="all",le="+Inf"} 3',
+      'duration_seconds_sum{window="all"} 3.55',
+      'duration_seconds_count{window="all"} 3',
+    ]);
+  });
+
+  it('joins metrics into one newline-terminated document', () => {
+    const counter = new Counter('a_total', 'A');
+    counter.inc();
+    const gauge = new Gauge('b', 'B');
+    gauge.set({}, 2.5);
+
+    assert.equal(renderMetrics([counter, gauge]), '# HELP a_total A\n# TYPE a_total counter\na_total 1\n# HELP b B\n# TYPE b gauge\nb 2.5\n');
+  });
+});
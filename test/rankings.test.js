@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const rankingService = require('../src/services/rankings');
+const {
+  RANKING_INDEXES,
+  toRankingDocuments,
+  buildRankingQuery,
+  buildNodeProjection,
+  buildPruneFilter,
+} = require('../src/services/rankings');
+
+const nodes = [
+  { rank: 1, nodeId: 'n1', countryCode: ' ng ', walletAddress: '0xABC', status: 'excellent' },
+  { rank: 2, nodeId: 'n2', countryCode: 'KE', walletAddress: '0xabc', status: 'good' },
+  { rank: 3, nodeId: 'n3', countryCode: null, walletAddress: '', status: 'good' },
+];
+
+const filters = {
+  nodeId: { nodeId: 'n2' },
+  country: { countryCode: 'ng' },
+  wallet: { walletAddress: '0xAbC' },
+  status: { status: 'good' },
+};
+
+describe('ranking versions', () => {
+  it('stores one document per node with normalized lookup keys', () => {
+    const documents = toRankingDocuments('7d', 'v2', nodes);
+
+    assert.equal(documents.length, nodes.length);
+    assert.deepEqual(documents[0], { version: 'v2', window: '7d', country: 'NG', wallet: '0xabc', node: nodes[0] });
+    assert.equal(documents[2].country, null);
+    assert.equal(documents[2].wallet, null);
+  });
+
+  it('builds queries within one version from the same normalization', () => {
+    assert.deepEqual(buildRankingQuery('v2'), { version: 'v2' });
+    assert.deepEqual(buildRankingQuery('v2', filters.nodeId), { version: 'v2', 'node.nodeId': 'n2' });
+    assert.deepEqual(buildRankingQuery('v2', filters.country), { version: 'v2', country: 'NG' });
+    assert.deepEqual(buildRankingQuery('v2', filters.wallet), { version: 'v2', wallet: '0xabc' });
+    assert.deepEqual(buildRankingQuery('v2', filters.status), { version: 'v2', 'node.status': 'good' });
+  });
+
+  it('serves every filter, in rank order, from an index', () => {
+    const prefixes = RANKING_INDEXES.map(({ key }) => Object.keys(key));
+
+    Object.entries(filters).forEach(([name, filter]) => {
+      const fields = Object.keys(buildRankingQuery('v2', filter));
+      // Equality fields first, then the rank sort (a node lookup matches one document)
+      const wanted = name === 'nodeId' ? fields : [...fields, 'node.rank'];
+      assert.ok(
+        prefixes.some((prefix) => wanted.every((field, index) => prefix[index] === field)),
+        `${name}: no index on ${wanted.join(', ')}`
+      );
+    });
+  });
+
+  it('matches in-memory filtering to the stored lookup keys', () => {
+    const documents = toRankingDocuments('all', 'v1', nodes);
+
+    Object.values(filters).forEach((filter) => {
+      const query = buildRankingQuery('v1', filter);
+      const stored = documents
+        .filter((document) => Object.entries(query).every(([field, value]) =>
+          (field.startsWith('node.') ? document.node[field.slice(5)] : document[field]) === value))
+        .map((document) => document.node.nodeId);
+
+      assert.deepEqual(rankingService.filterNodes(nodes, filter).map((node) => node.nodeId), stored);
+    });
+    assert.deepEqual(rankingService.filterNodes(nodes, filters.status, { limit: 1 }).map((node) => node.nodeId), ['n2']);
+  });
+
+  it('projects the requested node fields only', () => {
+    assert.deepEqual(buildNodeProjection(null), { _id: 0, node: 1 });
+    assert.deepEqual(buildNodeProjection(['nodeId', 'rank']), { _id: 0, 'node.nodeId': 1, 'node.rank': 1 });
+  });
+
+  it('prunes every version of the window except the active and previous ones', () => {
+    assert.deepEqual(buildPruneFilter('24h', ['v3', 'v2']), { window: '24h', version: { $nin: ['v3', 'v2'] } });
+    // First run after a restart without a previous version
+    assert.deepEqual(buildPruneFilter('24h', ['v3', null]), { window: '24h', version: { $nin: ['v3'] } });
+    // Duplicates are listed once
+    assert.deepEqual(buildPruneFilter('24h', ['v3', 'v3']), { window: '24h', version: { $nin: ['v3'] } });
+  });
+
+  it('never prunes a window when no version is kept', () => {
+    assert.equal(buildPruneFilter('all', []), null);
+    assert.equal(buildPruneFilter('all', [null, undefined]), null);
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getRouteClass,
+  resolveLimits,
+  parseLimits,
+  getUsageDay,
+  getUsageHour,
+  getSecondsUntilQuotaReset,
+  withUsageRates,
+} = require('../src/services/rateLimits');
+
+const defaults = {
+  read: { perMinute: 200, perDay: 0 },
+  export: { perMinute: 10, perDay: 0 },
+  refresh: { perMinute: 2, perDay: 0 },
+  admin: { perMinute: 60, perDay: 0 },
+};
+
+describe('rate limits', () => {
+  it('classifies routes', () => {
+    assert.equal(getRouteClass('GET', '/leaderboard'), 'read');
+    assert.equal(getRouteClass('GET', '/leaderboard/node/abc'), 'read');
+    assert.equal(getRouteClass('GET', '/leaderboard/export'), 'export');
+    assert.equal(getRouteClass('POST', '/leaderboard/refresh'), 'refresh');
+    assert.equal(getRouteClass('POST', '/leaderboard/simulate'), 'admin');
+    assert.equal(getRouteClass('GET', '/admin/usage'), 'admin');
+  });
+
+  it('classifies paths the way Express routes them', () => {
+    assert.equal(getRouteClass('GET', '/leaderboard/EXPORT'), 'export');
+    assert.equal(getRouteClass('GET', '/leaderboard/export/'), 'export');
+    assert.equal(getRouteClass('POST', '/leaderboard/Refresh'), 'refresh');
+    assert.equal(getRouteClass('POST', '/Leaderboard/simulate/'), 'admin');
+    assert.equal(getRouteClass('GET', '/ADMIN/usage'), 'admin');
+  });
+
+  it('merges per-key overrides over the defaults', () => {
+    const limits = resolveLimits(defaults, { export: { perDay: 100 } });
+
+    assert.deepEqual(limits.export, { perMinute: 10, perDay: 100 });
+    assert.deepEqual(limits.read, defaults.read);
+    assert.deepEqual(resolveLimits(defaults, null), defaults);
+  });
+
+  it('accepts partial limits and treats absent limits as none', () => {
+    assert.deepEqual(parseLimits(undefined), { limits: null });
+    assert.deepEqual(parseLimits(null), { limits: null });
+    assert.deepEqual(
+      parseLimits({ read: { perMinute: 1000 }, export: { perDay: 0 } }),
+      { limits: { read: { perMinute: 1000 }, export: { perDay: 0 } } }
+    );
+  });
+
+  it('rejects unknown classes, unknown fields and out-of-range values', () => {
+    assert.ok(parseLimits([]).errors);
+    assert.match(parseLimits({ write: { perMinute: 1 } }).errors[0], /not a route class/);
+    assert.match(parseLimits({ read: { perHour: 1 } }).errors[0], /unknown fields: perHour/);
+    assert.match(parseLimits({ read: { perMinute: 0 } }).errors[0], /perMinute/);
+    assert.match(parseLimits({ read: { perDay: 1.5 } }).errors[0], /perDay/);
+    assert.match(parseLimits({ read: 5 }).errors[0], /must be an object/);
+  });
+
+  it('buckets usage by UTC hour and day and counts down to the quota reset', () => {
+    const at = new Date('2025-06-01T13:45:30.500Z');
+
+    assert.equal(getUsageDay(at), '2025-06-01');
+    assert.equal(getUsageHour(at).toISOString(), '2025-06-01T13:00:00.000Z');
+    assert.equal(getSecondsUntilQuotaReset(at), 10 * 3600 + 14 * 60 + 30);
+  });
+
+  it('derives error rates and average latency from counters', () => {
+    const report = withUsageRates({
+      requests: 200,
+      status2xx: 180,
+      status3xx: 0,
+      status4xx: 15,
+      status5xx: 5,
+      throttled: 10,
+      latencySumMs: 3000,
+      latencyMaxMs: 90,
+    });
+
+    assert.equal(report.clientErrorRate, 0.075);
+    assert.equal(report.serverErrorRate, 0.025);
+    assert.equal(report.throttledRate, 0.05);
+    assert.equal(report.avgLatencyMs, 15);
+    assert.equal(report.latencyMaxMs, 90);
+    assert.ok(!('latencySumMs' in report));
+
+    assert.equal(withUsageRates({ requests: 0, status4xx: 0, status5xx: 0, throttled: 0, latencySumMs: 0 }).avgLatencyMs, null);
+  });
+});
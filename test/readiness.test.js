@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getStaleAfterMs, evaluateReadiness } = require('../src/services/readiness');
+
+const now = new Date('2025-06-01T12:00:00Z');
+const staleAfterMs = 180000;
+
+describe('readiness', () => {
+  it('is ready when connected and every window is within the staleness limit', () => {
+    const result = evaluateReadiness({
+      database: 'connected',
+      cacheTimestamps: { all: new Date('2025-06-01T11:59:00Z'), '24h': new Date('2025-06-01T11:57:00Z') },
+      staleAfterMs,
+      now,
+    });
+
+    assert.equal(result.ready, true);
+    assert.deepEqual(result.reasons, []);
+    assert.deepEqual(result.windows['24h'], { timestamp: new Date('2025-06-01T11:57:00Z'), ageSeconds: 180, stale: false });
+  });
+
+  it('fails when any window is stale or was never computed', () => {
+    const result = evaluateReadiness({
+      database: 'connected',
+      cacheTimestamps: { all: new Date('2025-06-01T11:56:59Z'), '7d': null },
+      staleAfterMs,
+      now,
+    });
+
+    assert.equal(result.ready, false);
+    assert.deepEqual(result.reasons, [
+      'all leaderboard is 181s old (stale after 180s)',
+      'No 7d leaderboard computed yet',
+    ]);
+    assert.equal(result.windows.all.stale, true);
+    assert.deepEqual(result.windows['7d'], { timestamp: null, ageSeconds: null, stale: true });
+  });
+
+  it('fails when the database is not connected', () => {
+    const result = evaluateReadiness({ database: 'disconnected', cacheTimestamps: {}, staleAfterMs, now });
+
+    assert.equal(result.ready, false);
+    assert.deepEqual(result.reasons, ['Database disconnected']);
+  });
+
+  it('keeps a window ready between runs with an update interval over a minute', () => {
+    const staleAfter = getStaleAfterMs(300000, 3);
+    assert.equal(staleAfter, 900000);
+
+    const result = evaluateReadiness({
+      database: 'connected',
+      cacheTimestamps: { all: new Date('2025-06-01T11:56:00Z'), '24h': new Date('2025-06-01T11:44:00Z') },
+      staleAfterMs: staleAfter,
+      now,
+    });
+
+    assert.equal(result.windows.all.stale, false);
+    assert.equal(result.windows['24h'].stale, true);
+    assert.deepEqual(result.reasons, ['24h leaderboard is 960s old (stale after 900s)']);
+  });
+});
@@ -0,0 +1,147 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const defaultProfile = require('../src/config/scoringProfiles/default');
+const { rollupHeartbeats, scoreDevice, explainDevice, rankDevices } = require('../src/services/reputation');
+const {
+  buildScoringStages,
+  buildRankingStages,
+  buildPublicProjection,
+  buildExplainProjection,
+} = require('../src/services/scoringPipeline');
+const { buildScenarios } = require('./fixtures/scenarios');
+const { ROLLUP_COLLECTION, buildRollupStages } = require('../src/services/rollups');
+const { LEADERBOARD_WINDOWS } = require('../src/services/windows');
+
+/**
+ * Parity between the MongoDB rollup + scoring pipelines and the JS reference implementation
+ * Needs a MongoDB server: MONGODB_TEST_URI=mongodb://localhost:27017 npm test
+ * Each run uses a throwaway database that is dropped afterwards.
+ */
+
+const uri = process.env.MONGODB_TEST_URI;
+
+// Fields derived from $$NOW drift between the pipeline run and the JS run
+const TIME_TOLERANCE = {
+  hoursSinceLastSeen: 0.11,
+  daysSinceRegistration: 0.11,
+  stabilityScore: 0.011,
+  reputationScore: 0.011,
+};
+
+const assertNodesMatch = (actual, expected) => {
+  assert.equal(actual.length, expected.length, 'ranked node count');
+
+  expected.forEach((expectedNode, index) => {
+    const actualNode = actual[index];
+    assert.deepEqual(Object.keys(actualNode).sort(), Object.keys(expectedNode).sort(), `fields of ${expectedNode.nodeId}`);
+
+    Object.entries(expectedNode).forEach(([field, expectedValue]) => {
+      const actualValue = actualNode[field];
+      const label = `${expectedNode.nodeId}.${field}`;
+
+      if (expectedValue instanceof Date) {
+        assert.equal(new Date(actualValue).getTime(), expectedValue.getTime(), label);
+      } else if (typeof expectedValue === 'number' && TIME_TOLERANCE[field] !== undefined) {
+        assert.ok(Math.abs(actualValue - expectedValue) <= TIME_TOLERANCE[field], `${label}: ${actualValue} vs ${expectedValue}`);
+      } else {
+        assert.deepEqual(actualValue, expectedValue, label);
+      }
+    });
+  });
+};
+
+describe('reputation pipeline parity', { skip: !uri && 'MONGODB_TEST_URI not set' }, () => {
+  let connection;
+
+  before(async () => {
+    connection = await mongoose
+      .createConnection(uri, { dbName: `leaderboard_parity_${Date.now()}` })
+      .asPromise();
+  });
+
+  after(async () => {
+    if (connection) {
+      await connection.db.dropDatabase();
+      await connection.close();
+    }
+  });
+
+  /**
+   * Load a scenario, roll it up and rank it with the MongoDB pipelines
+   * @param {Array} entries - Scenario entries
+   * @param {?number} windowMs - Ranking window (null = all-time)
+   * @returns {Promise<Array>} Ranked public nodes
+   */
+  const rankWithPipeline = async (entries, windowMs) => {
+    const heartbeats = connection.db.collection('deviceheartbeats');
+    const devices = connection.db.collection('devices');
+    const rollups = connection.db.collection(ROLLUP_COLLECTION);
+    await Promise.all([heartbeats.deleteMany({}), devices.deleteMany({}), rollups.deleteMany({})]);
+    await rollups.createIndex({ deviceId: 1, hour: 1 }, { unique: true });
+
+    await heartbeats.insertMany(entries.flatMap((entry) => entry.heartbeats.map((heartbeat) => ({ ...heartbeat }))));
+    const records = entries.filter((entry) => entry.device).map((entry) => ({ ...entry.device }));
+    if (records.length > 0) {
+      await devices.insertMany(records);
+    }
+
+    await heartbeats.aggregate(buildRollupStages(null, new Date())).toArray();
+    return rollups
+      .aggregate([
+        ...buildScoringStages(defaultProfile, { windowMs }),
+        ...buildRankingStages(),
+        buildPublicProjection(defaultProfile),
+      ])
+      .toArray();
+  };
+
+  const scenarios = buildScenarios(new Date());
+
+  Object.entries(scenarios).forEach(([name, entries]) => {
+    it(`produces the same ranking for ${name}`, async () => {
+      const fromPipeline = await rankWithPipeline(entries, null);
+      const fromReference = rankDevices(entries, { profile: defaultProfile, now: new Date() });
+
+      assertNodesMatch(fromPipeline, fromReference);
+    });
+  });
+
+  Object.entries(LEADERBOARD_WINDOWS)
+    .filter(([, windowMs]) => windowMs !== null)
+    .forEach(([window, windowMs]) => {
+      it(`produces the same ${window} ranking for network`, async () => {
+        const fromPipeline = await rankWithPipeline(scenarios.network, windowMs);
+        const fromReference = rankDevices(scenarios.network, { profile: defaultProfile, now: new Date(), windowMs });
+
+        assertNodesMatch(fromPipeline, fromReference);
+      });
+    });
+
+  it('explains every node like the reference implementation', async () => {
+    await rankWithPipeline(scenarios.network, null);
+    const rollups = connection.db.collection(ROLLUP_COLLECTION);
+
+    for (const entry of scenarios.network) {
+      const [explanation] = await rollups
+        .aggregate([{ $match: { deviceId: entry.deviceId } }, ...buildScoringStages(defaultProfile), buildExplainProjection(defaultProfile)])
+        .toArray();
+      const deviceRollups = rollupHeartbeats(entry.heartbeats || []);
+      if (!deviceRollups.some((rollup) => rollup.heartbeats > 0)) {
+        assert.equal(explanation, undefined, entry.deviceId);
+        continue;
+      }
+
+      const expected = explainDevice(
+        scoreDevice(entry.deviceId, deviceRollups, entry.device || null, { profile: defaultProfile, now: new Date() }),
+        defaultProfile
+      );
+      assert.deepEqual(explanation.gates, expected.gates, `${entry.deviceId} gates`);
+      assert.deepEqual(explanation.components.availability, expected.components.availability, `${entry.deviceId} availability`);
+      ['distinctOnlineHours', 'daysObserved', 'hoursOnlinePerDay'].forEach((field) => {
+        assert.equal(explanation.inputs[field], expected.inputs[field], `${entry.deviceId}.${field}`);
+      });
+    }
+  });
+});
@@ -0,0 +1,352 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const defaultProfile = require('../src/config/scoringProfiles/default');
+const {
+  roundHalfEven,
+  validateHeartbeats,
+  rollupHeartbeats,
+  scoreDevice,
+  explainDevice,
+  rankDevices,
+} = require('../src/services/reputation');
+const { buildExplainProjection } = require('../src/services/scoringPipeline');
+const { DEFAULT_VALIDATION_RULES } = require('../src/services/heartbeatValidation');
+const { GOLDEN_NOW, heartbeat, buildScenarios } = require('./fixtures/scenarios');
+
+/**
+ * Reputation reference implementation tests
+ * Golden files live in test/golden; regenerate with UPDATE_GOLDEN=1 npm test
+ * after an intentional formula change, and review the diff.
+ */
+
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const scenarios = buildScenarios(GOLDEN_NOW);
+
+const rank = (entries, profile = defaultProfile) => rankDevices(entries, { profile, now: GOLDEN_NOW });
+
+// Round-trip through JSON so Dates compare as strings, like the stored golden file
+const toJSON = (value) => JSON.parse(JSON.stringify(value));
+
+describe('reputation golden files', () => {
+  Object.entries(scenarios).forEach(([name, entries]) => {
+    it(`matches golden output for ${name}`, () => {
+      const file = path.join(GOLDEN_DIR, `${name}.json`);
+      const actual = toJSON(rank(entries));
+
+      if (process.env.UPDATE_GOLDEN) {
+        fs.writeFileSync(file, `${JSON.stringify(actual, null, 2)}\n`);
+      }
+
+      const expected = JSON.parse(fs.readFileSync(file, 'utf8'));
+      assert.deepEqual(actual, expected);
+    });
+  });
+});
+
+describe('reputation edge cases', () => {
+  const only = (name) => rank(scenarios[name])[0];
+  const scored = (name) => {
+    const [entry] = scenarios[name];
+    return scoreDevice(entry.deviceId, rollupHeartbeats(entry.heartbeats), entry.device, { profile: defaultProfile, now: GOLDEN_NOW });
+  };
+
+  it('seeds new nodes with few heartbeats at the seed score', () => {
+    const node = only('seeded-new');
+    assert.equal(node.reputationScore, defaultProfile.newNodes.seedScore);
+    assert.equal(node.status, 'excellent');
+  });
+
+  it('clamps status to the grace floor for naturally new nodes', () => {
+    const result = scored('grace-natural');
+    assert.equal(result.isNewNode, true);
+    assert.equal(result.seeded, false);
+    assert.equal(result.baseStatus, 'poor');
+    assert.equal(result.status, defaultProfile.newNodes.graceFloorStatus);
+  });
+
+  it('applies a manual grace period until gracePeriodEndsAt', () => {
+    assert.equal(scored('grace-manual').isNewNode, true);
+    assert.equal(scored('grace-manual').status, 'good');
+    assert.equal(scored('grace-expired').isNewNode, false);
+    assert.equal(scored('grace-expired').status, 'poor');
+  });
+
+  it('gives no recency points after the decay window', () => {
+    const result = scored('stale-no-recent');
+    assert.equal(result.recentHeartbeats, 0);
+    assert.equal(result.recencyScore, 0);
+  });
+
+  it('treats missing network metrics as zero throughput and maximum latency', () => {
+    const node = only('null-network');
+    assert.equal(node.avgNetworkSpeed, null);
+    assert.equal(node.avgLatency, null);
+    assert.equal(node.avgCpuUsage, null);
+    assert.equal(node.avgDiskUsage, null);
+    assert.equal(node.performanceScore, 0);
+  });
+
+  it('zeroes availability and uptime score below the minimum uptime', () => {
+    const result = scored('below-min-uptime');
+    assert.equal(result.meetsMinimumUptime, false);
+    assert.equal(result.availabilityScore, 0);
+    assert.equal(only('below-min-uptime').uptimeScore, 0);
+  });
+
+  it('falls back to defaults for devices without a device record', () => {
+    const node = only('unregistered');
+    assert.equal(node.country, 'Unknown');
+    assert.equal(node.deviceName, 'unregistered');
+    assert.equal(node.daysSinceRegistration, null);
+    assert.equal('walletAddress' in node, false);
+  });
+
+  it('ranks by reputation score, highest first', () => {
+    const nodes = rank(scenarios.network);
+    nodes.forEach((node, index) => {
+      assert.equal(node.rank, index + 1);
+      if (index > 0) assert.ok(nodes[index - 1].reputationScore >= node.reputationScore);
+    });
+  });
+
+  it('ranks only activity inside the window', () => {
+    const DAY_MS = 86400000;
+    const day = rankDevices(scenarios.network, { profile: defaultProfile, now: GOLDEN_NOW, windowMs: DAY_MS });
+    const nodeIds = day.map((node) => node.nodeId);
+
+    assert.equal(nodeIds.includes('stale-no-recent'), false);
+    assert.equal(nodeIds.includes('grace-manual'), false);
+    assert.equal(nodeIds.includes('veteran-healthy'), true);
+
+    const veteran = day.find((node) => node.nodeId === 'veteran-healthy');
+    assert.ok(veteran.totalHeartbeats <= 25);
+    assert.equal(rank(scenarios.network).find((node) => node.nodeId === 'veteran-healthy').totalHeartbeats, 48);
+  });
+
+  it('follows profile weights and tiers', () => {
+    const profile = {
+      ...defaultProfile,
+      weights: { ...defaultProfile.weights, throughput: 10, latency: 20 },
+      tiers: defaultProfile.tiers.map((tier) => ({ ...tier, minScore: tier.minScore === 0 ? 0 : tier.minScore - 30 })),
+    };
+    const withDefault = rank(scenarios['veteran-healthy'])[0];
+    const withProfile = rank(scenarios['veteran-healthy'], profile)[0];
+    assert.notEqual(withProfile.performanceScore, withDefault.performanceScore);
+    assert.equal(withProfile.status, 'excellent');
+  });
+});
+
+describe('rollupHeartbeats', () => {
+  const at = (minutes) => new Date(GOLDEN_NOW.getTime() + minutes * 60000);
+
+  it('buckets heartbeats by hour with sums, counts and extremes', () => {
+    const rollups = rollupHeartbeats([
+      heartbeat('d1', at(5), { status: { uptime: 100 } }),
+      heartbeat('d1', at(50), { networkMetrics: { speed: 150 }, status: { uptime: 300 } }),
+      heartbeat('d1', at(70), { status: { uptime: 50 } }),
+    ]);
+
+    assert.equal(rollups.length, 2);
+    const [first, second] = rollups;
+    assert.equal(first.hour.getTime(), GOLDEN_NOW.getTime());
+    assert.equal(first.heartbeats, 2);
+    assert.equal(first.online, true);
+    assert.equal(first.firstSeen.getTime(), at(5).getTime());
+    assert.equal(first.lastSeen.getTime(), at(50).getTime());
+    assert.equal(first.maxUptime, 300);
+    assert.deepEqual(first.networkSpeed, { sum: 400, count: 2 });
+    assert.deepEqual(first.latency, { sum: 60, count: 1 });
+    assert.equal(second.heartbeats, 1);
+  });
+
+  it('skips missing metrics and non-positive resource totals', () => {
+    const [rollup] = rollupHeartbeats([
+      heartbeat('d1', at(0), {
+        networkMetrics: { speed: null },
+        systemResources: { cpu: {}, memory: { total: 8, used: 2 }, storage: { total: 0, used: 0 } },
+      }),
+    ]);
+
+    assert.deepEqual(rollup.networkSpeed, { sum: 0, count: 0 });
+    assert.deepEqual(rollup.cpuUsage, { sum: 0, count: 0 });
+    assert.deepEqual(rollup.memoryUsage, { sum: 25, count: 1 });
+    assert.deepEqual(rollup.diskUsage, { sum: 0, count: 0 });
+  });
+
+  it('scores the same however heartbeats are ordered', () => {
+    const [entry] = scenarios['veteran-healthy'];
+    const options = { profile: defaultProfile, now: GOLDEN_NOW };
+    const forward = scoreDevice(entry.deviceId, rollupHeartbeats(entry.heartbeats), entry.device, options);
+    const reversed = scoreDevice(entry.deviceId, rollupHeartbeats([...entry.heartbeats].reverse()), entry.device, options);
+    assert.equal(reversed.reputationScore, forward.reputationScore);
+    assert.equal(reversed.totalHeartbeats, forward.totalHeartbeats);
+  });
+});
+
+describe('validateHeartbeats', () => {
+  const at = (minutes) => new Date(GOLDEN_NOW.getTime() + minutes * 60000);
+  const issuesOf = (heartbeats, rules) => validateHeartbeats(heartbeats, rules)
+    .map(({ issues, rejected, adjusted }) => ({ ...issues, rejected, adjusted }));
+
+  it('clamps out-of-range values and drops negative ones', () => {
+    const [result] = validateHeartbeats([
+      heartbeat('d1', at(0), {
+        networkMetrics: { speed: 50000, latency: -5 },
+        systemResources: { cpu: { usage: 150 }, memory: { total: 8, used: 10 }, storage: { total: 100, used: 50 } },
+      }),
+    ]);
+
+    assert.equal(result.issues.outOfRange, true);
+    assert.equal(result.adjusted, true);
+    assert.equal(result.rejected, false);
+    assert.deepEqual(result.values, {
+      networkSpeed: DEFAULT_VALIDATION_RULES.maxNetworkSpeedMbps,
+      latency: null,
+      cpuUsage: 100,
+      memoryUsage: 100,
+      diskUsage: 50,
+      uptime: 3600,
+    });
+  });
+
+  it('rejects duplicate bursts and future timestamps', () => {
+    const issues = issuesOf([
+      heartbeat('d1', at(0)),
+      heartbeat('d1', at(0.05)),
+      heartbeat('d1', at(30), { createdAt: at(20) }),
+      heartbeat('d1', at(40), { createdAt: at(38) }),
+    ]);
+
+    assert.deepEqual(issues.map((result) => result.rejected), [false, true, true, false]);
+    assert.equal(issues[1].duplicate, true);
+    assert.equal(issues[2].futureTimestamp, true);
+    assert.equal(issues[3].futureTimestamp, false);
+  });
+
+  it('limits uptime growth to the elapsed time', () => {
+    const results = validateHeartbeats([
+      heartbeat('d1', at(0), { status: { uptime: 100 } }),
+      heartbeat('d1', at(10), { status: { uptime: 5000 } }),
+      heartbeat('d1', at(20), { status: { uptime: 60 } }), // Rebooted
+    ]);
+
+    assert.deepEqual(results.map(({ issues }) => issues.uptime), [false, true, false]);
+    assert.equal(results[1].values.uptime, 700);
+    assert.equal(results[2].values.uptime, 60);
+  });
+
+  it('keeps uptime implausible after a forged jump', () => {
+    const uptimes = [10, 70, 100000, 100060, 100120];
+    const heartbeats = uptimes.map((uptime, index) => heartbeat('d1', at(index), { status: { uptime } }));
+
+    const results = validateHeartbeats(heartbeats);
+    assert.deepEqual(results.map(({ issues }) => issues.uptime), [false, false, true, true, true]);
+    assert.deepEqual(results.map(({ values }) => values.uptime), [10, 70, 130, 190, 250]);
+
+    const [rollup] = rollupHeartbeats(heartbeats);
+    assert.equal(rollup.maxUptime, 250);
+    assert.equal(rollup.adjustedHeartbeats, 3);
+  });
+
+  it('rejects every implausible heartbeat in discard mode', () => {
+    const rules = { ...DEFAULT_VALIDATION_RULES, mode: 'discard' };
+    const [entry] = buildScenarios(GOLDEN_NOW).implausible;
+    const [clamped] = rankDevices([entry], { profile: defaultProfile, now: GOLDEN_NOW });
+    const [discarded] = rankDevices([entry], { profile: defaultProfile, now: GOLDEN_NOW, validation: rules });
+
+    assert.deepEqual(
+      [clamped.totalHeartbeats, clamped.rejectedHeartbeats, clamped.adjustedHeartbeats, clamped.dataQuality],
+      [24, 2, 5, 'poor']
+    );
+    assert.deepEqual([discarded.totalHeartbeats, discarded.rejectedHeartbeats, discarded.adjustedHeartbeats], [19, 7, 0]);
+  });
+
+  it('does not rank devices whose heartbeats were all rejected', () => {
+    const heartbeats = [heartbeat('d1', at(0), { createdAt: at(-60) })];
+    assert.deepEqual(rankDevices([{ deviceId: 'd1', heartbeats, device: null }], { profile: defaultProfile, now: GOLDEN_NOW }), []);
+  });
+});
+
+describe('explainDevice', () => {
+  const score = (name) => {
+    const [entry] = scenarios[name];
+    return scoreDevice(entry.deviceId, rollupHeartbeats(entry.heartbeats), entry.device, { profile: defaultProfile, now: GOLDEN_NOW });
+  };
+  const explain = (name) => explainDevice(score(name), defaultProfile);
+
+  it('has the shape of the explain projection', () => {
+    const { $project: projection } = buildExplainProjection(defaultProfile);
+    const explanation = explain('veteran-healthy');
+    const keysOf = (value) => Object.keys(value).sort();
+
+    assert.deepEqual(keysOf(explanation), keysOf(projection).filter((key) => key !== '_id'));
+    ['inputs', 'components', 'gates'].forEach((section) => {
+      assert.deepEqual(keysOf(explanation[section]), keysOf(projection[section]), section);
+    });
+  });
+
+  it('reports hours online per day over the observed span and the availability they earn', () => {
+    const scored = score('veteran-healthy');
+    const { inputs, components, gates } = explainDevice(scored, defaultProfile);
+    const { thresholds, weights } = defaultProfile;
+    const expectedHoursPerDay = scored.distinctOnlineHours / Math.max(scored.daysObserved, 1);
+
+    assert.ok(inputs.hoursOnlinePerDay > 0);
+    assert.equal(inputs.hoursOnlinePerDay, roundHalfEven(expectedHoursPerDay, 2));
+    assert.equal(gates.availabilityZeroed, false);
+    assert.equal(
+      components.availability.score,
+      roundHalfEven(Math.min(expectedHoursPerDay / thresholds.targetHoursOnlinePerDay, 1) * weights.availability, 2)
+    );
+  });
+
+  it('zeroes availability below the minimum uptime', () => {
+    const { inputs, components, gates } = explain('below-min-uptime');
+    assert.equal(gates.meetsMinimumUptime, false);
+    assert.equal(gates.availabilityZeroed, true);
+    assert.ok(inputs.hoursOnlinePerDay > 0);
+    assert.equal(components.availability.score, 0);
+  });
+
+  it('flags seeded new nodes', () => {
+    const explanation = explain('seeded-new');
+    assert.equal(explanation.gates.isNewNode, true);
+    assert.equal(explanation.gates.seededAtMaximum, true);
+    assert.equal(explanation.reputationScore, defaultProfile.newNodes.seedScore);
+    assert.notEqual(explanation.calculatedScore, explanation.reputationScore);
+  });
+
+  it('flags grace period status clamping', () => {
+    const manual = explain('grace-manual');
+    assert.equal(manual.gates.inManualGracePeriod, true);
+    assert.equal(manual.gates.statusClamped, true);
+    assert.equal(manual.gates.baseStatus, 'poor');
+    assert.equal(manual.status, defaultProfile.newNodes.graceFloorStatus);
+
+    const expired = explain('grace-expired');
+    assert.equal(expired.gates.isNewNode, false);
+    assert.equal(expired.gates.statusClamped, false);
+    assert.equal(expired.status, expired.gates.baseStatus);
+  });
+});
+
+describe('roundHalfEven', () => {
+  it('rounds halves to even like MongoDB $round', () => {
+    assert.equal(roundHalfEven(10.5, 0), 10);
+    assert.equal(roundHalfEven(11.5, 0), 12);
+    assert.equal(roundHalfEven(0.125, 2), 0.12);
+  });
+
+  it('rounds the 15-digit decimal form of a double', () => {
+    assert.equal(roundHalfEven(2.675, 2), 2.68);
+    assert.equal(roundHalfEven(-2.675, 2), -2.68);
+    assert.equal(roundHalfEven(99.999, 2), 100);
+  });
+
+  it('keeps null as null', () => {
+    assert.equal(roundHalfEven(null, 2), null);
+  });
+});
@@ -0,0 +1,137 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { tiers } = require('../src/config/scoringProfiles/default');
+const { parseRewardRequest, calculatePayouts, toCsv } = require('../src/services/rewardCalculator');
+
+const node = (nodeId, reputationScore, status, walletAddress, overrides = {}) => ({
+  nodeId,
+  reputationScore,
+  status,
+  walletAddress,
+  meetsThirtyDayRequirement: true,
+  meetsMinimumUptime: true,
+  ...overrides,
+});
+
+const nodes = [
+  node('a1', 90, 'excellent', '0xAAA'),
+  node('a2', 60, 'good', '0xaaa'),
+  node('b1', 50, 'average', '0xbbb'),
+  node('c1', 20, 'poor', '0xccc'),
+  node('d1', 80, 'excellent', '0xddd', { meetsThirtyDayRequirement: false }),
+  node('e1', 80, 'excellent', '0xeee', { meetsMinimumUptime: false }),
+  node('f1', 80, 'excellent', null),
+];
+
+const payoutsFor = (body) => {
+  const { request, errors } = parseRewardRequest(body, tiers);
+  assert.equal(errors, undefined);
+  return calculatePayouts(nodes, request, tiers);
+};
+
+const amounts = (payouts) => Object.fromEntries(payouts.map((payout) => [payout.walletAddress, payout.amount]));
+
+describe('reward calculator', () => {
+  it('splits the pool in proportion to reputation per wallet', () => {
+    const { payouts, summary } = payoutsFor({ epoch: '2025-11', pool: '1000', rules: { decimals: 2 } });
+
+    assert.deepEqual(amounts(payouts), { '0xaaa': '681.82', '0xbbb': '227.27', '0xccc': '90.91' });
+    assert.equal(summary.distributed, '1000.00');
+    assert.equal(summary.undistributed, '0.00');
+    assert.deepEqual(summary.excludedNodes, { status: 0, thirtyDayRequirement: 1, minimumUptime: 1, flagged: 0, noWallet: 1 });
+    assert.equal(payouts[0].nodeCount, 2);
+  });
+
+  it('applies minimum status and tiered weights', () => {
+    const { payouts, summary } = payoutsFor({
+      epoch: 'e1',
+      pool: 100,
+      rules: {
+        decimals: 0,
+        minimumStatus: 'average',
+        distribution: 'tiered',
+        tierWeights: { excellent: 3, good: 2, average: 1, poor: 0 },
+      },
+    });
+
+    assert.deepEqual(amounts(payouts), { '0xaaa': '83', '0xbbb': '17' });
+    assert.equal(summary.excludedNodes.status, 1);
+  });
+
+  it('caps wallets and re-splits the excess among the rest', () => {
+    const { payouts, summary } = payoutsFor({ epoch: 'e1', pool: '1000', rules: { decimals: 0, maxPerWallet: '500' } });
+
+    assert.deepEqual(amounts(payouts), { '0xaaa': '500', '0xbbb': '357', '0xccc': '143' });
+    assert.equal(payouts.find((payout) => payout.walletAddress === '0xaaa').capped, true);
+    assert.equal(summary.cappedWallets, 1);
+  });
+
+  it('leaves the pool undistributed when every wallet is capped', () => {
+    const { summary } = payoutsFor({ epoch: 'e1', pool: '1000', rules: { decimals: 0, maxPerWallet: '100' } });
+
+    assert.equal(summary.distributed, '300');
+    assert.equal(summary.undistributed, '700');
+  });
+
+  it('is deterministic regardless of node order', () => {
+    const { request } = parseRewardRequest({ epoch: 'e1', pool: '1', rules: { decimals: 8 } }, tiers);
+    const forward = calculatePayouts(nodes, request, tiers);
+    const reversed = calculatePayouts([...nodes].reverse(), request, tiers);
+
+    assert.deepEqual(reversed.payouts, forward.payouts);
+    assert.equal(reversed.checksum, forward.checksum);
+    assert.equal(forward.summary.distributed, '1.00000000');
+  });
+
+  it('excludes nodes carrying an excluded cluster flag', () => {
+    const flagged = nodes.map((entry) => (entry.nodeId === 'a2' ? { ...entry, flags: ['shared-ip', 'shared-mac'] } : entry));
+    const { request, errors } = parseRewardRequest({
+      epoch: 'e1',
+      pool: '100',
+      rules: { decimals: 2, excludeFlags: ['shared-mac'] },
+    }, tiers, { flagging: true });
+    assert.equal(errors, undefined);
+
+    const { payouts, summary } = calculatePayouts(flagged, request, tiers);
+    assert.equal(summary.excludedNodes.flagged, 1);
+    assert.deepEqual(payouts.find((payout) => payout.walletAddress === '0xaaa').nodeIds, ['a1']);
+  });
+
+  it('rejects excludeFlags without node flagging or with unknown flags', () => {
+    const body = { epoch: 'e1', pool: '1', rules: { excludeFlags: ['shared-ip'] } };
+    assert.deepEqual(parseRewardRequest(body, tiers).errors, ['rules.excludeFlags requires node flagging (CLUSTER_FLAG_NODES=true)']);
+
+    const { errors } = parseRewardRequest({ ...body, rules: { excludeFlags: ['vpn'] } }, tiers, { flagging: true });
+    assert.ok(errors.some((error) => error.startsWith('rules.excludeFlags must be')));
+  });
+
+  it('rejects invalid requests', () => {
+    const { errors } = parseRewardRequest({
+      epoch: 'bad epoch',
+      pool: '-5',
+      rules: { minimumStatus: 'gold', distribution: 'tiered', bonus: true },
+    }, tiers);
+
+    assert.ok(errors.some((error) => error.startsWith('epoch')));
+    assert.ok(errors.some((error) => error.startsWith('pool')));
+    assert.ok(errors.some((error) => error.startsWith('rules.minimumStatus')));
+    assert.ok(errors.some((error) => error.startsWith('rules.tierWeights')));
+    assert.ok(errors.some((error) => error === 'unknown rules: bonus'));
+    assert.ok(parseRewardRequest({ epoch: 'e1', pool: '1.123', rules: { decimals: 2 } }, tiers).errors);
+  });
+
+  it('renders CSV with escaped fields', () => {
+    const csv = toCsv('e1', [{
+      walletAddress: 'a,b',
+      amount: '1.00',
+      amountUnits: '100',
+      nodeCount: 2,
+      weight: '150.00',
+      capped: false,
+      nodeIds: ['n1', 'n2'],
+    }]);
+
+    assert.equal(csv, 'epoch,walletAddress,amount,amountUnits,nodeCount,weight,capped,nodeIds\ne1,"a,b",1.00,100,2,150.00,false,n1;n2\n');
+  });
+});
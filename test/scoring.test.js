@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const defaultProfile = require('../src/config/scoringProfiles/default');
+const { validateScoringProfile, findUnsafeProfileKeys, mergeScoringProfile } = require('../src/config/scoring');
+const { buildScoringStages, buildPublicProjection } = require('../src/services/scoringPipeline');
+
+const withTier = (changes) => ({
+  ...defaultProfile,
+  tiers: defaultProfile.tiers.map((tier, index) => (index === 0 ? { ...tier, ...changes } : tier)),
+});
+
+describe('scoring profiles', () => {
+  it('accepts the default profile', () => {
+    assert.deepEqual(validateScoringProfile(defaultProfile), []);
+  });
+
+  it('requires tier badges and insights to be non-empty strings', () => {
+    assert.deepEqual(validateScoringProfile(withTier({ badge: { $concat: ['$walletAddress'] }, insight: '' })), [
+      'tiers[0].badge must be a non-empty string',
+      'tiers[0].insight must be a non-empty string',
+    ]);
+  });
+
+  it('emits tier values as literals', () => {
+    const profile = withTier({ badge: '$walletAddress', insight: '$deviceId' });
+    const pipeline = JSON.stringify([...buildScoringStages(profile), buildPublicProjection(profile)]);
+
+    assert.ok(pipeline.includes('{"$literal":"$walletAddress"}'));
+    assert.ok(pipeline.includes('{"$literal":"$deviceId"}'));
+    assert.ok(!pipeline.includes('"then":"$'));
+  });
+
+  it('merges overrides per key and replaces arrays', () => {
+    const merged = mergeScoringProfile(defaultProfile, { weights: { availability: 40 }, tiers: [] });
+
+    assert.equal(merged.weights.availability, 40);
+    assert.equal(merged.weights.coverage, defaultProfile.weights.coverage);
+    assert.deepEqual(merged.tiers, []);
+    assert.equal(defaultProfile.weights.availability, 45);
+  });
+
+  it('rejects and never merges prototype keys', () => {
+    const overrides = JSON.parse('{"__proto__": {"polluted": true}, "weights": {"constructor": {"prototype": {}}}, "tiers": [{"prototype": 1}]}');
+
+    assert.deepEqual(findUnsafeProfileKeys(overrides), [
+      'profile.__proto__ is not allowed',
+      'profile.weights.constructor is not allowed',
+      'profile.tiers[0].prototype is not allowed',
+    ]);
+    assert.deepEqual(findUnsafeProfileKeys({ weights: { availability: 40 } }), []);
+
+    const merged = mergeScoringProfile(defaultProfile, overrides);
+    assert.equal(Object.getPrototypeOf(merged), Object.prototype);
+    assert.equal(merged.polluted, undefined);
+    assert.equal({}.polluted, undefined);
+    assert.equal(merged.weights.constructor, Object);
+  });
+});
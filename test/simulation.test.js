@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const defaultProfile = require('../src/config/scoringProfiles/default');
+const { compareRankings } = require('../src/services/simulation');
+
+const node = (nodeId, rank, reputationScore, status) => ({ nodeId, rank, reputationScore, status });
+
+const current = [
+  node('a', 1, 80, 'excellent'),
+  node('b', 2, 70, 'good'),
+  node('c', 3, 50, 'average'),
+  node('d', 4, 30, 'poor'),
+];
+
+describe('simulation comparison', () => {
+  it('reports rank, score and status changes per node', () => {
+    const { nodes } = compareRankings(current, [node('b', 1, 78.456, 'excellent'), node('a', 2, 77.1, 'excellent')], defaultProfile.tiers);
+
+    assert.deepEqual(nodes[0], {
+      nodeId: 'b',
+      deviceName: undefined,
+      current: { rank: 2, reputationScore: 70, status: 'good' },
+      simulated: { rank: 1, reputationScore: 78.456, status: 'excellent' },
+      rankChange: 1,
+      scoreChange: 8.46,
+      statusChange: { from: 'good', to: 'excellent' },
+    });
+    assert.equal(nodes[1].rankChange, -1);
+    assert.equal(nodes[1].statusChange, null);
+  });
+
+  it('counts rank changes, tier changes, promotions and demotions', () => {
+    const simulated = [
+      node('b', 1, 78, 'excellent'), // up a rank, promoted
+      node('a', 2, 77, 'excellent'), // down a rank, same tier
+      node('c', 3, 35, 'poor'), // same rank, demoted
+      node('d', 4, 32, 'poor'), // unchanged
+    ];
+    const { summary } = compareRankings(current, simulated, defaultProfile.tiers);
+
+    assert.equal(summary.totalNodes, 4);
+    assert.equal(summary.rankChanged, 2);
+    assert.equal(summary.tierChanged, 2);
+    assert.equal(summary.promoted, 1);
+    assert.equal(summary.demoted, 1);
+    assert.deepEqual(summary.transitions, { 'good->excellent': 1, 'average->poor': 1 });
+    assert.deepEqual(summary.statusDistribution, {
+      current: { excellent: 1, good: 1, average: 1, poor: 1 },
+      simulated: { excellent: 2, poor: 2 },
+    });
+  });
+
+  it('counts nodes only in the simulated ranking as new and nodes only in the current one as removed', () => {
+    const { nodes, summary } = compareRankings(current, [node('a', 1, 80, 'excellent'), node('e', 2, 60, 'good')], defaultProfile.tiers);
+
+    assert.equal(summary.newNodes, 1);
+    assert.equal(summary.removedNodes, 3);
+    assert.deepEqual(nodes.map((entry) => entry.nodeId), ['a', 'e']);
+    assert.equal(nodes[1].current, null);
+    assert.equal(nodes[1].rankChange, null);
+  });
+
+  it('ranks statuses by the simulated tiers, unknown statuses lowest', () => {
+    const tiers = [{ status: 'gold' }, { status: 'silver' }];
+    const { summary } = compareRankings(
+      [node('a', 1, 80, 'excellent'), node('b', 2, 70, 'silver')],
+      [node('a', 1, 80, 'silver'), node('b', 2, 70, 'gold')],
+      tiers
+    );
+
+    assert.equal(summary.promoted, 2);
+    assert.equal(summary.demoted, 0);
+  });
+});
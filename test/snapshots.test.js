@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isSnapshotDue, parseHistoryQuery, buildHistoryStages } = require('../src/services/snapshots');
+
+const HOUR_MS = 3600000;
+
+describe('snapshots', () => {
+  it('is due when nothing was stored or the interval has elapsed since the latest snapshot', () => {
+    const latest = new Date('2025-06-01T12:00:00Z');
+
+    assert.equal(isSnapshotDue(new Date('2025-06-01T12:30:00Z'), null, HOUR_MS), true);
+    assert.equal(isSnapshotDue(new Date('2025-06-01T12:59:59Z'), latest, HOUR_MS), false);
+    assert.equal(isSnapshotDue(new Date('2025-06-01T13:00:00Z'), latest, HOUR_MS), true);
+  });
+
+  it('defaults history to the raw snapshots of the last 7 days', () => {
+    const now = new Date('2025-06-08T12:00:00Z');
+
+    assert.deepEqual(parseHistoryQuery({}, now).options, {
+      from: new Date('2025-06-01T12:00:00Z'),
+      to: now,
+      interval: 'raw',
+    });
+    assert.deepEqual(parseHistoryQuery({ to: '2025-06-03T00:00:00Z', interval: 'day' }, now).options, {
+      from: new Date('2025-05-27T00:00:00Z'),
+      to: new Date('2025-06-03T00:00:00Z'),
+      interval: 'day',
+    });
+  });
+
+  it('rejects invalid dates, reversed ranges and unknown intervals', () => {
+    assert.deepEqual(parseHistoryQuery({ from: 'yesterday' }), {
+      error: 'Invalid date range',
+      message: 'from and to must be valid ISO 8601 dates',
+    });
+    assert.equal(parseHistoryQuery({ from: '2025-06-02', to: '2025-06-01' }).message, 'from must be before to');
+    assert.deepEqual(parseHistoryQuery({ interval: 'week' }), {
+      error: 'Invalid interval',
+      message: 'interval must be one of: raw, hour, day',
+    });
+  });
+
+  it('returns raw history in snapshot order', () => {
+    const from = new Date('2025-06-01T00:00:00Z');
+    const to = new Date('2025-06-02T00:00:00Z');
+    const [match, sort, project] = buildHistoryStages('n1', { from, to, interval: 'raw' });
+
+    assert.deepEqual(match, { $match: { nodeId: 'n1', snapshotAt: { $gte: from, $lte: to } } });
+    assert.deepEqual(sort, { $sort: { snapshotAt: 1 } });
+    assert.equal(project.$project._id, 0);
+    assert.equal(project.$project.reputationScore, 1);
+    assert.equal(project.$project.bucket, undefined);
+  });
+
+  it('keeps the latest snapshot of each hour or day bucket', () => {
+    const from = new Date('2025-06-01T00:00:00Z');
+    const to = new Date('2025-06-08T00:00:00Z');
+    const stages = buildHistoryStages('n1', { from, to, interval: 'day' });
+
+    assert.deepEqual(stages.map((stage) => Object.keys(stage)[0]), ['$match', '$sort', '$group', '$sort', '$project']);
+    // $last after sorting oldest first picks the latest snapshot in the bucket
+    assert.deepEqual(stages[1], { $sort: { snapshotAt: 1 } });
+    assert.deepEqual(stages[2].$group._id, { $dateTrunc: { date: '$snapshotAt', unit: 'day' } });
+    assert.deepEqual(stages[2].$group.rank, { $last: '$rank' });
+    assert.deepEqual(stages[2].$group.snapshotAt, { $last: '$snapshotAt' });
+    assert.deepEqual(stages[3], { $sort: { _id: 1 } });
+    assert.equal(stages[4].$project.bucket, '$_id');
+    assert.equal(stages[4].$project._id, 0);
+
+    assert.equal(buildHistoryStages('n1', { from, to, interval: 'hour' })[2].$group._id.$dateTrunc.unit, 'hour');
+  });
+});
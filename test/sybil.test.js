@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeMac,
+  buildFingerprint,
+  detectClusters,
+} = require('../src/services/sybil');
+
+const device = (deviceId, overrides = {}) => ({
+  deviceId,
+  macs: [],
+  ips: [],
+  isps: [],
+  fingerprint: null,
+  walletAddress: null,
+  ...overrides,
+});
+
+describe('sybil detection', () => {
+  it('normalizes MAC addresses and drops generated ones', () => {
+    assert.equal(normalizeMac('00-1A-2B-3C-4D-5E'), '00:1a:2b:3c:4d:5e');
+    assert.equal(normalizeMac('001a.2b3c.4d5e'), '00:1a:2b:3c:4d:5e');
+    assert.equal(normalizeMac('02:42:ac:11:00:02'), null); // Docker (locally administered)
+    assert.equal(normalizeMac('00:00:00:00:00:00'), null);
+    assert.equal(normalizeMac('ff:ff:ff:ff:ff:ff'), null);
+    assert.equal(normalizeMac('00:1a:2b'), null);
+    assert.equal(normalizeMac(undefined), null);
+  });
+
+  it('builds fingerprints only from enough metrics', () => {
+    assert.equal(
+      buildFingerprint({ networkSpeed: 100, latency: 12.345, cpuUsage: 20, memoryUsage: null }),
+      'networkSpeed=100|latency=12.35|cpuUsage=20'
+    );
+    assert.equal(buildFingerprint({ networkSpeed: 100, latency: 12 }), null);
+  });
+
+  it('links devices transitively across signal types', () => {
+    const { clusters, flags } = detectClusters([
+      device('a', { macs: ['00:1a:2b:3c:4d:5e'], walletAddress: '0xAAA', isps: ['ISP One'] }),
+      device('b', { macs: ['00-1A-2B-3C-4D-5E'], ips: ['203.0.113.7'], walletAddress: '0xbbb' }),
+      device('c', { ips: ['203.0.113.7'] }),
+      device('d', { ips: ['203.0.113.7'] }),
+      device('e', { ips: ['198.51.100.1'] }),
+    ]);
+
+    assert.equal(clusters.length, 1);
+    assert.deepEqual(clusters[0].deviceIds, ['a', 'b', 'c', 'd']);
+    assert.deepEqual(clusters[0].flags, ['shared-ip', 'shared-mac']);
+    assert.deepEqual(clusters[0].wallets, ['0xaaa', '0xbbb']);
+    assert.deepEqual(clusters[0].isps, ['ISP One']);
+    assert.equal(clusters[0].signals.length, 2);
+    assert.deepEqual(flags.get('b'), ['shared-ip', 'shared-mac']);
+    assert.deepEqual(flags.get('a'), ['shared-mac']);
+    assert.equal(flags.has('e'), false);
+  });
+
+  it('ignores values shared by fewer devices than the threshold', () => {
+    const devices = [
+      device('a', { ips: ['203.0.113.7'], fingerprint: 'networkSpeed=100|latency=10|cpuUsage=5' }),
+      device('b', { ips: ['203.0.113.7'], fingerprint: 'networkSpeed=100|latency=10|cpuUsage=5' }),
+    ];
+
+    const { clusters } = detectClusters(devices, { fingerprint: 3 });
+    assert.equal(clusters.length, 0);
+
+    const withFingerprint = detectClusters(devices);
+    assert.deepEqual(withFingerprint.clusters[0].flags, ['shared-fingerprint']);
+    assert.equal(withFingerprint.clusters[0].clusterId, detectClusters([...devices].reverse()).clusters[0].clusterId);
+  });
+});
@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { rankWallets, getWallet } = require('../src/services/wallets');
+
+const node = (nodeId, rank, reputationScore, walletAddress, overrides = {}) => ({
+  nodeId,
+  rank,
+  reputationScore,
+  walletAddress,
+  status: reputationScore >= 75 ? 'excellent' : 'average',
+  meetsThirtyDayRequirement: true,
+  meetsMinimumUptime: true,
+  ...overrides,
+});
+
+const nodes = [
+  node('a1', 1, 90, '0xAAA'),
+  node('b1', 2, 80, '0xbbb'),
+  node('b2', 3, 50, '0xBBB', { meetsThirtyDayRequirement: false }),
+  node('c1', 4, 45, '0xccc', { meetsMinimumUptime: false }),
+  node('x1', 5, 40, undefined),
+  node('x2', 6, 30, '  '),
+];
+
+describe('wallets', () => {
+  it('ranks wallets by combined reputation, grouping addresses case-insensitively', () => {
+    const { wallets, unassignedNodes } = rankWallets(nodes);
+
+    assert.deepEqual(wallets.map((wallet) => [wallet.walletAddress, wallet.walletRank]), [['0xbbb', 1], ['0xaaa', 2], ['0xccc', 3]]);
+    assert.equal(unassignedNodes, 2);
+
+    const [fleet] = wallets;
+    assert.equal(fleet.nodeCount, 2);
+    assert.equal(fleet.totalReputation, 130);
+    assert.equal(fleet.averageScore, 65);
+    assert.equal(fleet.bestRank, 2);
+    assert.equal(fleet.eligibleNodes, 1);
+    assert.deepEqual(fleet.statusDistribution, { excellent: 1, average: 1 });
+  });
+
+  it('marks wallets without an eligible node as ineligible', () => {
+    const { wallets } = rankWallets(nodes);
+    assert.equal(wallets.find((wallet) => wallet.walletAddress === '0xccc').eligible, false);
+  });
+
+  it('looks up a wallet with its nodes in rank order', () => {
+    const wallet = getWallet(nodes, '0XBBB');
+
+    assert.equal(wallet.walletRank, 1);
+    assert.equal(wallet.totalWallets, 3);
+    assert.deepEqual(wallet.nodes.map((entry) => [entry.nodeId, entry.eligible]), [['b1', true], ['b2', false]]);
+    assert.equal(getWallet(nodes, '0xdead'), null);
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { parseSubscription, detectNodeEvents, signPayload, getRetryDelayMs } = require('../src/services/webhookEvents');
+
+const node = (nodeId, rank, status, hoursSinceLastSeen = 0) => ({ nodeId, rank, status, hoursSinceLastSeen, reputationScore: 100 - rank });
+
+const subscription = (overrides = {}) => ({
+  ...parseSubscription({
+    url: 'https://hooks.example.com/quikdb',
+    events: ['node.status_changed', 'node.entered_top', 'node.left_top', 'node.silent'],
+    topN: 2,
+    silentHours: 6,
+    ...overrides,
+  }).subscription,
+});
+
+const previous = [
+  node('a', 1, 'excellent'),
+  node('b', 2, 'good'),
+  node('c', 3, 'good', 5),
+  node('gone', 4, 'poor'),
+];
+
+const current = [
+  node('a', 1, 'excellent'),
+  node('c', 2, 'average', 7),
+  node('b', 3, 'good'),
+];
+
+const summarize = (events) => events.map(({ event, data }) => `${event}:${data.nodeId}`).sort();
+
+describe('webhook events', () => {
+  it('detects status changes, top N transitions and nodes going silent', () => {
+    assert.deepEqual(summarize(detectNodeEvents(current, previous, subscription())), [
+      'node.entered_top:c',
+      'node.left_top:b',
+      'node.silent:c',
+      'node.status_changed:c',
+    ]);
+  });
+
+  it('reports nodes that dropped out of the ranking from the top N', () => {
+    const events = detectNodeEvents([node('b', 1, 'good')], previous, subscription({ events: ['node.left_top'] }));
+    assert.deepEqual(events.map(({ data }) => [data.nodeId, data.rank, data.previousRank]), [['a', null, 1]]);
+  });
+
+  it('limits events to subscribed types and watched nodes', () => {
+    const events = detectNodeEvents(current, previous, subscription({ events: ['node.left_top', 'node.silent'], nodeIds: ['b'] }));
+    assert.deepEqual(summarize(events), ['node.left_top:b']);
+  });
+
+  it('validates subscriptions', () => {
+    const { errors } = parseSubscription({ url: 'ftp://example.com', events: ['node.exploded'], topN: 0, silentHours: -1 });
+    assert.equal(errors.length, 4);
+    assert.equal(subscription().nodeIds, null);
+  });
+
+  it('requires public https URLs unless insecure URLs are allowed', () => {
+    const errorsFor = (url, options) => parseSubscription({ url, events: ['node.silent'] }, options).errors;
+
+    assert.deepEqual(errorsFor('http://hooks.example.com/quikdb'), ['url must use https']);
+    ['https://localhost/hook', 'https://127.0.0.1/hook', 'https://10.0.0.5/hook', 'https://[::1]/hook', 'https://169.254.169.254/latest']
+      .forEach((url) => assert.deepEqual(errorsFor(url), ['url must not point at localhost or a private network'], url));
+    assert.equal(errorsFor('https://203.0.113.7/hook'), undefined);
+    assert.equal(errorsFor('http://localhost:3000/hook', { allowInsecure: true }), undefined);
+  });
+
+  it('signs "<timestamp>.<body>" with HMAC-SHA256 and backs off exponentially', () => {
+    const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+    assert.equal(signPayload('secret', '1700000000', '{"a":1}'), expected);
+    assert.deepEqual([1, 2, 3, 20].map(getRetryDelayMs), [30000, 60000, 120000, 3600000]);
+  });
+});